@@ -7,6 +7,7 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const logger = require('./utils/logger');
+const { getClientIp, parseTrustProxy } = require('./utils/ipAccessUtils');
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
 const requestLogger = require('./middleware/requestLogger');
@@ -21,7 +22,12 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Trust proxy to get real client IP (important for SPCS deployment)
-app.set('trust proxy', true);
+// TRUSTED_PROXIES narrows which hops may set X-Forwarded-For; IP allowlists rely on it
+const trustProxy = parseTrustProxy(process.env.TRUSTED_PROXIES);
+app.set('trust proxy', trustProxy);
+if (trustProxy === true) {
+  logger.warn('⚠️  TRUSTED_PROXIES=true trusts X-Forwarded-For from every hop; callers can spoof their IP past IP allowlists');
+}
 
 // Security middleware
 app.use(helmet());
@@ -52,7 +58,10 @@ const corsOptions = {
   },
   credentials: true
 };
-app.use(cors(corsOptions));
+// Proxy endpoints answer OPTIONS themselves so preflights list each endpoint's real methods
+const corsMiddleware = cors(corsOptions);
+const proxyCorsMiddleware = cors({ ...corsOptions, preflightContinue: true });
+app.use((req, res, next) => (req.path.startsWith('/proxy/') ? proxyCorsMiddleware : corsMiddleware)(req, res, next));
 
 // Rate limiting
 // When trust proxy is enabled, we need to disable the validation warning
@@ -65,21 +74,8 @@ const limiter = rateLimit({
   validate: {
     trustProxy: false
   },
-  // Use the real IP from headers when behind a proxy
-  keyGenerator: (req) => {
-    // Get the real IP from X-Forwarded-For header (first IP in the chain)
-    const forwarded = req.headers['x-forwarded-for'];
-    if (forwarded) {
-      const ips = forwarded.split(',').map(ip => ip.trim());
-      return ips[0]; // Return the original client IP (first in chain)
-    }
-    // Fallback to X-Real-IP header
-    if (req.headers['x-real-ip']) {
-      return req.headers['x-real-ip'];
-    }
-    // Final fallback to connection remote address
-    return req.connection?.remoteAddress || req.socket?.remoteAddress || 'unknown';
-  },
+  // Use the real IP from X-Forwarded-For as far as the trusted proxies vouch for it
+  keyGenerator: (req) => getClientIp(req) || 'unknown',
   // Skip successful health checks to avoid rate limiting them
   skip: (req) => {
     return req.path === '/health' || req.path.startsWith('/health/');
@@ -88,8 +84,12 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw bytes as well: signed proxy requests cover the body exactly as sent
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Compression middleware
 app.use(compression());
@@ -277,7 +277,17 @@ app.listen(PORT, async () => {
   logger.info('');
   
   // Validate Snowflake connection (non-blocking)
-  await validateSnowflakeConnection();
+  if (await validateSnowflakeConnection()) {
+    // Take the first snapshots of materialized endpoints and start their schedules
+    const materializationService = require('./services/materializationService');
+    await materializationService.start().catch(error => {
+      logger.error('Could not start endpoint materialization:', error);
+    });
+
+    // Deactivate API keys once their expiry has passed
+    const tokenService = require('./services/tokenService');
+    await tokenService.startExpiryJob();
+  }
 });
 
 module.exports = app;
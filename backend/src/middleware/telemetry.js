@@ -1,5 +1,6 @@
 const databaseService = require('../services/databaseService');
 const logger = require('../utils/logger');
+const { getClientIp } = require('../utils/ipAccessUtils');
 
 /**
  * Telemetry middleware - logs all API requests to database with detailed metrics
@@ -14,17 +15,8 @@ const telemetry = async (req, res, next) => {
   const startTime = Date.now();
   const startTimestamp = new Date();
   
-  // Get real client IP address (handles proxies)
-  const getClientIp = (req) => {
-    return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-           req.headers['x-real-ip'] ||
-           req.connection?.remoteAddress ||
-           req.socket?.remoteAddress ||
-           req.ip ||
-           'unknown';
-  };
-
-  const clientIp = getClientIp(req);
+  // Get real client IP address (X-Forwarded-For as far as the trusted proxies vouch for it)
+  const clientIp = getClientIp(req) || 'unknown';
   const forwardedFor = req.headers['x-forwarded-for'] || null;
   const requestId = req.requestId || req.headers['x-request-id'] || null;
   
@@ -58,13 +50,26 @@ const telemetry = async (req, res, next) => {
     return originalJson.call(this, body);
   };
 
-  // Handle errors
+  // Handle errors and streamed responses (which bypass res.send/res.json)
   res.on('finish', () => {
-    if (res.statusCode >= 400 && !res.telemetryLogged) {
+    if (res.telemetryLogged) {
+      return;
+    }
+    // 304 Not Modified ends without a body, so it is logged with a response size of 0
+    if (res.locals.streamStats || res.statusCode === 304) {
+      logTelemetry(req, res, startTime, startTimestamp, clientIp, forwardedFor, requestSize, null, null);
+    } else if (res.statusCode >= 400) {
       logTelemetry(req, res, startTime, startTimestamp, clientIp, forwardedFor, requestSize, null, 'Request completed with error');
     }
   });
 
+  // A streamed response cut short by the client never emits 'finish'
+  res.on('close', () => {
+    if (res.locals.streamStats && !res.telemetryLogged) {
+      logTelemetry(req, res, startTime, startTimestamp, clientIp, forwardedFor, requestSize, null, 'Client disconnected during streamed response');
+    }
+  });
+
   next();
 };
 
@@ -78,7 +83,8 @@ async function logTelemetry(req, res, startTime, startTimestamp, clientIp, forwa
   const endTime = Date.now();
   const endTimestamp = new Date();
   const duration = endTime - startTime;
-  let responseSize = 0;
+  // Streamed responses report the bytes written as rows were sent
+  let responseSize = res.locals?.streamStats ? res.locals.streamStats.bytes : 0;
   if (responseBody) {
     if (typeof responseBody === 'string') {
       responseSize = responseBody.length;
@@ -1,4 +1,13 @@
 const { v4: uuidv4 } = require('uuid');
+const { validateParameterDefinitions } = require('../utils/parameterUtils');
+const { validatePaginationSettings } = require('../utils/paginationUtils');
+const { validateWriteSettings } = require('../utils/tableWriteUtils');
+const { validateMethodTargets } = require('../utils/methodUtils');
+const { validateJsonSchema } = require('../utils/jsonSchemaUtils');
+const { validateShapeSettings } = require('../utils/responseShapeUtils');
+const { validateConditionalSettings } = require('../utils/conditionalUtils');
+const { validateMaterializationSettings } = require('../utils/materializationUtils');
+const { normalizeIpAccess } = require('../utils/ipAccessUtils');
 
 class Endpoint {
   constructor(data) {
@@ -8,7 +17,7 @@ class Endpoint {
     this.type = data.type; // 'query', 'stored_procedure', 'function', 'table'
     this.target = data.target; // SQL query, procedure name, function name, or table name
     this.method = data.method || 'GET'; // HTTP method
-    this.parameters = data.parameters || []; // Parameter definitions
+    this.parameters = data.parameters || []; // Parameter definitions: { name, type, required, default, min, max, enum, source }
     this.rateLimit = data.rateLimit || 100; // Requests per minute
     this.status = data.status || data.STATUS || 'draft'; // 'active', 'draft', 'suspended'
     // Backward compatibility: derive status from isActive if status not provided
@@ -51,12 +60,143 @@ class Endpoint {
 
     if (this.parameters && !Array.isArray(this.parameters)) {
       errors.push('Parameters must be an array');
+    } else {
+      errors.push(...validateParameterDefinitions(this.parameters));
     }
 
     if (this.status && !['active', 'draft', 'suspended'].includes(this.status)) {
       errors.push('Status must be one of: active, draft, suspended');
     }
 
+    const cache = this.metadata && this.metadata.cache;
+    if (cache) {
+      if (cache.ttlSeconds !== undefined && (!Number.isInteger(cache.ttlSeconds) || cache.ttlSeconds < 1)) {
+        errors.push('Cache TTL must be a positive integer (seconds)');
+      }
+      if (cache.maxEntryBytes !== undefined && (!Number.isInteger(cache.maxEntryBytes) || cache.maxEntryBytes < 1)) {
+        errors.push('Cache max entry size must be a positive integer (bytes)');
+      }
+      ['varyQuery', 'varyHeaders'].forEach(field => {
+        if (cache[field] !== undefined && !Array.isArray(cache[field])) {
+          errors.push(`Cache ${field} must be an array`);
+        }
+      });
+    }
+
+    const streaming = this.metadata && this.metadata.streaming;
+    if (streaming && streaming.maxRows !== undefined && streaming.maxRows !== null
+      && (!Number.isInteger(streaming.maxRows) || streaming.maxRows < 1)) {
+      errors.push('Streaming max rows must be a positive integer');
+    }
+
+    const timeout = this.metadata && this.metadata.timeout;
+    if (timeout && timeout.seconds !== undefined && timeout.seconds !== null
+      && (!Number.isInteger(timeout.seconds) || timeout.seconds < 1 || timeout.seconds > 86400)) {
+      errors.push('Statement timeout must be an integer between 1 and 86400 seconds');
+    }
+
+    const asyncSettings = this.metadata && this.metadata.async;
+    if (asyncSettings && asyncSettings.retentionSeconds !== undefined && asyncSettings.retentionSeconds !== null
+      && (!Number.isInteger(asyncSettings.retentionSeconds) || asyncSettings.retentionSeconds < 1)) {
+      errors.push('Async job retention must be a positive integer (seconds)');
+    }
+
+    const csv = this.metadata && this.metadata.csv;
+    if (csv) {
+      if (csv.delimiter !== undefined && ![',', ';', '|', 'tab'].includes(csv.delimiter)) {
+        errors.push('CSV delimiter must be one of: , ; | tab');
+      }
+      if (csv.header !== undefined && typeof csv.header !== 'boolean') {
+        errors.push('CSV header must be a boolean');
+      }
+    }
+
+    // An empty sort key leaves keyset pagination disabled
+    const pagination = this.metadata && this.metadata.pagination;
+    if (pagination && pagination.sortKey && pagination.sortKey.length > 0) {
+      if (this.type !== 'table') {
+        errors.push('Pagination is only supported for table endpoints');
+      } else {
+        errors.push(...validatePaginationSettings(pagination));
+      }
+    }
+
+    const filtering = this.metadata && this.metadata.filtering;
+    if (filtering && filtering.enabled) {
+      if (this.type !== 'table') {
+        errors.push('Filtering is only supported for table endpoints');
+      }
+      ['filterable', 'sortable'].forEach(field => {
+        if (filtering[field] !== undefined && (!Array.isArray(filtering[field])
+          || !filtering[field].every(column => typeof column === 'string' && column.trim().length > 0))) {
+          errors.push(`Filtering ${field} must be an array of column names`);
+        }
+      });
+    }
+
+    const methods = this.metadata && this.metadata.methods;
+    if (methods) {
+      errors.push(...validateMethodTargets(methods, this.method));
+    }
+
+    const write = this.metadata && this.metadata.write;
+    const writeEnabled = write && ['insert', 'update', 'delete'].some(operation => write[operation] && write[operation].enabled);
+    if (writeEnabled) {
+      if (this.type !== 'table') {
+        errors.push('Insert, update and delete are only supported for table endpoints');
+      } else {
+        errors.push(...validateWriteSettings(write));
+      }
+    }
+
+    const shape = this.metadata && this.metadata.shape;
+    if (shape) {
+      errors.push(...validateShapeSettings(shape));
+    }
+
+    const conditional = this.metadata && this.metadata.conditional;
+    if (conditional) {
+      if (conditional.updatedAtColumn && this.type !== 'table') {
+        errors.push('Updated-at columns are only supported for table endpoints');
+      } else {
+        errors.push(...validateConditionalSettings(conditional));
+      }
+    }
+
+    const materialization = this.metadata && this.metadata.materialization;
+    if (materialization && materialization.enabled) {
+      if (this.type !== 'query' || this.method !== 'GET') {
+        errors.push('Materialization is only supported for GET query endpoints');
+      } else if (streaming && streaming.enabled) {
+        errors.push('Materialization cannot be combined with streaming');
+      } else {
+        errors.push(...validateMaterializationSettings(materialization, Array.isArray(this.parameters) ? this.parameters : []));
+      }
+    }
+
+    const validation = this.metadata && this.metadata.validation;
+    if (validation) {
+      [['requestSchema', 'Request schema'], ['responseSchema', 'Response schema']].forEach(([key, label]) => {
+        const error = validation[key] !== undefined && validation[key] !== null ? validateJsonSchema(validation[key]) : null;
+        if (error) {
+          errors.push(`${label} ${error}`);
+        }
+      });
+      if (validation.failOnResponseViolation !== undefined && typeof validation.failOnResponseViolation !== 'boolean') {
+        errors.push('failOnResponseViolation must be a boolean');
+      }
+    }
+
+    const ipAccess = this.metadata && this.metadata.ipAccess;
+    if (ipAccess) {
+      errors.push(...normalizeIpAccess(ipAccess).errors);
+    }
+
+    const signing = this.metadata && this.metadata.signing;
+    if (signing && signing.required !== undefined && typeof signing.required !== 'boolean') {
+      errors.push('Signing required must be a boolean');
+    }
+
     return errors;
   }
 
@@ -3,8 +3,22 @@ const { body, validationResult } = require('express-validator');
 const Endpoint = require('../models/Endpoint');
 const tokenService = require('../services/tokenService');
 const databaseService = require('../services/databaseService');
+const cacheService = require('../services/cacheService');
+const rateLimitService = require('../services/rateLimitService');
+const queryTimeoutService = require('../services/queryTimeoutService');
+const schemaValidationService = require('../services/schemaValidationService');
+const webhookService = require('../services/webhookService');
+const materializationService = require('../services/materializationService');
+const snowflakeService = require('../services/snowflakeService');
 const logger = require('../utils/logger');
-const { getEndpointUrl } = require('../utils/urlUtils');
+const { getBaseUrl, getEndpointUrl } = require('../utils/urlUtils');
+const { resolveParameters, bindNamedParameters, toPositionalBinds } = require('../utils/parameterUtils');
+const { shapeRows } = require('../utils/responseShapeUtils');
+const { buildOpenApiSpec } = require('../utils/openApiUtils');
+const { getExpiryStatus } = require('../utils/keyExpiryUtils');
+const { normalizeScope } = require('../utils/keyScopeUtils');
+const { normalizeIpAccess } = require('../utils/ipAccessUtils');
+const { validateSortKeyColumns } = require('../utils/paginationUtils');
 
 const router = express.Router();
 
@@ -18,6 +32,80 @@ const validateEndpoint = [
   body('parameters').optional().isArray().withMessage('Parameters must be an array')
 ];
 
+// Labels that tell the keys of one endpoint apart
+const validateApiKeyLabels = [
+  body('name').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Name must be a string of at most 100 characters'),
+  body('owner').optional({ nullable: true }).isString().trim().isLength({ max: 255 }).withMessage('Owner must be a string of at most 255 characters'),
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('Description must be a string of at most 500 characters')
+];
+
+// Optional expiry of an API key: a future ISO 8601 timestamp, or null for a key that never expires
+const validateApiKeyExpiry = [
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be an ISO 8601 timestamp')
+    .custom(value => new Date(value) > new Date()).withMessage('expiresAt must be in the future')
+];
+
+// API key as returned to admins: labels and usage, never the stored hash or the signing secret
+const toPublicApiKey = ({ token, metadata, ...apiKey }) => {
+  const { signingSecret, ...publicMetadata } = metadata || {};
+  return { ...apiKey, metadata: publicMetadata, hasSigningSecret: !!signingSecret };
+};
+
+// Check a table endpoint's pagination sort key against the columns of its table
+const checkSortKeyColumns = async (endpoint) => {
+  const pagination = endpoint.metadata?.pagination;
+  if (endpoint.type !== 'table' || !pagination?.sortKey || pagination.sortKey.length === 0) {
+    return [];
+  }
+  try {
+    return validateSortKeyColumns(pagination, await snowflakeService.getCachedTableSchema(endpoint.target));
+  } catch (error) {
+    return [`Could not read the columns of ${endpoint.target} to check the pagination sort key: ${error.message}`];
+  }
+};
+
+// Path segments for a test call, where there is no URL to read them from: an explicit pathSegments array,
+// or the values of the path parameters sent under parameters (as an object or as [{ name, value }])
+const getTestPathSegments = (definitions, body) => {
+  if (Array.isArray(body.pathSegments)) {
+    return body.pathSegments.map(String);
+  }
+  const named = Array.isArray(body.parameters)
+    ? Object.fromEntries(body.parameters.filter(param => param && param.name).map(param => [param.name, param.value]))
+    : (body.parameters || {});
+  return definitions
+    .filter(def => def.source === 'path')
+    .map(def => (named[def.name] === undefined || named[def.name] === null ? undefined : String(named[def.name])));
+};
+
+// Validate an API key scope and check that its endpoints and tags exist
+const resolveApiKeyScope = async (scope) => {
+  const result = normalizeScope(scope);
+  if (result.errors.length > 0 || !result.scope) {
+    return result;
+  }
+  const [endpoints, tags] = await Promise.all([
+    Promise.all((result.scope.endpointIds || []).map(id => databaseService.getEndpointById(id))),
+    Promise.all((result.scope.tagIds || []).map(id => databaseService.getTagById(id)))
+  ]);
+  const errors = [
+    ...(result.scope.endpointIds || []).filter((id, index) => !endpoints[index]).map(id => `Unknown endpoint in scope: ${id}`),
+    ...(result.scope.tagIds || []).filter((id, index) => !tags[index]).map(id => `Unknown tag in scope: ${id}`)
+  ];
+  return errors.length > 0 ? { scope: null, errors } : result;
+};
+
+// Store a resolved setting (scope, ipAccess) in API key metadata; a null value removes it
+const withKeySetting = (metadata, field, value) => {
+  const updated = { ...(metadata || {}) };
+  if (value) {
+    updated[field] = value;
+  } else {
+    delete updated[field];
+  }
+  return updated;
+};
+
 // GET /api/endpoints - List all endpoints
 router.get('/endpoints', async (req, res) => {
   try {
@@ -105,6 +193,9 @@ router.post('/endpoints', validateEndpoint, async (req, res) => {
     // Validate using Endpoint model
     const endpoint = new Endpoint(endpointData);
     const validationErrors = endpoint.validate();
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await checkSortKeyColumns(endpoint));
+    }
     
     if (validationErrors.length > 0) {
       return res.status(400).json({
@@ -125,11 +216,16 @@ router.post('/endpoints', validateEndpoint, async (req, res) => {
       try {
         const tokenData = await tokenService.createPATToken(createdEndpoint.id, {
           endpointName: createdEndpoint.name,
+          name: 'Default',
           createdBy: req.user?.username || 'admin'
         });
         logger.info(`API key generated for endpoint ${createdEndpoint.id}`);
         generatedToken = tokenData.token; // Store the actual token to return in response
         createdEndpoint.tokenId = tokenData.id;
+        webhookService.emit('api_key.generated', {
+          apiKey: { id: tokenData.id, endpointId: createdEndpoint.id, name: tokenData.name, owner: tokenData.owner, createdAt: tokenData.createdAt },
+          endpoint: webhookService.describeEndpoint(createdEndpoint)
+        }, req.user?.username || 'admin');
       } catch (tokenError) {
         logger.error(`Failed to generate API key for endpoint ${createdEndpoint.id}:`, tokenError);
         // Don't fail endpoint creation if token generation fails
@@ -141,6 +237,8 @@ router.post('/endpoints', validateEndpoint, async (req, res) => {
     createdEndpoint.hasToken = refreshedEndpoint.hasToken;
     createdEndpoint.path = refreshedEndpoint.path;
     createdEndpoint.url = getEndpointUrl(createdEndpoint.id, refreshedEndpoint.path);
+    webhookService.emit('endpoint.created', { endpoint: webhookService.describeEndpoint(createdEndpoint) }, req.user?.username || 'admin');
+    materializationService.schedule(createdEndpoint);
 
     const responseData = {
       ...createdEndpoint
@@ -227,6 +325,9 @@ router.put('/endpoints/:id', validateEndpoint, async (req, res) => {
     // Validate using Endpoint model
     const endpoint = new Endpoint({ ...existingEndpoint, ...req.body });
     const validationErrors = endpoint.validate();
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await checkSortKeyColumns(endpoint));
+    }
     
     if (validationErrors.length > 0) {
       return res.status(400).json({
@@ -243,6 +344,13 @@ router.put('/endpoints/:id', validateEndpoint, async (req, res) => {
     const updatedEndpoint = await databaseService.updateEndpoint(req.params.id, updateData);
     logger.info(`Endpoint updated: ${updatedEndpoint.name} (${updatedEndpoint.id})`);
 
+    // Cached responses may no longer match the new definition
+    await cacheService.purgeEndpoint(req.params.id).catch(err => {
+      logger.warn('Could not purge endpoint cache after update:', err.message);
+    });
+    // Snapshots of the old definition are dropped and retaken
+    materializationService.schedule(updatedEndpoint);
+
     // Add endpoint URL to the response
     updatedEndpoint.url = getEndpointUrl(updatedEndpoint.id, updatedEndpoint.path);
 
@@ -270,14 +378,19 @@ router.delete('/endpoints/:id', async (req, res) => {
       });
     }
 
-    // Revoke associated PAT token
-    const tokenData = await tokenService.getTokenByEndpointId(req.params.id);
-    if (tokenData) {
-      await tokenService.revokePATToken(tokenData.token, req.user?.username || 'system');
+    // Revoke every key issued for the endpoint (keys are stored hashed, so revoke by hash)
+    const apiKeys = await tokenService.getTokensByEndpointId(req.params.id);
+    for (const apiKey of apiKeys) {
+      await databaseService.revokePATToken(apiKey.token, req.user?.username || 'system');
     }
 
     await databaseService.deleteEndpoint(req.params.id, req.user?.username || 'system');
+    await cacheService.purgeEndpoint(req.params.id).catch(err => {
+      logger.warn('Could not purge endpoint cache after deletion:', err.message);
+    });
+    materializationService.unschedule(req.params.id);
     logger.info(`Endpoint deleted: ${endpoint.name} (${endpoint.id}) by ${req.user?.username || 'system'}`);
+    webhookService.emit('endpoint.deleted', { endpoint: webhookService.describeEndpoint(endpoint) }, req.user?.username || 'system');
 
     res.json({
       success: true,
@@ -292,8 +405,13 @@ router.delete('/endpoints/:id', async (req, res) => {
   }
 });
 
-// POST /api/endpoints/:id/api_key - Generate API key for endpoint
-router.post('/endpoints/:id/api_key', async (req, res) => {
+// POST /api/endpoints/:id/api_key - Issue an additional API key for an endpoint
+// Existing keys keep working unless revokeExisting is true
+router.post('/endpoints/:id/api_key', [
+  ...validateApiKeyLabels,
+  ...validateApiKeyExpiry,
+  body('revokeExisting').optional().isBoolean().withMessage('revokeExisting must be a boolean')
+], async (req, res) => {
   try {
     const endpoint = await databaseService.getEndpointById(req.params.id);
     if (!endpoint) {
@@ -303,24 +421,85 @@ router.post('/endpoints/:id/api_key', async (req, res) => {
       });
     }
 
-    // Revoke existing token if any (by endpoint ID - need to get token hash from DB)
-    const existingToken = await tokenService.getTokenByEndpointId(req.params.id);
-    if (existingToken) {
-      // Revoke by token hash stored in database
-      await databaseService.revokePATToken(existingToken.token, req.user?.username || 'admin');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rateLimit = parseInt(req.body?.rateLimit, 10);
+    if (req.body?.rateLimit !== undefined && (Number.isNaN(rateLimit) || rateLimit < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [{ field: 'rateLimit', message: 'Rate limit must be a positive integer' }]
+      });
     }
 
-    // Create new token
+    const scope = await resolveApiKeyScope(req.body?.scope);
+    if (scope.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: scope.errors.map(message => ({ field: 'scope', message }))
+      });
+    }
+
+    const ipAccess = normalizeIpAccess(req.body?.ipAccess);
+    if (ipAccess.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: ipAccess.errors.map(message => ({ field: 'ipAccess', message }))
+      });
+    }
+
+    if (req.body?.revokeExisting === true) {
+      const existingKeys = await tokenService.getTokensByEndpointId(req.params.id);
+      for (const existingKey of existingKeys) {
+        // Revoke by token hash stored in database
+        await databaseService.revokePATToken(existingKey.token, req.user?.username || 'admin');
+        webhookService.emit('api_key.revoked', {
+          apiKey: { id: existingKey.id, endpointId: req.params.id, name: existingKey.name },
+          endpoint: webhookService.describeEndpoint(endpoint)
+        }, req.user?.username || 'admin');
+      }
+    }
+
+    const { name, owner, description, expiresAt } = req.body || {};
     const tokenData = await tokenService.createPATToken(req.params.id, {
       endpointName: endpoint.name,
-      createdBy: req.user?.username || 'admin'
+      name: name || 'Default',
+      ...(owner ? { owner } : {}),
+      ...(description ? { description } : {}),
+      createdBy: req.user?.username || 'admin',
+      ...(rateLimit ? { rateLimit } : {}),
+      ...(scope.scope ? { scope: scope.scope } : {}),
+      ...(ipAccess.ipAccess ? { ipAccess: ipAccess.ipAccess } : {}),
+      // Omitted: the api_key_expiry_days setting applies
+      ...(expiresAt !== undefined ? { expiresAt: expiresAt && new Date(expiresAt).toISOString() } : {})
     });
+    webhookService.emit('api_key.generated', {
+      apiKey: { id: tokenData.id, endpointId: req.params.id, name: tokenData.name, owner: tokenData.owner, createdAt: tokenData.createdAt },
+      endpoint: webhookService.describeEndpoint(endpoint)
+    }, req.user?.username || 'admin');
 
     res.json({
       success: true,
       data: {
         token: tokenData.token, // Actual token (only returned once)
+        signingSecret: tokenData.signingSecret, // Only returned once as well
+        tokenId: tokenData.id,
         endpointId: req.params.id,
+        name: tokenData.name,
+        owner: tokenData.owner,
+        description: tokenData.description,
+        scope: tokenData.scope,
+        ipAccess: tokenData.ipAccess,
+        expiresAt: tokenData.expiresAt,
         createdAt: tokenData.createdAt
       }
     });
@@ -333,7 +512,7 @@ router.post('/endpoints/:id/api_key', async (req, res) => {
   }
 });
 
-// GET /api/endpoints/:id/api_key - Get API key info for endpoint
+// GET /api/endpoints/:id/api_key - Get info for the endpoint's most recent active API key
 router.get('/endpoints/:id/api_key', async (req, res) => {
   try {
     const tokenData = await tokenService.getTokenByEndpointId(req.params.id);
@@ -356,82 +535,560 @@ router.get('/endpoints/:id/api_key', async (req, res) => {
       }
     });
   } catch (error) {
-    logger.error('Error fetching token info:', error);
+    logger.error('Error fetching token info:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch token info'
+    });
+  }
+});
+
+// GET /api/endpoints/:id/api_keys - List the keys issued for an endpoint (includeRevoked=true for all)
+router.get('/endpoints/:id/api_keys', async (req, res) => {
+  try {
+    const endpoint = await databaseService.getEndpointById(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Endpoint not found'
+      });
+    }
+
+    const apiKeys = await tokenService.getTokensByEndpointId(req.params.id, req.query.includeRevoked === 'true');
+    res.json({
+      success: true,
+      data: apiKeys.map(toPublicApiKey),
+      count: apiKeys.length
+    });
+  } catch (error) {
+    logger.error('Error fetching endpoint API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys'
+    });
+  }
+});
+
+// GET /api/api_keys - List all API keys (formerly /api/tokens)
+router.get('/api_keys', async (req, res) => {
+  try {
+    const tokens = await tokenService.getAllTokens();
+    res.json({
+      success: true,
+      data: tokens.map(toPublicApiKey),
+      count: tokens.length
+    });
+  } catch (error) {
+    logger.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys'
+    });
+  }
+});
+
+// GET /api/api_keys/expiring - Active keys that expire within ?days=N (default 14) or already have
+router.get('/api_keys/expiring', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10);
+    const warningDays = Number.isNaN(days) || days < 0 ? 14 : days;
+    const tokens = await tokenService.getAllTokens();
+    const expiring = tokens
+      .filter(apiKey => apiKey.isActive && ['expiring', 'expired'].includes(getExpiryStatus(apiKey, warningDays)))
+      .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt))
+      .map(toPublicApiKey);
+
+    res.json({
+      success: true,
+      data: expiring,
+      count: expiring.length
+    });
+  } catch (error) {
+    logger.error('Error fetching expiring API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch expiring API keys'
+    });
+  }
+});
+
+// PATCH /api/api_keys/:id - Update an API key's name, owner, description or expiry
+router.patch('/api_keys/:id', [...validateApiKeyLabels, ...validateApiKeyExpiry], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tokenData = await databaseService.getPATTokenById(req.params.id);
+    if (!tokenData) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    // Only the labels sent are changed; null or an empty string clears owner and description
+    const metadata = { ...(tokenData.metadata || {}) };
+    ['name', 'owner', 'description'].forEach(field => {
+      if (req.body[field] === undefined) {
+        return;
+      }
+      if (req.body[field]) {
+        metadata[field] = req.body[field];
+      } else if (field !== 'name') {
+        delete metadata[field];
+      }
+    });
+    if (req.body.expiresAt === null) {
+      delete metadata.expiresAt;
+    } else if (req.body.expiresAt !== undefined) {
+      metadata.expiresAt = new Date(req.body.expiresAt).toISOString();
+    }
+    const updated = await databaseService.updatePATTokenMetadata(req.params.id, metadata);
+    logger.info(`API key labels updated: ${req.params.id} by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: toPublicApiKey(updated)
+    });
+  } catch (error) {
+    logger.error('Error updating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key'
+    });
+  }
+});
+
+// POST /api/api_keys/:id/rotate - Issue a successor key; the old key keeps working for the grace period
+router.post('/api_keys/:id/rotate', [
+  body('gracePeriodHours').optional().isInt({ min: 0, max: 720 }).withMessage('gracePeriodHours must be between 0 and 720')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tokenData = await databaseService.getPATTokenById(req.params.id);
+    if (!tokenData) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const rotation = await tokenService.rotatePATToken(req.params.id, {
+      graceHours: req.body?.gracePeriodHours,
+      rotatedBy: req.user?.username || 'admin'
+    });
+    if (!rotation) {
+      return res.status(409).json({
+        success: false,
+        error: 'API key cannot be rotated',
+        message: 'Only active keys that have not expired can be rotated'
+      });
+    }
+
+    const { successor, previous } = rotation;
+    const endpoint = await databaseService.getEndpointById(successor.endpointId).catch(() => null);
+    webhookService.emit('api_key.generated', {
+      apiKey: { id: successor.id, endpointId: successor.endpointId, name: successor.name, owner: successor.owner, createdAt: successor.createdAt },
+      endpoint: endpoint ? webhookService.describeEndpoint(endpoint) : { id: successor.endpointId }
+    }, req.user?.username || 'admin');
+
+    res.json({
+      success: true,
+      data: {
+        token: successor.token, // Actual token (only returned once)
+        signingSecret: successor.signingSecret, // Only returned once as well
+        tokenId: successor.id,
+        endpointId: successor.endpointId,
+        name: successor.name,
+        owner: successor.owner,
+        description: successor.description,
+        expiresAt: successor.expiresAt,
+        createdAt: successor.createdAt,
+        previousKey: {
+          tokenId: previous.id,
+          expiresAt: previous.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+// POST /api/api_keys/:id/signing_secret - Issue a new secret for signed requests (only returned once)
+// The previous secret stops working at once; the key itself is unchanged
+router.post('/api_keys/:id/signing_secret', async (req, res) => {
+  try {
+    const tokenData = await databaseService.getPATTokenById(req.params.id);
+    if (!tokenData) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const result = await tokenService.issueSigningSecret(req.params.id);
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Signing secret cannot be issued',
+        message: 'Only active keys that have not expired can get a signing secret'
+      });
+    }
+    logger.info(`API key signing secret issued: ${req.params.id} by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      message: 'Signing secret issued successfully',
+      data: {
+        ...toPublicApiKey(result.tokenData),
+        signingSecret: result.signingSecret
+      }
+    });
+  } catch (error) {
+    logger.error('Error issuing API key signing secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue signing secret'
+    });
+  }
+});
+
+// PUT /api/api_keys/:id/scope - Set the extra endpoints and tags a key reaches and the methods it may use
+// Body: { endpointIds, tagIds, methods }; an empty body or null lists limit the key to its own endpoint again
+router.put('/api_keys/:id/scope', async (req, res) => {
+  try {
+    const tokenData = await databaseService.getPATTokenById(req.params.id);
+    if (!tokenData) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const scope = await resolveApiKeyScope(req.body || null);
+    if (scope.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: scope.errors.map(message => ({ field: 'scope', message }))
+      });
+    }
+
+    const updated = await databaseService.updatePATTokenMetadata(req.params.id, withKeySetting(tokenData.metadata, 'scope', scope.scope));
+    logger.info(`API key scope updated: ${req.params.id} by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      message: 'API key scope updated successfully',
+      data: toPublicApiKey(updated)
+    });
+  } catch (error) {
+    logger.error('Error updating API key scope:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key scope'
+    });
+  }
+});
+
+// PUT /api/api_keys/:id/ip_access - Set the addresses and CIDR ranges a key may be used from
+// Body: { allow, deny }; an empty body or null lists lift the restriction
+router.put('/api_keys/:id/ip_access', async (req, res) => {
+  try {
+    const tokenData = await databaseService.getPATTokenById(req.params.id);
+    if (!tokenData) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const ipAccess = normalizeIpAccess(req.body || null);
+    if (ipAccess.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: ipAccess.errors.map(message => ({ field: 'ipAccess', message }))
+      });
+    }
+
+    const updated = await databaseService.updatePATTokenMetadata(req.params.id, withKeySetting(tokenData.metadata, 'ipAccess', ipAccess.ipAccess));
+    logger.info(`API key IP access updated: ${req.params.id} by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      message: 'API key IP access updated successfully',
+      data: toPublicApiKey(updated)
+    });
+  } catch (error) {
+    logger.error('Error updating API key IP access:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key IP access'
+    });
+  }
+});
+
+// PATCH /api/api_keys/:id/rate_limit - Set or clear the per-key rate limit (requests per minute)
+// A null rateLimit falls back to the rate_limit_default system setting
+router.patch('/api_keys/:id/rate_limit', [
+  body('rateLimit').custom(value => value === null || (Number.isInteger(value) && value >= 1))
+    .withMessage('Rate limit must be a positive integer or null')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tokenData = await databaseService.getPATTokenById(req.params.id);
+    if (!tokenData) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const metadata = { ...(tokenData.metadata || {}) };
+    if (req.body.rateLimit === null) {
+      delete metadata.rateLimit;
+    } else {
+      metadata.rateLimit = req.body.rateLimit;
+    }
+    await databaseService.updatePATTokenMetadata(req.params.id, metadata);
+    logger.info(`API key rate limit updated: ${req.params.id} -> ${req.body.rateLimit ?? 'default'} by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      message: 'API key rate limit updated successfully',
+      data: { tokenId: req.params.id, rateLimit: metadata.rateLimit ?? null }
+    });
+  } catch (error) {
+    logger.error('Error updating API key rate limit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key rate limit'
+    });
+  }
+});
+
+// DELETE /api/api_keys/:id - Revoke an API key (if permanent=true, delete permanently)
+router.delete('/api_keys/:id', async (req, res) => {
+  try {
+    const tokenId = req.params.id;
+    const permanent = req.query.permanent === 'true' || req.query.permanent === true;
+    
+    // Get API key data by ID
+    const tokenData = await databaseService.getPATTokenById(tokenId);
+    if (!tokenData) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (permanent) {
+      // Permanently delete the token
+      if (tokenData.isActive) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot delete active API key. Please revoke it first.'
+        });
+      }
+
+      await databaseService.deletePATToken(tokenId, req.user?.username || 'system');
+      logger.info(`API key permanently deleted: ${tokenId} by ${req.user?.username || 'system'}`);
+
+      res.json({
+        success: true,
+        message: 'API key permanently deleted'
+      });
+    } else {
+      // Revoke the API key (soft delete)
+      await databaseService.revokePATToken(tokenData.token, req.user?.username || 'system');
+      logger.info(`API key revoked: ${tokenId}`);
+      const endpoint = await databaseService.getEndpointById(tokenData.endpointId).catch(() => null);
+      webhookService.emit('api_key.revoked', {
+        apiKey: { id: tokenId, endpointId: tokenData.endpointId, name: tokenData.name },
+        endpoint: endpoint ? webhookService.describeEndpoint(endpoint) : null
+      }, req.user?.username || 'system');
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully'
+      });
+    }
+  } catch (error) {
+    logger.error('Error processing API key:', error);
+    res.status(500).json({
+      success: false,
+      error: permanent ? 'Failed to delete API key' : 'Failed to revoke API key'
+    });
+  }
+});
+
+// DELETE /api/endpoints/:id/cache - Purge cached responses for an endpoint
+router.delete('/endpoints/:id/cache', async (req, res) => {
+  try {
+    const endpoint = await databaseService.getEndpointById(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Endpoint not found'
+      });
+    }
+
+    const removed = await cacheService.purgeEndpoint(req.params.id);
+    logger.info(`Endpoint cache purged: ${endpoint.name} (${endpoint.id}) by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      data: { endpointId: req.params.id, entriesRemoved: removed },
+      message: 'Endpoint cache purged successfully'
+    });
+  } catch (error) {
+    logger.error('Error purging endpoint cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge endpoint cache'
+    });
+  }
+});
+
+// GET /api/endpoints/:id/materialization - Schedule, last refresh and snapshots of a materialized endpoint
+router.get('/endpoints/:id/materialization', async (req, res) => {
+  try {
+    const endpoint = await databaseService.getEndpointById(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Endpoint not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: materializationService.getStatus(endpoint)
+    });
+  } catch (error) {
+    logger.error('Error fetching materialization status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch materialization status'
+    });
+  }
+});
+
+// POST /api/endpoints/:id/materialization/refresh - Retake an endpoint's snapshots now
+router.post('/endpoints/:id/materialization/refresh', async (req, res) => {
+  try {
+    const endpoint = await databaseService.getEndpointById(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Endpoint not found'
+      });
+    }
+
+    if (!materializationService.getStatus(endpoint).enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Materialization is not enabled for this endpoint'
+      });
+    }
+
+    if (!materializationService.schedule(endpoint)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Endpoint is not active',
+        message: 'Only active endpoints are materialized'
+      });
+    }
+
+    // The refresh can take as long as the query; the status endpoint reports how it went
+    materializationService.refresh(endpoint, 'manual').catch(() => null);
+    logger.info(`Materialization refresh requested: ${endpoint.name} (${endpoint.id}) by ${req.user?.username || 'system'}`);
+
+    res.status(202).json({
+      success: true,
+      data: materializationService.getStatus(endpoint),
+      message: 'Materialization refresh started'
+    });
+  } catch (error) {
+    logger.error('Error refreshing materialization:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch token info'
+      error: 'Failed to refresh materialization'
     });
   }
 });
 
-// GET /api/api_keys - List all API keys (formerly /api/tokens)
-router.get('/api_keys', async (req, res) => {
+// GET /api/openapi.json - OpenAPI document for every active endpoint
+router.get('/openapi.json', async (req, res) => {
   try {
-    const tokens = await tokenService.getAllTokens();
-    res.json({
-      success: true,
-      data: tokens,
-      count: tokens.length
-    });
+    const endpoints = await databaseService.getAllEndpoints();
+    res.json(buildOpenApiSpec(endpoints, {
+      baseUrl: getBaseUrl(),
+      version: process.env.npm_package_version
+    }));
   } catch (error) {
-    logger.error('Error fetching API keys:', error);
+    logger.error('Error building OpenAPI document:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch API keys'
+      error: 'Failed to build OpenAPI document'
     });
   }
 });
 
-// DELETE /api/api_keys/:id - Revoke an API key (if permanent=true, delete permanently)
-router.delete('/api_keys/:id', async (req, res) => {
+// GET /api/cache/stats - Get response cache statistics
+router.get('/cache/stats', async (req, res) => {
   try {
-    const tokenId = req.params.id;
-    const permanent = req.query.permanent === 'true' || req.query.permanent === true;
-    
-    // Get API key data by ID
-    const tokenData = await databaseService.getPATTokenById(tokenId);
-    if (!tokenData) {
-      return res.status(404).json({
-        success: false,
-        error: 'API key not found'
-      });
-    }
-
-    if (permanent) {
-      // Permanently delete the token
-      if (tokenData.isActive) {
-        return res.status(400).json({
-          success: false,
-          error: 'Cannot delete active API key. Please revoke it first.'
-        });
-      }
-
-      await databaseService.deletePATToken(tokenId, req.user?.username || 'system');
-      logger.info(`API key permanently deleted: ${tokenId} by ${req.user?.username || 'system'}`);
-
-      res.json({
-        success: true,
-        message: 'API key permanently deleted'
-      });
-    } else {
-      // Revoke the API key (soft delete)
-      await databaseService.revokePATToken(tokenData.token, req.user?.username || 'system');
-      logger.info(`API key revoked: ${tokenId}`);
-
-      res.json({
-        success: true,
-        message: 'API key revoked successfully'
-      });
-    }
+    const stats = await cacheService.getStats();
+    res.json({
+      success: true,
+      data: stats
+    });
   } catch (error) {
-    logger.error('Error processing API key:', error);
+    logger.error('Error fetching cache stats:', error);
     res.status(500).json({
       success: false,
-      error: permanent ? 'Failed to delete API key' : 'Failed to revoke API key'
+      error: 'Failed to fetch cache statistics'
     });
   }
 });
 
+// GET /api/validation/stats - Get response schema violation counts
+router.get('/validation/stats', (req, res) => {
+  res.json({
+    success: true,
+    data: schemaValidationService.getStats()
+  });
+});
+
 // PATCH /api/endpoints/:id/status - Enable or disable endpoint
 router.patch('/endpoints/:id/status', async (req, res) => {
   try {
@@ -505,6 +1162,13 @@ router.patch('/endpoints/:id/status', async (req, res) => {
       draft: 'set to draft'
     };
     logger.info(`Endpoint ${statusMessages[newStatus]}: ${updatedEndpoint.name} (${updatedEndpoint.id})`);
+    materializationService.schedule(updatedEndpoint);
+    if (newStatus === 'suspended' && endpoint.status !== 'suspended') {
+      webhookService.emit('endpoint.suspended', {
+        endpoint: webhookService.describeEndpoint(updatedEndpoint),
+        previousStatus: endpoint.status
+      }, req.user?.username || 'system');
+    }
 
     res.json({
       success: true,
@@ -533,12 +1197,8 @@ router.post('/test-target', async (req, res) => {
       });
     }
 
-    // Get Snowflake connection
-    const snowflakeService = require('../services/snowflakeService');
-    const config = snowflakeService.loadConfig();
-    const connection = await snowflakeService.createConnection(config);
-
-    try {
+    // Borrow a pooled Snowflake connection
+    await snowflakeService.withConnection(async (connection) => {
       let result;
       
       switch (type) {
@@ -578,9 +1238,7 @@ router.post('/test-target', async (req, res) => {
           }
         }
       });
-    } finally {
-      connection.destroy();
-    }
+    });
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error('Error testing target:', error);
@@ -616,26 +1274,44 @@ router.post('/endpoints/:id/test', async (req, res) => {
       });
     }
 
-    // Get Snowflake connection
-    const snowflakeService = require('../services/snowflakeService');
-    const config = snowflakeService.loadConfig(); // Automatically detects SPCS vs local
-    const connection = await snowflakeService.createConnection(config);
+    // Resolve named parameters the same way the proxy does when the endpoint declares them
+    const definitions = Array.isArray(endpoint.parameters) ? endpoint.parameters : [];
+    let testParameters = req.body.parameters || [];
+    let sqlText = endpoint.target;
+    let binds = testParameters;
+    if (definitions.length > 0 && endpoint.type !== 'table') {
+      req.pathSegments = getTestPathSegments(definitions, req.body);
+      const { values, errors } = resolveParameters(definitions, req);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          message: 'One or more parameters are invalid',
+          details: errors
+        });
+      }
+      testParameters = values;
+      ({ sqlText, binds } = endpoint.type === 'query'
+        ? bindNamedParameters(endpoint.target, values, definitions)
+        : { sqlText: endpoint.target, binds: toPositionalBinds(values, definitions) });
+    }
+
+    // Borrow a pooled Snowflake connection (automatically detects SPCS vs local)
 
-    let result;
-    const testParameters = req.body.parameters || [];
+    await snowflakeService.withConnection(async (connection) => {
+      let result;
 
-    try {
       switch (endpoint.type) {
         case 'query':
-          result = await snowflakeService.executeQuery(connection, endpoint.target, testParameters);
+          result = await snowflakeService.executeQuery(connection, sqlText, binds);
           break;
         
         case 'stored_procedure':
-          result = await snowflakeService.executeStoredProcedure(connection, endpoint.target, testParameters);
+          result = await snowflakeService.executeStoredProcedure(connection, sqlText, binds);
           break;
         
         case 'function':
-          result = await snowflakeService.executeFunction(connection, endpoint.target, testParameters);
+          result = await snowflakeService.executeFunction(connection, sqlText, binds);
           break;
         
         case 'table':
@@ -650,10 +1326,11 @@ router.post('/endpoints/:id/test', async (req, res) => {
 
       const duration = Date.now() - startTime;
 
+      // Rows come back shaped as the proxy would return them
       res.json({
         success: true,
         data: {
-          rows: result.rows || [],
+          rows: shapeRows(endpoint, result.rows || []),
           rowCount: result.rowCount || 0,
           endpoint: {
             id: endpoint.id,
@@ -670,10 +1347,7 @@ router.post('/endpoints/:id/test', async (req, res) => {
           }
         }
       });
-
-    } finally {
-      connection.destroy();
-    }
+    });
 
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -735,8 +1409,11 @@ router.get('/settings', async (req, res) => {
     const formattedSettings = {
       logLevel: settings.log_level || 'info',
       rateLimitDefault: settings.rate_limit_default || 100,
+      statementTimeoutDefault: settings.statement_timeout_default || 300,
       sessionTimeout: settings.session_timeout || 3600,
       enableAuditLog: settings.enable_audit_log !== false, // Default to true
+      apiKeyExpiryDays: settings.api_key_expiry_days ?? 0,
+      apiKeyRotationGraceHours: settings.api_key_rotation_grace_hours ?? 24,
     };
     
     res.json({
@@ -756,8 +1433,11 @@ router.get('/settings', async (req, res) => {
 router.put('/settings', [
   body('logLevel').optional().isIn(['error', 'warn', 'info', 'debug']).withMessage('Invalid log level'),
   body('rateLimitDefault').optional().isInt({ min: 1, max: 10000 }).withMessage('Rate limit must be between 1 and 10000'),
+  body('statementTimeoutDefault').optional().isInt({ min: 1, max: 86400 }).withMessage('Statement timeout must be between 1 and 86400 seconds'),
   body('sessionTimeout').optional().isInt({ min: 300, max: 86400 }).withMessage('Session timeout must be between 300 and 86400 seconds'),
-  body('enableAuditLog').optional().isBoolean().withMessage('enableAuditLog must be a boolean')
+  body('enableAuditLog').optional().isBoolean().withMessage('enableAuditLog must be a boolean'),
+  body('apiKeyExpiryDays').optional().isInt({ min: 0, max: 3650 }).withMessage('API key expiry must be between 0 and 3650 days'),
+  body('apiKeyRotationGraceHours').optional().isInt({ min: 0, max: 720 }).withMessage('Rotation grace period must be between 0 and 720 hours')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -770,15 +1450,37 @@ router.put('/settings', [
     }
 
     const user = req.user?.username || 'system';
-    const { logLevel, rateLimitDefault, sessionTimeout, enableAuditLog } = req.body;
+    const {
+      logLevel,
+      rateLimitDefault,
+      statementTimeoutDefault,
+      sessionTimeout,
+      enableAuditLog,
+      apiKeyExpiryDays,
+      apiKeyRotationGraceHours
+    } = req.body;
     
     const updates = {};
     if (logLevel !== undefined) updates.log_level = logLevel;
     if (rateLimitDefault !== undefined) updates.rate_limit_default = rateLimitDefault;
+    if (statementTimeoutDefault !== undefined) updates.statement_timeout_default = statementTimeoutDefault;
     if (sessionTimeout !== undefined) updates.session_timeout = sessionTimeout;
     if (enableAuditLog !== undefined) updates.enable_audit_log = enableAuditLog;
+    if (apiKeyExpiryDays !== undefined) updates.api_key_expiry_days = apiKeyExpiryDays;
+    if (apiKeyRotationGraceHours !== undefined) updates.api_key_rotation_grace_hours = apiKeyRotationGraceHours;
     
     await databaseService.updateSystemSettings(updates, user);
+
+    // Apply the new proxy defaults to proxy traffic immediately
+    if (rateLimitDefault !== undefined) {
+      rateLimitService.invalidateSettings();
+    }
+    if (statementTimeoutDefault !== undefined) {
+      queryTimeoutService.invalidateSettings();
+    }
+    if (apiKeyExpiryDays !== undefined || apiKeyRotationGraceHours !== undefined) {
+      tokenService.invalidateSettings();
+    }
     
     // Update logger level if changed
     if (logLevel) {
@@ -925,5 +1627,289 @@ router.put('/endpoints/:id/tags', async (req, res) => {
   }
 });
 
+// PUT /api/api_keys/:id/tags - Grant a key every endpoint carrying one of the tags (scope.tagIds)
+router.put('/api_keys/:id/tags', async (req, res) => {
+  try {
+    const tokenData = await databaseService.getPATTokenById(req.params.id);
+    if (!tokenData) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const scope = await resolveApiKeyScope({ ...(tokenData.metadata?.scope || {}), tagIds: req.body?.tagIds || [] });
+    if (scope.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: scope.errors.map(message => ({ field: 'tagIds', message }))
+      });
+    }
+
+    const updated = await databaseService.updatePATTokenMetadata(req.params.id, withKeySetting(tokenData.metadata, 'scope', scope.scope));
+    res.json({
+      success: true,
+      data: toPublicApiKey(updated)
+    });
+  } catch (error) {
+    logger.error('Error setting API key tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set API key tags'
+    });
+  }
+});
+
+// =====================================================
+// WEBHOOK ROUTES
+// =====================================================
+
+const validateWebhook = [
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an absolute http or https URL'),
+  body('events').isArray({ min: 1 }).withMessage('Select at least one event'),
+  body('events.*').isIn(webhookService.EVENT_TYPES).withMessage(`Events must be one of: ${webhookService.EVENT_TYPES.join(', ')}`),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// GET /api/webhooks - List webhook subscriptions and the events they can subscribe to
+router.get('/webhooks', async (req, res) => {
+  try {
+    const webhooks = await databaseService.getAllWebhooks();
+    res.json({
+      success: true,
+      data: webhooks.map(webhook => webhookService.toPublic(webhook)),
+      eventTypes: webhookService.EVENT_TYPES
+    });
+  } catch (error) {
+    logger.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhooks'
+    });
+  }
+});
+
+// POST /api/webhooks - Create a subscription; the signing secret is only returned here
+router.post('/webhooks', validateWebhook, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const secret = webhookService.generateSecret();
+    const webhook = await databaseService.createWebhook({
+      name: req.body.name.trim(),
+      url: req.body.url,
+      events: [...new Set(req.body.events)],
+      isActive: req.body.isActive !== false,
+      secret,
+      createdBy: req.user?.username || 'system'
+    });
+    logger.info(`Webhook created: ${webhook.name} (${webhook.id}) by ${req.user?.username || 'system'}`);
+
+    res.status(201).json({
+      success: true,
+      data: { ...webhookService.toPublic(webhook), secret }
+    });
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook'
+    });
+  }
+});
+
+// GET /api/webhooks/deliveries - Delivery log, newest first (optionally ?webhookId= and ?limit=)
+router.get('/webhooks/deliveries', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const deliveries = await databaseService.getWebhookDeliveries(req.query.webhookId || null, limit);
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// POST /api/webhooks/deliveries/:id/replay - Deliver a logged event again
+router.post('/webhooks/deliveries/:id/replay', async (req, res) => {
+  try {
+    const delivery = await databaseService.getWebhookDeliveryById(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    const webhook = await databaseService.getWebhookById(delivery.webhookId);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    if (!webhook.isActive) {
+      return res.status(409).json({
+        success: false,
+        error: 'Webhook is disabled',
+        message: 'Enable the webhook before replaying its deliveries'
+      });
+    }
+
+    const replayed = await webhookService.replay(delivery, webhook);
+    logger.info(`Webhook delivery ${delivery.id} replayed as ${replayed.id} by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      data: replayed
+    });
+  } catch (error) {
+    logger.error('Error replaying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook delivery'
+    });
+  }
+});
+
+// PUT /api/webhooks/:id - Update a subscription (the secret is kept)
+router.put('/webhooks/:id', validateWebhook, async (req, res) => {
+  try {
+    const existing = await databaseService.getWebhookById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const webhook = await databaseService.updateWebhook(req.params.id, {
+      name: req.body.name.trim(),
+      url: req.body.url,
+      events: [...new Set(req.body.events)],
+      isActive: req.body.isActive !== undefined ? req.body.isActive : existing.isActive,
+      secret: existing.secret
+    });
+    logger.info(`Webhook updated: ${webhook.name} (${webhook.id}) by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      data: webhookService.toPublic(webhook)
+    });
+  } catch (error) {
+    logger.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook'
+    });
+  }
+});
+
+// POST /api/webhooks/:id/secret - Rotate the signing secret (returned only once)
+router.post('/webhooks/:id/secret', async (req, res) => {
+  try {
+    const existing = await databaseService.getWebhookById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const secret = webhookService.generateSecret();
+    const webhook = await databaseService.updateWebhook(req.params.id, { ...existing, secret });
+    logger.info(`Webhook secret rotated: ${webhook.name} (${webhook.id}) by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      data: { ...webhookService.toPublic(webhook), secret }
+    });
+  } catch (error) {
+    logger.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret'
+    });
+  }
+});
+
+// POST /api/webhooks/:id/test - Send a webhook.test event and report the first attempt
+router.post('/webhooks/:id/test', async (req, res) => {
+  try {
+    const webhook = await databaseService.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const delivery = await webhookService.sendTest(webhook, req.user?.username || 'system');
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Error testing webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test webhook'
+    });
+  }
+});
+
+// DELETE /api/webhooks/:id - Delete a subscription and its delivery log
+router.delete('/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await databaseService.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    await databaseService.deleteWebhook(req.params.id);
+    logger.info(`Webhook deleted: ${webhook.name} (${webhook.id}) by ${req.user?.username || 'system'}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
 
 module.exports = router;
@@ -49,6 +49,18 @@ router.get('/detailed', async (req, res) => {
     health.status = 'degraded';
   }
 
+  // Report proxy connection pool usage
+  const poolStats = snowflakeService.getPoolStats();
+  health.services.connectionPool = poolStats
+    ? {
+        status: poolStats.pending > 0 ? 'saturated' : 'healthy',
+        stats: poolStats
+      }
+    : {
+        status: 'idle',
+        message: 'Connection pool has not been initialized yet'
+      };
+
   // Check token service
   try {
     const tokenStats = tokenService.getTokenStats();
@@ -2,12 +2,102 @@ const express = require('express');
 const snowflakeService = require('../services/snowflakeService');
 const tokenService = require('../services/tokenService');
 const databaseService = require('../services/databaseService');
+const cacheService = require('../services/cacheService');
+const rateLimitService = require('../services/rateLimitService');
+const queryTimeoutService = require('../services/queryTimeoutService');
+const jobService = require('../services/jobService');
+const schemaValidationService = require('../services/schemaValidationService');
+const graphqlService = require('../services/graphqlService');
+const materializationService = require('../services/materializationService');
 const logger = require('../utils/logger');
+const { getExtraPathSegments, resolveParameters, bindNamedParameters, toPositionalBinds } = require('../utils/parameterUtils');
+const { getStreamSettings, writeRowStream, collectRows } = require('../utils/streamUtils');
+const { OUTPUT_FORMATS, negotiateFormat, getCsvOptions, getContentDisposition, serializeRows } = require('../utils/formatUtils');
+const { getPaginationSettings, resolvePageRequest, resolveOffsetWindow, buildKeysetQuery, buildCountQuery, buildPage, buildLinkHeader } = require('../utils/paginationUtils');
+const { getFilterSettings, parseTableQuery, compileTableQuery, buildTableSelect } = require('../utils/tableQueryUtils');
+const { getWriteSettings, getWriteOperation, getWriteMethods, resolvePrimaryKey, buildInsert, buildUpdate, buildDelete, getAffectedRows } = require('../utils/tableWriteUtils');
+const { MAPPABLE_METHODS, resolveMethodEndpoint, getAllowedMethods } = require('../utils/methodUtils');
+const { getShapeSettings, createRowShaper, shapeRows } = require('../utils/responseShapeUtils');
+const { buildOpenApiSpec } = require('../utils/openApiUtils');
+const { canAccessEndpoint, getAccessDenial, hasExtendedScope } = require('../utils/keyScopeUtils');
+const { getClientIp, getIpDenial } = require('../utils/ipAccessUtils');
+const { SIGNATURE_HEADERS } = require('../utils/requestSigningUtils');
+const { getUpdatedAtColumn, computeETag, isNotModified } = require('../utils/conditionalUtils');
+const { getBaseUrl } = require('../utils/urlUtils');
 
 const router = express.Router();
 
+// Record a call refused by IP rules as a security event (async, don't wait)
+const recordIpBlock = (req, reason, { tokenData = req.tokenData, endpoint = null } = {}) => {
+  const ip = getClientIp(req);
+  logger.warn(`${reason}: endpointId=${endpoint?.id || tokenData?.endpointId || 'none'}, tokenId=${tokenData?.id || 'none'}, forwardedFor=${req.headers['x-forwarded-for'] || 'none'}`);
+  databaseService.logActivity({
+    type: 'ip_blocked',
+    user: ip || 'unknown',
+    entityName: endpoint?.name || tokenData?.metadata?.endpointName || null,
+    entityType: endpoint ? 'endpoint' : 'api_key',
+    endpointId: endpoint?.id || tokenData?.endpointId || null,
+    apiKeyId: tokenData?.id || null,
+    ip,
+    message: reason
+  }).catch(err => logger.error('Error logging blocked request:', err));
+};
+
+// Admit a validated API key, subject to its own IP rules
+// These apply to every route the key opens, single calls as well as batches and GraphQL
+const admitApiKey = (req, res, next, tokenData) => {
+  const ipDenial = getIpDenial(getClientIp(req), tokenData, 'API key');
+  if (ipDenial) {
+    recordIpBlock(req, ipDenial, { tokenData });
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: ipDenial
+    });
+  }
+
+  req.tokenData = tokenData;
+  next();
+};
+
+// Paths a signed request may have been signed over: the public path under getBaseUrl() (e.g. /api/proxy/...),
+// which a proxy like nginx strips down to the mount path, and the path as it reached the service
+const getSignedPaths = (req) => {
+  const publicPrefix = new URL(getBaseUrl()).pathname.replace(/\/$/, '');
+  const publicPath = `${publicPrefix}${req.originalUrl.slice(req.baseUrl.length)}`;
+  return [...new Set([publicPath, req.originalUrl])];
+};
+
+// Middleware to authenticate an HMAC-signed request
+// The key is named by X-API-Key-Id and never sent; the signature covers the raw body (kept by the body parsers)
+const validateSignedRequest = async (req, res, next) => {
+  const result = await tokenService.validateSignedRequest({
+    keyId: req.get(SIGNATURE_HEADERS.keyId),
+    timestamp: req.get(SIGNATURE_HEADERS.timestamp),
+    nonce: req.get(SIGNATURE_HEADERS.nonce),
+    signature: req.get(SIGNATURE_HEADERS.signature),
+    method: req.method,
+    paths: getSignedPaths(req),
+    body: req.rawBody
+  });
+  if (result.error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: result.error
+    });
+  }
+
+  req.signedRequest = true;
+  admitApiKey(req, res, next, result.tokenData);
+};
+
 // Middleware to validate API key (PAT token)
 const validatePATToken = async (req, res, next) => {
+  if (req.get(SIGNATURE_HEADERS.signature)) {
+    return validateSignedRequest(req, res, next);
+  }
+
   // Try to get token from multiple sources (in order of preference):
   // 1. X-API-Key header - highest priority
   // 2. Query parameter (?API_KEY=... or ?token=...)
@@ -71,8 +161,7 @@ const validatePATToken = async (req, res, next) => {
     });
   }
 
-  req.tokenData = tokenData;
-  next();
+  admitApiKey(req, res, next, tokenData);
 };
 
 // Middleware to get endpoint data
@@ -87,21 +176,9 @@ const getEndpointData = async (req, res, next) => {
     endpoint = await databaseService.getEndpointByIdOrPath(req.params.token);
   }
   
-  // If endpoint found, validate that the API key matches
-  if (endpoint && req.tokenData) {
-    // Validate that the token's endpointId matches the endpoint found
-    if (req.tokenData.endpointId !== endpoint.id) {
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden',
-        message: 'API key does not match this endpoint'
-      });
-    }
-  } else if (!endpoint) {
-    // If no endpoint found and we have token data, try getting endpoint from token
-    if (req.tokenData && req.tokenData.endpointId) {
-      endpoint = await databaseService.getEndpointById(req.tokenData.endpointId);
-    }
+  // If no endpoint found and we have token data, try getting endpoint from token
+  if (!endpoint && req.tokenData && req.tokenData.endpointId) {
+    endpoint = await databaseService.getEndpointById(req.tokenData.endpointId);
   }
   
   if (!endpoint) {
@@ -112,6 +189,16 @@ const getEndpointData = async (req, res, next) => {
     });
   }
 
+  // Validate that the endpoint and method are within the API key's scope
+  const denial = req.tokenData ? getAccessDenial(req.tokenData, endpoint, req.method) : null;
+  if (denial) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: denial
+    });
+  }
+
   // Only active endpoints can receive requests
   const endpointStatus = endpoint.status || (endpoint.isActive ? 'active' : 'suspended');
   if (endpointStatus !== 'active') {
@@ -126,138 +213,884 @@ const getEndpointData = async (req, res, next) => {
   next();
 };
 
-// Middleware to validate HTTP method
+// Middleware to enforce the endpoint's IP allowlist and denylist
+const enforceIpAccess = (req, res, next) => {
+  const denial = getIpDenial(getClientIp(req), req.endpoint, 'endpoint');
+  if (!denial) {
+    return next();
+  }
+  recordIpBlock(req, denial, { endpoint: req.endpoint });
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: denial
+  });
+};
+
+// Explain why a request may not call an endpoint that only accepts signed requests
+const getSigningDenial = (req, endpoint) => (endpoint.metadata?.signing?.required && !req.signedRequest
+  ? 'This endpoint only accepts signed requests'
+  : null);
+
+// Middleware to refuse plain API keys on endpoints that require signed requests
+const enforceSigning = (req, res, next) => {
+  const denial = getSigningDenial(req, req.endpoint);
+  if (!denial) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: denial
+  });
+};
+
+// Every method an endpoint answers, including mapped methods and table writes
+const getEndpointMethods = (endpoint) => getAllowedMethods(endpoint, getWriteMethods(getWriteSettings(endpoint)));
+
+// Middleware to validate HTTP method and select the target for it
+// Methods mapped in metadata.methods swap in their own type, target and parameters for the rest of the chain;
+// table endpoints also accept the methods of their enabled write operations
 const validateMethod = (req, res, next) => {
-  if (req.method !== req.endpoint.method) {
-    return res.status(405).json({
+  const methodEndpoint = resolveMethodEndpoint(req.endpoint, req.method);
+  if (methodEndpoint) {
+    req.endpoint = methodEndpoint;
+    return next();
+  }
+  if (getWriteOperation(getWriteSettings(req.endpoint), req.method)) {
+    return next();
+  }
+
+  const allowed = getEndpointMethods(req.endpoint);
+  res.set('Allow', allowed.join(', '));
+  return res.status(405).json({
+    success: false,
+    error: 'Method Not Allowed',
+    message: `This endpoint only accepts ${allowed.join(', ')} requests`
+  });
+};
+
+// OPTIONS /proxy/:token - List the methods an endpoint answers
+// Browsers send CORS preflights without credentials, so the endpoint is found by its path or id
+// (or by a key in the URL) and no API key header is required
+const answerOptions = async (req, res) => {
+  let endpoint;
+  try {
+    endpoint = await databaseService.getEndpointByIdOrPath(req.params.token);
+    if (!endpoint && req.params.token) {
+      const tokenData = await tokenService.validatePATToken(req.params.token);
+      endpoint = tokenData ? await databaseService.getEndpointById(tokenData.endpointId) : null;
+    }
+  } catch (error) {
+    logger.error('Error resolving endpoint for OPTIONS:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+
+  const endpointStatus = endpoint && (endpoint.status || (endpoint.isActive ? 'active' : 'suspended'));
+  if (!endpoint || endpointStatus !== 'active') {
+    return res.status(404).json({
       success: false,
-      error: 'Method Not Allowed',
-      message: `This endpoint only accepts ${req.endpoint.method} requests`
+      error: 'Not Found',
+      message: 'Endpoint not found'
     });
   }
+
+  const allowed = getEndpointMethods(endpoint).join(', ');
+  res.set('Allow', allowed);
+  if (req.get('access-control-request-method')) {
+    res.set('Access-Control-Allow-Methods', allowed);
+  }
+  res.status(204).end();
+};
+
+// Middleware to pick the response format from ?format= or the Accept header
+const negotiateOutputFormat = (req, res, next) => {
+  const format = negotiateFormat(req);
+  if (!format) {
+    return res.status(406).json({
+      success: false,
+      error: 'Not Acceptable',
+      message: `Supported formats: ${Object.keys(OUTPUT_FORMATS).join(', ')}`
+    });
+  }
+
+  let csvOptions = null;
+  if (format === 'csv') {
+    const { options, error } = getCsvOptions(req.endpoint, req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [{ field: 'delimiter', location: 'query', message: error }]
+      });
+    }
+    csvOptions = options;
+  }
+
+  req.outputFormat = format;
+  req.csvOptions = csvOptions;
   next();
 };
 
-// Execute query based on endpoint type
-const executeEndpoint = async (req, res) => {
-  const startTime = Date.now();
-  const requestId = req.requestId || req.tokenData?.tokenId;
-  let responseStatus = 200;
-  let errorMessage = null;
+// Set Content-Disposition so non-JSON formats (or ?download=true) are saved as files
+const setDownloadHeaders = (req, res) => {
+  if (req.outputFormat !== 'json' || req.query.download === 'true') {
+    res.set('Content-Disposition', getContentDisposition(req.endpoint.name, req.outputFormat));
+  }
+};
+
+// Send a buffered { success, data, metadata } body in the negotiated format
+// GET and HEAD responses carry a strong ETag (and Last-Modified when known) and become 304
+// when the client's copy is current. Returns the status sent.
+const sendResult = (req, res, body) => {
+  setDownloadHeaders(req, res);
+  const pagination = body.metadata?.pagination;
+  if (pagination) {
+    const link = buildLinkHeader(`${getBaseUrl()}${req.path}`, req.query, pagination);
+    if (link) {
+      res.set('Link', link);
+    }
+  }
+
+  if (['GET', 'HEAD'].includes(req.method)) {
+    // The response timestamp changes on every request, so it is left out of the validator
+    const { timestamp, ...stableMetadata } = body.metadata || {};
+    const etag = computeETag(serializeRows(req.outputFormat, body.data, stableMetadata, req.csvOptions || {}));
+    const lastModified = body.metadata?.lastModified;
+    res.set('ETag', etag);
+    if (lastModified) {
+      res.set('Last-Modified', new Date(lastModified).toUTCString());
+    }
+    if (isNotModified(req.headers, { etag, lastModified })) {
+      res.status(304).end();
+      return 304;
+    }
+  }
 
+  if (req.outputFormat === 'json') {
+    res.json(body);
+    return res.statusCode;
+  }
+  res.set('Content-Type', OUTPUT_FORMATS[req.outputFormat].contentType);
+  res.send(serializeRows(req.outputFormat, body.data, body.metadata, req.csvOptions || {}));
+  return res.statusCode;
+};
+
+// Middleware to enforce the endpoint's rate limit and the API key's rate limit
+// Headers follow the IETF RateLimit draft and always describe the most restrictive limit
+const enforceRateLimit = async (req, res, next) => {
+  const { endpoint, tokenData } = req;
+  let result;
   try {
-    const { endpoint, tokenData } = req;
-    let result;
+    result = await rateLimitService.check(endpoint, tokenData);
+  } catch (error) {
+    // Never block traffic because the limiter itself failed
+    logger.error('Rate limit check failed:', error);
+    return next();
+  }
 
-    // Get Snowflake connection (in production, use connection pooling)
-    // Automatically detects SPCS vs local and loads appropriate config
-    const config = snowflakeService.loadConfig();
-    const connection = await snowflakeService.createConnection(config);
+  const { decision, scope } = result;
+  res.set('RateLimit-Limit', String(decision.limit));
+  res.set('RateLimit-Remaining', String(decision.remaining));
+  res.set('RateLimit-Reset', String(decision.resetSeconds));
+  res.set('RateLimit-Policy', `${decision.limit};w=60`);
 
-    try {
-      switch (endpoint.type) {
-        case 'query':
-          result = await snowflakeService.executeQuery(connection, endpoint.target, req.body.parameters || []);
-          break;
-        
-        case 'stored_procedure':
-          result = await snowflakeService.executeStoredProcedure(connection, endpoint.target, req.body.parameters || []);
-          break;
-        
-        case 'function':
-          result = await snowflakeService.executeFunction(connection, endpoint.target, req.body.parameters || []);
-          break;
-        
-        case 'table':
-          const limit = req.query.limit ? parseInt(req.query.limit) : 1000;
-          const offset = req.query.offset ? parseInt(req.query.offset) : 0;
-          result = await snowflakeService.getTableData(connection, endpoint.target, limit, offset);
-          break;
-        
-        default:
-          throw new Error(`Unsupported endpoint type: ${endpoint.type}`);
+  if (result.allowed) {
+    return next();
+  }
+
+  const subject = scope === 'api_key' ? 'API key' : 'endpoint';
+  const message = `Rate limit exceeded for this ${subject} (${decision.limit} requests per minute)`;
+  res.set('Retry-After', String(decision.retryAfterSeconds));
+  logger.warn(`${message}: endpointId=${endpoint.id}, tokenId=${tokenData?.id || 'none'}`);
+
+  // Log rejected request (async, don't wait)
+  databaseService.logApiRequest({
+    requestId: req.requestId || tokenData?.tokenId,
+    endpointId: endpoint.id,
+    tokenId: tokenData?.id || null,
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+    body: req.body,
+    status: 429,
+    responseTime: 0,
+    errorMessage: message
+  }).catch(err => logger.error('Error logging API request:', err));
+
+  return res.status(429).json({
+    success: false,
+    error: 'Too Many Requests',
+    message,
+    retryAfter: decision.retryAfterSeconds
+  });
+};
+
+// Middleware to enforce the endpoint's request body JSON Schema before anything runs
+const validateRequestBody = (req, res, next) => {
+  if (!['POST', 'PUT', 'PATCH'].includes(req.method)) {
+    return next();
+  }
+
+  const errors = schemaValidationService.validateRequest(req.endpoint, req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'Request body does not match the endpoint schema',
+      details: errors
+    });
+  }
+  next();
+};
+
+// Middleware to split the path after the endpoint identifier into segments for path parameters and table keys
+const resolvePathSegments = (req, res, next) => {
+  const segments = getExtraPathSegments(req.path);
+  if (!segments) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'The request path is not valid percent-encoding',
+      details: [{ field: 'path', location: 'path', message: 'Path segments must be valid percent-encoding' }]
+    });
+  }
+
+  req.pathSegments = segments;
+  next();
+};
+
+// Middleware to resolve, coerce and validate declared endpoint parameters
+// Endpoints without parameter definitions keep the legacy positional req.body.parameters array
+const resolveEndpointParameters = (req, res, next) => {
+  const definitions = Array.isArray(req.endpoint.parameters) ? req.endpoint.parameters : [];
+  if (definitions.length === 0) {
+    req.parameterValues = null;
+    return next();
+  }
+
+  const { values, errors } = resolveParameters(definitions, req);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'One or more parameters are invalid',
+      details: errors
+    });
+  }
+
+  req.parameterValues = values;
+  next();
+};
+
+// Middleware to validate an insert, update or delete on a table endpoint and build its statement
+// Reads continue down the chain untouched
+const resolveTableWrite = async (req, res, next) => {
+  const settings = getWriteSettings(req.endpoint);
+  const operation = getWriteOperation(settings, req.method);
+  if (!operation) {
+    req.tableWrite = null;
+    return next();
+  }
+
+  const { endpoint } = req;
+  let schema;
+  try {
+    schema = await snowflakeService.getCachedTableSchema(endpoint.target);
+  } catch (error) {
+    logger.error(`Error loading schema for ${endpoint.target}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Execution failed',
+      message: error.message
+    });
+  }
+
+  let statement = null;
+  let errors = [];
+  if (operation === 'insert') {
+    ({ statement, errors } = buildInsert(endpoint.target, req.body, schema, settings));
+  } else {
+    const { key, errors: keyErrors } = resolvePrimaryKey(settings, req.query, req.pathSegments, schema);
+    errors = keyErrors;
+    if (key && operation === 'update') {
+      ({ statement, errors } = buildUpdate(endpoint.target, key, req.body, schema, settings));
+    } else if (key) {
+      statement = buildDelete(endpoint.target, key);
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: `Invalid ${operation} request`,
+      details: errors
+    });
+  }
+
+  req.tableWrite = { operation, statement };
+  next();
+};
+
+// Middleware to resolve page size and cursor for table endpoints with keyset pagination
+// Streaming endpoints send every row and ignore pagination; writes have no pages
+const resolvePagination = (req, res, next) => {
+  const settings = (getStreamSettings(req.endpoint) || req.tableWrite) ? null : getPaginationSettings(req.endpoint);
+  if (!settings) {
+    req.page = null;
+    return next();
+  }
+
+  const { page, error } = resolvePageRequest(settings, req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: [{ field: error.field, location: 'query', message: error.message }]
+    });
+  }
+
+  req.page = page;
+  next();
+};
+
+// Middleware to parse ?select=, ?order= and column filters for table endpoints that enable them
+// Requests are validated against the table's columns and the endpoint's allowlists before any data is read
+const resolveTableQuery = async (req, res, next) => {
+  const settings = req.tableWrite ? null : getFilterSettings(req.endpoint);
+  if (!settings) {
+    req.tableQuery = null;
+    return next();
+  }
+
+  const declared = (req.endpoint.parameters || []).map(p => p.name);
+  const { request, errors: parseErrors } = parseTableQuery(req.query, declared);
+  const errors = parseErrors.map(e => ({ ...e, location: 'query' }));
+  if (req.page && request.order.length > 0) {
+    errors.push({ field: 'order', location: 'query', message: 'order cannot be combined with cursor pagination; pages follow the endpoint sort key' });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'Invalid table query',
+      details: errors
+    });
+  }
+
+  let schema;
+  try {
+    schema = await snowflakeService.getCachedTableSchema(req.endpoint.target);
+  } catch (error) {
+    logger.error(`Error loading schema for ${req.endpoint.target}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: 'Execution failed',
+      message: error.message
+    });
+  }
+
+  const { query, errors: compileErrors } = compileTableQuery(request, schema, settings);
+  if (query && req.page && query.columns.length > 0) {
+    // Cursors are built from the sort key, so it must be part of the selected columns
+    const missing = req.page.settings.sortKey.filter(column => !query.columns.includes(column));
+    if (missing.length > 0) {
+      compileErrors.push({ field: 'select', message: `select must include the sort key columns: ${missing.join(', ')}` });
+    }
+  }
+  if (compileErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'Invalid table query',
+      details: compileErrors.map(e => ({ ...e, location: 'query' }))
+    });
+  }
+
+  req.tableQuery = query;
+  next();
+};
+
+// Abort signal for work done on behalf of a request, fired when the client goes away
+const createClientSignal = (res) => {
+  const controller = new AbortController();
+  // 'close' also fires after a normal response; only an unfinished response means the client went away
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+};
+
+// Middleware to bound the endpoint's statements by its timeout and cancel them if the client disconnects
+const prepareExecution = async (req, res, next) => {
+  req.execution = {
+    timeoutSeconds: await queryTimeoutService.getTimeout(req.endpoint),
+    signal: createClientSignal(res)
+  };
+  next();
+};
+
+// Build SQL text and binds for the endpoint using named parameters when declared
+const buildStatement = (endpoint, parameterValues, legacyParameters) => {
+  const definitions = Array.isArray(endpoint.parameters) ? endpoint.parameters : [];
+  if (!parameterValues) {
+    return { sqlText: endpoint.target, binds: legacyParameters || [] };
+  }
+  if (endpoint.type === 'query') {
+    return bindNamedParameters(endpoint.target, parameterValues, definitions);
+  }
+  return { sqlText: endpoint.target, binds: toPositionalBinds(parameterValues, definitions) };
+};
+
+// Read one keyset page of a table, plus the total row count when requested
+const runTablePage = async (connection, endpoint, page, tableQuery, execution) => {
+  const { sqlText, binds } = buildKeysetQuery(endpoint.target, page, tableQuery);
+  const result = await snowflakeService.executeQuery(connection, sqlText, binds, execution);
+  const { rows, pagination } = buildPage(result.rows, page);
+  if (page.includeTotal) {
+    // Count what the filters match, not the whole table
+    const count = buildCountQuery(endpoint.target, tableQuery);
+    const totals = await snowflakeService.executeQuery(connection, count.sqlText, count.binds, execution);
+    pagination.totalCount = Number(totals.rows[0]?.TOTAL_COUNT || 0);
+  }
+  return { rows, rowCount: rows.length, pagination };
+};
+
+// Run the endpoint's statement on a borrowed connection
+const runEndpointStatement = async (connection, endpoint, req, execution = req.execution || {}) => {
+  const { sqlText, binds } = buildStatement(endpoint, req.parameterValues, req.body.parameters);
+
+  switch (endpoint.type) {
+    case 'query':
+      return snowflakeService.executeQuery(connection, sqlText, binds, execution);
+
+    case 'stored_procedure':
+      return snowflakeService.executeStoredProcedure(connection, sqlText, binds, execution);
+
+    case 'function':
+      return snowflakeService.executeFunction(connection, sqlText, binds, execution);
+
+    case 'table': {
+      if (req.page) {
+        return runTablePage(connection, endpoint, req.page, req.tableQuery, execution);
+      }
+      const limit = req.query.limit ? parseInt(req.query.limit) : 1000;
+      const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+      if (req.tableQuery) {
+        const { sqlText, binds } = buildTableSelect(endpoint.target, req.tableQuery, limit, offset);
+        return snowflakeService.executeQuery(connection, sqlText, binds, execution);
       }
+      return snowflakeService.getTableData(connection, endpoint.target, limit, offset, execution);
+    }
 
-      // Log successful request and update token usage
-      const responseTime = Date.now() - startTime;
-      
-      // Log to audit log (async, don't wait)
-      databaseService.logApiRequest({
-        requestId,
-        endpointId: endpoint.id,
-        tokenId: tokenData?.id || null,
-        method: req.method,
-        url: req.originalUrl,
-        ip: req.ip || req.connection.remoteAddress,
-        userAgent: req.get('user-agent'),
-        body: req.body,
-        status: 200,
-        responseTime,
-        errorMessage: null
-      }).catch(err => logger.error('Error logging API request:', err));
-
-      // Update token usage (async, don't wait)
-      // Note: tokenData.id should be set from validatePATToken, but also update API_KEYS.USAGE_COUNT
-      if (tokenData?.id) {
-        logger.info(`Updating token usage: tokenId=${tokenData.id}, endpointId=${endpoint.id}, endpointName=${endpoint.name}`);
-        databaseService.updateTokenUsage(tokenData.id, endpoint.id)
-          .then((result) => {
-            logger.info(`Token usage updated successfully: tokenId=${tokenData.id}, endpointId=${endpoint.id}, result:`, JSON.stringify(result || {}));
-          })
-          .catch(err => {
-            logger.error('Error updating token usage:', err);
-            logger.error('Error stack:', err.stack);
-            logger.error('TokenData:', JSON.stringify(tokenData, null, 2));
-            logger.error('Endpoint:', JSON.stringify({ id: endpoint.id, name: endpoint.name }, null, 2));
-          });
-      } else {
-        logger.warn('tokenData.id is missing, cannot update token usage', {
-          tokenDataKeys: tokenData ? Object.keys(tokenData) : 'tokenData is null',
-          tokenData: tokenData ? JSON.stringify(tokenData, null, 2) : 'null',
-          endpointId: endpoint.id,
-          endpointName: endpoint.name
-        });
+    default:
+      throw new Error(`Unsupported endpoint type: ${endpoint.type}`);
+  }
+};
+
+// Check result rows against the endpoint's response schema
+// Violations are logged and counted; they fail the request only when the endpoint asks for it
+const checkResponseRows = (endpoint, rows) => {
+  const { errors, fail, message } = schemaValidationService.checkResponse(endpoint, rows);
+  if (fail) {
+    const error = new Error(message);
+    error.code = 'RESPONSE_SCHEMA_VIOLATION';
+    error.details = errors;
+    throw error;
+  }
+};
+
+// Open a row stream for a streaming query or table endpoint
+const openEndpointStream = (connection, endpoint, req, settings) => {
+  const execution = req.execution || {};
+  if (endpoint.type === 'table') {
+    // Fetch one row past the cap so the response can report truncation
+    const cap = settings.maxRows ? settings.maxRows + 1 : null;
+    const requested = req.query.limit ? parseInt(req.query.limit) : null;
+    const limit = requested && cap ? Math.min(requested, cap) : (requested || cap);
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+    if (req.tableQuery) {
+      const { sqlText, binds } = buildTableSelect(endpoint.target, req.tableQuery, limit, offset);
+      return snowflakeService.executeQueryStream(connection, sqlText, binds, execution);
+    }
+    return snowflakeService.streamTableData(connection, endpoint.target, limit, offset, execution);
+  }
+
+  const { sqlText, binds } = buildStatement(endpoint, req.parameterValues, req.body.parameters);
+  return snowflakeService.executeQueryStream(connection, sqlText, binds, execution);
+};
+
+// Stream rows to the client as they arrive instead of buffering the full result
+const streamEndpoint = async (req, res, settings, startTime) => {
+  const { endpoint } = req;
+  const connection = await snowflakeService.acquireConnection();
+  let discardConnection = false;
+
+  try {
+    const { stream } = await openEndpointStream(connection, endpoint, req, settings);
+    setDownloadHeaders(req, res);
+    const shapeSettings = getShapeSettings(endpoint);
+    const stats = await writeRowStream(stream, res, {
+      format: req.outputFormat,
+      csv: req.csvOptions || {},
+      maxRows: settings.maxRows,
+      mapRow: shapeSettings ? createRowShaper(shapeSettings) : null,
+      metadata: {
+        endpoint: endpoint.name,
+        type: endpoint.type,
+        timestamp: new Date().toISOString()
       }
+    });
 
-      res.json({
+    logger.info(`Streamed ${stats.rowCount} rows (${stats.bytes} bytes) for endpoint ${endpoint.name}${stats.truncated ? ', truncated at max rows' : ''}${stats.aborted ? ', client disconnected' : ''}`);
+    if (!stats.aborted) {
+      recordSuccess(req, startTime);
+    }
+  } catch (streamError) {
+    discardConnection = snowflakeService.isConnectionError(streamError);
+    throw streamError;
+  } finally {
+    snowflakeService.releaseConnection(connection, { destroy: discardConnection });
+  }
+};
+
+// Log a successful request to the audit log and update token usage (async, don't wait)
+const recordSuccess = (req, startTime, status = 200, endpoint = req.endpoint) => {
+  const { tokenData } = req;
+  const requestId = req.requestId || tokenData?.tokenId;
+  const responseTime = Date.now() - startTime;
+
+  databaseService.logApiRequest({
+    requestId,
+    endpointId: endpoint.id,
+    tokenId: tokenData?.id || null,
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+    body: req.body,
+    status,
+    responseTime,
+    errorMessage: null
+  }).catch(err => logger.error('Error logging API request:', err));
+
+  // Note: tokenData.id should be set from validatePATToken, but also update API_KEYS.USAGE_COUNT
+  if (tokenData?.id) {
+    logger.info(`Updating token usage: tokenId=${tokenData.id}, endpointId=${endpoint.id}, endpointName=${endpoint.name}`);
+    databaseService.updateTokenUsage(tokenData.id, endpoint.id)
+      .then((result) => {
+        logger.info(`Token usage updated successfully: tokenId=${tokenData.id}, endpointId=${endpoint.id}, result:`, JSON.stringify(result || {}));
+      })
+      .catch(err => {
+        // Token records carry the key's signing secret, so only their id is logged
+        logger.error(`Error updating token usage: tokenId=${tokenData.id}, endpointId=${endpoint.id}, endpointName=${endpoint.name}:`, err);
+        logger.error('Error stack:', err.stack);
+      });
+  } else {
+    logger.warn('tokenData.id is missing, cannot update token usage', {
+      tokenDataKeys: tokenData ? Object.keys(tokenData) : 'tokenData is null',
+      endpointId: endpoint.id,
+      endpointName: endpoint.name
+    });
+  }
+};
+
+// Log a failed request to the audit log (async, don't wait)
+const recordFailure = (req, startTime, status, errorMessage, endpoint = req.endpoint) => {
+  databaseService.logApiRequest({
+    requestId: req.requestId || req.tokenData?.tokenId,
+    endpointId: endpoint?.id || null,
+    tokenId: req.tokenData?.id || null,
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+    body: req.body,
+    status,
+    responseTime: Date.now() - startTime,
+    errorMessage
+  }).catch(err => logger.error('Error logging API request:', err));
+};
+
+// Middleware to run the endpoint as a background job when the caller asks for it
+// with "Prefer: respond-async" or ?async=true and the endpoint enables async mode
+const startAsyncJob = (req, res, next) => {
+  const settings = req.tableWrite ? null : jobService.getSettings(req.endpoint);
+  const requested = /\brespond-async\b/i.test(req.get('prefer') || '') || req.query.async === 'true';
+  if (!settings || !requested) {
+    return next();
+  }
+
+  const limitDenial = jobService.getLimitDenial(req.tokenData);
+  if (limitDenial) {
+    return res.status(429).json({
+      success: false,
+      error: 'Too Many Requests',
+      message: limitDenial
+    });
+  }
+
+  const startTime = Date.now();
+  const { endpoint } = req;
+  const job = jobService.create(endpoint, req.tokenData, settings);
+  // The job outlives this request, so it gets its own cancellation signal instead of the client's
+  const timeoutSeconds = req.execution?.timeoutSeconds;
+
+  jobService.run(job, async (signal, markRunning) => {
+    const connection = await snowflakeService.acquireConnection();
+    let discardConnection = false;
+    try {
+      markRunning();
+      const result = await runEndpointStatement(connection, endpoint, req, { timeoutSeconds, signal });
+      const rows = shapeRows(endpoint, result.rows);
+      checkResponseRows(endpoint, rows);
+      return { ...result, rows };
+    } catch (executionError) {
+      discardConnection = snowflakeService.isConnectionError(executionError);
+      throw executionError;
+    } finally {
+      snowflakeService.releaseConnection(connection, { destroy: discardConnection });
+    }
+  });
+
+  recordSuccess(req, startTime, 202);
+  logger.info(`Async job ${job.id} queued for endpoint ${endpoint.name}`);
+
+  const statusUrl = `${getBaseUrl()}/jobs/${job.id}`;
+  res.set('Location', statusUrl);
+  res.set('Preference-Applied', 'respond-async');
+  res.status(202).json({
+    success: true,
+    data: {
+      ...jobService.describe(job),
+      statusUrl,
+      resultsUrl: `${statusUrl}/results`
+    }
+  });
+};
+
+// Middleware to load an async job owned by the calling API key
+const getJob = (req, res, next) => {
+  const job = jobService.get(req.params.jobId, req.tokenData);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: 'Job not found or expired'
+    });
+  }
+  req.job = job;
+  next();
+};
+
+// Run a validated table write and report the affected rows
+const executeTableWrite = async (req, res, startTime) => {
+  const { endpoint, tableWrite } = req;
+  const connection = await snowflakeService.acquireConnection();
+  let discardConnection = false;
+  let result;
+
+  try {
+    result = await snowflakeService.executeQuery(connection, tableWrite.statement.sqlText, tableWrite.statement.binds, req.execution || {});
+  } catch (executionError) {
+    discardConnection = snowflakeService.isConnectionError(executionError);
+    throw executionError;
+  } finally {
+    snowflakeService.releaseConnection(connection, { destroy: discardConnection });
+  }
+
+  // Cached reads of this table are stale now
+  if (cacheService.getSettings(endpoint)) {
+    await cacheService.purgeEndpoint(endpoint.id);
+  }
+
+  const status = tableWrite.operation === 'insert' ? 201 : 200;
+  const affectedRows = getAffectedRows(result);
+  logger.info(`Table ${tableWrite.operation} on ${endpoint.target} affected ${affectedRows} rows`);
+  recordSuccess(req, startTime, status);
+
+  res.status(status).json({
+    success: true,
+    data: {
+      operation: tableWrite.operation,
+      affectedRows
+    },
+    metadata: {
+      endpoint: endpoint.name,
+      type: endpoint.type,
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+// Set Cache-Control, Age and X-Cache headers for a cached endpoint response
+const setCacheHeaders = (res, status, entry, settings) => {
+  const age = entry ? Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000)) : 0;
+  res.set('X-Cache', status);
+  res.set('Age', String(age));
+  res.set('Cache-Control', `private, max-age=${Math.max(0, settings.ttlSeconds - age)}`);
+};
+
+// HTTP status for execution errors that are not plain failures
+const EXECUTION_ERROR_STATUS = {
+  POOL_ACQUIRE_TIMEOUT: 503,
+  STATEMENT_TIMEOUT: 504,
+  RESPONSE_SCHEMA_VIOLATION: 502,
+  STATEMENT_CANCELLED: 499 // Client closed the request; nothing is sent
+};
+
+// Execute query based on endpoint type
+const executeEndpoint = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { endpoint } = req;
+
+    if (req.tableWrite) {
+      return await executeTableWrite(req, res, startTime);
+    }
+
+    // Streaming endpoints write rows as they arrive and are never cached
+    const streamSettings = getStreamSettings(endpoint);
+    if (streamSettings) {
+      return await streamEndpoint(req, res, streamSettings, startTime);
+    }
+
+    // Materialized endpoints answer GET requests from the latest scheduled snapshot for the same parameters
+    const snapshot = ['GET', 'HEAD'].includes(req.method) ? materializationService.getSnapshot(endpoint, req.parameterValues) : null;
+    if (snapshot) {
+      const rows = shapeRows(endpoint, snapshot.rows);
+      checkResponseRows(endpoint, rows);
+      res.set('X-Data-As-Of', snapshot.asOf);
+      recordSuccess(req, startTime, sendResult(req, res, {
         success: true,
-        data: result.rows,
+        data: rows,
         metadata: {
-          rowCount: result.rowCount,
+          rowCount: snapshot.rowCount,
           endpoint: endpoint.name,
           type: endpoint.type,
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          asOf: snapshot.asOf
         }
-      });
+      }));
+      return;
+    }
+
+    // Serve GET requests from the response cache when the endpoint opts in
+    const cacheSettings = ['GET', 'HEAD'].includes(req.method) ? cacheService.getSettings(endpoint) : null;
+    const cacheKey = cacheSettings ? cacheService.buildKey(endpoint, cacheSettings, req, req.parameterValues) : null;
+    const bypassCache = /no-cache/i.test(req.get('cache-control') || '');
+    if (cacheKey && !bypassCache) {
+      const cached = await cacheService.get(cacheKey);
+      if (cached) {
+        setCacheHeaders(res, 'HIT', cached, cacheSettings);
+        recordSuccess(req, startTime, sendResult(req, res, cached.body));
+        return;
+      }
+    }
+
+    // Borrow a pooled Snowflake connection (SPCS vs local config is detected by the pool factory)
+    const connection = await snowflakeService.acquireConnection();
+    let discardConnection = false;
+    let result = null;
+    let lastModified = null;
 
+    try {
+      // Tables with an updated-at column skip the read entirely when If-Modified-Since is still current
+      const updatedAtColumn = ['GET', 'HEAD'].includes(req.method) ? getUpdatedAtColumn(endpoint) : null;
+      if (updatedAtColumn) {
+        lastModified = await snowflakeService.getTableLastModified(connection, endpoint.target, updatedAtColumn, req.execution || {});
+      }
+      if (!isNotModified(req.headers, { lastModified })) {
+        result = await runEndpointStatement(connection, endpoint, req);
+      }
+    } catch (executionError) {
+      discardConnection = snowflakeService.isConnectionError(executionError);
+      throw executionError;
     } finally {
-      // Close connection
-      connection.destroy();
+      // Return connection to the pool (broken connections are destroyed)
+      snowflakeService.releaseConnection(connection, { destroy: discardConnection });
+    }
+
+    if (!result) {
+      res.set('Last-Modified', lastModified.toUTCString());
+      recordSuccess(req, startTime, 304);
+      return res.status(304).end();
     }
 
+    const rows = shapeRows(endpoint, result.rows);
+    checkResponseRows(endpoint, rows);
+
+    const body = {
+      success: true,
+      data: rows,
+      metadata: {
+        rowCount: result.rowCount,
+        endpoint: endpoint.name,
+        type: endpoint.type,
+        timestamp: new Date().toISOString(),
+        ...(lastModified ? { lastModified: lastModified.toISOString() } : {}),
+        ...(result.pagination ? { pagination: result.pagination } : {})
+      }
+    };
+
+    if (cacheKey) {
+      const stored = await cacheService.set(cacheKey, body, cacheSettings);
+      if (stored) {
+        setCacheHeaders(res, bypassCache ? 'BYPASS' : 'MISS', stored, cacheSettings);
+      } else {
+        // Response was too large to cache
+        res.set('X-Cache', 'MISS');
+      }
+    }
+
+    recordSuccess(req, startTime, sendResult(req, res, body));
+
   } catch (error) {
-    const responseTime = Date.now() - startTime;
-    responseStatus = 500;
-    errorMessage = error.message;
+    const responseStatus = EXECUTION_ERROR_STATUS[error.code] || 500;
     
-    logger.error('Error executing endpoint:', error);
+    logger.error(`Error executing endpoint${error.queryId ? ` (query ${error.queryId})` : ''}:`, error);
     
     // Log failed request (async, don't wait)
-    databaseService.logApiRequest({
-      requestId,
-      endpointId: req.endpoint?.id || null,
-      tokenId: req.tokenData?.id || null,
-      method: req.method,
-      url: req.originalUrl,
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('user-agent'),
-      body: req.body,
-      status: 500,
-      responseTime,
-      errorMessage: error.message
-    }).catch(err => logger.error('Error logging API request:', err));
+    recordFailure(req, startTime, responseStatus, error.message);
 
-    res.status(500).json({
+    // A streamed response has already started; cut the connection so the client sees an incomplete body
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    if (error.code === 'STATEMENT_CANCELLED') {
+      return;
+    }
+
+    if (error.code === 'STATEMENT_TIMEOUT') {
+      return res.status(504).json({
+        success: false,
+        error: 'Gateway Timeout',
+        message: error.message,
+        queryId: error.queryId
+      });
+    }
+
+    if (error.code === 'RESPONSE_SCHEMA_VIOLATION') {
+      return res.status(502).json({
+        success: false,
+        error: 'Response validation failed',
+        message: error.message,
+        details: error.details
+      });
+    }
+
+    res.status(responseStatus).json({
       success: false,
       error: 'Execution failed',
       message: error.message
@@ -267,13 +1100,554 @@ const executeEndpoint = async (req, res) => {
 
 // Routes that support token in path, Authorization header, or query parameter
 // The validatePATToken middleware checks all three sources
-router.get('/:token', validatePATToken, getEndpointData, validateMethod, executeEndpoint);
-router.post('/:token', validatePATToken, getEndpointData, validateMethod, executeEndpoint);
-router.put('/:token', validatePATToken, getEndpointData, validateMethod, executeEndpoint);
-router.delete('/:token', validatePATToken, getEndpointData, validateMethod, executeEndpoint);
+const proxyChain = [
+  validatePATToken,
+  getEndpointData,
+  enforceIpAccess,
+  enforceSigning,
+  validateMethod,
+  negotiateOutputFormat,
+  enforceRateLimit,
+  validateRequestBody,
+  resolvePathSegments,
+  resolveEndpointParameters,
+  resolveTableWrite,
+  resolvePagination,
+  resolveTableQuery,
+  prepareExecution,
+  startAsyncJob,
+  executeEndpoint
+];
+
+// Fail one GraphQL field or batch item with a code the caller reports back
+const callError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+// HTTP status for endpoint call errors, as a direct request to the endpoint would have received
+const CALL_ERROR_STATUS = {
+  BAD_USER_INPUT: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  RATE_LIMITED: 429,
+  ...EXECUTION_ERROR_STATUS
+};
+
+// One pooled connection shared by consecutive endpoint calls, acquired on first use
+// A connection that breaks is replaced for later calls and destroyed on release
+const createConnectionLease = () => {
+  const leases = [];
+  let current = null;
+
+  return {
+    acquire() {
+      if (!current) {
+        const lease = { promise: snowflakeService.acquireConnection(), destroy: false };
+        lease.promise.catch(() => {
+          if (current === lease) {
+            current = null;
+          }
+        });
+        leases.push(lease);
+        current = lease;
+      }
+      return current.promise;
+    },
+
+    fail(error) {
+      if (current && snowflakeService.isConnectionError(error)) {
+        current.destroy = true;
+        current = null;
+      }
+    },
+
+    async release() {
+      await Promise.all(leases.map(async (lease) => {
+        try {
+          snowflakeService.releaseConnection(await lease.promise, { destroy: lease.destroy });
+        } catch (error) {
+          // Never acquired; the call that needed it already reported the error
+        }
+      }));
+    }
+  };
+};
+
+// Rows one GraphQL field or batch item may hold in memory when its endpoint sets no lower cap
+const CALL_MAX_ROWS = parseInt(process.env.CALL_MAX_ROWS, 10) || 10000;
+
+// Page or limit/offset of a table read in a GraphQL field or batch item, checked like the REST query string
+// Keyset endpoints take limit, cursor and count; other tables take limit and offset within the row cap
+const resolveCallTableRead = (endpoint, parameters, maxRows) => {
+  const paginationSettings = getStreamSettings(endpoint) ? null : getPaginationSettings(endpoint);
+  const { page, window, error } = paginationSettings
+    ? resolvePageRequest(paginationSettings, parameters)
+    : resolveOffsetWindow(parameters, maxRows);
+  if (page && parameters.offset !== undefined && parameters.offset !== null) {
+    const message = 'offset cannot be combined with cursor pagination; pages follow the endpoint sort key';
+    throw callError('BAD_USER_INPUT', message, [{ field: 'offset', location: 'body', message }]);
+  }
+  if (error) {
+    throw callError('BAD_USER_INPUT', error.message, [{ field: error.field, location: 'body', message: error.message }]);
+  }
+  return { page: page || null, query: window || {} };
+};
+
+/**
+ * Run one endpoint read for a GraphQL field or batch item
+ * The call is authorized, rate limited, validated and logged like a direct request to the endpoint.
+ * @param {Object} req - The GraphQL or batch request (API key, client details)
+ * @param {Object} endpoint - Endpoint as it applies to the call's method
+ * @param {Object} call - { method, parameters, log } where log is the request recorded in the audit log
+ * @param {Object} session - { lease, signal } shared by the calls of one request
+ * @returns {Promise<{ rows: Array, result: Object }>} Shaped rows; errors carry a code from CALL_ERROR_STATUS
+ */
+const runEndpointCall = async (req, endpoint, { method, parameters = {}, log = req }, { lease, signal }) => {
+  const startTime = Date.now();
+  const endpointStatus = endpoint.status || (endpoint.isActive ? 'active' : 'suspended');
+  try {
+    const denial = getAccessDenial(req.tokenData, endpoint, method);
+    if (denial || endpointStatus !== 'active') {
+      throw callError('FORBIDDEN', endpointStatus !== 'active'
+        ? `Endpoint ${endpoint.name} is ${endpointStatus}`
+        : (canAccessEndpoint(req.tokenData, endpoint) ? denial : `API key cannot call ${endpoint.name}`));
+    }
+    const ipDenial = getIpDenial(getClientIp(req), endpoint, 'endpoint');
+    if (ipDenial) {
+      recordIpBlock(req, ipDenial, { endpoint });
+      throw callError('FORBIDDEN', `${ipDenial} (${endpoint.name})`);
+    }
+    const signingDenial = getSigningDenial(req, endpoint);
+    if (signingDenial) {
+      throw callError('FORBIDDEN', `${signingDenial} (${endpoint.name})`);
+    }
+
+    let rateLimit = { allowed: true };
+    try {
+      rateLimit = await rateLimitService.check(endpoint, req.tokenData);
+    } catch (error) {
+      // Never block traffic because the limiter itself failed
+      logger.error('Rate limit check failed:', error);
+    }
+    if (!rateLimit.allowed) {
+      throw callError('RATE_LIMITED', `Rate limit exceeded for ${endpoint.name} (${rateLimit.decision.limit} requests per minute)`);
+    }
+
+    const bodyErrors = ['POST', 'PUT', 'PATCH'].includes(method)
+      ? schemaValidationService.validateRequest(endpoint, parameters)
+      : [];
+    if (bodyErrors.length > 0) {
+      throw callError('BAD_USER_INPUT', 'Parameters do not match the endpoint schema', bodyErrors);
+    }
+
+    // Every declared parameter is read from the call's parameters, whatever its source on the REST route
+    const definitions = endpoint.type !== 'table' && Array.isArray(endpoint.parameters) ? endpoint.parameters : [];
+    const { values, errors } = resolveParameters(definitions.map(def => ({ ...def, source: 'body' })), { body: parameters });
+    if (errors.length > 0) {
+      throw callError('BAD_USER_INPUT', 'One or more parameters are invalid', errors);
+    }
+
+    // Calls buffer their rows, so streaming endpoints are cut off at their row cap as a streamed response would be
+    const streamSettings = getStreamSettings(endpoint);
+    const maxRows = Math.min(streamSettings?.maxRows || CALL_MAX_ROWS, CALL_MAX_ROWS);
+    const tableRead = endpoint.type === 'table' ? resolveCallTableRead(endpoint, parameters, maxRows) : { page: null, query: {} };
+
+    let result = method === 'GET' ? materializationService.getSnapshot(endpoint, values) : null;
+    if (!result) {
+      const call = {
+        parameterValues: definitions.length > 0 ? values : null,
+        body: { parameters: Array.isArray(parameters) ? parameters : [] },
+        query: tableRead.query,
+        page: tableRead.page,
+        execution: {
+          timeoutSeconds: await queryTimeoutService.getTimeout(endpoint),
+          signal
+        }
+      };
+      const connection = await lease.acquire();
+      try {
+        if (streamSettings) {
+          const { stream } = await openEndpointStream(connection, endpoint, call, streamSettings);
+          result = await collectRows(stream, maxRows);
+        } else {
+          result = await runEndpointStatement(connection, endpoint, call);
+        }
+      } catch (executionError) {
+        lease.fail(executionError);
+        throw executionError;
+      }
+    }
+
+    const rows = shapeRows(endpoint, result.rows || []);
+    checkResponseRows(endpoint, rows);
+    recordSuccess(log, startTime, 200, endpoint);
+    return { rows, result };
+  } catch (error) {
+    logger.error(`Call to endpoint ${endpoint.name} failed${error.queryId ? ` (query ${error.queryId})` : ''}:`, error);
+    recordFailure(log, startTime, CALL_ERROR_STATUS[error.code] || 500, error.message, endpoint);
+    throw error;
+  }
+};
+
+// Resolver context for one GraphQL request
+// Every field shares one pooled connection and the client's cancellation signal; identical fields run once
+const createGraphQLContext = (req, res) => {
+  const session = { lease: createConnectionLease(), signal: createClientSignal(res) };
+  const loads = new Map();
+
+  const runField = async (listedEndpoint, args) => {
+    // Re-read the endpoint so a field never runs against a stale or revoked definition
+    const endpoint = await databaseService.getEndpointById(listedEndpoint.id);
+    if (!endpoint) {
+      throw callError('NOT_FOUND', `Endpoint ${listedEndpoint.name} no longer exists`);
+    }
+    const { rows } = await runEndpointCall(req, endpoint, { method: endpoint.method, parameters: args }, session);
+    return rows;
+  };
+
+  return {
+    load(endpoint, args) {
+      const key = `${endpoint.id}:${JSON.stringify(args)}`;
+      if (!loads.has(key)) {
+        loads.set(key, runField(endpoint, args));
+      }
+      return loads.get(key);
+    },
+
+    release: () => session.lease.release()
+  };
+};
+
+// Run a GraphQL request against the endpoints the calling API key can reach
+const handleGraphQL = async (req, res) => {
+  if (!graphqlService.isEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: 'The GraphQL gateway is not enabled'
+    });
+  }
+
+  const source = req.method === 'GET' ? req.query : (req.body || {});
+  let { variables } = source;
+  if (typeof variables === 'string' && variables.length > 0) {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: [{ field: 'variables', location: req.method === 'GET' ? 'query' : 'body', message: 'variables must be a JSON object' }]
+      });
+    }
+  }
+  if (typeof source.query !== 'string' || source.query.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: [{ field: 'query', location: req.method === 'GET' ? 'query' : 'body', message: 'query is required' }]
+    });
+  }
+
+  let context = null;
+  try {
+    const endpoints = (await graphqlService.getEndpoints()).filter(endpoint => canAccessEndpoint(req.tokenData, endpoint, endpoint.method));
+    const schema = await graphqlService.getSchema(endpoints);
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'This API key cannot reach any query or table endpoint'
+      });
+    }
+
+    context = createGraphQLContext(req, res);
+    const { status, body } = await graphqlService.execute(schema, {
+      query: source.query,
+      variables: variables || null,
+      operationName: source.operationName || null
+    }, context);
+    if (!res.writableEnded) {
+      res.status(status).json(body);
+    }
+  } catch (error) {
+    logger.error('Error executing GraphQL request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'GraphQL request failed',
+      message: error.message
+    });
+  } finally {
+    if (context) {
+      await context.release();
+    }
+  }
+};
+
+// GraphQL gateway routes are registered before /:token so "graphql" is never read as an endpoint path
+// GET /proxy/graphql?query=...&variables=...&operationName=... and POST /proxy/graphql { query, variables, operationName }
+router.get('/graphql', validatePATToken, handleGraphQL);
+router.post('/graphql', validatePATToken, handleGraphQL);
+
+const BATCH_MAX_REQUESTS = parseInt(process.env.BATCH_MAX_REQUESTS, 10) || 25;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+
+// Error title for a failed batch item, matching the REST response for the same failure
+const BATCH_ERROR_TITLES = {
+  400: 'Validation failed',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  429: 'Too Many Requests',
+  502: 'Response validation failed',
+  504: 'Gateway Timeout'
+};
+
+// Check the shape of a batch body; returns field errors
+const validateBatchItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return [{ field: 'body', location: 'body', message: 'body must be a non-empty array of { endpoint, method, parameters } requests' }];
+  }
+  if (items.length > BATCH_MAX_REQUESTS) {
+    return [{ field: 'body', location: 'body', message: `A batch can contain at most ${BATCH_MAX_REQUESTS} requests` }];
+  }
+  const errors = [];
+  items.forEach((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ field: `[${i}]`, location: 'body', message: 'must be an object' });
+      return;
+    }
+    if (typeof item.endpoint !== 'string' || item.endpoint.trim().length === 0) {
+      errors.push({ field: `[${i}].endpoint`, location: 'body', message: 'endpoint is required (endpoint ID or custom path)' });
+    }
+    if (item.method !== undefined && !MAPPABLE_METHODS.includes(String(item.method).toUpperCase())) {
+      errors.push({ field: `[${i}].method`, location: 'body', message: `method must be one of: ${MAPPABLE_METHODS.join(', ')}` });
+    }
+    if (item.parameters !== undefined && item.parameters !== null && typeof item.parameters !== 'object') {
+      errors.push({ field: `[${i}].parameters`, location: 'body', message: 'parameters must be an object, or an array for endpoints without declared parameters' });
+    }
+  });
+  return errors;
+};
+
+// Run one batch item and describe its outcome
+const runBatchItem = async (req, item, session) => {
+  const method = String(item.method || 'GET').toUpperCase();
+  const parameters = item.parameters || {};
+  const outcome = { ...(item.id !== undefined ? { id: item.id } : {}), endpoint: item.endpoint, method };
+  // Audit log entries read like a direct call to the endpoint
+  const log = {
+    requestId: req.requestId,
+    tokenData: req.tokenData,
+    method,
+    originalUrl: `${req.baseUrl}/${item.endpoint}`,
+    ip: req.ip,
+    connection: req.connection,
+    get: name => req.get(name),
+    body: parameters
+  };
+
+  // Items rejected before they reach the endpoint are logged here; runEndpointCall logs the rest
+  const reject = (code, message, endpoint) => {
+    recordFailure(log, Date.now(), CALL_ERROR_STATUS[code], message, endpoint);
+    return callError(code, message);
+  };
+
+  try {
+    const endpoint = await databaseService.getEndpointByIdOrPath(item.endpoint);
+    if (!endpoint) {
+      throw reject('NOT_FOUND', 'Endpoint not found', null);
+    }
+    const denial = getAccessDenial(req.tokenData, endpoint, method);
+    if (denial) {
+      throw reject('FORBIDDEN', denial, endpoint);
+    }
+    const methodEndpoint = resolveMethodEndpoint(endpoint, method);
+    if (!methodEndpoint) {
+      throw reject('METHOD_NOT_ALLOWED', getWriteOperation(getWriteSettings(endpoint), method)
+        ? 'Table writes cannot be batched'
+        : `This endpoint only accepts ${getEndpointMethods(endpoint).join(', ')} requests`, endpoint);
+    }
+
+    const { rows, result } = await runEndpointCall(req, methodEndpoint, { method, parameters, log }, session);
+    return {
+      ...outcome,
+      status: 200,
+      data: rows,
+      metadata: {
+        rowCount: result.rowCount,
+        endpoint: methodEndpoint.name,
+        type: methodEndpoint.type,
+        ...(result.asOf ? { asOf: result.asOf } : {}),
+        ...(result.pagination ? { pagination: result.pagination } : {}),
+        ...(result.truncated ? { truncated: true } : {})
+      }
+    };
+  } catch (error) {
+    const status = CALL_ERROR_STATUS[error.code] || 500;
+    return {
+      ...outcome,
+      status,
+      error: BATCH_ERROR_TITLES[status] || 'Execution failed',
+      message: error.message,
+      ...(error.details ? { details: error.details } : {}),
+      ...(error.queryId ? { queryId: error.queryId } : {})
+    };
+  }
+};
+
+// POST /proxy/batch - Run several endpoint calls in one HTTP request
+// Body: [{ id?, endpoint, method?, parameters? }]. Items run with bounded concurrency; each worker
+// reuses one pooled connection, and every item is authorized and logged on its own.
+// Registered before /:token so "batch" is never read as an endpoint path
+router.post('/batch', validatePATToken, async (req, res) => {
+  const items = req.body;
+  const errors = validateBatchItems(items);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'Batch request is invalid',
+      details: errors
+    });
+  }
+
+  const signal = createClientSignal(res);
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    const session = { lease: createConnectionLease(), signal };
+    try {
+      while (next < items.length && !signal.aborted) {
+        const index = next;
+        next += 1;
+        results[index] = await runBatchItem(req, items[index], session);
+      }
+    } finally {
+      await session.lease.release();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, items.length) }, worker));
+  if (signal.aborted) {
+    return;
+  }
+
+  const failed = results.filter(result => result.status >= 400).length;
+  logger.info(`Batch of ${items.length} requests finished with ${failed} failures`);
+  res.json({
+    success: true,
+    data: results,
+    metadata: {
+      count: results.length,
+      succeeded: results.length - failed,
+      failed,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// GET /proxy/openapi.json - OpenAPI document for the endpoints the calling API key can reach
+// Registered before /:token so "openapi.json" is never read as an endpoint path
+router.get('/openapi.json', validatePATToken, async (req, res) => {
+  try {
+    let endpoints;
+    if (hasExtendedScope(req.tokenData)) {
+      endpoints = (await databaseService.getAllEndpoints()).filter(endpoint => canAccessEndpoint(req.tokenData, endpoint));
+    } else {
+      const endpoint = await databaseService.getEndpointById(req.tokenData.endpointId);
+      endpoints = endpoint ? [endpoint] : [];
+    }
+    res.json(buildOpenApiSpec(endpoints, {
+      baseUrl: getBaseUrl(),
+      version: process.env.npm_package_version
+    }));
+  } catch (error) {
+    logger.error('Error building OpenAPI document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build OpenAPI document'
+    });
+  }
+});
+
+// Async job routes are registered before /:token so "jobs" is never read as an endpoint path
+// GET /proxy/jobs/:jobId - Job state
+router.get('/jobs/:jobId', validatePATToken, getJob, (req, res) => {
+  const statusUrl = `${getBaseUrl()}/jobs/${req.job.id}`;
+  res.json({
+    success: true,
+    data: {
+      ...jobService.describe(req.job),
+      statusUrl,
+      resultsUrl: `${statusUrl}/results`
+    }
+  });
+});
+
+// GET /proxy/jobs/:jobId/results - Page through a finished job's rows with ?limit= and ?offset=
+router.get('/jobs/:jobId/results', validatePATToken, getJob, (req, res) => {
+  const { job } = req;
+  if (job.status !== 'succeeded') {
+    return res.status(409).json({
+      success: false,
+      error: 'Conflict',
+      message: `Job is ${job.status}; results are available once it has succeeded`,
+      data: jobService.describe(job)
+    });
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 1000;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+  if (Number.isNaN(limit) || limit < 1 || limit > 10000 || Number.isNaN(offset) || offset < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: [{ field: 'limit', location: 'query', message: 'limit must be between 1 and 10000 and offset must be a non-negative integer' }]
+    });
+  }
+
+  const page = jobService.getResultPage(job, limit, offset);
+  res.json({
+    success: true,
+    data: page.rows,
+    metadata: {
+      jobId: job.id,
+      endpoint: job.endpointName,
+      rowCount: page.rows.length,
+      totalRows: page.totalRows,
+      limit,
+      offset,
+      hasMore: page.hasMore,
+      ...(job.result.pagination ? { pagination: job.result.pagination } : {})
+    }
+  });
+});
+
+// DELETE /proxy/jobs/:jobId - Cancel a queued or running job, or discard a finished job's results
+router.delete('/jobs/:jobId', validatePATToken, getJob, (req, res) => {
+  const job = jobService.cancel(req.job);
+  res.json({
+    success: true,
+    data: jobService.describe(job)
+  });
+});
+
+router.options(['/:token', '/:token/*'], answerOptions);
+router.get('/:token', ...proxyChain);
+router.post('/:token', ...proxyChain);
+router.put('/:token', ...proxyChain);
+router.patch('/:token', ...proxyChain);
+router.delete('/:token', ...proxyChain);
 
 // GET /proxy/:token/info - Get endpoint information
-router.get('/:token/info', validatePATToken, getEndpointData, (req, res) => {
+router.get('/:token/info', validatePATToken, getEndpointData, enforceIpAccess, enforceSigning, (req, res) => {
   res.json({
     success: true,
     data: {
@@ -296,4 +1670,12 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Extra path segments after the endpoint identifier are mapped to parameters with source "path"
+// e.g. /proxy/orders/42/open binds the first two path parameters to "42" and "open"
+router.get('/:token/*', ...proxyChain);
+router.post('/:token/*', ...proxyChain);
+router.put('/:token/*', ...proxyChain);
+router.patch('/:token/*', ...proxyChain);
+router.delete('/:token/*', ...proxyChain);
+
 module.exports = router;
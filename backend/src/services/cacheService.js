@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * In-process LRU cache store
+ * Any object implementing the same async get/set/delete/deleteByPrefix/stats methods can replace it
+ * (e.g. a Redis-backed store) via cacheService.setStore()
+ */
+class MemoryCacheStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxBytes = options.maxBytes || 100 * 1024 * 1024;
+    this.entries = new Map(); // key -> { value, size, expiresAt }
+    this.totalBytes = 0;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+    // Move to the end so the Map stays ordered from least to most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs, size = 0) {
+    this.remove(key);
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttlMs });
+    this.totalBytes += size;
+
+    while (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey);
+      this.evictions += 1;
+    }
+  }
+
+  async delete(key) {
+    return this.remove(key);
+  }
+
+  async deleteByPrefix(prefix) {
+    let removed = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (key.startsWith(prefix)) {
+        this.remove(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  async stats() {
+    return {
+      store: 'memory',
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions
+    };
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.totalBytes -= entry.size;
+    this.entries.delete(key);
+    return true;
+  }
+}
+
+class CacheService {
+  constructor() {
+    this.store = new MemoryCacheStore({
+      maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+      maxBytes: parseInt(process.env.CACHE_MAX_BYTES, 10) || 100 * 1024 * 1024
+    });
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  setStore(store) {
+    this.store = store;
+  }
+
+  // Normalized cache settings for an endpoint, or null when caching is not enabled
+  getSettings(endpoint) {
+    const cache = endpoint?.metadata?.cache;
+    if (!cache || !cache.enabled) {
+      return null;
+    }
+    return {
+      ttlSeconds: parseInt(cache.ttlSeconds, 10) || 300,
+      varyQuery: Array.isArray(cache.varyQuery) ? cache.varyQuery : [],
+      varyHeaders: Array.isArray(cache.varyHeaders) ? cache.varyHeaders.map(h => h.toLowerCase()) : [],
+      maxEntryBytes: parseInt(cache.maxEntryBytes, 10) || 1024 * 1024
+    };
+  }
+
+  /**
+   * Builds the cache key from resolved parameters plus selected query values and headers
+   * Keys are prefixed with the endpoint ID so one endpoint can be purged on its own
+   */
+  buildKey(endpoint, settings, req, parameterValues) {
+    const query = {};
+    // Table responses depend on paging, select, order and column filters, so every query parameter is keyed
+    const keyedQuery = endpoint.type === 'table'
+      ? Object.keys(req.query).filter(name => name !== 'API_KEY' && name !== 'token').sort()
+      : settings.varyQuery;
+    keyedQuery.forEach(name => {
+      if (req.query[name] !== undefined) {
+        query[name] = req.query[name];
+      }
+    });
+
+    const headers = {};
+    settings.varyHeaders.forEach(name => {
+      const value = req.get(name);
+      if (value !== undefined) {
+        headers[name] = value;
+      }
+    });
+
+    const material = JSON.stringify({
+      parameters: parameterValues || req.body?.parameters || null,
+      query,
+      headers,
+      updatedAt: endpoint.updatedAt
+    });
+    const digest = crypto.createHash('sha256').update(material).digest('hex');
+    return `${endpoint.id}:${digest}`;
+  }
+
+  async get(key) {
+    try {
+      const entry = await this.store.get(key);
+      if (entry) {
+        this.hits += 1;
+      } else {
+        this.misses += 1;
+      }
+      return entry;
+    } catch (error) {
+      logger.warn(`Cache lookup failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a response body if it fits within the endpoint's max entry size
+   * @returns {Object|null} Stored entry, or null when the body was too large or the store failed
+   */
+  async set(key, body, settings) {
+    const serialized = JSON.stringify(body);
+    const size = Buffer.byteLength(serialized);
+    if (size > settings.maxEntryBytes) {
+      logger.debug(`Response for ${key} not cached: ${size} bytes exceeds ${settings.maxEntryBytes}`);
+      return null;
+    }
+    const entry = { body, storedAt: Date.now(), ttlSeconds: settings.ttlSeconds };
+    try {
+      await this.store.set(key, entry, settings.ttlSeconds * 1000, size);
+      return entry;
+    } catch (error) {
+      logger.warn(`Cache store failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async purgeEndpoint(endpointId) {
+    const removed = await this.store.deleteByPrefix(`${endpointId}:`);
+    logger.info(`Cache purged for endpoint ${endpointId}: ${removed} entries removed`);
+    return removed;
+  }
+
+  async getStats() {
+    return {
+      ...(await this.store.stats()),
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+module.exports = new CacheService();
+module.exports.MemoryCacheStore = MemoryCacheStore;
@@ -0,0 +1,253 @@
+const logger = require('../utils/logger');
+
+/**
+ * Generic connection pool used by SnowflakeService for proxy execution
+ * Connections are created through the supplied factory so authentication logic stays in one place
+ */
+class ConnectionPool {
+  constructor(options = {}) {
+    this.name = options.name || 'snowflake';
+    this.factory = options.create; // async () => connection
+    this.validator = options.validate || (async () => true); // async (connection) => boolean
+    this.destroyer = options.destroy || ((connection) => connection.destroy());
+
+    this.min = Math.max(0, options.min ?? 0);
+    this.max = Math.max(1, options.max ?? 10);
+    if (this.min > this.max) {
+      this.min = this.max;
+    }
+    this.idleTimeoutMs = options.idleTimeoutMs ?? 5 * 60 * 1000;
+    this.acquireTimeoutMs = options.acquireTimeoutMs ?? 30 * 1000;
+    this.evictionIntervalMs = options.evictionIntervalMs ?? 60 * 1000;
+    this.validateOnBorrow = options.validateOnBorrow !== false;
+
+    this.idle = []; // [{ connection, lastUsed }]
+    this.borrowed = new Set();
+    this.waiters = []; // [{ resolve, reject, timer, timedOut }]
+    this.creating = 0;
+    this.validating = 0; // taken off the idle list and being health-checked
+    this.draining = false;
+
+    this.counters = {
+      created: 0,
+      destroyed: 0,
+      acquired: 0,
+      acquireTimeouts: 0,
+      validationFailures: 0,
+      createFailures: 0
+    };
+
+    this.evictionTimer = setInterval(() => this.evictIdle(), this.evictionIntervalMs);
+    if (this.evictionTimer.unref) {
+      this.evictionTimer.unref();
+    }
+
+    this.ensureMinimum();
+  }
+
+  get size() {
+    return this.idle.length + this.borrowed.size + this.creating + this.validating;
+  }
+
+  async acquire() {
+    if (this.draining) {
+      throw new Error(`Connection pool "${this.name}" is draining`);
+    }
+
+    // Reuse the most recently released idle connection first
+    while (this.idle.length > 0) {
+      const { connection } = this.idle.pop();
+      this.validating += 1;
+      let healthy;
+      try {
+        healthy = await this.isHealthy(connection);
+      } finally {
+        this.validating -= 1;
+      }
+      if (this.draining) {
+        this.destroyConnection(connection);
+        throw new Error(`Connection pool "${this.name}" is draining`);
+      }
+      if (healthy) {
+        return this.lend(connection);
+      }
+      this.counters.validationFailures += 1;
+      this.destroyConnection(connection);
+    }
+
+    if (this.size < this.max) {
+      const connection = await this.createConnection();
+      return this.lend(connection);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null, timedOut: false };
+      waiter.timer = setTimeout(() => {
+        waiter.timedOut = true;
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        this.counters.acquireTimeouts += 1;
+        const error = new Error(`Timed out after ${this.acquireTimeoutMs}ms waiting for a Snowflake connection`);
+        error.code = 'POOL_ACQUIRE_TIMEOUT';
+        reject(error);
+      }, this.acquireTimeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Returns a connection to the pool
+   * @param {Object} connection - Connection obtained from acquire()
+   * @param {Object} options - { destroy: true } to discard the connection instead of reusing it
+   */
+  release(connection, options = {}) {
+    if (!this.borrowed.has(connection)) {
+      return;
+    }
+    this.borrowed.delete(connection);
+
+    if (options.destroy || this.draining) {
+      this.destroyConnection(connection);
+      this.serveWaiterWithNewConnection();
+      return;
+    }
+
+    this.handOver(connection);
+  }
+
+  // Give a free connection to the next waiting caller, or park it on the idle list
+  handOver(connection) {
+    if (this.draining) {
+      this.destroyConnection(connection);
+      return;
+    }
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(this.lend(connection));
+      return;
+    }
+
+    this.idle.push({ connection, lastUsed: Date.now() });
+  }
+
+  async isHealthy(connection) {
+    if (!this.validateOnBorrow) {
+      return true;
+    }
+    try {
+      return await this.validator(connection);
+    } catch (error) {
+      logger.debug(`Connection validation failed in pool "${this.name}": ${error.message}`);
+      return false;
+    }
+  }
+
+  lend(connection) {
+    this.borrowed.add(connection);
+    this.counters.acquired += 1;
+    return connection;
+  }
+
+  async createConnection() {
+    this.creating += 1;
+    try {
+      const connection = await this.factory();
+      this.counters.created += 1;
+      return connection;
+    } catch (error) {
+      this.counters.createFailures += 1;
+      throw error;
+    } finally {
+      this.creating -= 1;
+    }
+  }
+
+  destroyConnection(connection) {
+    try {
+      this.destroyer(connection);
+    } catch (error) {
+      logger.warn(`Error destroying pooled connection in "${this.name}": ${error.message}`);
+    }
+    this.counters.destroyed += 1;
+  }
+
+  serveWaiterWithNewConnection() {
+    if (this.waiters.length === 0 || this.size >= this.max || this.draining) {
+      return;
+    }
+    const waiter = this.waiters.shift();
+    this.createConnection()
+      .then(connection => {
+        // The waiter gave up while the connection was being opened; keep it for the next caller
+        if (waiter.timedOut || this.draining) {
+          this.handOver(connection);
+          return;
+        }
+        clearTimeout(waiter.timer);
+        waiter.resolve(this.lend(connection));
+      })
+      .catch(error => {
+        clearTimeout(waiter.timer);
+        if (!waiter.timedOut) {
+          waiter.reject(error);
+        }
+      });
+  }
+
+  ensureMinimum() {
+    const missing = this.min - this.size;
+    for (let i = 0; i < missing; i += 1) {
+      this.createConnection()
+        .then(connection => this.idle.push({ connection, lastUsed: Date.now() }))
+        .catch(error => logger.warn(`Could not pre-create pooled connection in "${this.name}": ${error.message}`));
+    }
+  }
+
+  // Destroy connections that have been idle longer than idleTimeoutMs, keeping at least min connections
+  evictIdle() {
+    const now = Date.now();
+    // Oldest connections are at the front of the idle list
+    while (
+      this.idle.length > 0 &&
+      this.size > this.min &&
+      now - this.idle[0].lastUsed >= this.idleTimeoutMs
+    ) {
+      const { connection } = this.idle.shift();
+      this.destroyConnection(connection);
+    }
+    this.ensureMinimum();
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      min: this.min,
+      max: this.max,
+      size: this.size,
+      idle: this.idle.length,
+      borrowed: this.borrowed.size,
+      creating: this.creating,
+      validating: this.validating,
+      pending: this.waiters.length,
+      idleTimeoutMs: this.idleTimeoutMs,
+      acquireTimeoutMs: this.acquireTimeoutMs,
+      validateOnBorrow: this.validateOnBorrow,
+      ...this.counters
+    };
+  }
+
+  async drain() {
+    this.draining = true;
+    clearInterval(this.evictionTimer);
+    this.waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error(`Connection pool "${this.name}" is draining`));
+    });
+    this.waiters = [];
+    this.idle.forEach(({ connection }) => this.destroyConnection(connection));
+    this.idle = [];
+  }
+}
+
+module.exports = ConnectionPool;
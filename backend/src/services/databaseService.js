@@ -256,10 +256,14 @@ class DatabaseService {
         SELECT e.ENDPOINT_ID, e.NAME, e.DESCRIPTION, e.TYPE, e.TARGET, e.METHOD, 
                e.PARAMETERS, e.RATE_LIMIT, e.IS_ACTIVE, e.CREATED_AT, e.UPDATED_AT, 
                e.CREATED_BY, e.METADATA, e.STATUS, e.PATH,
-               CASE WHEN t.API_KEY_ID IS NOT NULL AND t.IS_ACTIVE = TRUE THEN TRUE ELSE FALSE END AS HAS_TOKEN
+               COALESCE(t.ACTIVE_KEYS, 0) > 0 AS HAS_TOKEN, COALESCE(t.ACTIVE_KEYS, 0) AS ACTIVE_KEY_COUNT
         FROM ${this.dbConfig.database}.${this.dbConfig.schema}.ENDPOINTS e
-        LEFT JOIN ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS t 
-          ON e.ENDPOINT_ID = t.ENDPOINT_ID AND t.IS_ACTIVE = TRUE
+        LEFT JOIN (
+          SELECT ENDPOINT_ID, COUNT(*) AS ACTIVE_KEYS
+          FROM ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+          WHERE IS_ACTIVE = TRUE
+          GROUP BY ENDPOINT_ID
+        ) t ON e.ENDPOINT_ID = t.ENDPOINT_ID
         ORDER BY e.CREATED_AT DESC
       `;
       const result = await this.executeQuery(sql);
@@ -277,10 +281,14 @@ class DatabaseService {
           SELECT e.ENDPOINT_ID, e.NAME, e.DESCRIPTION, e.TYPE, e.TARGET, e.METHOD, 
                  e.PARAMETERS, e.RATE_LIMIT, e.IS_ACTIVE, e.CREATED_AT, e.UPDATED_AT, 
                  e.CREATED_BY, e.METADATA, e.PATH,
-                 CASE WHEN t.API_KEY_ID IS NOT NULL AND t.IS_ACTIVE = TRUE THEN TRUE ELSE FALSE END AS HAS_TOKEN
+                 COALESCE(t.ACTIVE_KEYS, 0) > 0 AS HAS_TOKEN, COALESCE(t.ACTIVE_KEYS, 0) AS ACTIVE_KEY_COUNT
           FROM ${this.dbConfig.database}.${this.dbConfig.schema}.ENDPOINTS e
-          LEFT JOIN ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS t 
-            ON e.ENDPOINT_ID = t.ENDPOINT_ID AND t.IS_ACTIVE = TRUE
+          LEFT JOIN (
+            SELECT ENDPOINT_ID, COUNT(*) AS ACTIVE_KEYS
+            FROM ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+            WHERE IS_ACTIVE = TRUE
+            GROUP BY ENDPOINT_ID
+          ) t ON e.ENDPOINT_ID = t.ENDPOINT_ID
           ORDER BY e.CREATED_AT DESC
         `;
         const result = await this.executeQuery(sql);
@@ -295,10 +303,14 @@ class DatabaseService {
         SELECT e.ENDPOINT_ID, e.NAME, e.DESCRIPTION, e.TYPE, e.TARGET, e.METHOD, 
                e.PARAMETERS, e.RATE_LIMIT, e.IS_ACTIVE, e.CREATED_AT, e.UPDATED_AT, 
                e.CREATED_BY, e.METADATA,
-               CASE WHEN t.API_KEY_ID IS NOT NULL AND t.IS_ACTIVE = TRUE THEN TRUE ELSE FALSE END AS HAS_TOKEN
+               COALESCE(t.ACTIVE_KEYS, 0) > 0 AS HAS_TOKEN, COALESCE(t.ACTIVE_KEYS, 0) AS ACTIVE_KEY_COUNT
         FROM ${this.dbConfig.database}.${this.dbConfig.schema}.ENDPOINTS e
-          LEFT JOIN ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS t 
-          ON e.ENDPOINT_ID = t.ENDPOINT_ID AND t.IS_ACTIVE = TRUE
+          LEFT JOIN (
+            SELECT ENDPOINT_ID, COUNT(*) AS ACTIVE_KEYS
+            FROM ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+            WHERE IS_ACTIVE = TRUE
+            GROUP BY ENDPOINT_ID
+          ) t ON e.ENDPOINT_ID = t.ENDPOINT_ID
         ORDER BY e.CREATED_AT DESC
       `;
       const result = await this.executeQuery(sql);
@@ -320,10 +332,14 @@ class DatabaseService {
         SELECT e.ENDPOINT_ID, e.NAME, e.DESCRIPTION, e.TYPE, e.TARGET, e.METHOD, 
                e.PARAMETERS, e.RATE_LIMIT, e.IS_ACTIVE, e.CREATED_AT, e.UPDATED_AT, 
                e.CREATED_BY, e.METADATA, e.STATUS, e.PATH,
-               CASE WHEN t.API_KEY_ID IS NOT NULL AND t.IS_ACTIVE = TRUE THEN TRUE ELSE FALSE END AS HAS_TOKEN
+               COALESCE(t.ACTIVE_KEYS, 0) > 0 AS HAS_TOKEN, COALESCE(t.ACTIVE_KEYS, 0) AS ACTIVE_KEY_COUNT
         FROM ${this.dbConfig.database}.${this.dbConfig.schema}.ENDPOINTS e
-        LEFT JOIN ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS t 
-          ON e.ENDPOINT_ID = t.ENDPOINT_ID AND t.IS_ACTIVE = TRUE
+        LEFT JOIN (
+          SELECT ENDPOINT_ID, COUNT(*) AS ACTIVE_KEYS
+          FROM ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+          WHERE IS_ACTIVE = TRUE
+          GROUP BY ENDPOINT_ID
+        ) t ON e.ENDPOINT_ID = t.ENDPOINT_ID
         WHERE e.ENDPOINT_ID = ?
       `;
       const result = await this.executeQuery(sql, [endpointId]);
@@ -336,10 +352,14 @@ class DatabaseService {
           SELECT e.ENDPOINT_ID, e.NAME, e.DESCRIPTION, e.TYPE, e.TARGET, e.METHOD, 
                  e.PARAMETERS, e.RATE_LIMIT, e.IS_ACTIVE, e.CREATED_AT, e.UPDATED_AT, 
                  e.CREATED_BY, e.METADATA, e.STATUS, e.PATH,
-                 CASE WHEN t.API_KEY_ID IS NOT NULL AND t.IS_ACTIVE = TRUE THEN TRUE ELSE FALSE END AS HAS_TOKEN
+                 COALESCE(t.ACTIVE_KEYS, 0) > 0 AS HAS_TOKEN, COALESCE(t.ACTIVE_KEYS, 0) AS ACTIVE_KEY_COUNT
           FROM ${this.dbConfig.database}.${this.dbConfig.schema}.ENDPOINTS e
-          LEFT JOIN ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS t 
-            ON e.ENDPOINT_ID = t.ENDPOINT_ID AND t.IS_ACTIVE = TRUE
+          LEFT JOIN (
+            SELECT ENDPOINT_ID, COUNT(*) AS ACTIVE_KEYS
+            FROM ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+            WHERE IS_ACTIVE = TRUE
+            GROUP BY ENDPOINT_ID
+          ) t ON e.ENDPOINT_ID = t.ENDPOINT_ID
           WHERE e.ENDPOINT_ID = ?
         `;
         const result = await this.executeQuery(sql, [endpointId]);
@@ -351,10 +371,14 @@ class DatabaseService {
         SELECT e.ENDPOINT_ID, e.NAME, e.DESCRIPTION, e.TYPE, e.TARGET, e.METHOD, 
                e.PARAMETERS, e.RATE_LIMIT, e.IS_ACTIVE, e.CREATED_AT, e.UPDATED_AT, 
                e.CREATED_BY, e.METADATA,
-               CASE WHEN t.API_KEY_ID IS NOT NULL AND t.IS_ACTIVE = TRUE THEN TRUE ELSE FALSE END AS HAS_TOKEN
+               COALESCE(t.ACTIVE_KEYS, 0) > 0 AS HAS_TOKEN, COALESCE(t.ACTIVE_KEYS, 0) AS ACTIVE_KEY_COUNT
         FROM ${this.dbConfig.database}.${this.dbConfig.schema}.ENDPOINTS e
-          LEFT JOIN ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS t 
-          ON e.ENDPOINT_ID = t.ENDPOINT_ID AND t.IS_ACTIVE = TRUE
+          LEFT JOIN (
+            SELECT ENDPOINT_ID, COUNT(*) AS ACTIVE_KEYS
+            FROM ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+            WHERE IS_ACTIVE = TRUE
+            GROUP BY ENDPOINT_ID
+          ) t ON e.ENDPOINT_ID = t.ENDPOINT_ID
         WHERE e.ENDPOINT_ID = ?
       `;
       const result = await this.executeQuery(sql, [endpointId]);
@@ -372,10 +396,14 @@ class DatabaseService {
         SELECT e.ENDPOINT_ID, e.NAME, e.DESCRIPTION, e.TYPE, e.TARGET, e.METHOD, 
                e.PARAMETERS, e.RATE_LIMIT, e.IS_ACTIVE, e.CREATED_AT, e.UPDATED_AT, 
                e.CREATED_BY, e.METADATA, e.STATUS, e.PATH,
-               CASE WHEN t.API_KEY_ID IS NOT NULL AND t.IS_ACTIVE = TRUE THEN TRUE ELSE FALSE END AS HAS_TOKEN
+               COALESCE(t.ACTIVE_KEYS, 0) > 0 AS HAS_TOKEN, COALESCE(t.ACTIVE_KEYS, 0) AS ACTIVE_KEY_COUNT
         FROM ${this.dbConfig.database}.${this.dbConfig.schema}.ENDPOINTS e
-        LEFT JOIN ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS t 
-          ON e.ENDPOINT_ID = t.ENDPOINT_ID AND t.IS_ACTIVE = TRUE
+        LEFT JOIN (
+          SELECT ENDPOINT_ID, COUNT(*) AS ACTIVE_KEYS
+          FROM ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+          WHERE IS_ACTIVE = TRUE
+          GROUP BY ENDPOINT_ID
+        ) t ON e.ENDPOINT_ID = t.ENDPOINT_ID
         WHERE e.PATH = ? AND e.PATH IS NOT NULL
       `;
       const result = await this.executeQuery(sql, [path]);
@@ -681,7 +709,7 @@ class DatabaseService {
     // Derive status from STATUS column or IS_ACTIVE
     const status = row.STATUS || (row.IS_ACTIVE ? 'active' : 'suspended');
     
-    // hasToken is included in the row if we joined with API_KEYS
+    // hasToken and ACTIVE_KEY_COUNT are included in the row if we joined with API_KEYS
     const hasToken = row.HAS_TOKEN !== undefined ? row.HAS_TOKEN : false;
     
     // Get tags for this endpoint (gracefully handle if tags table doesn't exist yet)
@@ -706,6 +734,7 @@ class DatabaseService {
       status: status,
       isActive: row.IS_ACTIVE !== undefined ? row.IS_ACTIVE : (status === 'active'),
       hasToken: hasToken,
+      activeKeyCount: row.ACTIVE_KEY_COUNT || 0,
       tags: tags,
       createdAt: row.CREATED_AT?.toISOString() || new Date().toISOString(),
       updatedAt: row.UPDATED_AT?.toISOString() || new Date().toISOString(),
@@ -801,6 +830,19 @@ class DatabaseService {
     return result.rows.length > 0 ? this.mapTokenRow(result.rows[0]) : null;
   }
 
+  async getPATTokensByEndpointId(endpointId, includeRevoked = false) {
+    await this.getConnection(); // Ensure dbConfig is initialized
+    const sql = `
+      SELECT API_KEY_ID, API_KEY, ENDPOINT_ID, CREATED_AT, LAST_USED, 
+             USAGE_COUNT, IS_ACTIVE, CREATED_BY, METADATA
+      FROM ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+      WHERE ENDPOINT_ID = ?${includeRevoked ? '' : ' AND IS_ACTIVE = TRUE'}
+      ORDER BY CREATED_AT DESC
+    `;
+    const result = await this.executeQuery(sql, [endpointId]);
+    return result.rows.map(row => this.mapTokenRow(row));
+  }
+
   async updatePATTokenUsage(tokenId) {
     await this.getConnection(); // Ensure dbConfig is initialized
     const sql = `
@@ -814,6 +856,17 @@ class DatabaseService {
     return result;
   }
 
+  async updatePATTokenMetadata(tokenId, metadata = {}) {
+    await this.getConnection(); // Ensure dbConfig is initialized
+    const sql = `
+      UPDATE ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+      SET METADATA = PARSE_JSON(?)
+      WHERE API_KEY_ID = ?
+    `;
+    await this.executeQuery(sql, [JSON.stringify(metadata || {}), tokenId]);
+    return this.getPATTokenById(tokenId);
+  }
+
   async revokePATToken(tokenHash, revokedBy = 'system') {
     await this.getConnection(); // Ensure dbConfig is initialized
     
@@ -848,6 +901,43 @@ class DatabaseService {
     return true;
   }
 
+  async getExpiredPATTokens() {
+    await this.getConnection(); // Ensure dbConfig is initialized
+    const sql = `
+      SELECT API_KEY_ID, API_KEY, ENDPOINT_ID, CREATED_AT, LAST_USED, 
+             USAGE_COUNT, IS_ACTIVE, CREATED_BY, METADATA
+      FROM ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+      WHERE IS_ACTIVE = TRUE
+        AND TRY_TO_TIMESTAMP_LTZ(METADATA:expiresAt::STRING) <= CURRENT_TIMESTAMP()
+    `;
+    const result = await this.executeQuery(sql);
+    return result.rows.map(row => this.mapTokenRow(row));
+  }
+
+  async expirePATToken(tokenId) {
+    await this.getConnection(); // Ensure dbConfig is initialized
+    const token = await this.getPATTokenById(tokenId);
+    const sql = `
+      UPDATE ${this.dbConfig.database}.${this.dbConfig.schema}.API_KEYS
+      SET IS_ACTIVE = FALSE
+      WHERE API_KEY_ID = ?
+    `;
+    await this.executeQuery(sql, [tokenId]);
+
+    const endpoint = token ? await this.getEndpointById(token.endpointId).catch(() => null) : null;
+    await this.logActivity({
+      type: 'token_expired',
+      user: 'system',
+      entityName: endpoint?.name || token?.metadata?.endpointName || null,
+      entityType: 'api_key',
+      endpointId: token?.endpointId,
+      apiKeyId: tokenId
+    }).catch(err => {
+      logger.warn('Could not log token expiry activity:', err.message);
+    });
+    return true;
+  }
+
   async deletePATToken(tokenId, deletedBy = 'system') {
     await this.getConnection(); // Ensure dbConfig is initialized
     
@@ -918,16 +1008,24 @@ class DatabaseService {
   }
 
   mapTokenRow(row) {
+    const metadata = row.METADATA ? (typeof row.METADATA === 'string' ? JSON.parse(row.METADATA) : row.METADATA) : {};
     return {
       id: row.API_KEY_ID,
       token: row.API_KEY, // This will be the hash, not the actual token
       endpointId: row.ENDPOINT_ID,
+      // Labels live in METADATA so several consumers' keys on one endpoint can be told apart
+      name: metadata.name || null,
+      owner: metadata.owner || null,
+      description: metadata.description || null,
+      expiresAt: metadata.expiresAt || null,
+      scope: metadata.scope || null,
+      ipAccess: metadata.ipAccess || null,
       createdAt: row.CREATED_AT?.toISOString() || new Date().toISOString(),
       lastUsed: row.LAST_USED?.toISOString() || null,
       usageCount: row.USAGE_COUNT || 0,
       isActive: row.IS_ACTIVE,
       createdBy: row.CREATED_BY,
-      metadata: row.METADATA ? (typeof row.METADATA === 'string' ? JSON.parse(row.METADATA) : row.METADATA) : {}
+      metadata
     };
   }
 
@@ -1184,12 +1282,12 @@ class DatabaseService {
       activityData.apiKeyId || null,
       'ACTIVITY', // REQUEST_METHOD - special marker
       null, // REQUEST_URL
-      null, // REQUEST_IP
+      activityData.ip || null, // REQUEST_IP - client address for security events
       null, // USER_AGENT
       JSON.stringify(activityBody), // REQUEST_BODY contains activity data
       200, // RESPONSE_STATUS
       null, // RESPONSE_TIME_MS
-      null // ERROR_MESSAGE
+      activityData.message || null // ERROR_MESSAGE - reason for security events
     ]).catch(err => {
       logger.warn('Could not log activity:', err.message);
       // Don't throw - activity logging shouldn't break operations
@@ -1668,6 +1766,189 @@ class DatabaseService {
     return await this.getEndpointTags(endpointId);
   }
 
+  // =====================================================
+  // WEBHOOK OPERATIONS
+  // =====================================================
+
+  async getAllWebhooks() {
+    await this.getConnection();
+    const sql = `
+      SELECT WEBHOOK_ID, NAME, URL, SECRET, EVENTS, IS_ACTIVE, CREATED_AT, UPDATED_AT, CREATED_BY
+      FROM ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOKS
+      ORDER BY NAME
+    `;
+    const result = await this.executeQuery(sql);
+    return result.rows.map(row => this.mapWebhookRow(row));
+  }
+
+  async getWebhookById(webhookId) {
+    await this.getConnection();
+    const sql = `
+      SELECT WEBHOOK_ID, NAME, URL, SECRET, EVENTS, IS_ACTIVE, CREATED_AT, UPDATED_AT, CREATED_BY
+      FROM ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOKS
+      WHERE WEBHOOK_ID = ?
+    `;
+    const result = await this.executeQuery(sql, [webhookId]);
+    return result.rows.length > 0 ? this.mapWebhookRow(result.rows[0]) : null;
+  }
+
+  async createWebhook(webhookData) {
+    await this.getConnection();
+    const webhookId = uuidv4();
+    // VARIANT values cannot be bound in a VALUES clause, so insert through SELECT
+    const sql = `
+      INSERT INTO ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOKS
+        (WEBHOOK_ID, NAME, URL, SECRET, EVENTS, IS_ACTIVE, CREATED_BY)
+      SELECT ?, ?, ?, ?, PARSE_JSON(?), ?, ?
+    `;
+    await this.executeQuery(sql, [
+      webhookId,
+      webhookData.name,
+      webhookData.url,
+      webhookData.secret,
+      JSON.stringify(webhookData.events || []),
+      webhookData.isActive !== false,
+      webhookData.createdBy || 'system'
+    ]);
+    return await this.getWebhookById(webhookId);
+  }
+
+  async updateWebhook(webhookId, webhookData) {
+    await this.getConnection();
+    const sql = `
+      UPDATE ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOKS
+      SET NAME = ?,
+          URL = ?,
+          SECRET = ?,
+          EVENTS = PARSE_JSON(?),
+          IS_ACTIVE = ?,
+          UPDATED_AT = CURRENT_TIMESTAMP()
+      WHERE WEBHOOK_ID = ?
+    `;
+    await this.executeQuery(sql, [
+      webhookData.name,
+      webhookData.url,
+      webhookData.secret,
+      JSON.stringify(webhookData.events || []),
+      webhookData.isActive !== false,
+      webhookId
+    ]);
+    return await this.getWebhookById(webhookId);
+  }
+
+  async deleteWebhook(webhookId) {
+    await this.getConnection();
+    // The delivery log is meaningless without its subscription
+    await this.executeQuery(
+      `DELETE FROM ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOK_DELIVERIES WHERE WEBHOOK_ID = ?`,
+      [webhookId]
+    );
+    await this.executeQuery(
+      `DELETE FROM ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOKS WHERE WEBHOOK_ID = ?`,
+      [webhookId]
+    );
+    return true;
+  }
+
+  mapWebhookRow(row) {
+    return {
+      id: row.WEBHOOK_ID,
+      name: row.NAME,
+      url: row.URL,
+      secret: row.SECRET,
+      events: row.EVENTS ? (typeof row.EVENTS === 'string' ? JSON.parse(row.EVENTS) : row.EVENTS) : [],
+      isActive: row.IS_ACTIVE !== false,
+      createdAt: row.CREATED_AT?.toISOString(),
+      updatedAt: row.UPDATED_AT?.toISOString(),
+      createdBy: row.CREATED_BY
+    };
+  }
+
+  async createWebhookDelivery(deliveryData) {
+    await this.getConnection();
+    const deliveryId = uuidv4();
+    const sql = `
+      INSERT INTO ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOK_DELIVERIES
+        (DELIVERY_ID, WEBHOOK_ID, EVENT_ID, EVENT_TYPE, PAYLOAD, STATUS, ATTEMPTS, REPLAY_OF)
+      SELECT ?, ?, ?, ?, PARSE_JSON(?), 'pending', 0, ?
+    `;
+    await this.executeQuery(sql, [
+      deliveryId,
+      deliveryData.webhookId,
+      deliveryData.event.id,
+      deliveryData.event.type,
+      JSON.stringify(deliveryData.event),
+      deliveryData.replayOf || null
+    ]);
+    return await this.getWebhookDeliveryById(deliveryId);
+  }
+
+  async updateWebhookDelivery(deliveryId, deliveryData) {
+    await this.getConnection();
+    const sql = `
+      UPDATE ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOK_DELIVERIES
+      SET STATUS = ?,
+          ATTEMPTS = ?,
+          RESPONSE_STATUS = ?,
+          ERROR_MESSAGE = ?,
+          NEXT_ATTEMPT_AT = ?,
+          UPDATED_AT = CURRENT_TIMESTAMP()
+      WHERE DELIVERY_ID = ?
+    `;
+    await this.executeQuery(sql, [
+      deliveryData.status,
+      deliveryData.attempts,
+      deliveryData.responseStatus ?? null,
+      deliveryData.errorMessage ? deliveryData.errorMessage.substring(0, 1000) : null,
+      deliveryData.nextAttemptAt || null,
+      deliveryId
+    ]);
+  }
+
+  async getWebhookDeliveryById(deliveryId) {
+    await this.getConnection();
+    const sql = `
+      SELECT DELIVERY_ID, WEBHOOK_ID, EVENT_ID, EVENT_TYPE, PAYLOAD, STATUS, ATTEMPTS, RESPONSE_STATUS,
+             ERROR_MESSAGE, NEXT_ATTEMPT_AT, REPLAY_OF, CREATED_AT, UPDATED_AT
+      FROM ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOK_DELIVERIES
+      WHERE DELIVERY_ID = ?
+    `;
+    const result = await this.executeQuery(sql, [deliveryId]);
+    return result.rows.length > 0 ? this.mapWebhookDeliveryRow(result.rows[0]) : null;
+  }
+
+  async getWebhookDeliveries(webhookId = null, limit = 50) {
+    await this.getConnection();
+    const sql = `
+      SELECT DELIVERY_ID, WEBHOOK_ID, EVENT_ID, EVENT_TYPE, PAYLOAD, STATUS, ATTEMPTS, RESPONSE_STATUS,
+             ERROR_MESSAGE, NEXT_ATTEMPT_AT, REPLAY_OF, CREATED_AT, UPDATED_AT
+      FROM ${this.dbConfig.database}.${this.dbConfig.schema}.WEBHOOK_DELIVERIES
+      ${webhookId ? 'WHERE WEBHOOK_ID = ?' : ''}
+      ORDER BY CREATED_AT DESC
+      LIMIT ${parseInt(limit, 10) || 50}
+    `;
+    const result = await this.executeQuery(sql, webhookId ? [webhookId] : []);
+    return result.rows.map(row => this.mapWebhookDeliveryRow(row));
+  }
+
+  mapWebhookDeliveryRow(row) {
+    return {
+      id: row.DELIVERY_ID,
+      webhookId: row.WEBHOOK_ID,
+      eventId: row.EVENT_ID,
+      eventType: row.EVENT_TYPE,
+      payload: row.PAYLOAD ? (typeof row.PAYLOAD === 'string' ? JSON.parse(row.PAYLOAD) : row.PAYLOAD) : null,
+      status: row.STATUS,
+      attempts: row.ATTEMPTS || 0,
+      responseStatus: row.RESPONSE_STATUS ?? null,
+      errorMessage: row.ERROR_MESSAGE || null,
+      nextAttemptAt: row.NEXT_ATTEMPT_AT?.toISOString() || null,
+      replayOf: row.REPLAY_OF || null,
+      createdAt: row.CREATED_AT?.toISOString(),
+      updatedAt: row.UPDATED_AT?.toISOString()
+    };
+  }
+
 
   // Cleanup method to close connection when needed
   async closeConnection() {
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLBoolean,
+  GraphQLScalarType,
+  GraphQLError,
+  parse,
+  validate,
+  execute
+} = require('graphql');
+const databaseService = require('./databaseService');
+const snowflakeService = require('./snowflakeService');
+const logger = require('../utils/logger');
+const { convertCase, getShapeSettings, createRowShaper } = require('../utils/responseShapeUtils');
+
+const GRAPHQL_TYPES = ['query', 'table'];
+const ENDPOINT_REFRESH_MS = 30 * 1000;
+const MAX_CACHED_SCHEMAS = 100;
+const NAME_REGEX = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+const ARGUMENT_TYPES = {
+  string: GraphQLString,
+  integer: GraphQLInt,
+  number: GraphQLFloat,
+  boolean: GraphQLBoolean,
+  date: GraphQLString,
+  timestamp: GraphQLString
+};
+
+const JSON_SCHEMA_TYPES = {
+  string: GraphQLString,
+  integer: GraphQLFloat,
+  number: GraphQLFloat,
+  boolean: GraphQLBoolean
+};
+
+const GraphQLJSON = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value (VARIANT, OBJECT and ARRAY columns, or rows without a declared shape)',
+  serialize: value => value
+});
+
+// Placeholder for one table column while the row type is derived through response shaping
+class ColumnMarker {
+  constructor(column) {
+    this.column = column;
+  }
+}
+
+// GraphQL type for a Snowflake column; numbers are Float because NUMBER can exceed GraphQL's 32-bit Int
+function columnType(column, shapeSettings) {
+  const name = String(column.COLUMN_NAME).toUpperCase();
+  const dataType = String(column.DATA_TYPE || '').toUpperCase();
+  if (shapeSettings?.parseJson.has(name) || ['VARIANT', 'OBJECT', 'ARRAY'].includes(dataType)) {
+    return GraphQLJSON;
+  }
+  if (/^(NUMBER|DECIMAL|NUMERIC|INT|INTEGER|BIGINT|SMALLINT|TINYINT|BYTEINT|FLOAT|DOUBLE|REAL)/.test(dataType)) {
+    return GraphQLFloat;
+  }
+  if (dataType === 'BOOLEAN') {
+    return GraphQLBoolean;
+  }
+  return GraphQLString;
+}
+
+// Field name for a row key; keys that are not valid GraphQL names have invalid characters replaced
+function toFieldName(key) {
+  const name = String(key).replace(/[^_0-9A-Za-z]/g, '_');
+  return NAME_REGEX.test(name) && !name.startsWith('__') ? name : `f_${name.replace(/^_+/, '')}`;
+}
+
+// Root field name for an endpoint: its custom path or name in camelCase
+function toRootFieldName(endpoint) {
+  const name = convertCase(endpoint.path || endpoint.name, 'camel');
+  return NAME_REGEX.test(name) ? name : `endpoint${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+}
+
+function uniqueName(name, taken) {
+  let candidate = name;
+  for (let i = 2; Object.prototype.hasOwnProperty.call(taken, candidate); i += 1) {
+    candidate = `${name}${i}`;
+  }
+  return candidate;
+}
+
+const toTypeName = name => `${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+
+// Dates from TIMESTAMP/DATE columns would otherwise serialize as epoch numbers
+const toOutputValue = value => (value instanceof Date ? value.toISOString() : value);
+
+// Object type for a (possibly nested) sample row whose leaves are ColumnMarkers or GraphQL types
+function objectType(typeName, sample, describeLeaf) {
+  const fields = {};
+  Object.entries(sample).forEach(([key, value]) => {
+    const fieldName = uniqueName(toFieldName(key), fields);
+    const nested = value && typeof value === 'object' && !(value instanceof ColumnMarker) && !describeLeaf.isType(value);
+    fields[fieldName] = {
+      type: nested ? objectType(`${typeName}${toTypeName(fieldName)}`, value, describeLeaf) : describeLeaf(value),
+      resolve: row => toOutputValue(row?.[key])
+    };
+  });
+  return Object.keys(fields).length > 0 ? new GraphQLObjectType({ name: typeName, fields }) : GraphQLJSON;
+}
+
+// Row type for a table endpoint: its columns as they come out of response shaping
+function tableRowType(typeName, endpoint, columns) {
+  const shapeSettings = getShapeSettings(endpoint);
+  const sample = Object.fromEntries(columns.map(column => [column.COLUMN_NAME, new ColumnMarker(column)]));
+  const shaped = shapeSettings ? createRowShaper(shapeSettings)(sample) : sample;
+  const describeLeaf = marker => columnType(marker.column, shapeSettings);
+  describeLeaf.isType = () => false;
+  return objectType(typeName, shaped, describeLeaf);
+}
+
+// Row type for a query endpoint: the top-level properties of its response schema, or any JSON object
+function queryRowType(typeName, endpoint) {
+  const properties = endpoint.metadata?.validation?.responseSchema?.properties;
+  if (!properties || typeof properties !== 'object') {
+    return GraphQLJSON;
+  }
+  const sample = Object.fromEntries(Object.entries(properties).map(([key, schema]) => {
+    const type = Array.isArray(schema?.type) ? schema.type.find(t => t !== 'null') : schema?.type;
+    return [key, JSON_SCHEMA_TYPES[type] || GraphQLJSON];
+  }));
+  const describeLeaf = type => type;
+  describeLeaf.isType = value => value === GraphQLJSON || Object.values(JSON_SCHEMA_TYPES).includes(value);
+  return objectType(typeName, sample, describeLeaf);
+}
+
+// Arguments: declared parameters for queries, limit/offset for tables
+function endpointArguments(endpoint) {
+  if (endpoint.type === 'table') {
+    return {
+      limit: { type: GraphQLInt, description: 'Maximum rows to return (default 1000)' },
+      offset: { type: GraphQLInt, description: 'Rows to skip' }
+    };
+  }
+  const definitions = Array.isArray(endpoint.parameters) ? endpoint.parameters : [];
+  return Object.fromEntries(definitions.map((def) => {
+    const type = ARGUMENT_TYPES[def.type] || GraphQLString;
+    return [def.name, {
+      type: def.required && def.default === undefined ? new GraphQLNonNull(type) : type,
+      ...(def.default !== undefined ? { defaultValue: def.default } : {}),
+      ...(def.description ? { description: def.description } : {})
+    }];
+  }));
+}
+
+/**
+ * GraphQL gateway over published query and table endpoints
+ * Each endpoint becomes a root Query field returning its rows. Row types come from table columns
+ * (after response shaping) or a query endpoint's response schema; arguments come from declared
+ * parameters. Resolvers call context.load(endpoint, args), which the proxy route implements.
+ */
+class GraphQLService {
+  constructor() {
+    this.endpoints = null;
+    this.endpointsLoadedAt = 0;
+    this.schemas = new Map(); // signature -> GraphQLSchema
+  }
+
+  isEnabled() {
+    return process.env.GRAPHQL_ENABLED === 'true';
+  }
+
+  // Active query and table endpoints, re-read periodically
+  // Resolvers re-check each endpoint before running it, so a stale list never grants access
+  async getEndpoints() {
+    const now = Date.now();
+    if (!this.endpoints || now - this.endpointsLoadedAt >= ENDPOINT_REFRESH_MS) {
+      const endpoints = await databaseService.getAllEndpoints();
+      this.endpoints = endpoints.filter(endpoint => GRAPHQL_TYPES.includes(endpoint.type)
+        && (endpoint.status || (endpoint.isActive ? 'active' : 'suspended')) === 'active');
+      this.endpointsLoadedAt = now;
+    }
+    return this.endpoints;
+  }
+
+  /**
+   * Get the schema for a set of endpoints, building it when the endpoints or table columns changed
+   * Tables whose columns cannot be read are left out
+   * @param {Array} endpoints - Endpoints to expose
+   * @returns {Promise<GraphQLSchema|null>} Schema, or null when no endpoint can be exposed
+   */
+  async getSchema(endpoints) {
+    const columnsByEndpoint = new Map();
+    await Promise.all(endpoints.filter(endpoint => endpoint.type === 'table').map(async (endpoint) => {
+      try {
+        columnsByEndpoint.set(endpoint.id, await snowflakeService.getCachedTableSchema(endpoint.target));
+      } catch (error) {
+        logger.warn(`GraphQL: leaving out ${endpoint.name}, columns of ${endpoint.target} could not be read: ${error.message}`);
+      }
+    }));
+    const exposed = endpoints.filter(endpoint => endpoint.type !== 'table' || columnsByEndpoint.has(endpoint.id));
+    if (exposed.length === 0) {
+      return null;
+    }
+
+    const signature = crypto.createHash('sha256').update(JSON.stringify(exposed.map(endpoint => [
+      endpoint.id,
+      endpoint.updatedAt,
+      (columnsByEndpoint.get(endpoint.id) || []).map(column => `${column.COLUMN_NAME}:${column.DATA_TYPE}`)
+    ]))).digest('hex');
+
+    let schema = this.schemas.get(signature);
+    if (!schema) {
+      schema = this.buildSchema(exposed, columnsByEndpoint);
+      if (this.schemas.size >= MAX_CACHED_SCHEMAS) {
+        this.schemas.delete(this.schemas.keys().next().value);
+      }
+      this.schemas.set(signature, schema);
+    }
+    return schema;
+  }
+
+  /**
+   * Build a schema with one root field per endpoint
+   * @param {Array} endpoints - Query and table endpoints
+   * @param {Map} columnsByEndpoint - Endpoint id -> table columns (COLUMN_NAME, DATA_TYPE)
+   * @returns {GraphQLSchema}
+   */
+  buildSchema(endpoints, columnsByEndpoint) {
+    const fields = {};
+    endpoints.forEach((endpoint) => {
+      const fieldName = uniqueName(toRootFieldName(endpoint), fields);
+      const typeName = `${toTypeName(fieldName)}Row`;
+      const rowType = endpoint.type === 'table'
+        ? tableRowType(typeName, endpoint, columnsByEndpoint.get(endpoint.id))
+        : queryRowType(typeName, endpoint);
+      fields[fieldName] = {
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(rowType))),
+        description: endpoint.description || endpoint.name,
+        args: endpointArguments(endpoint),
+        resolve: (source, args, context) => context.load(endpoint, args)
+      };
+    });
+    return new GraphQLSchema({ query: new GraphQLObjectType({ name: 'Query', fields }) });
+  }
+
+  /**
+   * Parse, validate and run a GraphQL request
+   * Field errors keep the code, details and queryId of the underlying proxy error in extensions
+   * @param {GraphQLSchema} schema - Schema from getSchema
+   * @param {Object} request - { query, variables, operationName }
+   * @param {Object} context - Resolver context providing load(endpoint, args)
+   * @returns {Promise<{ status: number, body: Object }>} 400 for documents that do not parse or validate
+   */
+  async execute(schema, { query, variables, operationName }, context) {
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return { status: 400, body: { errors: [this.formatError(error, 'GRAPHQL_PARSE_FAILED')] } };
+    }
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return { status: 400, body: { errors: validationErrors.map(error => this.formatError(error, 'GRAPHQL_VALIDATION_FAILED')) } };
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables || undefined,
+      operationName: operationName || undefined,
+      contextValue: context
+    });
+    return {
+      status: 200,
+      body: {
+        ...(result.errors ? { errors: result.errors.map(error => this.formatError(error)) } : {}),
+        data: result.data === undefined ? null : result.data
+      }
+    };
+  }
+
+  formatError(error, code) {
+    const original = error instanceof GraphQLError ? error.originalError : error;
+    const formatted = error instanceof GraphQLError ? error.toJSON() : { message: error.message };
+    return {
+      ...formatted,
+      extensions: {
+        ...formatted.extensions,
+        code: code || original?.code || (original ? 'EXECUTION_FAILED' : 'BAD_USER_INPUT'),
+        ...(original?.details ? { details: original.details } : {}),
+        ...(original?.queryId ? { queryId: original.queryId } : {})
+      }
+    };
+  }
+
+  reset() {
+    this.endpoints = null;
+    this.endpointsLoadedAt = 0;
+    this.schemas.clear();
+  }
+}
+
+module.exports = new GraphQLService();
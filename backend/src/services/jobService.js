@@ -0,0 +1,223 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { getStreamSettings } = require('../utils/streamUtils');
+
+const DEFAULT_RETENTION_SECONDS = parseInt(process.env.JOB_RETENTION_SECONDS, 10) || 3600;
+// Per API key: jobs queued or running (each holds a pooled connection), and jobs kept in memory including finished ones
+const MAX_ACTIVE_JOBS_PER_KEY = parseInt(process.env.JOB_MAX_ACTIVE_PER_KEY, 10) || 3;
+const MAX_RETAINED_JOBS_PER_KEY = parseInt(process.env.JOB_MAX_RETAINED_PER_KEY, 10) || 20;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * In-process registry of asynchronous proxy jobs
+ * A job runs an endpoint in the background and keeps its result in memory until the
+ * retention period after completion has passed. Jobs belong to the API key that created them,
+ * and each key may only hold a limited number of them.
+ */
+class JobService {
+  constructor() {
+    this.jobs = new Map(); // id -> job
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    if (this.cleanupTimer.unref) {
+      this.cleanupTimer.unref();
+    }
+  }
+
+  /**
+   * Get normalized async settings for an endpoint
+   * Streaming endpoints never run as jobs: a job buffers its whole result, which streaming exists to avoid
+   * @param {Object} endpoint - Endpoint object
+   * @returns {Object|null} { retentionSeconds } or null when async mode is not enabled
+   */
+  getSettings(endpoint) {
+    const settings = endpoint?.metadata?.async;
+    if (!settings || !settings.enabled || getStreamSettings(endpoint)) {
+      return null;
+    }
+    const retentionSeconds = parseInt(settings.retentionSeconds, 10);
+    return {
+      retentionSeconds: Number.isNaN(retentionSeconds) || retentionSeconds < 1 ? DEFAULT_RETENTION_SECONDS : retentionSeconds
+    };
+  }
+
+  /**
+   * Explain why an API key may not start another job
+   * @param {Object} tokenData - API key that wants to submit a job
+   * @returns {string|null} Reason, or null when the key is below its limits
+   */
+  getLimitDenial(tokenData) {
+    const tokenId = tokenData?.id || null;
+    const now = Date.now();
+    let active = 0;
+    let retained = 0;
+    for (const job of this.jobs.values()) {
+      if (job.tokenId !== tokenId || this.isExpired(job, now)) {
+        continue;
+      }
+      retained += 1;
+      if (!this.isFinished(job)) {
+        active += 1;
+      }
+    }
+    if (active >= MAX_ACTIVE_JOBS_PER_KEY) {
+      return `This API key already has ${active} jobs queued or running; wait for one to finish or cancel it`;
+    }
+    if (retained >= MAX_RETAINED_JOBS_PER_KEY) {
+      return `This API key already holds ${retained} jobs; delete finished jobs to free their results`;
+    }
+    return null;
+  }
+
+  /**
+   * Register a new queued job
+   * @param {Object} endpoint - Endpoint the job runs
+   * @param {Object} tokenData - API key that submitted the job
+   * @param {Object} settings - Output of getSettings
+   * @returns {Object} Job
+   */
+  create(endpoint, tokenData, settings) {
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      endpointId: endpoint.id,
+      endpointName: endpoint.name,
+      tokenId: tokenData?.id || null,
+      retentionSeconds: settings.retentionSeconds,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      expiresAt: null,
+      queryId: null,
+      error: null,
+      result: null,
+      controller: new AbortController()
+    };
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  /**
+   * Run work for a job in the background and record its outcome
+   * work receives (signal, markRunning) and resolves to { rows, rowCount, statement?, pagination? }
+   * @returns {Promise<void>} Settles when the job finishes; never rejects
+   */
+  async run(job, work) {
+    const markRunning = () => {
+      if (job.status === 'queued') {
+        job.status = 'running';
+        job.startedAt = Date.now();
+      }
+    };
+
+    try {
+      const result = await work(job.controller.signal, markRunning);
+      if (job.status === 'cancelled') {
+        return;
+      }
+      job.result = {
+        rows: result.rows,
+        rowCount: result.rowCount,
+        ...(result.pagination ? { pagination: result.pagination } : {})
+      };
+      job.queryId = result.statement?.getQueryId?.() || null;
+      this.finish(job, 'succeeded');
+    } catch (error) {
+      if (job.status === 'cancelled') {
+        return;
+      }
+      logger.error(`Async job ${job.id} for endpoint ${job.endpointName} failed:`, error);
+      job.queryId = error.queryId || null;
+      job.error = { code: error.code || null, message: error.message };
+      this.finish(job, 'failed');
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.completedAt = Date.now();
+    job.expiresAt = job.completedAt + job.retentionSeconds * 1000;
+  }
+
+  /**
+   * Get a job owned by an API key
+   * Jobs of other keys are reported as missing so their IDs cannot be probed
+   * @returns {Object|null} Job
+   */
+  get(id, tokenData) {
+    const job = this.jobs.get(id);
+    if (!job || job.tokenId !== (tokenData?.id || null) || this.isExpired(job)) {
+      return null;
+    }
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job, or discard the result of a finished one
+   * @returns {Object} The job in its final state
+   */
+  cancel(job) {
+    if (FINISHED_STATES.includes(job.status)) {
+      this.jobs.delete(job.id);
+      return job;
+    }
+    job.controller.abort();
+    this.finish(job, 'cancelled');
+    logger.info(`Async job ${job.id} for endpoint ${job.endpointName} cancelled`);
+    return job;
+  }
+
+  /**
+   * Slice a page of a finished job's rows
+   * @returns {{ rows: Array, totalRows: number, hasMore: boolean }}
+   */
+  getResultPage(job, limit, offset) {
+    const rows = job.result.rows.slice(offset, offset + limit);
+    return {
+      rows,
+      totalRows: job.result.rowCount,
+      hasMore: offset + rows.length < job.result.rowCount
+    };
+  }
+
+  isExpired(job, now = Date.now()) {
+    return job.expiresAt !== null && job.expiresAt <= now;
+  }
+
+  isFinished(job) {
+    return FINISHED_STATES.includes(job.status);
+  }
+
+  // Public view of a job for API responses
+  describe(job) {
+    const toIso = value => (value ? new Date(value).toISOString() : null);
+    return {
+      id: job.id,
+      status: job.status,
+      endpoint: job.endpointName,
+      createdAt: toIso(job.createdAt),
+      startedAt: toIso(job.startedAt),
+      completedAt: toIso(job.completedAt),
+      expiresAt: toIso(job.expiresAt),
+      queryId: job.queryId,
+      rowCount: job.result ? job.result.rowCount : null,
+      error: job.error
+    };
+  }
+
+  // Drop finished jobs whose retention period has passed
+  cleanup(now = Date.now()) {
+    for (const [id, job] of this.jobs) {
+      if (this.isExpired(job, now)) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  reset() {
+    this.jobs.clear();
+  }
+}
+
+module.exports = new JobService();
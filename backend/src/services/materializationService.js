@@ -0,0 +1,269 @@
+const databaseService = require('./databaseService');
+const snowflakeService = require('./snowflakeService');
+const queryTimeoutService = require('./queryTimeoutService');
+const logger = require('../utils/logger');
+const { bindNamedParameters } = require('../utils/parameterUtils');
+const {
+  getNextRun,
+  resolveParameterSet,
+  getMaterializationSettings,
+  buildSnapshotKey
+} = require('../utils/materializationUtils');
+
+// setTimeout cannot wait longer than this; longer waits are re-armed when the timer fires
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * In-process scheduler and snapshot store for materialized endpoints
+ * Each scheduled run executes the endpoint once per parameter set and replaces its snapshots only when
+ * every set succeeded, so a failed refresh keeps serving the previous data. Snapshots are tied to the
+ * endpoint definition they were taken from (its updatedAt) and are dropped when it changes.
+ */
+class MaterializationService {
+  constructor() {
+    this.snapshots = new Map(); // endpointId -> { version, entries: Map(key -> snapshot) }
+    this.states = new Map(); // endpointId -> refresh state
+    this.timers = new Map(); // endpointId -> timer
+    this.running = new Map(); // endpointId -> Promise of the refresh in progress
+  }
+
+  /**
+   * Schedule every materialized endpoint and take their first snapshots
+   * An endpoint that cannot be scheduled (e.g. a stored schedule that no longer parses) is marked failed
+   * without holding up the others.
+   * @returns {Promise<number>} Number of scheduled endpoints
+   */
+  async start() {
+    const endpoints = await databaseService.getAllEndpoints();
+    let scheduled = 0;
+    endpoints.forEach(endpoint => {
+      try {
+        if (this.schedule(endpoint)) {
+          scheduled += 1;
+        }
+      } catch (error) {
+        this.clearTimer(endpoint.id);
+        this.setState(endpoint.id, { status: 'failed', nextRunAt: null, error: error.message });
+        logger.error(`Could not schedule materialization of endpoint ${endpoint.name}:`, error);
+      }
+    });
+    if (scheduled > 0) {
+      logger.info(`Materialization scheduled for ${scheduled} endpoint(s)`);
+    }
+    return scheduled;
+  }
+
+  /**
+   * (Re)schedule an endpoint after it was created, changed or re-enabled
+   * A new definition, or one without a snapshot yet, is refreshed right away.
+   * @param {Object} endpoint - Endpoint object
+   * @returns {boolean} Whether the endpoint is scheduled
+   */
+  schedule(endpoint) {
+    const settings = getMaterializationSettings(endpoint);
+    const status = endpoint?.status || (endpoint?.isActive ? 'active' : 'suspended');
+    if (!settings || status !== 'active') {
+      if (endpoint) {
+        this.unschedule(endpoint.id);
+      }
+      return false;
+    }
+
+    this.clearTimer(endpoint.id);
+    const nextRunAt = getNextRun(settings.schedule);
+    this.armTimer(endpoint.id, nextRunAt);
+    this.setState(endpoint.id, { schedule: settings.schedule, nextRunAt: nextRunAt.toISOString() });
+
+    if (this.snapshots.get(endpoint.id)?.version !== endpoint.updatedAt) {
+      this.snapshots.delete(endpoint.id);
+      this.refresh(endpoint, 'definition').catch(() => null);
+    }
+    return true;
+  }
+
+  /**
+   * Stop refreshing an endpoint and drop its snapshots
+   * @param {string} endpointId
+   */
+  unschedule(endpointId) {
+    this.clearTimer(endpointId);
+    this.snapshots.delete(endpointId);
+    this.states.delete(endpointId);
+  }
+
+  armTimer(endpointId, nextRunAt) {
+    const timer = setTimeout(() => this.onTimer(endpointId, nextRunAt), Math.min(Math.max(nextRunAt - Date.now(), 0), MAX_TIMER_MS));
+    if (timer.unref) {
+      timer.unref();
+    }
+    this.timers.set(endpointId, timer);
+  }
+
+  clearTimer(endpointId) {
+    clearTimeout(this.timers.get(endpointId));
+    this.timers.delete(endpointId);
+  }
+
+  async onTimer(endpointId, nextRunAt) {
+    this.timers.delete(endpointId);
+    if (Date.now() < nextRunAt.getTime()) {
+      this.armTimer(endpointId, nextRunAt);
+      return;
+    }
+    try {
+      // Re-read the definition so changes made elsewhere are picked up before running it
+      const endpoint = await databaseService.getEndpointById(endpointId);
+      if (this.schedule(endpoint) && this.snapshots.has(endpointId)) {
+        await this.refresh(endpoint, 'schedule');
+      }
+    } catch (error) {
+      logger.error(`Scheduled materialization of endpoint ${endpointId} failed:`, error);
+    }
+  }
+
+  setState(endpointId, changes) {
+    const state = this.states.get(endpointId) || {
+      status: 'idle',
+      trigger: null,
+      lastRunAt: null,
+      lastSuccessAt: null,
+      asOf: null,
+      durationMs: null,
+      error: null
+    };
+    this.states.set(endpointId, { ...state, ...changes });
+  }
+
+  /**
+   * Execute the endpoint for every parameter set and store the results
+   * Concurrent requests for the same endpoint share one run.
+   * @param {Object} endpoint - Endpoint object
+   * @param {string} trigger - 'schedule', 'manual' or 'definition'
+   * @returns {Promise<void>} Rejects when the run failed
+   */
+  refresh(endpoint, trigger = 'manual') {
+    if (this.running.has(endpoint.id)) {
+      return this.running.get(endpoint.id);
+    }
+    const startedAt = Date.now();
+    this.setState(endpoint.id, { status: 'running', trigger, lastRunAt: new Date(startedAt).toISOString() });
+
+    const run = this.run(endpoint)
+      .then(entries => {
+        this.snapshots.set(endpoint.id, { version: endpoint.updatedAt, entries });
+        this.setState(endpoint.id, {
+          status: 'succeeded',
+          lastSuccessAt: new Date().toISOString(),
+          // Sets run one after another, so the first snapshot is the oldest
+          asOf: entries.values().next().value.asOf,
+          durationMs: Date.now() - startedAt,
+          error: null
+        });
+        logger.info(`Materialized endpoint ${endpoint.name}: ${entries.size} snapshot(s) in ${Date.now() - startedAt} ms`);
+      }, error => {
+        this.setState(endpoint.id, { status: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+        logger.error(`Materialization of endpoint ${endpoint.name} failed${error.queryId ? ` (query ${error.queryId})` : ''}:`, error);
+        throw error;
+      })
+      .finally(() => {
+        this.running.delete(endpoint.id);
+      });
+    this.running.set(endpoint.id, run);
+    return run;
+  }
+
+  async run(endpoint) {
+    const settings = getMaterializationSettings(endpoint);
+    const definitions = Array.isArray(endpoint.parameters) ? endpoint.parameters : [];
+    const execution = { timeoutSeconds: await queryTimeoutService.getTimeout(endpoint) };
+    const entries = new Map();
+
+    const connection = await snowflakeService.acquireConnection();
+    let discardConnection = false;
+    try {
+      for (const parameterSet of settings.parameterSets) {
+        const { values, errors } = resolveParameterSet(definitions, parameterSet);
+        if (errors.length > 0) {
+          throw new Error(`Invalid parameter set: ${errors.map(error => error.message).join(', ')}`);
+        }
+        const { sqlText, binds } = definitions.length > 0
+          ? bindNamedParameters(endpoint.target, values, definitions)
+          : { sqlText: endpoint.target, binds: [] };
+
+        const asOf = new Date().toISOString();
+        const result = await snowflakeService.executeQuery(connection, sqlText, binds, execution);
+        entries.set(buildSnapshotKey(definitions, values), {
+          parameters: values,
+          rows: result.rows,
+          rowCount: result.rowCount,
+          asOf,
+          queryId: result.statement?.getQueryId?.() || null
+        });
+      }
+    } catch (error) {
+      discardConnection = snowflakeService.isConnectionError(error);
+      throw error;
+    } finally {
+      snowflakeService.releaseConnection(connection, { destroy: discardConnection });
+    }
+    return entries;
+  }
+
+  /**
+   * Find the snapshot for a request
+   * @param {Object} endpoint - Endpoint object
+   * @param {Object|null} parameterValues - Resolved request parameters
+   * @returns {Object|null} { parameters, rows, rowCount, asOf, queryId } or null when there is none
+   */
+  getSnapshot(endpoint, parameterValues) {
+    if (!getMaterializationSettings(endpoint)) {
+      return null;
+    }
+    const stored = this.snapshots.get(endpoint.id);
+    if (!stored || stored.version !== endpoint.updatedAt) {
+      return null;
+    }
+    return stored.entries.get(buildSnapshotKey(endpoint.parameters, parameterValues)) || null;
+  }
+
+  /**
+   * Describe an endpoint's schedule, last refresh and stored snapshots
+   * @param {Object} endpoint - Endpoint object
+   * @returns {Object}
+   */
+  getStatus(endpoint) {
+    const settings = getMaterializationSettings(endpoint);
+    const state = this.states.get(endpoint.id);
+    const stored = this.snapshots.get(endpoint.id);
+    return {
+      enabled: !!settings,
+      schedule: settings?.schedule || null,
+      status: state?.status || 'idle',
+      trigger: state?.trigger || null,
+      lastRunAt: state?.lastRunAt || null,
+      lastSuccessAt: state?.lastSuccessAt || null,
+      asOf: state?.asOf || null,
+      durationMs: state?.durationMs ?? null,
+      error: state?.error || null,
+      nextRunAt: state?.nextRunAt || null,
+      snapshots: stored && stored.version === endpoint.updatedAt
+        ? [...stored.entries.values()].map(({ parameters, rowCount, asOf }) => ({ parameters, rowCount, asOf }))
+        : []
+    };
+  }
+
+  /**
+   * Cancel timers and drop all snapshots (for tests)
+   */
+  reset() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.snapshots.clear();
+    this.states.clear();
+    this.running.clear();
+  }
+}
+
+module.exports = new MaterializationService();
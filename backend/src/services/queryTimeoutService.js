@@ -0,0 +1,56 @@
+const databaseService = require('./databaseService');
+const logger = require('../utils/logger');
+
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const MAX_TIMEOUT_SECONDS = 86400;
+const SETTINGS_REFRESH_MS = 30 * 1000;
+
+/**
+ * Resolves the statement timeout for proxy requests
+ * An endpoint's metadata.timeout.seconds wins; otherwise the statement_timeout_default
+ * system setting applies. The setting is re-read periodically so changes apply without a restart.
+ */
+class QueryTimeoutService {
+  constructor() {
+    this.defaultTimeout = null;
+    this.defaultTimeoutLoadedAt = 0;
+  }
+
+  // Default statement timeout from SYSTEM_SETTINGS.statement_timeout_default, refreshed periodically
+  async getDefaultTimeout() {
+    const now = Date.now();
+    if (this.defaultTimeout !== null && now - this.defaultTimeoutLoadedAt < SETTINGS_REFRESH_MS) {
+      return this.defaultTimeout;
+    }
+    try {
+      const settings = await databaseService.getSystemSettings();
+      const value = parseInt(settings.statement_timeout_default, 10);
+      this.defaultTimeout = Number.isNaN(value) || value < 1 ? DEFAULT_TIMEOUT_SECONDS : Math.min(value, MAX_TIMEOUT_SECONDS);
+    } catch (error) {
+      logger.warn(`Could not load statement_timeout_default setting: ${error.message}`);
+      this.defaultTimeout = this.defaultTimeout || DEFAULT_TIMEOUT_SECONDS;
+    }
+    this.defaultTimeoutLoadedAt = now;
+    return this.defaultTimeout;
+  }
+
+  // Force the default timeout to be re-read on the next request (called when settings change)
+  invalidateSettings() {
+    this.defaultTimeoutLoadedAt = 0;
+  }
+
+  /**
+   * Get the statement timeout for an endpoint
+   * @param {Object} endpoint - Endpoint object
+   * @returns {Promise<number>} Timeout in seconds
+   */
+  async getTimeout(endpoint) {
+    const seconds = endpoint?.metadata?.timeout?.seconds;
+    if (Number.isInteger(seconds) && seconds > 0) {
+      return Math.min(seconds, MAX_TIMEOUT_SECONDS);
+    }
+    return this.getDefaultTimeout();
+  }
+}
+
+module.exports = new QueryTimeoutService();
@@ -0,0 +1,161 @@
+const databaseService = require('./databaseService');
+const logger = require('../utils/logger');
+
+const WINDOW_MS = 60 * 1000; // Limits are expressed in requests per minute
+const SETTINGS_REFRESH_MS = 30 * 1000;
+
+/**
+ * Sliding-window rate limiter for proxy requests
+ * Uses a weighted two-window counter per key, which approximates a true sliding window
+ * without storing every request timestamp. Limits are read per request, so changes to
+ * Endpoint.rateLimit, API key metadata or the rate_limit_default setting apply without a restart.
+ */
+class RateLimitService {
+  constructor() {
+    this.windows = new Map(); // key -> { windowStart, current, previous }
+    this.defaultLimit = null;
+    this.defaultLimitLoadedAt = 0;
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), WINDOW_MS);
+    if (this.cleanupTimer.unref) {
+      this.cleanupTimer.unref();
+    }
+  }
+
+  /**
+   * Evaluates a key against its limit without recording a request
+   * @param {string} key - Limiter key (e.g. "endpoint:<id>")
+   * @param {number} limit - Allowed requests per window
+   * @param {number} now - Current time in ms (injectable for tests)
+   * @returns {{ allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfterSeconds: number }}
+   */
+  evaluate(key, limit, now = Date.now()) {
+    const state = this.roll(key, now);
+    const elapsedFraction = (now - state.windowStart) / WINDOW_MS;
+    const weighted = state.previous * (1 - elapsedFraction) + state.current;
+    const resetSeconds = Math.ceil((state.windowStart + WINDOW_MS - now) / 1000);
+
+    if (weighted + 1 > limit) {
+      // Time until enough of the previous window has slid out to admit one more request
+      let retryAfterMs = state.windowStart + WINDOW_MS - now;
+      if (state.previous > 0 && state.current < limit) {
+        const neededFraction = 1 - (limit - 1 - state.current) / state.previous;
+        retryAfterMs = Math.max(0, neededFraction * WINDOW_MS - (now - state.windowStart));
+      }
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        resetSeconds,
+        retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000))
+      };
+    }
+
+    return {
+      allowed: true,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - weighted - 1)),
+      resetSeconds,
+      retryAfterSeconds: 0
+    };
+  }
+
+  // Evaluates a key and records the request when it is allowed
+  consume(key, limit, now = Date.now()) {
+    const decision = this.evaluate(key, limit, now);
+    if (decision.allowed) {
+      this.windows.get(key).current += 1;
+    }
+    return decision;
+  }
+
+  // Returns the window state for a key, rolling it forward to the window containing now
+  roll(key, now) {
+    const windowStart = now - (now % WINDOW_MS);
+    let state = this.windows.get(key);
+
+    if (!state) {
+      state = { windowStart, current: 0, previous: 0 };
+      this.windows.set(key, state);
+    } else if (state.windowStart !== windowStart) {
+      // Anything older than the previous window no longer counts
+      state.previous = windowStart - state.windowStart === WINDOW_MS ? state.current : 0;
+      state.current = 0;
+      state.windowStart = windowStart;
+    }
+    return state;
+  }
+
+  // Default per-API-key limit from SYSTEM_SETTINGS.rate_limit_default, refreshed periodically
+  async getDefaultLimit() {
+    const now = Date.now();
+    if (this.defaultLimit !== null && now - this.defaultLimitLoadedAt < SETTINGS_REFRESH_MS) {
+      return this.defaultLimit;
+    }
+    try {
+      const settings = await databaseService.getSystemSettings();
+      const value = parseInt(settings.rate_limit_default, 10);
+      this.defaultLimit = Number.isNaN(value) || value < 1 ? 100 : value;
+    } catch (error) {
+      logger.warn(`Could not load rate_limit_default setting: ${error.message}`);
+      this.defaultLimit = this.defaultLimit || 100;
+    }
+    this.defaultLimitLoadedAt = now;
+    return this.defaultLimit;
+  }
+
+  // Force the default limit to be re-read on the next request (called when settings change)
+  invalidateSettings() {
+    this.defaultLimitLoadedAt = 0;
+  }
+
+  /**
+   * Checks the endpoint limit and the API key limit for a proxy request
+   * A request is only counted when both limits allow it, so a rejection by one does not consume the other
+   * @returns {Promise<{ allowed: boolean, scope: string, decision: Object }>} The most restrictive decision
+   */
+  async check(endpoint, tokenData, now = Date.now()) {
+    const checks = [{
+      scope: 'endpoint',
+      key: `endpoint:${endpoint.id}`,
+      limit: parseInt(endpoint.rateLimit, 10) || await this.getDefaultLimit()
+    }];
+
+    if (tokenData?.id) {
+      checks.push({
+        scope: 'api_key',
+        key: `api_key:${tokenData.id}`,
+        limit: parseInt(tokenData.metadata?.rateLimit, 10) || await this.getDefaultLimit()
+      });
+    }
+
+    const results = checks.map(c => ({ ...c, decision: this.evaluate(c.key, c.limit, now) }));
+    const blocked = results.find(r => !r.decision.allowed);
+    if (blocked) {
+      return { allowed: false, scope: blocked.scope, decision: blocked.decision };
+    }
+
+    results.forEach(r => {
+      this.windows.get(r.key).current += 1;
+    });
+    const tightest = results.reduce((a, b) => (b.decision.remaining < a.decision.remaining ? b : a));
+    return { allowed: true, scope: tightest.scope, decision: tightest.decision };
+  }
+
+  // Drop windows that have not been touched for two windows
+  cleanup(now = Date.now()) {
+    for (const [key, state] of this.windows.entries()) {
+      if (now - state.windowStart >= 2 * WINDOW_MS) {
+        this.windows.delete(key);
+      }
+    }
+  }
+
+  reset() {
+    this.windows.clear();
+    this.defaultLimit = null;
+    this.defaultLimitLoadedAt = 0;
+  }
+}
+
+module.exports = new RateLimitService();
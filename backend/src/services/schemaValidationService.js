@@ -0,0 +1,112 @@
+const logger = require('../utils/logger');
+const { validateValue } = require('../utils/jsonSchemaUtils');
+
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Applies an endpoint's JSON Schemas (metadata.validation) to proxy traffic
+ * The request schema is enforced on the body before execution. The response schema applies to
+ * each returned row; violations are logged and counted, and fail the request only when the
+ * endpoint sets failOnResponseViolation.
+ */
+class SchemaValidationService {
+  constructor() {
+    this.violations = new Map(); // endpoint id -> { endpoint, count, lastViolationAt, lastMessage }
+  }
+
+  /**
+   * Get normalized validation settings for an endpoint
+   * @param {Object} endpoint - Endpoint object
+   * @returns {Object|null} { requestSchema, responseSchema, failOnResponseViolation } or null when no schema is set
+   */
+  getSettings(endpoint) {
+    const validation = endpoint?.metadata?.validation;
+    if (!validation) {
+      return null;
+    }
+    const asSchema = schema => (schema && typeof schema === 'object' && !Array.isArray(schema) ? schema : null);
+    const settings = {
+      requestSchema: asSchema(validation.requestSchema),
+      responseSchema: asSchema(validation.responseSchema),
+      failOnResponseViolation: validation.failOnResponseViolation === true
+    };
+    return settings.requestSchema || settings.responseSchema ? settings : null;
+  }
+
+  /**
+   * Validate a request body against the endpoint's request schema
+   * @param {Object} endpoint - Endpoint object
+   * @param {*} body - Parsed request body
+   * @returns {Array} Field errors (empty when valid or when no request schema is set)
+   */
+  validateRequest(endpoint, body) {
+    const settings = this.getSettings(endpoint);
+    if (!settings || !settings.requestSchema) {
+      return [];
+    }
+    return validateValue(settings.requestSchema, body === undefined ? {} : body, 'body');
+  }
+
+  /**
+   * Check result rows against the endpoint's response schema
+   * Violations are always logged and counted; the caller decides whether to fail from the result
+   * @param {Object} endpoint - Endpoint object
+   * @param {Array} rows - Result rows
+   * @returns {{ errors: Array, fail: boolean, message?: string }} Up to 10 field errors such as [3].AMOUNT
+   */
+  checkResponse(endpoint, rows) {
+    const settings = this.getSettings(endpoint);
+    if (!settings || !settings.responseSchema || !Array.isArray(rows)) {
+      return { errors: [], fail: false };
+    }
+
+    const errors = [];
+    let invalidRows = 0;
+    rows.forEach((row, i) => {
+      const rowErrors = validateValue(settings.responseSchema, row, 'response');
+      if (rowErrors.length === 0) {
+        return;
+      }
+      invalidRows += 1;
+      rowErrors.forEach((error) => {
+        if (errors.length < MAX_REPORTED_ERRORS) {
+          const field = error.field === 'response' ? `[${i}]` : `[${i}].${error.field}`;
+          errors.push({ ...error, field });
+        }
+      });
+    });
+
+    if (invalidRows === 0) {
+      return { errors: [], fail: false };
+    }
+
+    const message = `${invalidRows} of ${rows.length} rows do not match the response schema (first: ${errors[0].field} ${errors[0].message})`;
+    this.recordViolation(endpoint, message);
+    logger.warn(`Endpoint ${endpoint.name}: ${message}`);
+    return { errors, fail: settings.failOnResponseViolation, message };
+  }
+
+  recordViolation(endpoint, message) {
+    const entry = this.violations.get(endpoint.id) || { endpoint: endpoint.name, count: 0 };
+    entry.endpoint = endpoint.name;
+    entry.count += 1;
+    entry.lastViolationAt = new Date().toISOString();
+    entry.lastMessage = message;
+    this.violations.set(endpoint.id, entry);
+  }
+
+  // Response schema violation counts per endpoint since the process started
+  getStats() {
+    const endpoints = [...this.violations.entries()].map(([endpointId, entry]) => ({ endpointId, ...entry }));
+    return {
+      totalViolations: endpoints.reduce((sum, entry) => sum + entry.count, 0),
+      endpoints
+    };
+  }
+
+  reset() {
+    this.violations.clear();
+  }
+}
+
+module.exports = new SchemaValidationService();
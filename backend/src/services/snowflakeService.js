@@ -1,11 +1,16 @@
 const snowflake = require('snowflake-sdk');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const ConnectionPool = require('./connectionPool');
+
+const SCHEMA_CACHE_TTL_MS = parseInt(process.env.SCHEMA_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
 
 class SnowflakeService {
   constructor() {
     this.connections = new Map();
     this.defaultConnection = null;
+    this.pool = null;
+    this.schemaCache = new Map(); // table name -> { columns, expiresAt }
   }
 
   // Check if running in SPCS (Snowflake Container Services)
@@ -215,41 +220,234 @@ class SnowflakeService {
     }
   }
 
-  async executeQuery(connection, query, binds = []) {
+  // Pool settings come from environment variables so they can be tuned per deployment
+  getPoolOptions() {
+    const intFromEnv = (name, fallback) => {
+      const value = parseInt(process.env[name], 10);
+      return Number.isNaN(value) ? fallback : value;
+    };
+    return {
+      min: intFromEnv('SNOWFLAKE_POOL_MIN', 0),
+      max: intFromEnv('SNOWFLAKE_POOL_MAX', 10),
+      idleTimeoutMs: intFromEnv('SNOWFLAKE_POOL_IDLE_TIMEOUT_MS', 5 * 60 * 1000),
+      acquireTimeoutMs: intFromEnv('SNOWFLAKE_POOL_ACQUIRE_TIMEOUT_MS', 30 * 1000),
+      evictionIntervalMs: intFromEnv('SNOWFLAKE_POOL_EVICTION_INTERVAL_MS', 60 * 1000),
+      validateOnBorrow: process.env.SNOWFLAKE_POOL_VALIDATE_ON_BORROW !== 'false'
+    };
+  }
+
+  // Lazily create the connection pool used for proxy execution
+  getPool() {
+    if (!this.pool) {
+      const options = this.getPoolOptions();
+      this.pool = new ConnectionPool({
+        name: 'snowflake-proxy',
+        ...options,
+        create: () => this.createConnection(this.loadConfig()),
+        validate: (connection) => this.validateConnection(connection),
+        destroy: (connection) => connection.destroy()
+      });
+      logger.info(`Snowflake connection pool created (min=${options.min}, max=${options.max})`);
+    }
+    return this.pool;
+  }
+
+  // Health check used when borrowing a pooled connection
+  async validateConnection(connection) {
+    if (typeof connection.isValidAsync === 'function') {
+      return connection.isValidAsync();
+    }
+    if (typeof connection.isUp === 'function') {
+      return connection.isUp();
+    }
+    return true;
+  }
+
+  async acquireConnection() {
+    return this.getPool().acquire();
+  }
+
+  releaseConnection(connection, options = {}) {
+    if (this.pool) {
+      this.pool.release(connection, options);
+    }
+  }
+
+  // Borrow a pooled connection for the duration of fn; broken connections are discarded
+  async withConnection(fn) {
+    const connection = await this.acquireConnection();
+    let destroy = false;
+    try {
+      return await fn(connection);
+    } catch (error) {
+      destroy = this.isConnectionError(error);
+      throw error;
+    } finally {
+      this.releaseConnection(connection, { destroy });
+    }
+  }
+
+  isConnectionError(error) {
+    const errorCodeStr = error.code ? error.code.toString() : '';
+    return errorCodeStr === '407002' || // Unable to perform operation using terminated connection
+           errorCodeStr.startsWith('0800') || // Connection errors
+           error.sqlState === '08003' || // Connection does not exist
+           !!error.message?.toLowerCase().includes('terminated connection') ||
+           !!error.message?.toLowerCase().includes('connection does not exist');
+  }
+
+  getPoolStats() {
+    return this.pool ? this.pool.getStats() : null;
+  }
+
+  async drainPool() {
+    if (this.pool) {
+      await this.pool.drain();
+      this.pool = null;
+    }
+  }
+
+  /**
+   * Bounds a running statement by options.timeoutSeconds and cancels it when options.signal aborts
+   * Calls fail with a STATEMENT_TIMEOUT or STATEMENT_CANCELLED error; the statement's own
+   * completion callback fires later with Snowflake's cancellation error and is ignored by the caller.
+   * @returns {Function} Cleanup to call once the statement settles
+   */
+  superviseStatement(statement, options, fail) {
+    const { timeoutSeconds, signal } = options;
+    const cancel = (code, message) => {
+      cleanup();
+      statement.cancel((cancelError) => {
+        if (cancelError) {
+          logger.warn(`Could not cancel statement ${statement.getQueryId() || '(no query id yet)'}: ${cancelError.message}`);
+        }
+      });
+      fail(this.createStatementError(code, message, statement));
+    };
+    const onAbort = () => cancel('STATEMENT_CANCELLED', 'Statement cancelled because the client disconnected');
+    const timer = timeoutSeconds
+      ? setTimeout(() => cancel('STATEMENT_TIMEOUT', `Statement exceeded the ${timeoutSeconds}s timeout and was cancelled`), timeoutSeconds * 1000)
+      : null;
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    function cleanup() {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+    return cleanup;
+  }
+
+  createStatementError(code, message, statement) {
+    const error = new Error(message);
+    error.code = code;
+    error.queryId = statement?.getQueryId?.() || null;
+    return error;
+  }
+
+  // Snowflake's own STATEMENT_TIMEOUT_IN_SECONDS cancellation is reported the same way as ours
+  normalizeStatementError(err, statement) {
+    if (String(err.code) === '000630') {
+      return this.createStatementError('STATEMENT_TIMEOUT', err.message, statement);
+    }
+    return err;
+  }
+
+  /**
+   * Runs connection.execute with the statement timeout and cancellation options applied
+   * options: { timeoutSeconds, signal }. The timeout is also sent as the statement's
+   * STATEMENT_TIMEOUT_IN_SECONDS so Snowflake enforces it even if this process goes away.
+   */
+  runStatement(connection, statementOptions, options, onComplete) {
     return new Promise((resolve, reject) => {
-      connection.execute({
-        sqlText: query,
-        binds: binds,
+      if (options.signal?.aborted) {
+        reject(this.createStatementError('STATEMENT_CANCELLED', 'Statement cancelled because the client disconnected', null));
+        return;
+      }
+
+      let settled = false;
+      let cleanup = () => {};
+      const settle = (fn, value) => {
+        if (!settled) {
+          settled = true;
+          cleanup();
+          fn(value);
+        }
+      };
+
+      const statement = connection.execute({
+        ...statementOptions,
+        ...(options.timeoutSeconds ? { parameters: { STATEMENT_TIMEOUT_IN_SECONDS: options.timeoutSeconds } } : {}),
         complete: (err, stmt, rows) => {
           if (err) {
             logger.error('Query execution error:', err);
-            reject(err);
+            settle(reject, this.normalizeStatementError(err, stmt));
           } else {
-            logger.info(`Query executed successfully. Rows returned: ${rows ? rows.length : 0}`);
-            resolve({
-              rows: rows || [],
-              statement: stmt,
-              rowCount: rows ? rows.length : 0
-            });
+            settle(resolve, onComplete(stmt, rows));
           }
         }
       });
+
+      if (!settled && statement && (options.timeoutSeconds || options.signal)) {
+        cleanup = this.superviseStatement(statement, options, error => settle(reject, error));
+      }
     });
   }
 
-  async executeStoredProcedure(connection, procedureName, parameters = []) {
+  async executeQuery(connection, query, binds = [], options = {}) {
+    return this.runStatement(connection, { sqlText: query, binds: binds }, options, (stmt, rows) => {
+      logger.info(`Query executed successfully. Rows returned: ${rows ? rows.length : 0}`);
+      return {
+        rows: rows || [],
+        statement: stmt,
+        rowCount: rows ? rows.length : 0
+      };
+    });
+  }
+
+  /**
+   * Executes a query without buffering its result set in memory
+   * Resolves once the statement completes with a readable object-mode stream of rows
+   */
+  async executeQueryStream(connection, query, binds = [], options = {}) {
+    return this.runStatement(connection, { sqlText: query, binds: binds, streamResult: true }, options, (stmt) => ({
+      statement: stmt,
+      stream: stmt.streamRows()
+    }));
+  }
+
+  async executeStoredProcedure(connection, procedureName, parameters = [], options = {}) {
     const query = `CALL ${procedureName}(${parameters.map(() => '?').join(', ')})`;
-    return this.executeQuery(connection, query, parameters);
+    return this.executeQuery(connection, query, parameters, options);
   }
 
-  async executeFunction(connection, functionName, parameters = []) {
+  async executeFunction(connection, functionName, parameters = [], options = {}) {
     const query = `SELECT ${functionName}(${parameters.map(() => '?').join(', ')})`;
-    return this.executeQuery(connection, query, parameters);
+    return this.executeQuery(connection, query, parameters, options);
   }
 
-  async getTableData(connection, tableName, limit = 1000, offset = 0) {
+  async getTableData(connection, tableName, limit = 1000, offset = 0, options = {}) {
     const query = `SELECT * FROM ${tableName} LIMIT ? OFFSET ?`;
-    return this.executeQuery(connection, query, [limit, offset]);
+    return this.executeQuery(connection, query, [limit, offset], options);
+  }
+
+  // Latest value of a table's updated-at column, or null for an empty table
+  async getTableLastModified(connection, tableName, column, options = {}) {
+    const sqlText = `SELECT DATE_PART(EPOCH_MILLISECOND, MAX(${column})) AS LAST_MODIFIED_MS FROM ${tableName}`;
+    const result = await this.executeQuery(connection, sqlText, [], options);
+    const value = result.rows[0]?.LAST_MODIFIED_MS;
+    return value === null || value === undefined ? null : new Date(Number(value));
+  }
+
+  // Streams table rows; a null limit streams the whole table from the offset
+  async streamTableData(connection, tableName, limit = null, offset = 0, options = {}) {
+    if (limit === null) {
+      return this.executeQueryStream(connection, `SELECT * FROM ${tableName} LIMIT NULL OFFSET ?`, [offset], options);
+    }
+    return this.executeQueryStream(connection, `SELECT * FROM ${tableName} LIMIT ? OFFSET ?`, [limit, offset], options);
   }
 
   async testConnection(config) {
@@ -265,6 +463,18 @@ class SnowflakeService {
   }
 
   async getTableSchema(connection, tableName) {
+    // Accept TABLE, SCHEMA.TABLE or DATABASE.SCHEMA.TABLE
+    const parts = tableName.split('.').map(part => part.replace(/"/g, ''));
+    const table = parts.pop();
+    const schema = parts.pop();
+    const database = parts.pop();
+    const informationSchema = database && /^[A-Za-z_][A-Za-z0-9_$]*$/.test(database)
+      ? `${database}.INFORMATION_SCHEMA`
+      : 'INFORMATION_SCHEMA';
+    const binds = [table.toUpperCase()];
+    if (schema) {
+      binds.push(schema.toUpperCase());
+    }
     const query = `
       SELECT 
         COLUMN_NAME,
@@ -272,11 +482,37 @@ class SnowflakeService {
         IS_NULLABLE,
         COLUMN_DEFAULT,
         COMMENT
-      FROM INFORMATION_SCHEMA.COLUMNS 
-      WHERE TABLE_NAME = ? 
+      FROM ${informationSchema}.COLUMNS 
+      WHERE TABLE_NAME = ?${schema ? ' AND TABLE_SCHEMA = ?' : ''}
       ORDER BY ORDINAL_POSITION
     `;
-    return this.executeQuery(connection, query, [tableName.toUpperCase()]);
+    return this.executeQuery(connection, query, binds);
+  }
+
+  /**
+   * Table columns cached per table name
+   * Column metadata rarely changes, so validating request filters should not cost a query per request
+   */
+  async getCachedTableSchema(tableName) {
+    const key = tableName.toUpperCase();
+    const cached = this.schemaCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.columns;
+    }
+    const result = await this.withConnection(connection => this.getTableSchema(connection, tableName));
+    if (result.rows.length === 0) {
+      throw new Error(`No columns found for table ${tableName}`);
+    }
+    this.schemaCache.set(key, { columns: result.rows, expiresAt: Date.now() + SCHEMA_CACHE_TTL_MS });
+    return result.rows;
+  }
+
+  clearSchemaCache(tableName = null) {
+    if (tableName) {
+      this.schemaCache.delete(tableName.toUpperCase());
+    } else {
+      this.schemaCache.clear();
+    }
   }
 
   async getAvailableTables(connection) {
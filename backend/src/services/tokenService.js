@@ -2,10 +2,23 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const databaseService = require('./databaseService');
+const { isExpired, getDefaultExpiry, getGraceExpiry } = require('../utils/keyExpiryUtils');
+const { verifySignature, isFreshTimestamp, isValidNonce } = require('../utils/requestSigningUtils');
+
+const DEFAULT_EXPIRY_DAYS = 0; // keys never expire unless an admin sets a lifetime
+const DEFAULT_GRACE_HOURS = 24;
+const SETTINGS_REFRESH_MS = 30 * 1000;
+const EXPIRY_CHECK_INTERVAL_MS = parseInt(process.env.API_KEY_EXPIRY_CHECK_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const SIGNATURE_WINDOW_SECONDS = parseInt(process.env.REQUEST_SIGNATURE_WINDOW_SECONDS, 10) || 300;
 
 class TokenService {
   constructor() {
     // Token service now uses database via databaseService
+    this.keyPolicy = null;
+    this.keyPolicyLoadedAt = 0;
+    this.expiryTimer = null;
+    // Nonces of accepted signed requests, "<keyId>:<nonce>" -> time (ms) they may be forgotten
+    this.seenNonces = new Map();
   }
 
   generatePATToken() {
@@ -19,6 +32,11 @@ class TokenService {
     return crypto.createHash('sha256').update(token).digest('hex');
   }
 
+  // Secret for HMAC-signed requests; unlike the key it is stored as is, since verifying needs it
+  generateSigningSecret() {
+    return `sks_${crypto.randomBytes(32).toString('hex')}`;
+  }
+
   generateJWTToken(payload) {
     return jwt.sign(payload, process.env.JWT_SECRET || 'your-secret-key', {
       expiresIn: process.env.JWT_EXPIRES_IN || '24h'
@@ -34,27 +52,143 @@ class TokenService {
     }
   }
 
+  // Key lifetime and rotation grace period from SYSTEM_SETTINGS, refreshed periodically
+  async getKeyPolicy() {
+    const now = Date.now();
+    if (this.keyPolicy && now - this.keyPolicyLoadedAt < SETTINGS_REFRESH_MS) {
+      return this.keyPolicy;
+    }
+    try {
+      const settings = await databaseService.getSystemSettings();
+      const expiryDays = parseInt(settings.api_key_expiry_days, 10);
+      const graceHours = parseInt(settings.api_key_rotation_grace_hours, 10);
+      this.keyPolicy = {
+        expiryDays: Number.isNaN(expiryDays) || expiryDays < 0 ? DEFAULT_EXPIRY_DAYS : expiryDays,
+        graceHours: Number.isNaN(graceHours) || graceHours < 0 ? DEFAULT_GRACE_HOURS : graceHours
+      };
+    } catch (error) {
+      logger.warn(`Could not load API key expiry settings: ${error.message}`);
+      this.keyPolicy = this.keyPolicy || { expiryDays: DEFAULT_EXPIRY_DAYS, graceHours: DEFAULT_GRACE_HOURS };
+    }
+    this.keyPolicyLoadedAt = now;
+    return this.keyPolicy;
+  }
+
+  // Force the key policy to be re-read on next use (called when settings change)
+  invalidateSettings() {
+    this.keyPolicyLoadedAt = 0;
+  }
+
+  // metadata.expiresAt: ISO timestamp, null for a key that never expires, or omitted for the default lifetime
+  // Every key gets its own signing secret, so it can also be used for signed requests
   async createPATToken(endpointId, metadata = {}) {
     const token = this.generatePATToken();
     const tokenHash = this.hashToken(token);
+    const signingSecret = this.generateSigningSecret();
+    const { expiresAt: requestedExpiry, ...labels } = metadata;
+    const expiresAt = requestedExpiry !== undefined
+      ? requestedExpiry
+      : getDefaultExpiry((await this.getKeyPolicy()).expiryDays);
     
     // Store hashed token in database
-    const tokenData = await databaseService.createPATToken(endpointId, tokenHash, metadata);
+    const tokenData = await databaseService.createPATToken(endpointId, tokenHash, {
+      ...labels,
+      signingSecret,
+      ...(expiresAt ? { expiresAt } : {})
+    });
     
     // Return token data with actual token (only returned once during creation)
     logger.info(`PAT token created for endpoint ${endpointId}`);
     
     return {
       ...tokenData,
-      token // Return the actual token (not hash) for the first time only
+      token, // Return the actual token (not hash) for the first time only
+      signingSecret
     };
   }
 
+  /**
+   * Give an API key a new signing secret, e.g. a key issued before signing existed or one whose secret leaked
+   * @param {string} tokenId - Key ID
+   * @returns {Promise<Object|null>} { tokenData, signingSecret } or null when the key is missing, revoked or expired
+   */
+  async issueSigningSecret(tokenId) {
+    const tokenData = await databaseService.getPATTokenById(tokenId);
+    if (!tokenData || !tokenData.isActive || isExpired(tokenData)) {
+      return null;
+    }
+    const signingSecret = this.generateSigningSecret();
+    const updated = await databaseService.updatePATTokenMetadata(tokenId, { ...tokenData.metadata, signingSecret });
+    logger.info(`Signing secret issued for API key ${tokenId}`);
+    return { tokenData: updated, signingSecret };
+  }
+
+  /**
+   * Authenticate an HMAC-signed request (see requestSigningUtils)
+   * The timestamp must lie within REQUEST_SIGNATURE_WINDOW_SECONDS of now and each nonce is accepted once per key.
+   * Nonces are remembered in memory, so each instance of the service keeps its own record.
+   * @param {Object} request - { keyId, timestamp, nonce, signature, method, paths, body } with the raw body;
+   *   paths lists every path (with query string) the client may have signed, and any one of them may match
+   * @returns {Promise<Object>} { tokenData } or { error } with the reason to return with 401
+   */
+  async validateSignedRequest({ keyId, timestamp, nonce, signature, method, paths, body }) {
+    if (!keyId || !timestamp || !nonce || !signature) {
+      return { error: 'Signed requests need X-API-Key-Id, X-Signature-Timestamp, X-Signature-Nonce and X-Signature headers' };
+    }
+    if (!isValidNonce(nonce)) {
+      return { error: 'X-Signature-Nonce must be 16 to 128 letters, digits, - or _' };
+    }
+    const now = Date.now();
+    if (!isFreshTimestamp(timestamp, SIGNATURE_WINDOW_SECONDS, now)) {
+      return { error: `X-Signature-Timestamp must be Unix seconds within ${SIGNATURE_WINDOW_SECONDS} seconds of the server time` };
+    }
+
+    const tokenData = await databaseService.getPATTokenById(keyId);
+    // Unknown, revoked and expired keys fail like a wrong signature, so key IDs cannot be probed
+    const valid = tokenData && tokenData.isActive && !isExpired(tokenData)
+      && paths.some(path => verifySignature(tokenData.metadata?.signingSecret, { method, path, timestamp, nonce, body }, signature));
+    if (!valid) {
+      return { error: 'Invalid request signature' };
+    }
+    if (!this.recordNonce(`${keyId}:${nonce}`, now)) {
+      return { error: 'Request nonce has already been used' };
+    }
+
+    try {
+      await databaseService.updatePATTokenUsage(tokenData.id);
+    } catch (error) {
+      logger.error('Error updating PAT token usage in validateSignedRequest:', error);
+    }
+    return { tokenData };
+  }
+
+  /**
+   * Remember a nonce for as long as a request carrying it could pass the timestamp check
+   * @param {string} key - "<keyId>:<nonce>"
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} False when the nonce was already used
+   */
+  recordNonce(key, now) {
+    // Entries are added in time order, so the ones to forget sit at the front
+    for (const [seen, forgetAt] of this.seenNonces) {
+      if (forgetAt > now) {
+        break;
+      }
+      this.seenNonces.delete(seen);
+    }
+    if (this.seenNonces.has(key)) {
+      return false;
+    }
+    this.seenNonces.set(key, now + 2 * SIGNATURE_WINDOW_SECONDS * 1000);
+    return true;
+  }
+
   async validatePATToken(token) {
     const tokenHash = this.hashToken(token);
     const tokenData = await databaseService.getPATTokenByHash(tokenHash);
     
-    if (!tokenData || !tokenData.isActive) {
+    // Expired keys are refused right away; the expiry job deactivates them later
+    if (!tokenData || !tokenData.isActive || isExpired(tokenData)) {
       return null;
     }
 
@@ -90,6 +224,10 @@ class TokenService {
     return tokenData;
   }
 
+  async getTokensByEndpointId(endpointId, includeRevoked = false) {
+    return await databaseService.getPATTokensByEndpointId(endpointId, includeRevoked);
+  }
+
   async getAllTokens() {
     return await databaseService.getAllPATTokens();
   }
@@ -98,10 +236,79 @@ class TokenService {
     return await databaseService.getTokenStats();
   }
 
+  /**
+   * Issue a successor for an API key
+   * The successor copies the key's labels and rate limit, with a new signing secret. The old key keeps working until the grace
+   * period ends (or its own earlier expiry) and is then deactivated by the expiry job.
+   * @param {string} tokenId - Key to rotate
+   * @param {Object} options - { graceHours, rotatedBy }
+   * @returns {Promise<Object|null>} { successor, previous } or null when the key is missing, revoked or expired
+   */
+  async rotatePATToken(tokenId, { graceHours, rotatedBy = 'system' } = {}) {
+    const previous = await databaseService.getPATTokenById(tokenId);
+    if (!previous || !previous.isActive || isExpired(previous)) {
+      return null;
+    }
+
+    const policy = await this.getKeyPolicy();
+    // The successor gets a signing secret of its own from createPATToken
+    const { expiresAt, rotatedFrom, rotatedTo, signingSecret, ...labels } = previous.metadata || {};
+    const successor = await this.createPATToken(previous.endpointId, {
+      ...labels,
+      createdBy: rotatedBy,
+      rotatedFrom: previous.id
+    });
+    const updated = await databaseService.updatePATTokenMetadata(previous.id, {
+      ...previous.metadata,
+      rotatedTo: successor.id,
+      expiresAt: getGraceExpiry(previous, graceHours ?? policy.graceHours)
+    });
+
+    await databaseService.logActivity({
+      type: 'token_rotated',
+      user: rotatedBy,
+      entityName: labels.endpointName || null,
+      entityType: 'api_key',
+      endpointId: previous.endpointId,
+      apiKeyId: previous.id
+    });
+    logger.info(`API key ${previous.id} rotated to ${successor.id}; old key works until ${updated.expiresAt}`);
+
+    return { successor, previous: updated };
+  }
+
+  /**
+   * Deactivate every active key whose expiry has passed
+   * @returns {Promise<number>} Number of deactivated keys
+   */
   async cleanupExpiredTokens() {
-    // This could be implemented as a scheduled job
-    // For now, tokens don't expire automatically
-    logger.info('Token cleanup called (not implemented for database storage)');
+    const expired = await databaseService.getExpiredPATTokens();
+    for (const tokenData of expired) {
+      await databaseService.expirePATToken(tokenData.id);
+      logger.info(`API key ${tokenData.id} of endpoint ${tokenData.endpointId} expired and was deactivated`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Run cleanupExpiredTokens now and then periodically
+   * @returns {Promise<void>} Resolves after the first run
+   */
+  startExpiryJob() {
+    this.stopExpiryJob();
+    const run = () => this.cleanupExpiredTokens().catch(error => {
+      logger.error('API key expiry check failed:', error);
+    });
+    this.expiryTimer = setInterval(run, EXPIRY_CHECK_INTERVAL_MS);
+    if (this.expiryTimer.unref) {
+      this.expiryTimer.unref();
+    }
+    return run();
+  }
+
+  stopExpiryJob() {
+    clearInterval(this.expiryTimer);
+    this.expiryTimer = null;
   }
 }
 
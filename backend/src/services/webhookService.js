@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const databaseService = require('./databaseService');
+const logger = require('../utils/logger');
+
+const EVENT_TYPES = [
+  'endpoint.created',
+  'endpoint.suspended',
+  'endpoint.deleted',
+  'api_key.generated',
+  'api_key.revoked'
+];
+const TEST_EVENT_TYPE = 'webhook.test';
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+/**
+ * Outbound webhooks for admin and lifecycle events
+ * Each event is POSTed as JSON to every active subscription for its type. The body is signed with
+ * the subscription secret: X-Webhook-Signature is sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>").
+ * Failed deliveries are retried in-process with exponential backoff; every delivery is recorded in
+ * WEBHOOK_DELIVERIES so it can be inspected and replayed.
+ */
+class WebhookService {
+  constructor() {
+    this.EVENT_TYPES = EVENT_TYPES;
+    this.retryTimers = new Map(); // deliveryId -> timer
+  }
+
+  /**
+   * Generate a signing secret for a new or rotated subscription
+   * @returns {string}
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Strip the secret from a subscription before it leaves the API
+   * @param {Object} webhook - Webhook from databaseService
+   * @returns {Object} Webhook with secretPreview instead of secret
+   */
+  toPublic(webhook) {
+    const { secret, ...rest } = webhook;
+    return {
+      ...rest,
+      secretPreview: secret ? `${secret.substring(0, 10)}...` : null
+    };
+  }
+
+  /**
+   * Compute the X-Webhook-Signature value for a delivery
+   * @param {string} secret - Subscription secret
+   * @param {string} timestamp - Unix seconds sent as X-Webhook-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} sha256=<hex digest>
+   */
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * Summarize an endpoint for event payloads
+   * @param {Object} endpoint - Endpoint object
+   * @returns {Object}
+   */
+  describeEndpoint(endpoint) {
+    return {
+      id: endpoint.id,
+      name: endpoint.name,
+      path: endpoint.path || null,
+      type: endpoint.type,
+      method: endpoint.method,
+      status: endpoint.status
+    };
+  }
+
+  createEvent(type, data, actor) {
+    return {
+      id: uuidv4(),
+      type,
+      createdAt: new Date().toISOString(),
+      actor: actor || 'system',
+      data
+    };
+  }
+
+  /**
+   * Deliver an event to every active subscription for its type
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event-specific payload
+   * @param {string} actor - Username that caused the event
+   * @returns {Promise<Object[]>} Deliveries after their first attempt; never rejects
+   */
+  async emit(type, data, actor) {
+    try {
+      const webhooks = (await databaseService.getAllWebhooks())
+        .filter(webhook => webhook.isActive && webhook.events.includes(type));
+      if (webhooks.length === 0) {
+        return [];
+      }
+      const event = this.createEvent(type, data, actor);
+      return await Promise.all(webhooks.map(webhook => this.dispatch(webhook, event)));
+    } catch (error) {
+      logger.error(`Could not emit webhook event ${type}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Send a webhook.test event to one subscription, whatever it is subscribed to
+   * @returns {Promise<Object>} Delivery after its first attempt
+   */
+  async sendTest(webhook, actor) {
+    const event = this.createEvent(TEST_EVENT_TYPE, { webhook: { id: webhook.id, name: webhook.name } }, actor);
+    return this.dispatch(webhook, event);
+  }
+
+  /**
+   * Deliver a logged event again as a new delivery
+   * The event id is unchanged so receivers can de-duplicate.
+   * @returns {Promise<Object>} New delivery after its first attempt
+   */
+  async replay(delivery, webhook) {
+    return this.dispatch(webhook, delivery.payload, delivery.id);
+  }
+
+  async dispatch(webhook, event, replayOf = null) {
+    const delivery = await databaseService.createWebhookDelivery({ webhookId: webhook.id, event, replayOf });
+    return this.attempt(webhook, delivery, 1);
+  }
+
+  async attempt(webhook, delivery, attempt) {
+    this.retryTimers.delete(delivery.id);
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    let responseStatus = null;
+    let errorMessage = null;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'snowflake-api-proxy-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      await response.arrayBuffer().catch(() => null);
+      if (!response.ok) {
+        errorMessage = `Receiver responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error.name === 'TimeoutError'
+        ? `No response within ${TIMEOUT_MS} ms`
+        : (error.cause?.message || error.message);
+    }
+
+    const succeeded = errorMessage === null;
+    const retry = !succeeded && attempt < MAX_ATTEMPTS;
+    const delayMs = RETRY_BASE_MS * 2 ** (attempt - 1);
+    const update = {
+      status: succeeded ? 'succeeded' : (retry ? 'pending' : 'failed'),
+      attempts: attempt,
+      responseStatus,
+      errorMessage,
+      nextAttemptAt: retry ? new Date(Date.now() + delayMs).toISOString() : null
+    };
+    await databaseService.updateWebhookDelivery(delivery.id, update).catch(err => {
+      logger.warn(`Could not record webhook delivery ${delivery.id}:`, err.message);
+    });
+
+    if (retry) {
+      this.scheduleRetry(webhook.id, delivery, attempt + 1, delayMs);
+    } else if (!succeeded) {
+      logger.warn(`Webhook delivery ${delivery.id} to ${webhook.url} failed after ${attempt} attempt(s): ${errorMessage}`);
+    }
+    return { ...delivery, ...update };
+  }
+
+  // Retries re-read the subscription so a changed URL or secret is picked up and a
+  // deleted or disabled subscription stops receiving
+  scheduleRetry(webhookId, delivery, attempt, delayMs) {
+    const timer = setTimeout(async () => {
+      try {
+        const webhook = await databaseService.getWebhookById(webhookId);
+        if (!webhook || !webhook.isActive) {
+          this.retryTimers.delete(delivery.id);
+          await databaseService.updateWebhookDelivery(delivery.id, {
+            status: 'failed',
+            attempts: attempt - 1,
+            errorMessage: 'Webhook was deleted or disabled before the retry'
+          });
+          return;
+        }
+        await this.attempt(webhook, delivery, attempt);
+      } catch (error) {
+        logger.error(`Webhook retry for delivery ${delivery.id} failed:`, error);
+      }
+    }, delayMs);
+    if (timer.unref) {
+      timer.unref();
+    }
+    this.retryTimers.set(delivery.id, timer);
+  }
+
+  /**
+   * Cancel scheduled retries (for tests)
+   */
+  reset() {
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,83 @@
+/**
+ * Conditional GET for proxy responses
+ * Buffered reads carry a strong ETag computed over the serialized result; table endpoints can also
+ * declare an updated-at column in metadata.conditional, e.g. { "updatedAtColumn": "UPDATED_AT" },
+ * whose latest value becomes Last-Modified. Matching If-None-Match / If-Modified-Since requests get 304.
+ */
+
+const crypto = require('crypto');
+
+const IDENTIFIER_REGEX = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+
+/**
+ * Validate a metadata.conditional block
+ * @param {Object} conditional - Conditional GET settings from endpoint metadata
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateConditionalSettings(conditional) {
+  if (typeof conditional !== 'object' || Array.isArray(conditional)) {
+    return ['Conditional settings must be an object'];
+  }
+  const column = conditional.updatedAtColumn;
+  if (column !== undefined && column !== null && column !== ''
+    && (typeof column !== 'string' || !IDENTIFIER_REGEX.test(column))) {
+    return ['Updated-at column must be a column name (letters, digits, _ and $)'];
+  }
+  return [];
+}
+
+/**
+ * Get the updated-at column for a table endpoint
+ * @param {Object} endpoint - Endpoint object
+ * @returns {string|null} Upper-cased column name, or null when Last-Modified is not supported
+ */
+function getUpdatedAtColumn(endpoint) {
+  const column = endpoint?.metadata?.conditional?.updatedAtColumn;
+  if (endpoint?.type !== 'table' || typeof column !== 'string' || !IDENTIFIER_REGEX.test(column)) {
+    return null;
+  }
+  return column.toUpperCase();
+}
+
+/**
+ * Compute a strong ETag for a serialized response
+ * @param {string} payload - Response body as sent, minus per-request fields such as the timestamp
+ * @returns {string} Quoted entity tag
+ */
+function computeETag(payload) {
+  return `"${crypto.createHash('sha256').update(payload).digest('base64url')}"`;
+}
+
+// If-None-Match uses weak comparison, so W/"x" matches "x"
+function matchesETag(ifNoneMatch, etag) {
+  const opaque = tag => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+/**
+ * Decide whether a GET can be answered with 304 Not Modified
+ * If-None-Match takes precedence; If-Modified-Since is only consulted when it is absent
+ * @param {Object} headers - Request headers
+ * @param {Object} validators - { etag, lastModified } for the current representation (either may be missing)
+ * @returns {boolean}
+ */
+function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    return Boolean(etag) && matchesETag(ifNoneMatch, etag);
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since'] || '');
+  if (Number.isNaN(ifModifiedSince) || !lastModified) {
+    return false;
+  }
+  // HTTP dates have one-second precision
+  return Math.floor(new Date(lastModified).getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+module.exports = {
+  validateConditionalSettings,
+  getUpdatedAtColumn,
+  computeETag,
+  isNotModified
+};
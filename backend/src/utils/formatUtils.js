@@ -0,0 +1,200 @@
+/**
+ * Output format negotiation and row serializers for proxy responses
+ */
+
+const OUTPUT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xml: { contentType: 'application/xml; charset=utf-8', extension: 'xml' }
+};
+
+// Media types accepted in the Accept header, in server preference order
+const MEDIA_TYPES = {
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'text/csv': 'csv',
+  'application/xml': 'xml',
+  'text/xml': 'xml'
+};
+
+const CSV_DELIMITERS = {
+  ',': ',',
+  ';': ';',
+  '|': '|',
+  tab: '\t',
+  '\t': '\t'
+};
+
+/**
+ * Pick the output format from ?format= or the Accept header
+ * @param {Object} req - Express request
+ * @returns {string|null} Format name, or null when nothing acceptable is supported
+ */
+function negotiateFormat(req) {
+  if (req.query.format !== undefined) {
+    const requested = String(req.query.format).toLowerCase();
+    return OUTPUT_FORMATS[requested] ? requested : null;
+  }
+  const accepted = req.accepts(Object.keys(MEDIA_TYPES));
+  return accepted ? MEDIA_TYPES[accepted] : null;
+}
+
+/**
+ * Resolve CSV options from the request, falling back to the endpoint's metadata.csv defaults
+ * @param {Object} endpoint - Endpoint object
+ * @param {Object} req - Express request
+ * @returns {{ options: Object|null, error: string|null }}
+ */
+function getCsvOptions(endpoint, req) {
+  const defaults = endpoint?.metadata?.csv || {};
+  const delimiterName = req.query.delimiter !== undefined ? String(req.query.delimiter) : (defaults.delimiter || ',');
+  const delimiter = CSV_DELIMITERS[delimiterName];
+  if (!delimiter) {
+    return { options: null, error: `delimiter must be one of: ${Object.keys(CSV_DELIMITERS).filter(d => d !== '\t').join(' ')}` };
+  }
+  const header = req.query.header !== undefined
+    ? !['false', '0', 'no'].includes(String(req.query.header).toLowerCase())
+    : defaults.header !== false;
+  return { options: { delimiter, header }, error: null };
+}
+
+/**
+ * Build a Content-Disposition header value for a download of the endpoint's data
+ * @param {string} name - Endpoint name
+ * @param {string} format - Output format
+ * @returns {string} Header value
+ */
+function getContentDisposition(name, format) {
+  const base = String(name || '').trim().replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '') || 'export';
+  return `attachment; filename="${base}.${OUTPUT_FORMATS[format].extension}"`;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function escapeCsv(value, delimiter) {
+  const text = toText(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function escapeXml(value) {
+  return toText(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Column names are not always valid XML element names
+function toXmlName(name) {
+  let element = String(name).replace(/[^A-Za-z0-9_.-]/g, '_');
+  if (!/^[A-Za-z_]/.test(element) || /^xml/i.test(element)) {
+    element = `_${element}`;
+  }
+  return element;
+}
+
+function xmlElements(object) {
+  return Object.entries(object)
+    .map(([key, value]) => {
+      const element = toXmlName(key);
+      return value === null || value === undefined ? `<${element}/>` : `<${element}>${escapeXml(value)}</${element}>`;
+    })
+    .join('');
+}
+
+/**
+ * Create a serializer that turns rows into output text incrementally
+ * Used both for buffered responses and for streamed ones, so each format is defined once
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @param {Object} options - CSV options ({ delimiter, header })
+ * @returns {{ contentType: string, start: Function, row: Function, end: Function }}
+ */
+function createSerializer(format, options = {}) {
+  let count = 0;
+  let columns = null;
+
+  switch (format) {
+    case 'ndjson':
+      return {
+        contentType: OUTPUT_FORMATS.ndjson.contentType,
+        start: () => '',
+        row: (row) => `${JSON.stringify(row)}\n`,
+        end: () => ''
+      };
+
+    case 'csv': {
+      const delimiter = options.delimiter || ',';
+      const line = values => `${values.map(value => escapeCsv(value, delimiter)).join(delimiter)}\r\n`;
+      return {
+        contentType: OUTPUT_FORMATS.csv.contentType,
+        start: () => '',
+        row: (row) => {
+          let text = '';
+          if (!columns) {
+            columns = Object.keys(row);
+            if (options.header !== false) {
+              text += line(columns);
+            }
+          }
+          return text + line(columns.map(column => row[column]));
+        },
+        end: () => ''
+      };
+    }
+
+    case 'xml':
+      return {
+        contentType: OUTPUT_FORMATS.xml.contentType,
+        start: () => '<?xml version="1.0" encoding="UTF-8"?>\n<response><data>',
+        row: (row) => `<row>${xmlElements(row)}</row>`,
+        end: (metadata = {}) => `</data><metadata>${xmlElements(metadata)}</metadata></response>`
+      };
+
+    default:
+      return {
+        contentType: OUTPUT_FORMATS.json.contentType,
+        start: () => '{"success":true,"data":[',
+        row: (row) => `${count++ > 0 ? ',' : ''}${JSON.stringify(row)}`,
+        end: (metadata = {}) => `],"metadata":${JSON.stringify(metadata)}}`
+      };
+  }
+}
+
+/**
+ * Serialize a complete result in the given format
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @param {Array} rows - Result rows
+ * @param {Object} metadata - Response metadata (used by JSON and XML)
+ * @param {Object} options - CSV options
+ * @returns {string} Serialized body
+ */
+function serializeRows(format, rows, metadata, options = {}) {
+  const serializer = createSerializer(format, options);
+  return serializer.start() + rows.map(serializer.row).join('') + serializer.end(metadata);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  negotiateFormat,
+  getCsvOptions,
+  getContentDisposition,
+  createSerializer,
+  serializeRows
+};
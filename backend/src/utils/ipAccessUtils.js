@@ -0,0 +1,194 @@
+/**
+ * IP allowlists and denylists for API keys and endpoints
+ * Both keep their rules in metadata.ipAccess, { "allow": [...], "deny": [...] }, where each entry is an IPv4 or
+ * IPv6 address or CIDR range. A caller matching a deny entry is refused; when allow has entries, only callers
+ * matching one of them get through.
+ */
+
+const net = require('net');
+
+const MAX_IP_RULES = 100;
+const IPV4_MAPPED_PREFIX = /^::ffff:(\d{1,3}(\.\d{1,3}){3})$/i;
+// Proxies trusted when TRUSTED_PROXIES is unset: hops on loopback and private networks
+const DEFAULT_TRUSTED_PROXIES = ['loopback', 'linklocal', 'uniquelocal'];
+
+/**
+ * Bring an address into the form rules and logs use, unwrapping IPv4-mapped IPv6 (::ffff:10.0.0.1)
+ * @param {string} ip - Address as seen by Express
+ * @returns {string|null} Address or null when it is not a valid IP
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+  const trimmed = ip.trim();
+  const mapped = trimmed.match(IPV4_MAPPED_PREFIX);
+  const address = mapped ? mapped[1] : trimmed;
+  return net.isIP(address) ? address : null;
+}
+
+/**
+ * Get the client IP of a request
+ * Honours X-Forwarded-For only as far as the 'trust proxy' setting (TRUSTED_PROXIES) allows.
+ * @param {Object} req - Express request
+ * @returns {string|null} Client address or null when it cannot be determined
+ */
+function getClientIp(req) {
+  return normalizeIp(req.ip) || normalizeIp(req.socket?.remoteAddress || req.connection?.remoteAddress);
+}
+
+/**
+ * Parse one rule entry
+ * @param {string} rule - Address ("203.0.113.7") or CIDR range ("203.0.113.0/24", "2001:db8::/32")
+ * @returns {Object|null} { address, prefix, family } or null when the entry is invalid
+ */
+function parseIpRule(rule) {
+  if (typeof rule !== 'string') {
+    return null;
+  }
+  const [addressPart, prefixPart, ...rest] = rule.trim().split('/');
+  const address = normalizeIp(addressPart);
+  if (!address || rest.length > 0) {
+    return null;
+  }
+  const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  const maxPrefix = family === 'ipv4' ? 32 : 128;
+  if (prefixPart === undefined) {
+    return { address, prefix: maxPrefix, family };
+  }
+  if (!/^\d{1,3}$/.test(prefixPart) || Number(prefixPart) > maxPrefix) {
+    return null;
+  }
+  return { address, prefix: Number(prefixPart), family };
+}
+
+/**
+ * Get the IP rules of an API key or endpoint with both lists present
+ * @param {Object} source - API key or endpoint object
+ * @returns {Object} { allow, deny }; empty lists restrict nothing
+ */
+function getIpRules(source) {
+  const rules = source?.metadata?.ipAccess || {};
+  return {
+    allow: Array.isArray(rules.allow) ? rules.allow : [],
+    deny: Array.isArray(rules.deny) ? rules.deny : []
+  };
+}
+
+/**
+ * Check whether an address falls in any of the ranges
+ * @param {string} ip - Normalized client address
+ * @param {string[]} rules - Addresses and CIDR ranges
+ * @returns {boolean}
+ */
+function matchesIpRule(ip, rules) {
+  const blockList = new net.BlockList();
+  rules.map(parseIpRule).filter(Boolean).forEach(({ address, prefix, family }) => {
+    blockList.addSubnet(address, prefix, family);
+  });
+  return blockList.check(ip, net.isIPv4(ip) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Explain why a client address may not use an API key or endpoint
+ * @param {string|null} ip - Normalized client address (from getClientIp)
+ * @param {Object} source - API key or endpoint object carrying metadata.ipAccess
+ * @param {string} subject - What the rules belong to, used in the reason ('API key' or 'endpoint')
+ * @returns {string|null} Reason to return with 403, or null when the address is allowed
+ */
+function getIpDenial(ip, source, subject) {
+  const { allow, deny } = getIpRules(source);
+  if (allow.length === 0 && deny.length === 0) {
+    return null;
+  }
+  if (!ip) {
+    return `Client IP could not be determined and this ${subject} restricts client IPs`;
+  }
+  if (deny.length > 0 && matchesIpRule(ip, deny)) {
+    return `Client IP ${ip} is blocked for this ${subject}`;
+  }
+  if (allow.length > 0 && !matchesIpRule(ip, allow)) {
+    return `Client IP ${ip} is not in the allowlist for this ${subject}`;
+  }
+  return null;
+}
+
+// Deduplicated list of valid rule entries, or an error message
+function normalizeRuleList(value, label) {
+  if (value === undefined || value === null) {
+    return { list: [] };
+  }
+  if (!Array.isArray(value) || value.some(rule => typeof rule !== 'string')) {
+    return { error: `IP ${label} must be an array of addresses or CIDR ranges` };
+  }
+  if (value.length > MAX_IP_RULES) {
+    return { error: `IP ${label} allows at most ${MAX_IP_RULES} entries` };
+  }
+  const invalid = value.filter(rule => !parseIpRule(rule));
+  if (invalid.length > 0) {
+    return { error: `IP ${label} has invalid entries: ${invalid.join(', ')}` };
+  }
+  return { list: [...new Set(value.map(rule => rule.trim()))] };
+}
+
+/**
+ * Validate IP rules sent by an admin and bring them into stored form
+ * @param {Object|null} rules - { allow, deny }; null clears the rules
+ * @returns {{ ipAccess: Object|null, errors: string[] }} ipAccess is null when it restricts nothing
+ */
+function normalizeIpAccess(rules) {
+  if (rules === undefined || rules === null) {
+    return { ipAccess: null, errors: [] };
+  }
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return { ipAccess: null, errors: ['IP access rules must be an object'] };
+  }
+
+  const allow = normalizeRuleList(rules.allow, 'allowlist');
+  const deny = normalizeRuleList(rules.deny, 'denylist');
+  const errors = [allow.error, deny.error].filter(Boolean);
+  if (errors.length > 0) {
+    return { ipAccess: null, errors };
+  }
+  const normalized = {
+    ...(allow.list.length > 0 ? { allow: allow.list } : {}),
+    ...(deny.list.length > 0 ? { deny: deny.list } : {})
+  };
+  return { ipAccess: Object.keys(normalized).length > 0 ? normalized : null, errors };
+}
+
+/**
+ * Turn TRUSTED_PROXIES into a value for Express' 'trust proxy' setting
+ * Unset trusts only hops on loopback and private networks (such as the SPCS ingress), so a client connecting
+ * directly cannot choose its own address with X-Forwarded-For. "true" trusts every hop and lets any caller do so.
+ * @param {string} value - "true", "false", a hop count, or a comma-separated list of addresses, CIDR ranges
+ *   and Express presets (loopback, linklocal, uniquelocal)
+ * @returns {boolean|number|string[]}
+ */
+function parseTrustProxy(value) {
+  const setting = typeof value === 'string' ? value.trim() : '';
+  if (setting === '') {
+    return [...DEFAULT_TRUSTED_PROXIES];
+  }
+  if (setting.toLowerCase() === 'true') {
+    return true;
+  }
+  if (setting.toLowerCase() === 'false') {
+    return false;
+  }
+  if (/^\d+$/.test(setting)) {
+    return Number(setting);
+  }
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_TRUSTED_PROXIES,
+  normalizeIp,
+  getClientIp,
+  parseIpRule,
+  getIpRules,
+  getIpDenial,
+  normalizeIpAccess,
+  parseTrustProxy
+};
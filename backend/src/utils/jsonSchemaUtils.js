@@ -0,0 +1,94 @@
+/**
+ * JSON Schema validation for proxy request bodies and response rows
+ * Schemas are stored on the endpoint in metadata.validation and compiled once per distinct schema.
+ */
+
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const compiled = new Map(); // JSON text of schema -> validate function
+const MAX_COMPILED_SCHEMAS = 500;
+
+// Compile a schema, reusing an earlier compilation of an identical schema
+function compile(schema) {
+  const key = JSON.stringify(schema);
+  let validate = compiled.get(key);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    // Schemas change as endpoints are edited; start over rather than grow without bound
+    if (compiled.size >= MAX_COMPILED_SCHEMAS) {
+      compiled.clear();
+      ajv.removeSchema();
+    }
+    compiled.set(key, validate);
+  }
+  return validate;
+}
+
+/**
+ * Check that a value is a usable JSON Schema
+ * @param {*} schema - Schema from endpoint metadata
+ * @returns {string|null} Error message, or null when the schema compiles
+ */
+function validateJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return 'must be a JSON Schema object';
+  }
+  try {
+    compile(schema);
+    return null;
+  } catch (error) {
+    return `is not a valid JSON Schema: ${error.message}`;
+  }
+}
+
+// Convert an Ajv instance path such as /items/0/qty into items[0].qty
+function toFieldPath(instancePath, root) {
+  const segments = instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${path}[${segment}]`;
+    }
+    return path ? `${path}.${segment}` : segment;
+  }, '') || root;
+}
+
+/**
+ * Turn Ajv errors into the { field, location, message } details used by validation responses
+ * Missing and unexpected properties are reported against the property itself rather than its parent
+ * @param {Array} errors - Ajv errors
+ * @param {string} location - 'body' or 'response'
+ * @returns {Array<{ field: string, location: string, message: string }>}
+ */
+function toFieldErrors(errors, location) {
+  return (errors || []).map((error) => {
+    const parent = toFieldPath(error.instancePath, '');
+    const child = name => (parent ? `${parent}.${name}` : name);
+
+    if (error.keyword === 'required') {
+      return { field: child(error.params.missingProperty), location, message: 'is required' };
+    }
+    if (error.keyword === 'additionalProperties') {
+      return { field: child(error.params.additionalProperty), location, message: 'is not allowed' };
+    }
+    return { field: parent || location, location, message: error.message };
+  });
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} location - Location reported in errors
+ * @returns {Array} Field errors (empty when valid)
+ */
+function validateValue(schema, value, location) {
+  const validate = compile(schema);
+  return validate(value) ? [] : toFieldErrors(validate.errors, location);
+}
+
+module.exports = {
+  validateJsonSchema,
+  toFieldErrors,
+  validateValue
+};
@@ -0,0 +1,83 @@
+/**
+ * API key expiry and rotation
+ * A key's metadata.expiresAt (ISO timestamp) is the moment it stops being accepted. Rotating a key issues a
+ * successor and moves the old key's expiry to the end of the grace period, so both keys work until then.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * Get the expiry of an API key
+ * @param {Object} tokenData - API key object
+ * @returns {Date|null} Expiry or null when the key does not expire
+ */
+function getExpiry(tokenData) {
+  const expiresAt = tokenData?.metadata?.expiresAt;
+  if (!expiresAt) {
+    return null;
+  }
+  const date = new Date(expiresAt);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check whether an API key has expired
+ * @param {Object} tokenData - API key object
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+function isExpired(tokenData, now = new Date()) {
+  const expiry = getExpiry(tokenData);
+  return !!expiry && expiry.getTime() <= now.getTime();
+}
+
+/**
+ * Classify an API key by its expiry
+ * @param {Object} tokenData - API key object
+ * @param {number} warningDays - Days before expiry a key counts as expiring
+ * @param {Date} now - Reference time
+ * @returns {string} 'never', 'valid', 'expiring' or 'expired'
+ */
+function getExpiryStatus(tokenData, warningDays, now = new Date()) {
+  const expiry = getExpiry(tokenData);
+  if (!expiry) {
+    return 'never';
+  }
+  const remaining = expiry.getTime() - now.getTime();
+  if (remaining <= 0) {
+    return 'expired';
+  }
+  return remaining <= warningDays * MS_PER_DAY ? 'expiring' : 'valid';
+}
+
+/**
+ * Expiry for a new key under the default policy
+ * @param {number} days - Lifetime in days (0 for keys that never expire)
+ * @param {Date} from - Issue time
+ * @returns {string|null} ISO timestamp or null when keys do not expire
+ */
+function getDefaultExpiry(days, from = new Date()) {
+  return days > 0 ? new Date(from.getTime() + days * MS_PER_DAY).toISOString() : null;
+}
+
+/**
+ * Expiry of a rotated key: the end of the grace period, unless the key expires sooner anyway
+ * @param {Object} tokenData - The key being replaced
+ * @param {number} graceHours - Hours the old key keeps working
+ * @param {Date} now - Rotation time
+ * @returns {string} ISO timestamp
+ */
+function getGraceExpiry(tokenData, graceHours, now = new Date()) {
+  const graceEnd = new Date(now.getTime() + Math.max(graceHours, 0) * MS_PER_HOUR);
+  const expiry = getExpiry(tokenData);
+  return (expiry && expiry < graceEnd ? expiry : graceEnd).toISOString();
+}
+
+module.exports = {
+  getExpiry,
+  isExpired,
+  getExpiryStatus,
+  getDefaultExpiry,
+  getGraceExpiry
+};
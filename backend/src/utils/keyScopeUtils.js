@@ -0,0 +1,136 @@
+/**
+ * Which endpoints an API key may call
+ * Shared by every proxy route that runs endpoints for a key (single calls, batches and the GraphQL gateway).
+ * A key always reaches the endpoint it was issued for. metadata.scope widens that to more endpoints,
+ * { "endpointIds": [...], "tagIds": [...] } where a tag grants every endpoint carrying it, and can restrict
+ * the HTTP methods the key may use on all of them, { "methods": ["GET"] }.
+ */
+
+const SCOPE_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_SCOPE_ENTRIES = 100;
+
+/**
+ * Get an API key's scope with every list present
+ * @param {Object} tokenData - Validated API key (from validatePATToken)
+ * @returns {Object} { endpointIds, tagIds, methods }; empty lists add nothing (methods: any method)
+ */
+function getScope(tokenData) {
+  const scope = tokenData?.metadata?.scope || {};
+  return {
+    endpointIds: Array.isArray(scope.endpointIds) ? scope.endpointIds : [],
+    tagIds: Array.isArray(scope.tagIds) ? scope.tagIds : [],
+    methods: Array.isArray(scope.methods) ? scope.methods : []
+  };
+}
+
+/**
+ * Explain why an API key may not call an endpoint
+ * @param {Object} tokenData - Validated API key (from validatePATToken)
+ * @param {Object} endpoint - Endpoint object (with its tags)
+ * @param {string} method - HTTP method of the call; omit to check the endpoint only
+ * @returns {string|null} Reason to return with 403, or null when the call is allowed
+ */
+function getAccessDenial(tokenData, endpoint, method) {
+  if (!tokenData || !endpoint) {
+    return 'API key does not match this endpoint';
+  }
+  const scope = getScope(tokenData);
+  const inScope = tokenData.endpointId === endpoint.id
+    || scope.endpointIds.includes(endpoint.id)
+    || (endpoint.tags || []).some(tag => scope.tagIds.includes(tag.id));
+  if (!inScope) {
+    return 'API key does not match this endpoint';
+  }
+  // HEAD is answered like GET, so a GET scope covers it
+  const scopeMethod = method === 'HEAD' ? 'GET' : method;
+  if (method && scope.methods.length > 0 && !scope.methods.includes(scopeMethod)) {
+    return `API key is not allowed to send ${method} requests`;
+  }
+  return null;
+}
+
+/**
+ * Check whether an API key may call an endpoint
+ * @param {Object} tokenData - Validated API key (from validatePATToken)
+ * @param {Object} endpoint - Endpoint object (with its tags)
+ * @param {string} method - HTTP method of the call; omit to check the endpoint only
+ * @returns {boolean} True when the endpoint is in the key's scope and the method is allowed
+ */
+function canAccessEndpoint(tokenData, endpoint, method) {
+  return getAccessDenial(tokenData, endpoint, method) === null;
+}
+
+/**
+ * Check whether an API key reaches endpoints other than the one it was issued for
+ * @param {Object} tokenData - API key object
+ * @returns {boolean}
+ */
+function hasExtendedScope(tokenData) {
+  const scope = getScope(tokenData);
+  return scope.endpointIds.length > 0 || scope.tagIds.length > 0;
+}
+
+// Deduplicated list of non-empty strings, or an error message
+function normalizeIdList(value, label) {
+  if (value === undefined || value === null) {
+    return { list: [] };
+  }
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || id.trim() === '')) {
+    return { error: `Scope ${label} must be an array of IDs` };
+  }
+  if (value.length > MAX_SCOPE_ENTRIES) {
+    return { error: `Scope allows at most ${MAX_SCOPE_ENTRIES} ${label}` };
+  }
+  return { list: [...new Set(value.map(id => id.trim()))] };
+}
+
+/**
+ * Validate a scope sent by an admin and bring it into stored form
+ * @param {Object|null} scope - { endpointIds, tagIds, methods }; null clears the scope
+ * @returns {{ scope: Object|null, errors: string[] }} scope is null when it grants nothing beyond the key's endpoint
+ */
+function normalizeScope(scope) {
+  if (scope === undefined || scope === null) {
+    return { scope: null, errors: [] };
+  }
+  if (typeof scope !== 'object' || Array.isArray(scope)) {
+    return { scope: null, errors: ['Scope must be an object'] };
+  }
+
+  const errors = [];
+  const endpointIds = normalizeIdList(scope.endpointIds, 'endpointIds');
+  const tagIds = normalizeIdList(scope.tagIds, 'tagIds');
+  [endpointIds, tagIds].forEach(result => {
+    if (result.error) {
+      errors.push(result.error);
+    }
+  });
+
+  let methods = [];
+  if (scope.methods !== undefined && scope.methods !== null) {
+    if (!Array.isArray(scope.methods) || scope.methods.some(method => typeof method !== 'string' || !SCOPE_METHODS.includes(method.toUpperCase()))) {
+      errors.push(`Scope methods must be an array of: ${SCOPE_METHODS.join(', ')}`);
+    } else {
+      methods = [...new Set(scope.methods.map(method => method.toUpperCase()))];
+    }
+  }
+
+  if (errors.length > 0) {
+    return { scope: null, errors };
+  }
+  const normalized = {
+    ...(endpointIds.list.length > 0 ? { endpointIds: endpointIds.list } : {}),
+    ...(tagIds.list.length > 0 ? { tagIds: tagIds.list } : {}),
+    ...(methods.length > 0 ? { methods } : {})
+  };
+  return { scope: Object.keys(normalized).length > 0 ? normalized : null, errors };
+}
+
+module.exports = {
+  SCOPE_METHODS,
+  getScope,
+  getAccessDenial,
+  canAccessEndpoint,
+  hasExtendedScope,
+  normalizeScope
+};
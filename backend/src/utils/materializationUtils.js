@@ -0,0 +1,108 @@
+/**
+ * Scheduled materialization for expensive query endpoints
+ * metadata.materialization, e.g. { "enabled": true, "schedule": "0 * * * *", "parameterSets": [{ "region": "EU" }] },
+ * pre-executes the endpoint on a five-field cron schedule (UTC), once per parameter set. GET requests whose
+ * resolved parameters match a set are answered from the stored snapshot.
+ */
+
+const cronParser = require('cron-parser');
+const { resolveParameters } = require('./parameterUtils');
+
+const MAX_PARAMETER_SETS = 50;
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} schedule - Cron expression (minute hour day-of-month month day-of-week)
+ * @param {Date} currentDate - Time to iterate from
+ * @returns {Object} cron-parser iterator
+ * @throws {Error} When the expression is invalid
+ */
+function parseSchedule(schedule, currentDate = new Date()) {
+  if (typeof schedule !== 'string' || schedule.trim().split(/\s+/).length !== 5) {
+    throw new Error('must have five fields: minute hour day-of-month month day-of-week');
+  }
+  return cronParser.parseExpression(schedule.trim(), { currentDate, tz: 'UTC' });
+}
+
+/**
+ * Get the next time a schedule fires
+ * @param {string} schedule - Cron expression
+ * @param {Date} from - Exclusive lower bound
+ * @returns {Date}
+ */
+function getNextRun(schedule, from = new Date()) {
+  return parseSchedule(schedule, from).next().toDate();
+}
+
+// Parameter definitions with every value read from a plain object, as in batch and GraphQL calls
+function resolveParameterSet(definitions, parameterSet) {
+  return resolveParameters(definitions.map(def => ({ ...def, source: 'body' })), { body: parameterSet || {} });
+}
+
+/**
+ * Validate a metadata.materialization block
+ * @param {Object} settings - Materialization settings from endpoint metadata
+ * @param {Array} definitions - The endpoint's parameter definitions
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateMaterializationSettings(settings, definitions = []) {
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['Materialization settings must be an object'];
+  }
+  const errors = [];
+  try {
+    parseSchedule(settings.schedule);
+  } catch (error) {
+    errors.push(`Materialization schedule ${error.message}`);
+  }
+
+  const sets = settings.parameterSets;
+  if (sets !== undefined && sets !== null) {
+    if (!Array.isArray(sets) || sets.some(set => typeof set !== 'object' || set === null || Array.isArray(set))) {
+      errors.push('Materialization parameter sets must be an array of objects');
+    } else if (sets.length > MAX_PARAMETER_SETS) {
+      errors.push(`Materialization allows at most ${MAX_PARAMETER_SETS} parameter sets`);
+    } else {
+      sets.forEach((set, index) => {
+        resolveParameterSet(definitions, set).errors.forEach(error => {
+          errors.push(`Materialization parameter set ${index + 1}: ${error.message}`);
+        });
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Get normalized materialization settings for an endpoint
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Object|null} { schedule, parameterSets } or null when materialization is not enabled
+ */
+function getMaterializationSettings(endpoint) {
+  const settings = endpoint?.metadata?.materialization;
+  if (!settings || !settings.enabled || endpoint.type !== 'query' || endpoint.method !== 'GET') {
+    return null;
+  }
+  const parameterSets = Array.isArray(settings.parameterSets) && settings.parameterSets.length > 0
+    ? settings.parameterSets
+    : [{}];
+  return { schedule: settings.schedule, parameterSets };
+}
+
+/**
+ * Build the key a snapshot is stored under
+ * @param {Array} definitions - The endpoint's parameter definitions
+ * @param {Object|null} values - Resolved parameter values
+ * @returns {string}
+ */
+function buildSnapshotKey(definitions, values) {
+  return JSON.stringify((definitions || []).map(def => values?.[def.name] ?? null));
+}
+
+module.exports = {
+  getNextRun,
+  resolveParameterSet,
+  validateMaterializationSettings,
+  getMaterializationSettings,
+  buildSnapshotKey
+};
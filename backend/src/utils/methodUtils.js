@@ -0,0 +1,109 @@
+/**
+ * Per-method targets for proxy endpoints
+ * An endpoint answers its own method with its type/target/parameters; metadata.methods maps
+ * further methods to their own targets under the same path, e.g.
+ * { "POST": { "type": "stored_procedure", "target": "DB.S.CREATE_ORDER", "parameters": [...] } }
+ */
+
+const { validateParameterDefinitions } = require('./parameterUtils');
+
+const MAPPABLE_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const ENDPOINT_TYPES = ['query', 'stored_procedure', 'function', 'table'];
+
+/**
+ * Validate a metadata.methods block
+ * @param {Object} methods - Method map from endpoint metadata
+ * @param {string} primaryMethod - The endpoint's own method, which cannot be mapped again
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateMethodTargets(methods, primaryMethod) {
+  if (typeof methods !== 'object' || Array.isArray(methods)) {
+    return ['Methods must be an object keyed by HTTP method'];
+  }
+  const errors = [];
+  Object.entries(methods).forEach(([method, target]) => {
+    const label = `Method ${method}`;
+    if (!MAPPABLE_METHODS.includes(method)) {
+      errors.push(`${label} must be one of: ${MAPPABLE_METHODS.join(', ')}`);
+      return;
+    }
+    if (method === primaryMethod) {
+      errors.push(`${label} is already the endpoint's own method`);
+      return;
+    }
+    if (!target || typeof target !== 'object') {
+      errors.push(`${label} must be an object with type and target`);
+      return;
+    }
+    if (!ENDPOINT_TYPES.includes(target.type)) {
+      errors.push(`${label} type must be one of: ${ENDPOINT_TYPES.join(', ')}`);
+    }
+    if (typeof target.target !== 'string' || target.target.trim().length === 0) {
+      errors.push(`${label} target is required`);
+    }
+    if (target.parameters !== undefined && !Array.isArray(target.parameters)) {
+      errors.push(`${label} parameters must be an array`);
+    } else {
+      errors.push(...validateParameterDefinitions(target.parameters || []).map(error => `${label}: ${error}`));
+    }
+  });
+  return errors;
+}
+
+// Methods mapped in metadata.methods, in declaration order
+function getMappedMethods(endpoint) {
+  const methods = endpoint?.metadata?.methods;
+  if (!methods || typeof methods !== 'object') {
+    return [];
+  }
+  return Object.keys(methods).filter(method => MAPPABLE_METHODS.includes(method) && method !== endpoint.method);
+}
+
+/**
+ * Get the endpoint as it applies to one request method
+ * HEAD is answered like GET. Mapped methods replace type, target and parameters and keep
+ * everything else (id, name, rate limit, metadata) from the endpoint.
+ * @param {Object} endpoint - Endpoint object
+ * @param {string} method - Request method
+ * @returns {Object|null} Endpoint for the method, or null when the method is not mapped
+ */
+function resolveMethodEndpoint(endpoint, method) {
+  const effective = method === 'HEAD' ? 'GET' : method;
+  if (effective === endpoint.method) {
+    return endpoint;
+  }
+  if (!getMappedMethods(endpoint).includes(effective)) {
+    return null;
+  }
+  const target = endpoint.metadata.methods[effective];
+  return {
+    ...endpoint,
+    method: effective,
+    type: target.type,
+    target: target.target,
+    parameters: target.parameters || []
+  };
+}
+
+/**
+ * List every method an endpoint answers, for Allow headers
+ * @param {Object} endpoint - Endpoint object
+ * @param {string[]} extraMethods - Further methods handled elsewhere (e.g. table writes)
+ * @returns {string[]} Methods including HEAD when GET is answered, and OPTIONS
+ */
+function getAllowedMethods(endpoint, extraMethods = []) {
+  const methods = new Set([endpoint.method, ...getMappedMethods(endpoint), ...extraMethods]);
+  if (methods.has('GET')) {
+    methods.add('HEAD');
+  }
+  methods.add('OPTIONS');
+  return [...methods];
+}
+
+module.exports = {
+  MAPPABLE_METHODS,
+  validateMethodTargets,
+  getMappedMethods,
+  resolveMethodEndpoint,
+  getAllowedMethods
+};
@@ -0,0 +1,470 @@
+/**
+ * OpenAPI 3 description of the proxy surface
+ * Built from endpoint definitions (paths, methods, declared parameters, schemas and tags) so
+ * generated clients and Postman imports match what the proxy actually serves.
+ */
+
+const { OUTPUT_FORMATS } = require('./formatUtils');
+const { getAllowedMethods, resolveMethodEndpoint } = require('./methodUtils');
+const { getWriteSettings, getWriteMethods, getWriteOperation } = require('./tableWriteUtils');
+const { getPaginationSettings } = require('./paginationUtils');
+const { getFilterSettings } = require('./tableQueryUtils');
+const { convertCase } = require('./responseShapeUtils');
+const { getUpdatedAtColumn } = require('./conditionalUtils');
+
+const PARAMETER_SCHEMAS = {
+  string: { type: 'string' },
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date' },
+  timestamp: { type: 'string', format: 'date-time' }
+};
+
+const SECURITY_SCHEMES = {
+  ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+  BearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <API key>' },
+  SnowflakeToken: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'Authorization',
+    description: 'Authorization: Snowflake Token="<API key>" (Snowflake programmatic access)'
+  },
+  ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'API_KEY' }
+};
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  429: 'TooManyRequests',
+  500: 'ServerError',
+  504: 'GatewayTimeout'
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+function errorResponse(description, example) {
+  return { description, content: { 'application/json': { schema: ref('Error'), example } } };
+}
+
+const COMPONENTS = {
+  securitySchemes: SECURITY_SCHEMES,
+  schemas: {
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: false },
+        error: { type: 'string' },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string' }, location: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      }
+    },
+    ResultMetadata: {
+      type: 'object',
+      properties: {
+        rowCount: { type: 'integer' },
+        endpoint: { type: 'string' },
+        type: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        lastModified: { type: 'string', format: 'date-time', description: 'Latest updated-at value, for table endpoints that declare one' },
+        pagination: { type: 'object', additionalProperties: true }
+      }
+    },
+    WriteResult: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        data: {
+          type: 'object',
+          properties: {
+            operation: { type: 'string', enum: ['insert', 'update', 'delete'] },
+            affectedRows: { type: 'integer' }
+          }
+        },
+        metadata: ref('ResultMetadata')
+      }
+    },
+    Job: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        data: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'] },
+            statusUrl: { type: 'string', format: 'uri' },
+            resultsUrl: { type: 'string', format: 'uri' }
+          }
+        }
+      }
+    }
+  },
+  responses: {
+    BadRequest: errorResponse('Invalid parameters or request body', {
+      success: false,
+      error: 'Validation failed',
+      message: 'One or more parameters are invalid',
+      details: [{ field: 'id', location: 'query', message: 'id is required' }]
+    }),
+    Unauthorized: errorResponse('Missing or invalid API key', { success: false, error: 'Unauthorized', message: 'Invalid or expired API key' }),
+    Forbidden: errorResponse('API key does not match this endpoint, or the endpoint is not active', {
+      success: false,
+      error: 'Forbidden',
+      message: 'API key does not match this endpoint'
+    }),
+    NotFound: errorResponse('Endpoint not found', { success: false, error: 'Not Found', message: 'Endpoint not found' }),
+    TooManyRequests: errorResponse('Rate limit exceeded', { success: false, error: 'Too Many Requests', message: 'Rate limit exceeded' }),
+    ServerError: errorResponse('Execution failed', { success: false, error: 'Execution failed', message: 'SQL compilation error' }),
+    GatewayTimeout: errorResponse('Statement timed out', { success: false, error: 'Gateway Timeout', message: 'Statement exceeded the 30s timeout and was cancelled' })
+  }
+};
+
+// Drop JSON Schema keywords that OpenAPI 3.0 schema objects do not allow
+function toOpenApiSchema(schema) {
+  const { $schema, $id, ...rest } = schema;
+  return rest;
+}
+
+// Example value for a schema: explicit example/default/enum first, then a placeholder for its type
+function exampleFor(schema, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > 5) {
+    return null;
+  }
+  if (schema.example !== undefined) {
+    return schema.example;
+  }
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    return schema.examples[0];
+  }
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [name, exampleFor(property, depth + 1)]));
+    case 'array':
+      return [exampleFor(schema.items, depth + 1)];
+    case 'integer':
+    case 'number':
+      return typeof schema.minimum === 'number' ? schema.minimum : 0;
+    case 'boolean':
+      return true;
+    case 'string':
+      return { date: '2024-01-01', 'date-time': '2024-01-01T00:00:00.000Z' }[schema.format] || 'string';
+    default:
+      return null;
+  }
+}
+
+// OpenAPI schema for one declared endpoint parameter
+function parameterSchema(def) {
+  const schema = { ...(PARAMETER_SCHEMAS[def.type] || PARAMETER_SCHEMAS.string) };
+  if (Array.isArray(def.enum)) {
+    schema.enum = def.enum;
+  }
+  if (def.default !== undefined) {
+    schema.default = def.default;
+  }
+  const numeric = schema.type === 'integer' || schema.type === 'number';
+  if (typeof def.min === 'number') {
+    schema[numeric ? 'minimum' : 'minLength'] = def.min;
+  }
+  if (typeof def.max === 'number') {
+    schema[numeric ? 'maximum' : 'maxLength'] = def.max;
+  }
+  return schema;
+}
+
+function queryParameter(name, schema, description) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+function pathParameter(name, schema, description) {
+  return { name, in: 'path', required: true, ...(description ? { description } : {}), schema };
+}
+
+// Query parameters the proxy reads for table endpoints: paging, and select/order/filters when enabled
+function tableReadParameters(endpoint) {
+  const parameters = [];
+  const pagination = getPaginationSettings(endpoint);
+  if (pagination) {
+    parameters.push(
+      queryParameter('limit', { type: 'integer', minimum: 1, maximum: pagination.maxPageSize, default: pagination.defaultPageSize }, 'Page size'),
+      queryParameter('cursor', { type: 'string' }, 'Opaque cursor from the previous page'),
+      queryParameter('count', { type: 'boolean' }, 'Include totalCount in the pagination metadata')
+    );
+  } else {
+    parameters.push(
+      queryParameter('limit', { type: 'integer', minimum: 1, default: 1000 }, 'Maximum rows to return'),
+      queryParameter('offset', { type: 'integer', minimum: 0, default: 0 }, 'Rows to skip')
+    );
+  }
+  if (getFilterSettings(endpoint)) {
+    parameters.push(
+      queryParameter('select', { type: 'string' }, 'Comma-separated columns to return, e.g. ID,NAME'),
+      queryParameter('order', { type: 'string' }, 'Comma-separated sort terms, e.g. CREATED_AT.desc,ID'),
+      {
+        name: 'filters',
+        in: 'query',
+        required: false,
+        description: 'Column filters such as STATUS=eq.open or AMOUNT=gt.100',
+        style: 'form',
+        explode: true,
+        schema: { type: 'object', additionalProperties: { type: 'string' } }
+      }
+    );
+  }
+  return parameters;
+}
+
+// Row schema from the endpoint's response schema, or any object
+function rowSchema(endpoint) {
+  const schema = endpoint.metadata?.validation?.responseSchema;
+  return schema && typeof schema === 'object' ? toOpenApiSchema(schema) : { type: 'object', additionalProperties: true };
+}
+
+function resultResponses(endpoint, methodEndpoint, method) {
+  const row = rowSchema(endpoint);
+  const content = {
+    [OUTPUT_FORMATS.json.contentType.split(';')[0]]: {
+      schema: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: true },
+          data: { type: 'array', items: row },
+          metadata: ref('ResultMetadata')
+        }
+      },
+      example: {
+        success: true,
+        data: [exampleFor(row) || {}],
+        metadata: { rowCount: 1, endpoint: endpoint.name, type: methodEndpoint.type, timestamp: '2024-01-01T00:00:00.000Z' }
+      }
+    }
+  };
+  Object.entries(OUTPUT_FORMATS).filter(([format]) => format !== 'json').forEach(([, { contentType }]) => {
+    content[contentType.split(';')[0]] = { schema: { type: 'string' } };
+  });
+
+  const responses = { 200: { description: 'Result rows', content } };
+  if (method === 'GET') {
+    const lastModified = getUpdatedAtColumn(methodEndpoint);
+    responses[200].headers = {
+      ETag: { description: 'Strong validator for the result; send it back in If-None-Match', schema: { type: 'string' } },
+      ...(lastModified ? { 'Last-Modified': { description: `Latest ${lastModified} in the table`, schema: { type: 'string' } } } : {})
+    };
+    responses[304] = { description: 'Not Modified: the result still matches If-None-Match or If-Modified-Since' };
+  }
+  if (endpoint.metadata?.async?.enabled) {
+    responses[202] = {
+      description: 'Accepted as an async job (Prefer: respond-async or ?async=true)',
+      content: { 'application/json': { schema: ref('Job') } }
+    };
+  }
+  if (endpoint.metadata?.validation?.failOnResponseViolation) {
+    responses[502] = errorResponse('Result rows do not match the response schema', {
+      success: false,
+      error: 'Response validation failed',
+      message: '1 of 1 rows do not match the response schema'
+    });
+  }
+  return responses;
+}
+
+// Request body for body-sourced parameters, the legacy positional array, or the endpoint's request schema
+function readRequestBody(endpoint, method, definitions) {
+  if (!['POST', 'PUT', 'PATCH'].includes(method)) {
+    return null;
+  }
+  const requestSchema = endpoint.metadata?.validation?.requestSchema;
+  let schema;
+  if (requestSchema && typeof requestSchema === 'object') {
+    schema = toOpenApiSchema(requestSchema);
+  } else if (definitions.length > 0) {
+    const bodyParams = definitions.filter(def => (def.source || 'body') === 'body');
+    if (bodyParams.length === 0) {
+      return null;
+    }
+    const required = bodyParams.filter(def => def.required && def.default === undefined).map(def => def.name);
+    schema = {
+      type: 'object',
+      properties: Object.fromEntries(bodyParams.map(def => [def.name, parameterSchema(def)])),
+      ...(required.length > 0 ? { required } : {})
+    };
+  } else if (endpoint.type !== 'table') {
+    schema = {
+      type: 'object',
+      properties: { parameters: { type: 'array', items: {}, description: 'Positional bind values' } }
+    };
+  } else {
+    return null;
+  }
+  return {
+    required: Array.isArray(schema.required) && schema.required.length > 0,
+    content: { 'application/json': { schema, example: exampleFor(schema) } }
+  };
+}
+
+// Operation for a read (query, procedure, function or table read) answered by a method
+function readOperation(endpoint, method) {
+  const methodEndpoint = resolveMethodEndpoint(endpoint, method);
+  const definitions = Array.isArray(methodEndpoint.parameters) ? methodEndpoint.parameters : [];
+  const pathParams = definitions.filter(def => def.source === 'path');
+  const parameters = [
+    ...pathParams.map(def => pathParameter(def.name, parameterSchema(def), def.description)),
+    ...definitions.filter(def => def.source === 'query').map(def => ({
+      name: def.name,
+      in: 'query',
+      required: !!def.required && def.default === undefined,
+      ...(def.description ? { description: def.description } : {}),
+      schema: parameterSchema(def)
+    })),
+    ...definitions.filter(def => def.source === 'header').map(def => ({
+      name: def.header || `X-Param-${def.name}`,
+      in: 'header',
+      required: !!def.required && def.default === undefined,
+      ...(def.description ? { description: def.description } : {}),
+      schema: parameterSchema(def)
+    }))
+  ];
+  if (methodEndpoint.type === 'table') {
+    parameters.push(...tableReadParameters(endpoint));
+  }
+  if (method === 'GET') {
+    parameters.push({ name: 'If-None-Match', in: 'header', required: false, description: 'ETag from an earlier response; answered with 304 while unchanged', schema: { type: 'string' } });
+    if (getUpdatedAtColumn(methodEndpoint)) {
+      parameters.push({ name: 'If-Modified-Since', in: 'header', required: false, description: 'Answered with 304 when no row was updated since', schema: { type: 'string' } });
+    }
+  }
+  if (endpoint.metadata?.async?.enabled) {
+    parameters.push(queryParameter('async', { type: 'boolean' }, 'Run as a background job and return 202 with a job URL'));
+  }
+
+  return {
+    pathSegments: pathParams.map(def => def.name),
+    operation: {
+      parameters,
+      requestBody: readRequestBody(endpoint, method, definitions),
+      responses: resultResponses(endpoint, methodEndpoint, method)
+    }
+  };
+}
+
+// Operation for an insert, update or delete on a table endpoint
+function writeOperation(endpoint, settings, operation) {
+  const keyed = operation !== 'insert';
+  const row = { type: 'object', additionalProperties: true };
+  const bodies = {
+    insert: { oneOf: [row, { type: 'array', items: row, maxItems: settings.maxRows }] },
+    update: row
+  };
+  const requestSchema = endpoint.metadata?.validation?.requestSchema;
+  const schema = bodies[operation] && requestSchema ? toOpenApiSchema(requestSchema) : bodies[operation];
+  return {
+    pathSegments: keyed ? settings.primaryKey : [],
+    operation: {
+      description: `${operation.charAt(0).toUpperCase()}${operation.slice(1)} ${keyed ? 'one row by primary key' : 'rows'}`,
+      parameters: keyed ? settings.primaryKey.map(column => pathParameter(column, { type: 'string' }, 'Primary key value')) : [],
+      requestBody: schema ? { required: true, content: { 'application/json': { schema } } } : null,
+      responses: {
+        [operation === 'insert' ? 201 : 200]: {
+          description: `Rows ${operation === 'insert' ? 'inserted' : `${operation}d`}`,
+          content: { 'application/json': { schema: ref('WriteResult') } }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build an OpenAPI 3.0 document for proxy endpoints
+ * Each endpoint is published under its custom path or its ID; inactive endpoints are left out.
+ * @param {Array} endpoints - Endpoint objects (with tags)
+ * @param {Object} options - { baseUrl, title, version }
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiSpec(endpoints, options = {}) {
+  const paths = {};
+  const tags = new Map();
+  const operationIds = new Set();
+
+  endpoints
+    .filter(endpoint => (endpoint.status || (endpoint.isActive ? 'active' : 'suspended')) === 'active')
+    .forEach((endpoint) => {
+      const identifier = endpoint.path || endpoint.id;
+      const writeSettings = getWriteSettings(endpoint);
+      const methods = getAllowedMethods(endpoint, getWriteMethods(writeSettings))
+        .filter(method => !['HEAD', 'OPTIONS'].includes(method));
+      const endpointTags = (endpoint.tags || []).map((tag) => {
+        tags.set(tag.name, tag.description || '');
+        return tag.name;
+      });
+
+      methods.forEach((method) => {
+        const operation = getWriteOperation(writeSettings, method);
+        const { pathSegments, operation: spec } = operation
+          ? writeOperation(endpoint, writeSettings, operation)
+          : readOperation(endpoint, method);
+
+        let operationId = convertCase(`${method.toLowerCase()} ${endpoint.name}`, 'camel');
+        for (let i = 2; operationIds.has(operationId); i += 1) {
+          operationId = convertCase(`${method.toLowerCase()} ${endpoint.name} ${i}`, 'camel');
+        }
+        operationIds.add(operationId);
+
+        Object.entries(ERROR_RESPONSES).forEach(([status, name]) => {
+          spec.responses[status] = { $ref: `#/components/responses/${name}` };
+        });
+        if (!spec.requestBody) {
+          delete spec.requestBody;
+        }
+
+        const pathKey = `/${[identifier, ...pathSegments.map(name => `{${name}}`)].join('/')}`;
+        paths[pathKey] = paths[pathKey] || {};
+        paths[pathKey][method.toLowerCase()] = {
+          operationId,
+          summary: endpoint.name,
+          ...(spec.description || endpoint.description
+            ? { description: [endpoint.description, spec.description].filter(Boolean).join('\n\n') }
+            : {}),
+          ...(endpointTags.length > 0 ? { tags: endpointTags } : {}),
+          ...(endpoint.rateLimit ? { 'x-rate-limit': endpoint.rateLimit } : {}),
+          parameters: spec.parameters,
+          ...(spec.requestBody ? { requestBody: spec.requestBody } : {}),
+          responses: spec.responses
+        };
+      });
+    });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: options.title || 'Snowflake API Proxy',
+      version: options.version || '1.0.0',
+      description: 'Endpoints published through the Snowflake API Proxy. Authenticate with an API key in the X-API-Key header, as a Bearer token, as Snowflake Token="<key>", or in the API_KEY query parameter.'
+    },
+    servers: [{ url: options.baseUrl }],
+    security: Object.keys(SECURITY_SCHEMES).map(name => ({ [name]: [] })),
+    tags: [...tags.entries()].sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, description]) => ({ name, ...(description ? { description } : {}) })),
+    paths,
+    components: COMPONENTS
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec
+};
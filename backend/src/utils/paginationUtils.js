@@ -0,0 +1,306 @@
+/**
+ * Keyset (cursor) pagination for table endpoints
+ * Pages are ordered by a declared sort key and continue from the last key seen,
+ * so they stay stable while rows are inserted and deep pages cost the same as the first.
+ * Tables without a sort key are read by limit and offset instead.
+ */
+
+const { quoteIdentifier } = require('./tableQueryUtils');
+
+const IDENTIFIER_REGEX = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const DEFAULT_TABLE_LIMIT = 1000;
+
+/**
+ * Validate a metadata.pagination block
+ * @param {Object} pagination - Pagination settings from endpoint metadata
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validatePaginationSettings(pagination) {
+  const errors = [];
+  const sortKey = Array.isArray(pagination.sortKey) ? pagination.sortKey : [pagination.sortKey];
+
+  if (!pagination.sortKey || sortKey.length === 0) {
+    errors.push('Pagination sort key is required');
+  } else if (!sortKey.every(column => typeof column === 'string' && IDENTIFIER_REGEX.test(column))) {
+    errors.push('Pagination sort key must contain only column names (letters, digits, _ and $)');
+  }
+  if (pagination.direction !== undefined && !['asc', 'desc'].includes(pagination.direction)) {
+    errors.push('Pagination direction must be asc or desc');
+  }
+  ['defaultPageSize', 'maxPageSize'].forEach(field => {
+    const value = pagination[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+      errors.push(`Pagination ${field} must be a positive integer`);
+    }
+  });
+  if (Number.isInteger(pagination.defaultPageSize) && Number.isInteger(pagination.maxPageSize)
+    && pagination.defaultPageSize > pagination.maxPageSize) {
+    errors.push('Pagination defaultPageSize cannot exceed maxPageSize');
+  }
+  return errors;
+}
+
+/**
+ * Check that every sort key column exists in the table
+ * Sort keys are matched the way getPaginationSettings reads them: upper-cased, as Snowflake stores unquoted names.
+ * @param {Object} pagination - Pagination settings from endpoint metadata
+ * @param {Array} schema - Rows from snowflakeService.getTableSchema ({ COLUMN_NAME, ... })
+ * @returns {string[]} Validation errors (empty when every column exists)
+ */
+function validateSortKeyColumns(pagination, schema) {
+  const columns = new Set(schema.map(column => String(column.COLUMN_NAME)));
+  const sortKey = Array.isArray(pagination.sortKey) ? pagination.sortKey : [pagination.sortKey];
+  return sortKey
+    .filter(column => !columns.has(String(column).toUpperCase()))
+    .map(column => `Pagination sort key column "${column}" does not exist in the table`);
+}
+
+/**
+ * Get normalized pagination settings for an endpoint
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Object|null} Settings, or null when the endpoint does not use keyset pagination
+ */
+function getPaginationSettings(endpoint) {
+  const pagination = endpoint?.metadata?.pagination;
+  if (endpoint?.type !== 'table' || !pagination || !pagination.sortKey) {
+    return null;
+  }
+  const sortKey = (Array.isArray(pagination.sortKey) ? pagination.sortKey : [pagination.sortKey])
+    .map(column => String(column).toUpperCase());
+  if (sortKey.length === 0) {
+    return null;
+  }
+  const maxPageSize = parseInt(pagination.maxPageSize, 10) || MAX_PAGE_SIZE;
+  return {
+    sortKey,
+    direction: pagination.direction === 'desc' ? 'desc' : 'asc',
+    defaultPageSize: Math.min(parseInt(pagination.defaultPageSize, 10) || DEFAULT_PAGE_SIZE, maxPageSize),
+    maxPageSize,
+    includeTotal: pagination.includeTotal === true
+  };
+}
+
+function encodeCursor(settings, values, direction) {
+  const payload = JSON.stringify({ k: settings.sortKey.join(','), v: values, d: direction });
+  return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor, rejecting cursors issued for a different sort key
+ * @returns {{ values: Array, direction: string }}
+ */
+function decodeCursor(settings, cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error('Invalid cursor');
+  }
+  if (!payload || payload.k !== settings.sortKey.join(',') || !Array.isArray(payload.v)
+    || payload.v.length !== settings.sortKey.length || !['next', 'prev'].includes(payload.d)) {
+    throw new Error('Invalid cursor');
+  }
+  return { values: payload.v, direction: payload.d };
+}
+
+/**
+ * Resolve page size, cursor and total-count request from query parameters
+ * @param {Object} settings - Pagination settings
+ * @param {Object} query - req.query
+ * @returns {{ page: Object|null, error: Object|null }} error is { field, message }
+ */
+function resolvePageRequest(settings, query) {
+  let limit = settings.defaultPageSize;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit < 1) {
+      return { page: null, error: { field: 'limit', message: 'limit must be a positive integer' } };
+    }
+    limit = Math.min(limit, settings.maxPageSize);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = decodeCursor(settings, query.cursor);
+    } catch (error) {
+      return { page: null, error: { field: 'cursor', message: error.message } };
+    }
+  }
+
+  return {
+    page: {
+      settings,
+      limit,
+      cursor,
+      includeTotal: settings.includeTotal || query.count === 'true'
+    },
+    error: null
+  };
+}
+
+/**
+ * Resolve limit and offset for a table read without keyset pagination
+ * @param {Object} query - req.query, or the parameters of a batch item or GraphQL field
+ * @param {number} maxLimit - Largest limit the caller may ask for; also caps the default
+ * @returns {{ window: { limit, offset }|null, error: Object|null }} error is { field, message }
+ */
+function resolveOffsetWindow(query, maxLimit) {
+  const read = (field, fallback, min) => {
+    const value = query[field];
+    if (value === undefined || value === null || value === '') {
+      return fallback;
+    }
+    const number = typeof value === 'number' ? value : (/^\d+$/.test(String(value)) ? Number(value) : NaN);
+    return Number.isInteger(number) && number >= min ? number : null;
+  };
+
+  const limit = read('limit', Math.min(DEFAULT_TABLE_LIMIT, maxLimit), 1);
+  if (limit === null || limit > maxLimit) {
+    return { window: null, error: { field: 'limit', message: `limit must be an integer from 1 to ${maxLimit}` } };
+  }
+  const offset = read('offset', 0, 0);
+  if (offset === null) {
+    return { window: null, error: { field: 'offset', message: 'offset must be a non-negative integer' } };
+  }
+  return { window: { limit, offset }, error: null };
+}
+
+/**
+ * Build the SQL for one page
+ * Fetches one extra row to tell whether another page follows. Backward pages are read in
+ * reverse order and flipped by buildPage.
+ * @param {string} tableName - Fully qualified table name
+ * @param {Object} page - Page request from resolvePageRequest
+ * @param {Object} tableQuery - Optional compiled select/filters from tableQueryUtils.compileTableQuery
+ * @returns {{ sqlText: string, binds: Array }}
+ */
+function buildKeysetQuery(tableName, page, tableQuery = null) {
+  const { sortKey, direction } = page.settings;
+  const backwards = page.cursor?.direction === 'prev';
+  const ascending = (direction === 'asc') !== backwards;
+  const binds = tableQuery ? [...tableQuery.binds] : [];
+  const conditions = tableQuery?.where ? [tableQuery.where] : [];
+
+  if (page.cursor) {
+    // (a, b) > (x, y) expanded as: a > x OR (a = x AND b > y)
+    const operator = ascending ? '>' : '<';
+    const clauses = sortKey.map((column, i) => {
+      const parts = sortKey.slice(0, i).map((previous, j) => {
+        binds.push(page.cursor.values[j]);
+        return `${quoteIdentifier(previous)} = ?`;
+      });
+      binds.push(page.cursor.values[i]);
+      parts.push(`${quoteIdentifier(column)} ${operator} ?`);
+      return `(${parts.join(' AND ')})`;
+    });
+    const keyset = clauses.join(' OR ');
+    conditions.push(conditions.length > 0 ? `(${keyset})` : keyset);
+  }
+
+  const select = tableQuery ? tableQuery.select : '*';
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const orderBy = sortKey.map(column => `${quoteIdentifier(column)} ${ascending ? 'ASC' : 'DESC'}`).join(', ');
+  binds.push(page.limit + 1);
+  return {
+    sqlText: `SELECT ${select} FROM ${tableName}${where} ORDER BY ${orderBy} LIMIT ?`,
+    binds
+  };
+}
+
+/**
+ * Build the SQL counting the rows a paginated read can reach
+ * Uses the same filters as buildKeysetQuery, without the cursor predicate or the page limit.
+ * @param {string} tableName - Fully qualified table name
+ * @param {Object} tableQuery - Optional compiled select/filters from tableQueryUtils.compileTableQuery
+ * @returns {{ sqlText: string, binds: Array }}
+ */
+function buildCountQuery(tableName, tableQuery = null) {
+  const where = tableQuery?.where ? ` WHERE ${tableQuery.where}` : '';
+  return {
+    sqlText: `SELECT COUNT(*) AS TOTAL_COUNT FROM ${tableName}${where}`,
+    binds: tableQuery ? [...tableQuery.binds] : []
+  };
+}
+
+/**
+ * Trim the extra row and compute cursors for the neighbouring pages
+ * @param {Array} rows - Rows returned by the keyset query
+ * @param {Object} page - Page request from resolvePageRequest
+ * @returns {{ rows: Array, pagination: Object }}
+ */
+function buildPage(rows, page) {
+  const { settings, limit, cursor } = page;
+  const backwards = cursor?.direction === 'prev';
+  const hasExtra = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  if (backwards) {
+    pageRows.reverse();
+  }
+
+  const keyOf = row => settings.sortKey.map(column => {
+    const value = row[column];
+    return value instanceof Date ? value.toISOString() : (value === undefined ? null : value);
+  });
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  // Going forward there is a next page only if the extra row came back; going backward the page we came from always follows
+  const hasNext = backwards ? pageRows.length > 0 : hasExtra;
+  const hasPrev = backwards ? hasExtra : cursor !== null && pageRows.length > 0;
+
+  return {
+    rows: pageRows,
+    pagination: {
+      limit,
+      hasMore: hasNext,
+      nextCursor: hasNext ? encodeCursor(settings, keyOf(last), 'next') : null,
+      prevCursor: hasPrev ? encodeCursor(settings, keyOf(first), 'prev') : null
+    }
+  };
+}
+
+/**
+ * Build an RFC 8288 Link header for the neighbouring pages
+ * @param {string} url - Absolute URL of the current resource without query string
+ * @param {Object} query - Current req.query (cursor is replaced, everything else is kept)
+ * @param {Object} pagination - Pagination metadata from buildPage
+ * @returns {string|null} Header value, or null when there are no neighbouring pages
+ */
+function buildLinkHeader(url, query, pagination) {
+  const link = (cursor, rel) => {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([name, value]) => {
+      if (name !== 'cursor') {
+        (Array.isArray(value) ? value : [value]).forEach(v => params.append(name, v));
+      }
+    });
+    params.set('limit', String(pagination.limit));
+    params.set('cursor', cursor);
+    return `<${url}?${params.toString()}>; rel="${rel}"`;
+  };
+
+  const links = [];
+  if (pagination.nextCursor) {
+    links.push(link(pagination.nextCursor, 'next'));
+  }
+  if (pagination.prevCursor) {
+    links.push(link(pagination.prevCursor, 'prev'));
+  }
+  return links.length > 0 ? links.join(', ') : null;
+}
+
+module.exports = {
+  validatePaginationSettings,
+  validateSortKeyColumns,
+  getPaginationSettings,
+  resolvePageRequest,
+  resolveOffsetWindow,
+  buildKeysetQuery,
+  buildCountQuery,
+  buildPage,
+  buildLinkHeader
+};
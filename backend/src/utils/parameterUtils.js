@@ -0,0 +1,342 @@
+/**
+ * Utility functions for resolving, coercing and binding named endpoint parameters
+ */
+
+const PARAMETER_TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'timestamp'];
+const PARAMETER_SOURCES = ['body', 'query', 'path', 'header'];
+const PARAMETER_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates parameter definitions declared on an endpoint
+ * @param {Array} definitions - Parameter definitions from Endpoint.parameters
+ * @returns {string[]} List of validation error messages (empty when valid)
+ */
+function validateParameterDefinitions(definitions) {
+  const errors = [];
+  if (!Array.isArray(definitions)) {
+    return errors;
+  }
+
+  const seen = new Set();
+  definitions.forEach((def, index) => {
+    const label = def && def.name ? `Parameter "${def.name}"` : `Parameter ${index + 1}`;
+
+    if (!def || typeof def !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!def.name || !PARAMETER_NAME_REGEX.test(def.name)) {
+      errors.push(`${label} must have a name containing only letters, digits and underscores`);
+    } else if (seen.has(def.name.toLowerCase())) {
+      errors.push(`${label} is declared more than once`);
+    } else {
+      seen.add(def.name.toLowerCase());
+    }
+    if (def.type && !PARAMETER_TYPES.includes(def.type)) {
+      errors.push(`${label} type must be one of: ${PARAMETER_TYPES.join(', ')}`);
+    }
+    if (def.source && !PARAMETER_SOURCES.includes(def.source)) {
+      errors.push(`${label} source must be one of: ${PARAMETER_SOURCES.join(', ')}`);
+    }
+    if (def.enum !== undefined && (!Array.isArray(def.enum) || def.enum.length === 0)) {
+      errors.push(`${label} enum must be a non-empty array`);
+    }
+    ['min', 'max'].forEach(bound => {
+      if (def[bound] !== undefined && def[bound] !== null && typeof def[bound] !== 'number') {
+        errors.push(`${label} ${bound} must be a number`);
+      }
+    });
+    if (typeof def.min === 'number' && typeof def.max === 'number' && def.min > def.max) {
+      errors.push(`${label} min must not be greater than max`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Reads the raw value for a parameter from its declared request source
+ * @param {Object} def - Parameter definition
+ * @param {Object} req - Express request
+ * @param {Object} pathValues - Path segment values keyed by parameter name
+ * @returns {*} Raw value, or undefined when not supplied
+ */
+function readRawValue(def, req, pathValues) {
+  switch (def.source || 'body') {
+    case 'query':
+      return req.query ? req.query[def.name] : undefined;
+    case 'path':
+      return pathValues[def.name];
+    case 'header':
+      return req.get ? req.get(def.header || `X-Param-${def.name}`) : undefined;
+    case 'body':
+    default: {
+      const body = req.body || {};
+      // Named parameters may be sent either under "parameters" or at the top level of the body
+      const params = body.parameters;
+      if (params && typeof params === 'object' && !Array.isArray(params) && params[def.name] !== undefined) {
+        return params[def.name];
+      }
+      return body[def.name];
+    }
+  }
+}
+
+/**
+ * Splits the path after the endpoint identifier into segments, decoding each segment exactly once
+ * Works on the raw path because Express has already decoded req.params[0], where "%2F" can no longer be told from "/"
+ * @param {string} rawPath - Router-relative path as received (req.path), e.g. "/orders/42/a%2Fb"
+ * @returns {Array<string>|null} Decoded segments (e.g. ["42", "a/b"]), or null when a segment is not valid percent-encoding
+ */
+function getExtraPathSegments(rawPath) {
+  const segments = String(rawPath || '').split('/').filter(Boolean).slice(1);
+  try {
+    return segments.map(decodeURIComponent);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Maps extra path segments (after the endpoint identifier) to path-sourced parameters in declaration order
+ * @param {Array} definitions - Parameter definitions
+ * @param {Array<string>} segments - Decoded segments from getExtraPathSegments
+ * @returns {Object} Values keyed by parameter name
+ */
+function mapPathSegments(definitions, segments) {
+  const pathDefs = definitions.filter(def => def.source === 'path');
+  const values = {};
+  pathDefs.forEach((def, index) => {
+    if (segments[index] !== undefined) {
+      values[def.name] = segments[index];
+    }
+  });
+  return values;
+}
+
+/**
+ * Coerces a raw value to the declared parameter type
+ * @param {Object} def - Parameter definition
+ * @param {*} raw - Raw request value
+ * @returns {{ value: *, error: string|null }}
+ */
+function coerceValue(def, raw) {
+  const type = def.type || 'string';
+
+  switch (type) {
+    case 'integer':
+    case 'number': {
+      const num = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+      if (!Number.isFinite(num)) {
+        return { value: null, error: `must be a ${type}` };
+      }
+      if (type === 'integer' && !Number.isInteger(num)) {
+        return { value: null, error: 'must be an integer' };
+      }
+      return { value: num, error: null };
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw, error: null };
+      const normalized = String(raw).toLowerCase();
+      if (['true', '1', 'yes'].includes(normalized)) return { value: true, error: null };
+      if (['false', '0', 'no'].includes(normalized)) return { value: false, error: null };
+      return { value: null, error: 'must be a boolean' };
+    }
+
+    case 'date': {
+      const str = String(raw);
+      if (!DATE_REGEX.test(str) || Number.isNaN(Date.parse(str))) {
+        return { value: null, error: 'must be a date in YYYY-MM-DD format' };
+      }
+      return { value: str, error: null };
+    }
+
+    case 'timestamp': {
+      const parsed = Date.parse(String(raw));
+      if (Number.isNaN(parsed)) {
+        return { value: null, error: 'must be an ISO 8601 timestamp' };
+      }
+      return { value: new Date(parsed).toISOString(), error: null };
+    }
+
+    case 'string':
+    default:
+      if (typeof raw === 'object') {
+        return { value: null, error: 'must be a string' };
+      }
+      return { value: String(raw), error: null };
+  }
+}
+
+/**
+ * Applies enum and min/max constraints to a coerced value
+ * For numbers min/max bound the value, for strings they bound the length
+ * @param {Object} def - Parameter definition
+ * @param {*} value - Coerced value
+ * @returns {string|null} Error message or null when valid
+ */
+function checkConstraints(def, value) {
+  if (Array.isArray(def.enum) && !def.enum.some(allowed => String(allowed) === String(value))) {
+    return `must be one of: ${def.enum.join(', ')}`;
+  }
+
+  const measured = typeof value === 'string' ? value.length : value;
+  if (typeof measured !== 'number') {
+    return null;
+  }
+  const unit = typeof value === 'string' ? ' characters' : '';
+  if (typeof def.min === 'number' && measured < def.min) {
+    return typeof value === 'string' ? `must be at least ${def.min}${unit}` : `must be >= ${def.min}`;
+  }
+  if (typeof def.max === 'number' && measured > def.max) {
+    return typeof value === 'string' ? `must be at most ${def.max}${unit}` : `must be <= ${def.max}`;
+  }
+  return null;
+}
+
+/**
+ * Resolves, coerces and validates all declared parameters for a request
+ * @param {Array} definitions - Parameter definitions from Endpoint.parameters
+ * @param {Object} req - Express request; path parameters are read from req.pathSegments
+ * @returns {{ values: Object, errors: Array<{ field: string, location: string, message: string }> }}
+ */
+function resolveParameters(definitions, req) {
+  const values = {};
+  const errors = [];
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    return { values, errors };
+  }
+
+  const pathValues = mapPathSegments(definitions, req.pathSegments || []);
+
+  definitions.forEach(def => {
+    const location = def.source || 'body';
+    let raw = readRawValue(def, req, pathValues);
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (def.default !== undefined) {
+        raw = def.default;
+      } else if (def.required) {
+        errors.push({ field: def.name, location, message: `${def.name} is required` });
+        return;
+      } else {
+        values[def.name] = null;
+        return;
+      }
+    }
+
+    const { value, error } = coerceValue(def, raw);
+    const constraintError = error ? null : checkConstraints(def, value);
+    if (error || constraintError) {
+      errors.push({ field: def.name, location, message: `${def.name} ${error || constraintError}` });
+      return;
+    }
+    values[def.name] = value;
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Rewrites :name placeholders in SQL to positional ? binds
+ * String literals ('...' and $$...$$), quoted identifiers, line and block comments and :: casts are left untouched.
+ * Only declared names are replaced, and only where the colon does not follow an identifier, so
+ * semi-structured paths such as src:region keep their meaning.
+ * If the SQL has no named placeholders, values are bound positionally in declaration order.
+ * @param {string} sql - SQL text containing :name placeholders
+ * @param {Object} values - Resolved values keyed by parameter name
+ * @param {Array} definitions - Parameter definitions (determines declared names and order)
+ * @returns {{ sqlText: string, binds: Array }}
+ */
+function bindNamedParameters(sql, values, definitions) {
+  const declared = new Map(definitions.map(def => [def.name.toLowerCase(), def.name]));
+  const binds = [];
+  let sqlText = '';
+  let i = 0;
+  let replaced = false;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    // Copy quoted strings and identifiers verbatim
+    if (ch === '\'' || ch === '"') {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === ch && sql[j + 1] === ch) {
+          j += 2;
+        } else if (sql[j] === ch) {
+          break;
+        } else {
+          j += 1;
+        }
+      }
+      sqlText += sql.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    // Copy comments and $$ strings verbatim; an unterminated one runs to the end of the text
+    const skipTo = ch === '-' && sql[i + 1] === '-' ? '\n'
+      : ch === '/' && sql[i + 1] === '*' ? '*/'
+        : ch === '$' && sql[i + 1] === '$' ? '$$'
+          : null;
+    if (skipTo) {
+      const end = sql.indexOf(skipTo, i + 2);
+      const j = end === -1 ? sql.length : end + skipTo.length;
+      sqlText += sql.slice(i, j);
+      i = j;
+      continue;
+    }
+
+    // Leave :: casts alone
+    if (ch === ':' && sql[i + 1] === ':') {
+      sqlText += '::';
+      i += 2;
+      continue;
+    }
+
+    // A colon after an identifier, a closing bracket or a quoted name is a path like src:region or v[0]:id
+    if (ch === ':' && !/[A-Za-z0-9_$\]")]/.test(sql[i - 1] || '')) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(i + 1));
+      const name = match && declared.get(match[0].toLowerCase());
+      if (name) {
+        sqlText += '?';
+        binds.push(values[name] !== undefined ? values[name] : null);
+        i += 1 + match[0].length;
+        replaced = true;
+        continue;
+      }
+    }
+
+    sqlText += ch;
+    i += 1;
+  }
+
+  if (!replaced) {
+    return { sqlText: sql, binds: toPositionalBinds(values, definitions) };
+  }
+  return { sqlText, binds };
+}
+
+/**
+ * Returns resolved values as a positional bind array in declaration order
+ * Used for stored procedures and functions, whose arguments are positional
+ * @param {Object} values - Resolved values keyed by parameter name
+ * @param {Array} definitions - Parameter definitions
+ * @returns {Array} Bind values
+ */
+function toPositionalBinds(values, definitions) {
+  return definitions.map(def => (values[def.name] !== undefined ? values[def.name] : null));
+}
+
+module.exports = {
+  PARAMETER_TYPES,
+  PARAMETER_SOURCES,
+  validateParameterDefinitions,
+  getExtraPathSegments,
+  resolveParameters,
+  bindNamedParameters,
+  toPositionalBinds
+};
@@ -0,0 +1,111 @@
+/**
+ * HMAC request signing, an alternative to sending the API key itself
+ * The client names its key by ID and signs "<METHOD>\n<path and query>\n<timestamp>\n<nonce>\n<hex SHA-256 of the
+ * raw body>" with the key's signing secret: X-Signature is sha256=HMAC-SHA256(secret, that string).
+ * Only Node's crypto is needed, so consumers can copy this file to sign their requests or check their signatures.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADERS = {
+  keyId: 'x-api-key-id',
+  timestamp: 'x-signature-timestamp',
+  nonce: 'x-signature-nonce',
+  signature: 'x-signature'
+};
+const SIGNATURE_PREFIX = 'sha256=';
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Hash a request body the way signatures cover it
+ * @param {string|Buffer} body - Raw body exactly as sent; empty or omitted for requests without a body
+ * @returns {string} Hex SHA-256
+ */
+function hashBody(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+/**
+ * Build the string a signature covers
+ * @param {Object} request - { method, path, timestamp, nonce, body } where path includes the query string
+ * @returns {string}
+ */
+function buildStringToSign({ method, path, timestamp, nonce, body }) {
+  return [String(method).toUpperCase(), path, String(timestamp), nonce, hashBody(body)].join('\n');
+}
+
+/**
+ * Compute the X-Signature value for a request
+ * @param {string} secret - The key's signing secret
+ * @param {Object} request - { method, path, timestamp, nonce, body }
+ * @returns {string} sha256=<hex HMAC>
+ */
+function computeSignature(secret, request) {
+  return `${SIGNATURE_PREFIX}${crypto.createHmac('sha256', secret).update(buildStringToSign(request)).digest('hex')}`;
+}
+
+/**
+ * Sign a request (client side)
+ * @param {string} keyId - API key ID
+ * @param {string} secret - The key's signing secret
+ * @param {Object} request - { method, path, body, timestamp, nonce }; timestamp (Unix seconds) and nonce default to now and a random value
+ * @returns {Object} Headers to send with the request
+ */
+function signRequest(keyId, secret, { method, path, body, timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') }) {
+  return {
+    'X-API-Key-Id': keyId,
+    'X-Signature-Timestamp': String(timestamp),
+    'X-Signature-Nonce': nonce,
+    'X-Signature': computeSignature(secret, { method, path, timestamp, nonce, body })
+  };
+}
+
+/**
+ * Check a signature in constant time
+ * @param {string} secret - The key's signing secret
+ * @param {Object} request - { method, path, timestamp, nonce, body } as received
+ * @param {string} signature - X-Signature value
+ * @returns {boolean}
+ */
+function verifySignature(secret, request, signature) {
+  if (!secret || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(computeSignature(secret, request));
+  const received = Buffer.from(signature);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Check that a signature timestamp lies within the replay window
+ * @param {string|number} timestamp - Unix seconds from X-Signature-Timestamp
+ * @param {number} windowSeconds - Allowed clock difference in either direction
+ * @param {number} now - Reference time in milliseconds
+ * @returns {boolean}
+ */
+function isFreshTimestamp(timestamp, windowSeconds, now = Date.now()) {
+  if (!/^\d{1,12}$/.test(String(timestamp))) {
+    return false;
+  }
+  return Math.abs(now / 1000 - Number(timestamp)) <= windowSeconds;
+}
+
+/**
+ * Check the shape of a nonce: 16 to 128 letters, digits, '-' or '_'
+ * @param {string} nonce - X-Signature-Nonce value
+ * @returns {boolean}
+ */
+function isValidNonce(nonce) {
+  return typeof nonce === 'string' && NONCE_PATTERN.test(nonce);
+}
+
+module.exports = {
+  SIGNATURE_HEADERS,
+  hashBody,
+  buildStringToSign,
+  computeSignature,
+  signRequest,
+  verifySignature,
+  isFreshTimestamp,
+  isValidNonce
+};
@@ -0,0 +1,180 @@
+/**
+ * Response shaping for proxy endpoints
+ * metadata.shape maps raw Snowflake columns to the published row shape, e.g.
+ * { "drop": ["INTERNAL_FLAG"], "parseJson": ["ATTRIBUTES"], "rename": { "CUSTOMER_ID": "id" },
+ *   "nest": ["ADDRESS"], "casing": "camel" }
+ * turns { CUSTOMER_ID, ADDRESS_CITY, ATTRIBUTES: '{"vip":true}' } into { id, address: { city }, attributes: { vip: true } }.
+ */
+
+const CASINGS = ['preserve', 'camel', 'snake'];
+
+/**
+ * Validate a metadata.shape block
+ * @param {Object} shape - Shape settings from endpoint metadata
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateShapeSettings(shape) {
+  if (typeof shape !== 'object' || Array.isArray(shape)) {
+    return ['Response shape must be an object'];
+  }
+  const errors = [];
+  const isNameList = value => Array.isArray(value)
+    && value.every(name => typeof name === 'string' && name.trim().length > 0);
+
+  if (shape.casing !== undefined && shape.casing !== null && !CASINGS.includes(shape.casing)) {
+    errors.push(`Response shape casing must be one of: ${CASINGS.join(', ')}`);
+  }
+  ['drop', 'parseJson', 'nest'].forEach((key) => {
+    if (shape[key] !== undefined && shape[key] !== null && !isNameList(shape[key])) {
+      errors.push(`Response shape ${key} must be an array of column names`);
+    }
+  });
+  if (shape.rename !== undefined && shape.rename !== null) {
+    if (typeof shape.rename !== 'object' || Array.isArray(shape.rename)) {
+      errors.push('Response shape rename must map column names to output names');
+    } else {
+      Object.entries(shape.rename).forEach(([column, name]) => {
+        if (typeof name !== 'string' || name.split('.').some(segment => segment.trim().length === 0)) {
+          errors.push(`Response shape rename for ${column} must be a name or dotted path such as address.city`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Get normalized shape settings for an endpoint
+ * Column names are matched case-insensitively
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Object|null} { casing, drop, parseJson, rename, nest } or null when rows are returned as-is
+ */
+function getShapeSettings(endpoint) {
+  const shape = endpoint?.metadata?.shape;
+  if (!shape || typeof shape !== 'object') {
+    return null;
+  }
+  const upperSet = list => new Set((Array.isArray(list) ? list : []).map(name => String(name).toUpperCase()));
+  const settings = {
+    casing: CASINGS.includes(shape.casing) ? shape.casing : 'preserve',
+    drop: upperSet(shape.drop),
+    parseJson: upperSet(shape.parseJson),
+    rename: new Map(Object.entries(shape.rename || {}).map(([column, name]) => [column.toUpperCase(), String(name)])),
+    // Longest prefix first so ADDRESS_GEO wins over ADDRESS for ADDRESS_GEO_LAT
+    nest: [...upperSet(shape.nest)].sort((a, b) => b.length - a.length)
+  };
+  const changesRows = settings.casing !== 'preserve' || settings.drop.size > 0 || settings.parseJson.size > 0
+    || settings.rename.size > 0 || settings.nest.length > 0;
+  return changesRows ? settings : null;
+}
+
+/**
+ * Convert a column name to the requested casing
+ * e.g. CUSTOMER_ID -> customerId (camel) or customer_id (snake); customerId -> customer_id (snake)
+ * @param {string} name - Column name
+ * @param {string} casing - 'camel', 'snake' or 'preserve'
+ * @returns {string}
+ */
+function convertCase(name, casing) {
+  if (casing === 'preserve') {
+    return name;
+  }
+  const words = String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+  if (words.length === 0) {
+    return name;
+  }
+  if (casing === 'snake') {
+    return words.join('_');
+  }
+  return words[0] + words.slice(1).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+// Output path for one column: explicit rename, then nesting prefix, then casing
+function resolvePath(column, settings) {
+  const upper = column.toUpperCase();
+  if (settings.rename.has(upper)) {
+    return settings.rename.get(upper).split('.');
+  }
+  const prefix = settings.nest.find(candidate => upper.startsWith(`${candidate}_`) && upper.length > candidate.length + 1);
+  if (prefix) {
+    return [convertCase(column.slice(0, prefix.length), settings.casing), convertCase(column.slice(prefix.length + 1), settings.casing)];
+  }
+  return [convertCase(column, settings.casing)];
+}
+
+// JSON text from VARIANT or VARCHAR columns; values that are not valid JSON are kept as they are
+function parseJsonValue(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function setPath(target, path, value) {
+  let node = target;
+  path.slice(0, -1).forEach((segment) => {
+    if (!node[segment] || typeof node[segment] !== 'object' || Array.isArray(node[segment])) {
+      node[segment] = {};
+    }
+    node = node[segment];
+  });
+  node[path[path.length - 1]] = value;
+}
+
+/**
+ * Build a function that reshapes one row
+ * Output paths are resolved once per column name and reused for every row
+ * @param {Object} settings - Output of getShapeSettings
+ * @returns {Function} row => shaped row
+ */
+function createRowShaper(settings) {
+  const paths = new Map(); // column name -> output path, or null when dropped
+
+  return (row) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      return row;
+    }
+    const shaped = {};
+    Object.keys(row).forEach((column) => {
+      if (!paths.has(column)) {
+        paths.set(column, settings.drop.has(column.toUpperCase()) ? null : resolvePath(column, settings));
+      }
+      const path = paths.get(column);
+      if (path) {
+        const value = settings.parseJson.has(column.toUpperCase()) ? parseJsonValue(row[column]) : row[column];
+        setPath(shaped, path, value);
+      }
+    });
+    return shaped;
+  };
+}
+
+/**
+ * Reshape result rows for an endpoint
+ * @param {Object} endpoint - Endpoint object
+ * @param {Array} rows - Raw result rows
+ * @returns {Array} Shaped rows (the same array when the endpoint has no shape)
+ */
+function shapeRows(endpoint, rows) {
+  const settings = getShapeSettings(endpoint);
+  if (!settings || !Array.isArray(rows)) {
+    return rows;
+  }
+  return rows.map(createRowShaper(settings));
+}
+
+module.exports = {
+  validateShapeSettings,
+  getShapeSettings,
+  convertCase,
+  createRowShaper,
+  shapeRows
+};
@@ -0,0 +1,176 @@
+/**
+ * Utilities for streaming query results to HTTP clients without buffering them in memory
+ */
+
+const { createSerializer } = require('./formatUtils');
+
+const STREAMABLE_TYPES = ['query', 'table'];
+
+/**
+ * Get normalized streaming settings for an endpoint
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Object|null} { maxRows } or null when the endpoint does not stream
+ */
+function getStreamSettings(endpoint) {
+  const streaming = endpoint?.metadata?.streaming;
+  if (!streaming || !streaming.enabled || !STREAMABLE_TYPES.includes(endpoint.type)) {
+    return null;
+  }
+  return {
+    maxRows: parseInt(streaming.maxRows, 10) || 0
+  };
+}
+
+/**
+ * Write an object-mode row stream to the response
+ * Rows are serialized with the same serializers as buffered responses, so JSON keeps the regular
+ * { success, data, metadata } envelope. The source is paused while the response buffer is full,
+ * and destroyed when maxRows is reached or the client disconnects.
+ * Stats are exposed on res.locals.streamStats so telemetry can record bytes sent.
+ * @param {Readable} rows - Object-mode stream of rows
+ * @param {Object} res - Express response (headers must not be sent yet)
+ * @param {Object} options - { format, maxRows, metadata, csv, mapRow }
+ * @returns {Promise<Object>} { rowCount, bytes, truncated, aborted }
+ */
+function writeRowStream(rows, res, options = {}) {
+  const { format = 'json', maxRows = 0, metadata = {}, csv = {}, mapRow = null } = options;
+  const serializer = createSerializer(format, csv);
+  const stats = { rowCount: 0, bytes: 0, truncated: false, aborted: false };
+  res.locals.streamStats = stats;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const write = (chunk) => {
+      stats.bytes += Buffer.byteLength(chunk);
+      return res.write(chunk);
+    };
+
+    const settle = () => {
+      settled = true;
+      rows.removeListener('data', onData);
+      rows.removeListener('end', onEnd);
+      rows.removeListener('error', onError);
+      res.removeListener('drain', onDrain);
+      res.removeListener('close', onClose);
+    };
+
+    const finish = () => {
+      if (settled) {
+        return;
+      }
+      settle();
+      const trailer = serializer.end({ ...metadata, rowCount: stats.rowCount, truncated: stats.truncated, streamed: true });
+      if (trailer) {
+        write(trailer);
+      }
+      res.end();
+      resolve(stats);
+    };
+
+    function onData(row) {
+      if (maxRows && stats.rowCount >= maxRows) {
+        stats.truncated = true;
+        rows.destroy();
+        finish();
+        return;
+      }
+      stats.rowCount += 1;
+      if (!write(serializer.row(mapRow ? mapRow(row) : row))) {
+        // Backpressure: stop reading rows until the client catches up
+        rows.pause();
+        res.once('drain', onDrain);
+      }
+    }
+
+    function onDrain() {
+      rows.resume();
+    }
+
+    function onEnd() {
+      finish();
+    }
+
+    function onError(error) {
+      if (settled) {
+        return;
+      }
+      settle();
+      reject(error);
+    }
+
+    function onClose() {
+      if (settled) {
+        return;
+      }
+      // Client went away before the stream finished
+      stats.aborted = true;
+      settle();
+      rows.destroy();
+      resolve(stats);
+    }
+
+    res.status(200);
+    res.set('Content-Type', serializer.contentType);
+    if (maxRows) {
+      res.set('X-Max-Rows', String(maxRows));
+    }
+    const preamble = serializer.start();
+    if (preamble) {
+      write(preamble);
+    }
+
+    rows.on('data', onData);
+    rows.on('end', onEnd);
+    rows.on('error', onError);
+    res.on('close', onClose);
+  });
+}
+
+/**
+ * Read an object-mode row stream into memory, for callers that need all rows at once
+ * The source is destroyed as soon as one row more than maxRows arrives, so at most maxRows are held.
+ * @param {Readable} rows - Object-mode stream of rows
+ * @param {number} maxRows - Row cap (required: buffering an unbounded stream is what streaming avoids)
+ * @returns {Promise<Object>} { rows, rowCount, truncated }
+ */
+function collectRows(rows, maxRows) {
+  return new Promise((resolve, reject) => {
+    const collected = [];
+    let settled = false;
+
+    const finish = (truncated) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      resolve({ rows: collected, rowCount: collected.length, truncated });
+    };
+
+    rows.on('data', (row) => {
+      if (settled) {
+        return;
+      }
+      if (collected.length >= maxRows) {
+        finish(true);
+        rows.destroy();
+        return;
+      }
+      collected.push(row);
+    });
+    rows.on('end', () => finish(false));
+    // Errors after the cap was reached come from tearing down the source and are ignored
+    rows.on('error', (error) => {
+      if (!settled) {
+        settled = true;
+        reject(error);
+      }
+    });
+  });
+}
+
+module.exports = {
+  getStreamSettings,
+  writeRowStream,
+  collectRows
+};
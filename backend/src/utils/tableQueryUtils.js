@@ -0,0 +1,278 @@
+/**
+ * PostgREST-style query grammar for table endpoints
+ * ?select=a,b  ?status=eq.open  ?amount=gt.100  ?id=in.(1,2,3)  ?order=created_at.desc
+ * Requests are parsed from the URL, validated against the table's columns and compiled into bound SQL.
+ * Column names in the SQL always come from the table schema, never from the request.
+ */
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+  in: 'IN',
+  is: 'IS'
+};
+
+// Query parameters with their own meaning on the proxy; never treated as column filters
+const RESERVED_PARAMS = [
+  'select', 'order', 'limit', 'offset', 'cursor', 'count',
+  'format', 'delimiter', 'header', 'download', 'async', 'API_KEY', 'token'
+];
+
+const NUMERIC_TYPES = ['NUMBER', 'DECIMAL', 'NUMERIC', 'INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'FLOAT', 'DOUBLE', 'REAL'];
+
+/**
+ * Get normalized filtering settings for an endpoint
+ * Empty or missing allowlists allow every column of the table
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Object|null} { filterable, sortable } or null when the grammar is disabled
+ */
+function getFilterSettings(endpoint) {
+  const filtering = endpoint?.metadata?.filtering;
+  if (endpoint?.type !== 'table' || !filtering || !filtering.enabled) {
+    return null;
+  }
+  const allowlist = value => (Array.isArray(value) && value.length > 0 ? value.map(c => String(c).toUpperCase()) : null);
+  return {
+    filterable: allowlist(filtering.filterable),
+    sortable: allowlist(filtering.sortable)
+  };
+}
+
+// Split "a,b,\"c,d\"" on commas outside double quotes
+function splitList(text) {
+  const items = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current.trim());
+  return items.filter(item => item.length > 0);
+}
+
+function parseFilter(field, raw) {
+  let expression = String(raw);
+  let negate = false;
+  if (expression.startsWith('not.')) {
+    negate = true;
+    expression = expression.slice(4);
+  }
+  const dot = expression.indexOf('.');
+  const operator = dot === -1 ? expression : expression.slice(0, dot);
+  const value = dot === -1 ? '' : expression.slice(dot + 1);
+
+  if (!OPERATORS[operator]) {
+    return { error: `Unknown operator "${operator}". Use one of: ${Object.keys(OPERATORS).join(', ')}` };
+  }
+  if (operator === 'in') {
+    if (!/^\(.*\)$/.test(value)) {
+      return { error: 'in expects a parenthesized list, e.g. in.(a,b)' };
+    }
+    const values = splitList(value.slice(1, -1));
+    if (values.length === 0) {
+      return { error: 'in expects at least one value' };
+    }
+    return { filter: { column: field, operator, negate, values } };
+  }
+  if (operator === 'is' && !['null', 'true', 'false'].includes(value.toLowerCase())) {
+    return { error: 'is accepts null, true or false' };
+  }
+  return { filter: { column: field, operator, negate, values: [value] } };
+}
+
+/**
+ * Parse select, order and column filters from the query string
+ * @param {Object} query - req.query
+ * @param {string[]} ignored - Additional parameter names to leave alone (e.g. declared endpoint parameters)
+ * @returns {{ request: Object, errors: Array }} errors are { field, message }
+ */
+function parseTableQuery(query, ignored = []) {
+  const errors = [];
+  const request = { select: null, filters: [], order: [] };
+  const skip = new Set([...RESERVED_PARAMS, ...ignored]);
+
+  if (query.select !== undefined) {
+    request.select = splitList(String(query.select));
+    if (request.select.length === 0) {
+      errors.push({ field: 'select', message: 'select must list at least one column' });
+    }
+  }
+
+  if (query.order !== undefined) {
+    String(query.order).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+      const [column, ...modifiers] = part.split('.');
+      const term = { column, descending: false, nulls: null };
+      for (const modifier of modifiers) {
+        if (modifier === 'asc' || modifier === 'desc') {
+          term.descending = modifier === 'desc';
+        } else if (modifier === 'nullsfirst' || modifier === 'nullslast') {
+          term.nulls = modifier === 'nullsfirst' ? 'FIRST' : 'LAST';
+        } else {
+          errors.push({ field: 'order', message: `Unknown order modifier "${modifier}"` });
+        }
+      }
+      request.order.push(term);
+    });
+  }
+
+  Object.entries(query).forEach(([field, raw]) => {
+    if (skip.has(field)) {
+      return;
+    }
+    // Repeated parameters (?amount=gt.1&amount=lt.5) are combined with AND
+    (Array.isArray(raw) ? raw : [raw]).forEach(value => {
+      const { filter, error } = parseFilter(field, value);
+      if (error) {
+        errors.push({ field, message: error });
+      } else {
+        request.filters.push(filter);
+      }
+    });
+  });
+
+  return { request, errors };
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function coerceValue(value, dataType) {
+  const type = String(dataType || '').toUpperCase();
+  if (NUMERIC_TYPES.some(numeric => type.startsWith(numeric))) {
+    const number = Number(value);
+    return Number.isNaN(number) || value === '' ? { error: `"${value}" is not a number` } : { value: number };
+  }
+  if (type === 'BOOLEAN') {
+    if (!['true', 'false'].includes(String(value).toLowerCase())) {
+      return { error: `"${value}" is not a boolean` };
+    }
+    return { value: String(value).toLowerCase() === 'true' };
+  }
+  return { value };
+}
+
+/**
+ * Validate a parsed request against the table schema and compile it into SQL fragments
+ * @param {Object} request - Output of parseTableQuery
+ * @param {Array} schema - Rows from snowflakeService.getTableSchema ({ COLUMN_NAME, DATA_TYPE, ... })
+ * @param {Object} settings - Output of getFilterSettings
+ * @returns {{ query: Object|null, errors: Array }} query is { select, columns, where, binds, orderBy }
+ */
+function compileTableQuery(request, schema, settings) {
+  const errors = [];
+  const columns = new Map(schema.map(column => [String(column.COLUMN_NAME).toUpperCase(), column]));
+  const lookup = (field, name, allowlist, purpose) => {
+    const column = columns.get(String(name).toUpperCase());
+    if (!column) {
+      errors.push({ field, message: `Unknown column "${name}"` });
+      return null;
+    }
+    if (allowlist && !allowlist.includes(String(column.COLUMN_NAME).toUpperCase())) {
+      errors.push({ field, message: `Column "${name}" is not ${purpose}` });
+      return null;
+    }
+    return column;
+  };
+
+  const selected = (request.select || []).map(name => lookup('select', name, null, 'selectable')).filter(Boolean);
+
+  const binds = [];
+  const conditions = [];
+  request.filters.forEach(filter => {
+    const column = lookup(filter.column, filter.column, settings.filterable, 'filterable');
+    if (!column) {
+      return;
+    }
+    const identifier = quoteIdentifier(column.COLUMN_NAME);
+
+    if (filter.operator === 'is') {
+      const value = filter.values[0].toUpperCase();
+      conditions.push(`${identifier} IS ${filter.negate ? 'NOT ' : ''}${value}`);
+      return;
+    }
+
+    const coerced = filter.operator === 'like' || filter.operator === 'ilike'
+      ? filter.values.map(value => ({ value: value.replace(/\*/g, '%') }))
+      : filter.values.map(value => coerceValue(value, column.DATA_TYPE));
+    const invalid = coerced.find(result => result.error);
+    if (invalid) {
+      errors.push({ field: filter.column, message: invalid.error });
+      return;
+    }
+    binds.push(...coerced.map(result => result.value));
+
+    const operand = filter.operator === 'in' ? `(${coerced.map(() => '?').join(', ')})` : '?';
+    const condition = `${identifier} ${OPERATORS[filter.operator]} ${operand}`;
+    conditions.push(filter.negate ? `NOT (${condition})` : condition);
+  });
+
+  const orderTerms = request.order.map(term => {
+    const column = lookup('order', term.column, settings.sortable, 'sortable');
+    if (!column) {
+      return null;
+    }
+    return `${quoteIdentifier(column.COLUMN_NAME)} ${term.descending ? 'DESC' : 'ASC'}${term.nulls ? ` NULLS ${term.nulls}` : ''}`;
+  }).filter(Boolean);
+
+  if (errors.length > 0) {
+    return { query: null, errors };
+  }
+
+  return {
+    query: {
+      select: selected.length > 0 ? selected.map(column => quoteIdentifier(column.COLUMN_NAME)).join(', ') : '*',
+      columns: selected.map(column => String(column.COLUMN_NAME).toUpperCase()),
+      where: conditions.join(' AND '),
+      binds,
+      orderBy: orderTerms.join(', ')
+    },
+    errors: []
+  };
+}
+
+/**
+ * Build the final SELECT for a compiled table query
+ * @param {string} tableName - Table name from the endpoint target
+ * @param {Object} query - Compiled query from compileTableQuery
+ * @param {number|null} limit - Row limit, or null for no limit
+ * @param {number} offset - Row offset
+ * @returns {{ sqlText: string, binds: Array }}
+ */
+function buildTableSelect(tableName, query, limit, offset = 0) {
+  const where = query.where ? ` WHERE ${query.where}` : '';
+  const orderBy = query.orderBy ? ` ORDER BY ${query.orderBy}` : '';
+  if (limit === null) {
+    return {
+      sqlText: `SELECT ${query.select} FROM ${tableName}${where}${orderBy} LIMIT NULL OFFSET ?`,
+      binds: [...query.binds, offset]
+    };
+  }
+  return {
+    sqlText: `SELECT ${query.select} FROM ${tableName}${where}${orderBy} LIMIT ? OFFSET ?`,
+    binds: [...query.binds, limit, offset]
+  };
+}
+
+module.exports = {
+  RESERVED_PARAMS,
+  quoteIdentifier,
+  coerceValue,
+  getFilterSettings,
+  parseTableQuery,
+  compileTableQuery,
+  buildTableSelect
+};
@@ -0,0 +1,305 @@
+/**
+ * Insert, update and delete for table endpoints
+ * POST inserts rows from the JSON body, PUT/PATCH updates one row by primary key and DELETE removes one.
+ * Each operation is opted into separately in metadata.write and validated against the table schema.
+ */
+
+const { quoteIdentifier, coerceValue } = require('./tableQueryUtils');
+
+const OPERATIONS_BY_METHOD = {
+  POST: 'insert',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+const DEFAULT_MAX_INSERT_ROWS = 1000;
+const SEMI_STRUCTURED_TYPES = ['VARIANT', 'OBJECT', 'ARRAY'];
+
+/**
+ * Validate a metadata.write block
+ * @param {Object} write - Write settings from endpoint metadata
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateWriteSettings(write) {
+  const errors = [];
+  const isColumnList = value => Array.isArray(value)
+    && value.every(column => typeof column === 'string' && column.trim().length > 0);
+
+  if (write.primaryKey !== undefined && !isColumnList(write.primaryKey)) {
+    errors.push('Write primaryKey must be an array of column names');
+  }
+  ['insert', 'update'].forEach(operation => {
+    const columns = write[operation]?.columns;
+    if (columns !== undefined && columns !== null && !isColumnList(columns)) {
+      errors.push(`Write ${operation} columns must be an array of column names`);
+    }
+  });
+  const needsKey = write.update?.enabled || write.delete?.enabled;
+  if (needsKey && (!Array.isArray(write.primaryKey) || write.primaryKey.length === 0)) {
+    errors.push('Write primaryKey is required to enable update or delete');
+  }
+  if (write.maxRows !== undefined && write.maxRows !== null && (!Number.isInteger(write.maxRows) || write.maxRows < 1)) {
+    errors.push('Write maxRows must be a positive integer');
+  }
+  return errors;
+}
+
+/**
+ * Get normalized write settings for an endpoint
+ * Empty or missing column lists allow every column of the table
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Object|null} { primaryKey, insert, update, delete, maxRows } or null when no operation is enabled
+ */
+function getWriteSettings(endpoint) {
+  const write = endpoint?.metadata?.write;
+  if (endpoint?.type !== 'table' || !write) {
+    return null;
+  }
+  const upper = list => (Array.isArray(list) && list.length > 0 ? list.map(c => String(c).toUpperCase()) : null);
+  const operation = settings => (settings && settings.enabled ? { columns: upper(settings.columns) } : null);
+  const settings = {
+    primaryKey: upper(write.primaryKey) || [],
+    insert: operation(write.insert),
+    update: operation(write.update),
+    delete: write.delete && write.delete.enabled ? {} : null,
+    maxRows: parseInt(write.maxRows, 10) || DEFAULT_MAX_INSERT_ROWS
+  };
+  if (!settings.insert && !settings.update && !settings.delete) {
+    return null;
+  }
+  return settings;
+}
+
+/**
+ * Map a request method to an enabled write operation
+ * @returns {string|null} 'insert', 'update', 'delete' or null when the method reads the table
+ */
+function getWriteOperation(settings, method) {
+  const operation = OPERATIONS_BY_METHOD[method];
+  return settings && operation && settings[operation] ? operation : null;
+}
+
+// Methods that perform a write on this endpoint, e.g. ['POST', 'DELETE']
+function getWriteMethods(settings) {
+  return Object.keys(OPERATIONS_BY_METHOD).filter(method => getWriteOperation(settings, method));
+}
+
+function schemaLookup(schema) {
+  return new Map(schema.map(column => [String(column.COLUMN_NAME).toUpperCase(), column]));
+}
+
+function isSemiStructured(column) {
+  return SEMI_STRUCTURED_TYPES.includes(String(column.DATA_TYPE || '').toUpperCase());
+}
+
+// Bind placeholder and value for a JSON body value; semi-structured columns are parsed from JSON text
+function toBind(column, value) {
+  if (isSemiStructured(column)) {
+    return { placeholder: 'PARSE_JSON(?)', value: value === null ? null : JSON.stringify(value) };
+  }
+  if (value !== null && typeof value === 'object') {
+    return { error: `Column "${column.COLUMN_NAME}" does not accept objects or arrays` };
+  }
+  return { placeholder: '?', value };
+}
+
+// Validate body fields against the schema and an allowlist; returns [{ column, value }] in body order
+function resolveColumns(fields, columns, allowlist, purpose, errors, location) {
+  return Object.entries(fields).map(([name, value]) => {
+    const column = columns.get(name.toUpperCase());
+    if (!column) {
+      errors.push({ field: name, location, message: `Unknown column "${name}"` });
+      return null;
+    }
+    const columnName = String(column.COLUMN_NAME).toUpperCase();
+    if (allowlist && !allowlist.includes(columnName)) {
+      errors.push({ field: name, location, message: `Column "${name}" is not ${purpose}` });
+      return null;
+    }
+    if (value === null && column.IS_NULLABLE === 'NO') {
+      errors.push({ field: name, location, message: `Column "${name}" cannot be null` });
+      return null;
+    }
+    return { column, value };
+  }).filter(Boolean);
+}
+
+/**
+ * Resolve primary key values from extra path segments (in key order) or query parameters named after the columns
+ * e.g. DELETE /proxy/orders/42 or DELETE /proxy/orders?id=42
+ * @param {Object} settings - Write settings
+ * @param {Object} query - req.query
+ * @param {Array<string>} pathSegments - Decoded segments after the endpoint identifier (req.pathSegments)
+ * @param {Array} schema - Table columns
+ * @returns {{ key: Array<{ column, value }>|null, errors: Array }}
+ */
+function resolvePrimaryKey(settings, query, pathSegments, schema) {
+  const columns = schemaLookup(schema);
+  const segments = pathSegments || [];
+  const queryByColumn = new Map(Object.entries(query).map(([name, value]) => [name.toUpperCase(), value]));
+  const errors = [];
+
+  const key = settings.primaryKey.map((columnName, i) => {
+    const column = columns.get(columnName);
+    if (!column) {
+      errors.push({ field: columnName, location: 'path', message: `Primary key column "${columnName}" does not exist on the table` });
+      return null;
+    }
+    const raw = segments.length > 0 ? segments[i] : queryByColumn.get(columnName);
+    if (raw === undefined || raw === '' || Array.isArray(raw)) {
+      errors.push({
+        field: columnName,
+        location: segments.length > 0 ? 'path' : 'query',
+        message: `A single value for primary key column ${columnName} is required`
+      });
+      return null;
+    }
+    const coerced = coerceValue(raw, column.DATA_TYPE);
+    if (coerced.error) {
+      errors.push({ field: columnName, location: segments.length > 0 ? 'path' : 'query', message: coerced.error });
+      return null;
+    }
+    return { column, value: coerced.value };
+  });
+
+  if (segments.length > settings.primaryKey.length) {
+    errors.push({ field: 'path', location: 'path', message: `Expected ${settings.primaryKey.length} primary key segment(s)` });
+  }
+  return errors.length > 0 ? { key: null, errors } : { key, errors: [] };
+}
+
+function keyCondition(key, binds) {
+  return key.map(({ column, value }) => {
+    binds.push(value);
+    return `${quoteIdentifier(column.COLUMN_NAME)} = ?`;
+  }).join(' AND ');
+}
+
+/**
+ * Build an INSERT for one row object or an array of row objects
+ * Every row must set the same columns; rows are inserted as one statement
+ * @returns {{ statement: { sqlText, binds }|null, errors: Array }}
+ */
+function buildInsert(tableName, body, schema, settings) {
+  const rows = Array.isArray(body) ? body : [body];
+  const errors = [];
+  if (rows.length === 0 || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row) || Object.keys(row).length === 0)) {
+    return { statement: null, errors: [{ field: 'body', location: 'body', message: 'Body must be a row object or a non-empty array of row objects' }] };
+  }
+  if (rows.length > settings.maxRows) {
+    return { statement: null, errors: [{ field: 'body', location: 'body', message: `At most ${settings.maxRows} rows can be inserted per request` }] };
+  }
+
+  const columns = schemaLookup(schema);
+  const names = Object.keys(rows[0]).map(name => name.toUpperCase()).sort().join(',');
+  rows.forEach((row, i) => {
+    if (Object.keys(row).map(name => name.toUpperCase()).sort().join(',') !== names) {
+      errors.push({ field: `[${i}]`, location: 'body', message: 'Every row must set the same columns' });
+    }
+  });
+  const resolved = rows.map((row, i) => resolveColumns(row, columns, settings.insert.columns, 'insertable', errors, rows.length > 1 ? `body[${i}]` : 'body'));
+  if (errors.length > 0) {
+    return { statement: null, errors };
+  }
+
+  // Order every row's values like the first row
+  const order = resolved[0].map(({ column }) => String(column.COLUMN_NAME).toUpperCase());
+  const binds = [];
+  const selects = resolved.map(values => {
+    const byName = new Map(values.map(entry => [String(entry.column.COLUMN_NAME).toUpperCase(), entry]));
+    return `SELECT ${order.map(name => {
+      const { column, value } = byName.get(name);
+      const bind = toBind(column, value);
+      if (bind.error) {
+        errors.push({ field: name, location: 'body', message: bind.error });
+        return '?';
+      }
+      binds.push(bind.value);
+      return bind.placeholder;
+    }).join(', ')}`;
+  });
+  if (errors.length > 0) {
+    return { statement: null, errors };
+  }
+
+  // INSERT ... SELECT rather than VALUES so semi-structured columns can use PARSE_JSON
+  const columnList = resolved[0].map(({ column }) => quoteIdentifier(column.COLUMN_NAME)).join(', ');
+  return {
+    statement: { sqlText: `INSERT INTO ${tableName} (${columnList}) ${selects.join(' UNION ALL ')}`, binds },
+    errors: []
+  };
+}
+
+/**
+ * Build an UPDATE of one row by primary key from a JSON object of changed columns
+ * Primary key columns themselves cannot be changed
+ * @returns {{ statement: { sqlText, binds }|null, errors: Array }}
+ */
+function buildUpdate(tableName, key, body, schema, settings) {
+  if (!body || typeof body !== 'object' || Array.isArray(body) || Object.keys(body).length === 0) {
+    return { statement: null, errors: [{ field: 'body', location: 'body', message: 'Body must be an object of columns to update' }] };
+  }
+  const errors = [];
+  const allowlist = (settings.update.columns || schema.map(column => String(column.COLUMN_NAME).toUpperCase()))
+    .filter(name => !settings.primaryKey.includes(name));
+  const changes = resolveColumns(body, schemaLookup(schema), allowlist, 'updatable', errors, 'body');
+  const binds = [];
+  const assignments = changes.map(({ column, value }) => {
+    const bind = toBind(column, value);
+    if (bind.error) {
+      errors.push({ field: column.COLUMN_NAME, location: 'body', message: bind.error });
+      return null;
+    }
+    binds.push(bind.value);
+    return `${quoteIdentifier(column.COLUMN_NAME)} = ${bind.placeholder}`;
+  });
+  if (errors.length > 0) {
+    return { statement: null, errors };
+  }
+
+  const where = keyCondition(key, binds);
+  return {
+    statement: { sqlText: `UPDATE ${tableName} SET ${assignments.join(', ')} WHERE ${where}`, binds },
+    errors: []
+  };
+}
+
+/**
+ * Build a DELETE of one row by primary key
+ * @returns {{ sqlText: string, binds: Array }}
+ */
+function buildDelete(tableName, key) {
+  const binds = [];
+  const where = keyCondition(key, binds);
+  return { sqlText: `DELETE FROM ${tableName} WHERE ${where}`, binds };
+}
+
+/**
+ * Read the affected-row count from a DML result
+ * Snowflake returns a single row such as { "number of rows inserted": 3 }
+ * @returns {number}
+ */
+function getAffectedRows(result) {
+  if (typeof result.statement?.getNumUpdatedRows === 'function') {
+    const updated = result.statement.getNumUpdatedRows();
+    if (Number.isInteger(updated)) {
+      return updated;
+    }
+  }
+  const row = result.rows?.[0] || {};
+  const count = Object.keys(row).find(name => /^number of rows (inserted|updated|deleted)$/i.test(name));
+  return count ? Number(row[count]) : 0;
+}
+
+module.exports = {
+  validateWriteSettings,
+  getWriteSettings,
+  getWriteOperation,
+  getWriteMethods,
+  resolvePrimaryKey,
+  buildInsert,
+  buildUpdate,
+  buildDelete,
+  getAffectedRows
+};
@@ -129,6 +129,21 @@ describe('Endpoint Model', () => {
 
       expect(errors).toContain('Parameters must be an array');
     });
+
+    it('should return errors for invalid IP access rules', () => {
+      const endpointData = {
+        name: 'Test Endpoint',
+        type: 'query',
+        target: 'SELECT * FROM users',
+        method: 'GET',
+        metadata: { ipAccess: { allow: ['203.0.113.0/24', '203.0.113.0/99'] } }
+      };
+
+      const endpoint = new Endpoint(endpointData);
+      const errors = endpoint.validate();
+
+      expect(errors).toContain('IP allowlist has invalid entries: 203.0.113.0/99');
+    });
   });
 
   describe('Update', () => {
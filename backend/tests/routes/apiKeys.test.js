@@ -0,0 +1,379 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/services/tokenService', () => ({
+  createPATToken: jest.fn(),
+  getTokensByEndpointId: jest.fn(),
+  getAllTokens: jest.fn(),
+  rotatePATToken: jest.fn(),
+  issueSigningSecret: jest.fn()
+}));
+
+jest.mock('../../src/services/databaseService', () => ({
+  getEndpointById: jest.fn(),
+  getPATTokenById: jest.fn(),
+  updatePATTokenMetadata: jest.fn(),
+  revokePATToken: jest.fn(),
+  getTagById: jest.fn()
+}));
+
+jest.mock('../../src/services/webhookService', () => ({
+  EVENT_TYPES: ['api_key.generated', 'api_key.revoked'],
+  emit: jest.fn(),
+  describeEndpoint: jest.fn(endpoint => ({ id: endpoint.id, name: endpoint.name }))
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const tokenService = require('../../src/services/tokenService');
+const databaseService = require('../../src/services/databaseService');
+const webhookService = require('../../src/services/webhookService');
+const apiRoutes = require('../../src/routes/api');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { username: 'alice' };
+  next();
+});
+app.use('/api', apiRoutes);
+
+describe('API key routes', () => {
+  const endpoint = { id: 'e1', name: 'Orders', status: 'active' };
+  const storedKey = (id, labels = {}) => ({
+    id,
+    endpointId: 'e1',
+    token: `hash-${id}`,
+    isActive: true,
+    name: labels.name || null,
+    owner: labels.owner || null,
+    description: labels.description || null,
+    metadata: { endpointName: 'Orders', ...labels }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.getEndpointById.mockResolvedValue(endpoint);
+    tokenService.createPATToken.mockImplementation(async (endpointId, metadata) => ({
+      id: 'k-new',
+      endpointId,
+      token: 'plain-token',
+      signingSecret: 'sks_new',
+      name: metadata.name,
+      owner: metadata.owner || null,
+      description: metadata.description || null,
+      createdAt: '2026-01-01T00:00:00.000Z'
+    }));
+  });
+
+  describe('POST /api/endpoints/:id/api_key', () => {
+    it('issues an additional labelled key without revoking existing keys', async () => {
+      const response = await request(app)
+        .post('/api/endpoints/e1/api_key')
+        .send({ name: 'Billing', owner: 'billing@example.com', description: 'Nightly invoice export' })
+        .expect(200);
+
+      expect(tokenService.createPATToken).toHaveBeenCalledWith('e1', {
+        endpointName: 'Orders',
+        name: 'Billing',
+        owner: 'billing@example.com',
+        description: 'Nightly invoice export',
+        createdBy: 'alice'
+      });
+      expect(databaseService.revokePATToken).not.toHaveBeenCalled();
+      expect(response.body.data).toMatchObject({
+        token: 'plain-token',
+        signingSecret: 'sks_new',
+        tokenId: 'k-new',
+        name: 'Billing',
+        owner: 'billing@example.com'
+      });
+    });
+
+    it('names unlabelled keys Default', async () => {
+      await request(app).post('/api/endpoints/e1/api_key').expect(200);
+
+      expect(tokenService.createPATToken.mock.calls[0][1].name).toBe('Default');
+    });
+
+    it('revokes every existing key when revokeExisting is true', async () => {
+      tokenService.getTokensByEndpointId.mockResolvedValue([storedKey('k1', { name: 'A' }), storedKey('k2', { name: 'B' })]);
+
+      await request(app)
+        .post('/api/endpoints/e1/api_key')
+        .send({ revokeExisting: true })
+        .expect(200);
+
+      expect(databaseService.revokePATToken).toHaveBeenCalledWith('hash-k1', 'alice');
+      expect(databaseService.revokePATToken).toHaveBeenCalledWith('hash-k2', 'alice');
+      expect(webhookService.emit.mock.calls.filter(([event]) => event === 'api_key.revoked')).toHaveLength(2);
+    });
+
+    it('rejects labels that are too long', async () => {
+      const response = await request(app)
+        .post('/api/endpoints/e1/api_key')
+        .send({ name: 'x'.repeat(101) })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+      expect(tokenService.createPATToken).not.toHaveBeenCalled();
+    });
+
+    it('passes an explicit expiry, or null for a key that never expires', async () => {
+      await request(app).post('/api/endpoints/e1/api_key').send({ expiresAt: '2999-01-01T00:00:00Z' }).expect(200);
+      await request(app).post('/api/endpoints/e1/api_key').send({ expiresAt: null }).expect(200);
+      await request(app).post('/api/endpoints/e1/api_key').expect(200);
+
+      expect(tokenService.createPATToken.mock.calls[0][1].expiresAt).toBe('2999-01-01T00:00:00.000Z');
+      expect(tokenService.createPATToken.mock.calls[1][1].expiresAt).toBeNull();
+      expect(tokenService.createPATToken.mock.calls[2][1]).not.toHaveProperty('expiresAt');
+    });
+
+    it('rejects an expiry in the past', async () => {
+      const response = await request(app)
+        .post('/api/endpoints/e1/api_key')
+        .send({ expiresAt: '2000-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body.details[0].msg).toBe('expiresAt must be in the future');
+    });
+
+    it('returns 404 for an unknown endpoint', async () => {
+      databaseService.getEndpointById.mockResolvedValue(null);
+
+      await request(app).post('/api/endpoints/missing/api_key').expect(404);
+    });
+  });
+
+  describe('GET /api/endpoints/:id/api_keys', () => {
+    it('lists the endpoint keys without their hashes', async () => {
+      tokenService.getTokensByEndpointId.mockResolvedValue([storedKey('k1', { name: 'A' }), storedKey('k2', { name: 'B' })]);
+
+      const response = await request(app)
+        .get('/api/endpoints/e1/api_keys?includeRevoked=true')
+        .expect(200);
+
+      expect(tokenService.getTokensByEndpointId).toHaveBeenCalledWith('e1', true);
+      expect(response.body.count).toBe(2);
+      expect(response.body.data.map(apiKey => apiKey.name)).toEqual(['A', 'B']);
+      response.body.data.forEach(apiKey => expect(apiKey).not.toHaveProperty('token'));
+    });
+  });
+
+  describe('GET /api/api_keys/expiring', () => {
+    it('lists active keys that expire within the warning window, soonest first', async () => {
+      const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+      tokenService.getAllTokens.mockResolvedValue([
+        { ...storedKey('k1', { expiresAt: inDays(10) }), expiresAt: inDays(10) },
+        { ...storedKey('k2', { expiresAt: inDays(60) }), expiresAt: inDays(60) },
+        { ...storedKey('k3', { expiresAt: inDays(-1) }), expiresAt: inDays(-1) },
+        { ...storedKey('k4', { expiresAt: inDays(3) }), expiresAt: inDays(3), isActive: false },
+        storedKey('k5')
+      ]);
+
+      const response = await request(app).get('/api/api_keys/expiring').expect(200);
+
+      expect(response.body.data.map(apiKey => apiKey.id)).toEqual(['k3', 'k1']);
+      response.body.data.forEach(apiKey => expect(apiKey).not.toHaveProperty('token'));
+    });
+  });
+
+  describe('POST /api/api_keys/:id/rotate', () => {
+    it('returns the successor key and when the old key stops working', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey('k1', { name: 'A' }));
+      tokenService.rotatePATToken.mockResolvedValue({
+        successor: { id: 'k2', endpointId: 'e1', token: 'plain-token', name: 'A', expiresAt: '2026-04-01T00:00:00.000Z' },
+        previous: { id: 'k1', expiresAt: '2026-01-02T00:00:00.000Z' }
+      });
+
+      const response = await request(app)
+        .post('/api/api_keys/k1/rotate')
+        .send({ gracePeriodHours: 48 })
+        .expect(200);
+
+      expect(tokenService.rotatePATToken).toHaveBeenCalledWith('k1', { graceHours: 48, rotatedBy: 'alice' });
+      expect(response.body.data).toMatchObject({
+        token: 'plain-token',
+        tokenId: 'k2',
+        previousKey: { tokenId: 'k1', expiresAt: '2026-01-02T00:00:00.000Z' }
+      });
+      expect(webhookService.emit).toHaveBeenCalledWith('api_key.generated', expect.anything(), 'alice');
+    });
+
+    it('returns 409 for keys that no longer work', async () => {
+      databaseService.getPATTokenById.mockResolvedValue({ ...storedKey('k1'), isActive: false });
+      tokenService.rotatePATToken.mockResolvedValue(null);
+
+      await request(app).post('/api/api_keys/k1/rotate').expect(409);
+    });
+
+    it('rejects an invalid grace period', async () => {
+      await request(app).post('/api/api_keys/k1/rotate').send({ gracePeriodHours: -1 }).expect(400);
+      expect(tokenService.rotatePATToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/api_keys/:id/scope', () => {
+    beforeEach(() => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey('k1', { name: 'A' }));
+      databaseService.getEndpointById.mockImplementation(async id => (id === 'e2' ? { id: 'e2', name: 'Invoices' } : null));
+      databaseService.getTagById.mockImplementation(async id => (id === 't1' ? { id: 't1', name: 'finance' } : null));
+      databaseService.updatePATTokenMetadata.mockImplementation(async (id, metadata) => ({ ...storedKey(id, metadata), scope: metadata.scope || null }));
+    });
+
+    it('stores the normalized scope', async () => {
+      const response = await request(app)
+        .put('/api/api_keys/k1/scope')
+        .send({ endpointIds: ['e2'], tagIds: ['t1'], methods: ['get'] })
+        .expect(200);
+
+      expect(databaseService.updatePATTokenMetadata).toHaveBeenCalledWith('k1', {
+        endpointName: 'Orders',
+        name: 'A',
+        scope: { endpointIds: ['e2'], tagIds: ['t1'], methods: ['GET'] }
+      });
+      expect(response.body.data.scope).toEqual({ endpointIds: ['e2'], tagIds: ['t1'], methods: ['GET'] });
+    });
+
+    it('clears the scope when nothing is granted', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey('k1', { name: 'A', scope: { tagIds: ['t1'] } }));
+
+      await request(app).put('/api/api_keys/k1/scope').send({}).expect(200);
+
+      expect(databaseService.updatePATTokenMetadata.mock.calls[0][1]).not.toHaveProperty('scope');
+    });
+
+    it('rejects unknown endpoints and tags', async () => {
+      const response = await request(app)
+        .put('/api/api_keys/k1/scope')
+        .send({ endpointIds: ['e9'], tagIds: ['t9'] })
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.message)).toEqual([
+        'Unknown endpoint in scope: e9',
+        'Unknown tag in scope: t9'
+      ]);
+      expect(databaseService.updatePATTokenMetadata).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/api_keys/:id/signing_secret', () => {
+    it('returns the new secret once and never lists it', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey('k1', { name: 'A' }));
+      tokenService.issueSigningSecret.mockResolvedValue({
+        tokenData: storedKey('k1', { name: 'A', signingSecret: 'sks_fresh' }),
+        signingSecret: 'sks_fresh'
+      });
+
+      const response = await request(app).post('/api/api_keys/k1/signing_secret').expect(200);
+
+      expect(tokenService.issueSigningSecret).toHaveBeenCalledWith('k1');
+      expect(response.body.data).toMatchObject({ id: 'k1', signingSecret: 'sks_fresh', hasSigningSecret: true });
+      expect(response.body.data.metadata).not.toHaveProperty('signingSecret');
+      expect(response.body.data).not.toHaveProperty('token');
+    });
+
+    it('returns 409 for keys that no longer work', async () => {
+      databaseService.getPATTokenById.mockResolvedValue({ ...storedKey('k1'), isActive: false });
+      tokenService.issueSigningSecret.mockResolvedValue(null);
+
+      await request(app).post('/api/api_keys/k1/signing_secret').expect(409);
+    });
+
+    it('returns 404 for unknown keys', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(null);
+
+      await request(app).post('/api/api_keys/k9/signing_secret').expect(404);
+      expect(tokenService.issueSigningSecret).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/api_keys/:id/ip_access', () => {
+    beforeEach(() => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey('k1', { name: 'A' }));
+      databaseService.updatePATTokenMetadata.mockImplementation(async (id, metadata) => ({ ...storedKey(id, metadata), ipAccess: metadata.ipAccess || null }));
+    });
+
+    it('stores the allowlist and denylist', async () => {
+      const response = await request(app)
+        .put('/api/api_keys/k1/ip_access')
+        .send({ allow: ['203.0.113.0/24', ' 2001:db8::/32 ', '203.0.113.0/24'], deny: [] })
+        .expect(200);
+
+      expect(databaseService.updatePATTokenMetadata).toHaveBeenCalledWith('k1', {
+        endpointName: 'Orders',
+        name: 'A',
+        ipAccess: { allow: ['203.0.113.0/24', '2001:db8::/32'] }
+      });
+      expect(response.body.data.ipAccess).toEqual({ allow: ['203.0.113.0/24', '2001:db8::/32'] });
+    });
+
+    it('lifts the restriction when both lists are empty', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey('k1', { ipAccess: { deny: ['198.51.100.1'] } }));
+
+      await request(app).put('/api/api_keys/k1/ip_access').send({ allow: [], deny: [] }).expect(200);
+
+      expect(databaseService.updatePATTokenMetadata.mock.calls[0][1]).not.toHaveProperty('ipAccess');
+    });
+
+    it('rejects invalid addresses and ranges', async () => {
+      const response = await request(app)
+        .put('/api/api_keys/k1/ip_access')
+        .send({ allow: ['10.0.0.0/33', 'example.com'] })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        { field: 'ipAccess', message: 'IP allowlist has invalid entries: 10.0.0.0/33, example.com' }
+      ]);
+      expect(databaseService.updatePATTokenMetadata).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for unknown keys', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(null);
+      await request(app).put('/api/api_keys/k9/ip_access').send({ allow: ['10.0.0.1'] }).expect(404);
+    });
+  });
+
+  describe('PUT /api/api_keys/:id/tags', () => {
+    it('replaces the tags in the scope and keeps the rest', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey('k1', { scope: { endpointIds: ['e2'], tagIds: ['t0'] } }));
+      databaseService.getEndpointById.mockResolvedValue({ id: 'e2' });
+      databaseService.getTagById.mockResolvedValue({ id: 't1' });
+      databaseService.updatePATTokenMetadata.mockImplementation(async (id, metadata) => storedKey(id, metadata));
+
+      await request(app).put('/api/api_keys/k1/tags').send({ tagIds: ['t1'] }).expect(200);
+
+      expect(databaseService.updatePATTokenMetadata.mock.calls[0][1].scope).toEqual({ endpointIds: ['e2'], tagIds: ['t1'] });
+    });
+  });
+
+  describe('PATCH /api/api_keys/:id', () => {
+    it('updates only the labels that are sent', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey('k1', { name: 'A', owner: 'ops', description: 'old' }));
+      databaseService.updatePATTokenMetadata.mockImplementation(async (id, metadata) => ({ ...storedKey(id, metadata) }));
+
+      const response = await request(app)
+        .patch('/api/api_keys/k1')
+        .send({ description: 'new', owner: null })
+        .expect(200);
+
+      expect(databaseService.updatePATTokenMetadata).toHaveBeenCalledWith('k1', {
+        endpointName: 'Orders',
+        name: 'A',
+        description: 'new'
+      });
+      expect(response.body.data).not.toHaveProperty('token');
+    });
+
+    it('returns 404 for an unknown key', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(null);
+
+      await request(app).patch('/api/api_keys/missing').send({ name: 'A' }).expect(404);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/services/databaseService', () => ({
+  getEndpointById: jest.fn()
+}));
+
+jest.mock('../../src/services/snowflakeService', () => ({
+  withConnection: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const databaseService = require('../../src/services/databaseService');
+const snowflakeService = require('../../src/services/snowflakeService');
+const apiRoutes = require('../../src/routes/api');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { username: 'alice' };
+  next();
+});
+app.use('/api', apiRoutes);
+
+describe('POST /api/endpoints/:id/test', () => {
+  const connection = { id: 'c1' };
+  const lookup = {
+    id: 'e1',
+    name: 'Lookup',
+    type: 'query',
+    status: 'active',
+    target: 'SELECT * FROM CODES WHERE CODE = :code AND KIND = :kind',
+    parameters: [
+      { name: 'code', type: 'string', source: 'path', required: true },
+      { name: 'kind', type: 'string', source: 'path', default: 'any' }
+    ],
+    metadata: {}
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.getEndpointById.mockResolvedValue(lookup);
+    snowflakeService.withConnection.mockImplementation(async (work) => work(connection));
+    snowflakeService.executeQuery.mockResolvedValue({ rows: [{ CODE: 'A/1' }], rowCount: 1 });
+  });
+
+  it('should bind path parameters from pathSegments', async () => {
+    await request(app).post('/api/endpoints/e1/test').send({ pathSegments: ['A/1', 'retail'] }).expect(200);
+
+    expect(snowflakeService.executeQuery).toHaveBeenCalledWith(connection, 'SELECT * FROM CODES WHERE CODE = ? AND KIND = ?', ['A/1', 'retail']);
+  });
+
+  it('should take path parameters sent by name, as the admin UI does', async () => {
+    await request(app).post('/api/endpoints/e1/test').send({ parameters: [{ name: 'code', value: 'A/1' }] }).expect(200);
+    await request(app).post('/api/endpoints/e1/test').send({ parameters: { code: 'B', kind: 'retail' } }).expect(200);
+
+    expect(snowflakeService.executeQuery).toHaveBeenNthCalledWith(1, connection, expect.any(String), ['A/1', 'any']);
+    expect(snowflakeService.executeQuery).toHaveBeenNthCalledWith(2, connection, expect.any(String), ['B', 'retail']);
+  });
+
+  it('should still require missing path parameters', async () => {
+    const response = await request(app).post('/api/endpoints/e1/test').send({ parameters: {} }).expect(400);
+
+    expect(response.body.details).toEqual([{ field: 'code', location: 'path', message: 'code is required' }]);
+    expect(snowflakeService.executeQuery).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,674 @@
+const request = require('supertest');
+const express = require('express');
+const { Readable } = require('stream');
+
+jest.mock('../../src/services/tokenService', () => ({
+  validatePATToken: jest.fn(),
+  validateSignedRequest: jest.fn()
+}));
+
+jest.mock('../../src/services/databaseService', () => ({
+  getEndpointByIdOrPath: jest.fn(),
+  getEndpointById: jest.fn(),
+  logApiRequest: jest.fn(),
+  logActivity: jest.fn(),
+  updateTokenUsage: jest.fn(),
+  getSystemSettings: jest.fn()
+}));
+
+jest.mock('../../src/services/snowflakeService', () => ({
+  acquireConnection: jest.fn(),
+  releaseConnection: jest.fn(),
+  isConnectionError: jest.fn(),
+  executeQuery: jest.fn(),
+  executeStoredProcedure: jest.fn(),
+  getTableData: jest.fn(),
+  getTableLastModified: jest.fn(),
+  getCachedTableSchema: jest.fn(),
+  executeQueryStream: jest.fn(),
+  streamTableData: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const tokenService = require('../../src/services/tokenService');
+const databaseService = require('../../src/services/databaseService');
+const snowflakeService = require('../../src/services/snowflakeService');
+const rateLimitService = require('../../src/services/rateLimitService');
+const materializationService = require('../../src/services/materializationService');
+const logger = require('../../src/utils/logger');
+const { signRequest, verifySignature } = require('../../src/utils/requestSigningUtils');
+const proxyRoutes = require('../../src/routes/proxy');
+
+const app = express();
+app.use(express.json());
+app.use('/api/proxy', proxyRoutes);
+
+const API_KEY = '11111111-1111-1111-1111-111111111111';
+
+describe('Proxy Routes', () => {
+  const orders = {
+    id: 'e1',
+    name: 'Orders',
+    path: 'orders',
+    type: 'query',
+    target: 'SELECT * FROM ORDERS WHERE REGION = :region',
+    method: 'GET',
+    status: 'active',
+    rateLimit: 100,
+    parameters: [{ name: 'region', type: 'string', required: true, source: 'query' }],
+    metadata: { methods: { POST: { type: 'stored_procedure', target: 'DB.S.CREATE_ORDER', parameters: [] } } }
+  };
+  const invoices = { ...orders, id: 'e2', name: 'Invoices', path: 'invoices' };
+  const customers = {
+    id: 'e3',
+    name: 'Customers',
+    path: 'customers',
+    type: 'table',
+    target: 'DB.PUBLIC.CUSTOMERS',
+    method: 'GET',
+    status: 'active',
+    rateLimit: 100,
+    parameters: [],
+    metadata: { conditional: { updatedAtColumn: 'UPDATED_AT' } }
+  };
+  const reports = {
+    ...orders,
+    id: 'e4',
+    name: 'Reports',
+    path: 'reports',
+    updatedAt: '2024-05-01T00:00:00.000Z',
+    metadata: { materialization: { enabled: true, schedule: '0 * * * *', parameterSets: [{ region: 'EU' }] } }
+  };
+  const connection = { id: 'c1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rateLimitService.reset();
+    tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e1' });
+    databaseService.getEndpointByIdOrPath.mockImplementation(async ref => ({ orders, e1: orders, invoices, customers, reports }[ref] || null));
+    databaseService.logApiRequest.mockResolvedValue();
+    databaseService.logActivity.mockResolvedValue();
+    databaseService.updateTokenUsage.mockResolvedValue();
+    databaseService.getSystemSettings.mockResolvedValue({});
+    snowflakeService.acquireConnection.mockResolvedValue(connection);
+    snowflakeService.isConnectionError.mockReturnValue(false);
+    snowflakeService.executeQuery.mockResolvedValue({ rows: [{ ID: 1 }], rowCount: 1 });
+    snowflakeService.executeStoredProcedure.mockResolvedValue({ rows: [{ ORDER_ID: 9 }], rowCount: 1 });
+    snowflakeService.getTableData.mockResolvedValue({ rows: [{ ID: 1 }], rowCount: 1 });
+    snowflakeService.getTableLastModified.mockResolvedValue(new Date('2024-05-01T10:00:00.000Z'));
+  });
+
+  describe('Conditional GET', () => {
+    it('should answer a matching If-None-Match with 304', async () => {
+      const first = await request(app).get('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).expect(200);
+      const { etag } = first.headers;
+      expect(etag).toMatch(/^"[A-Za-z0-9_-]+"$/);
+
+      const second = await request(app)
+        .get('/api/proxy/orders?region=EU')
+        .set('X-API-Key', API_KEY)
+        .set('If-None-Match', etag)
+        .expect(304);
+
+      expect(second.text).toBe('');
+      expect(second.headers.etag).toBe(etag);
+      expect(databaseService.logApiRequest).toHaveBeenLastCalledWith(expect.objectContaining({ status: 304 }));
+    });
+
+    it('should send the new result when the rows changed', async () => {
+      const first = await request(app).get('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).expect(200);
+      snowflakeService.executeQuery.mockResolvedValue({ rows: [{ ID: 2 }], rowCount: 1 });
+
+      const second = await request(app)
+        .get('/api/proxy/orders?region=EU')
+        .set('X-API-Key', API_KEY)
+        .set('If-None-Match', first.headers.etag)
+        .expect(200);
+
+      expect(second.body.data).toEqual([{ ID: 2 }]);
+      expect(second.headers.etag).not.toBe(first.headers.etag);
+    });
+
+    it('should give each output format its own ETag', async () => {
+      const json = await request(app).get('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).expect(200);
+      const csv = await request(app).get('/api/proxy/orders?region=EU&format=csv').set('X-API-Key', API_KEY).expect(200);
+      expect(csv.headers.etag).not.toBe(json.headers.etag);
+    });
+
+    describe('on tables with an updated-at column', () => {
+      beforeEach(() => {
+        tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e3' });
+      });
+
+      it('should send Last-Modified', async () => {
+        const response = await request(app).get('/api/proxy/customers').set('X-API-Key', API_KEY).expect(200);
+
+        expect(response.headers['last-modified']).toBe('Wed, 01 May 2024 10:00:00 GMT');
+        expect(response.body.metadata.lastModified).toBe('2024-05-01T10:00:00.000Z');
+        expect(snowflakeService.getTableLastModified).toHaveBeenCalledWith(connection, 'DB.PUBLIC.CUSTOMERS', 'UPDATED_AT', expect.any(Object));
+      });
+
+      it('should skip the table read when If-Modified-Since is current', async () => {
+        const response = await request(app)
+          .get('/api/proxy/customers')
+          .set('X-API-Key', API_KEY)
+          .set('If-Modified-Since', 'Wed, 01 May 2024 10:00:00 GMT')
+          .expect(304);
+
+        expect(response.headers['last-modified']).toBe('Wed, 01 May 2024 10:00:00 GMT');
+        expect(snowflakeService.getTableData).not.toHaveBeenCalled();
+        expect(databaseService.logApiRequest).toHaveBeenLastCalledWith(expect.objectContaining({ status: 304 }));
+      });
+
+      it('should read the table again once it has been updated', async () => {
+        await request(app)
+          .get('/api/proxy/customers')
+          .set('X-API-Key', API_KEY)
+          .set('If-Modified-Since', 'Wed, 01 May 2024 09:00:00 GMT')
+          .expect(200);
+
+        expect(snowflakeService.getTableData).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Materialized endpoints', () => {
+    beforeEach(async () => {
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e4' });
+      snowflakeService.executeQuery.mockResolvedValueOnce({ rows: [{ ID: 7 }], rowCount: 1 });
+      await materializationService.refresh(reports, 'manual');
+      snowflakeService.executeQuery.mockClear();
+    });
+
+    afterEach(() => {
+      materializationService.reset();
+    });
+
+    it('should serve a matching request from the snapshot with X-Data-As-Of', async () => {
+      const { asOf } = materializationService.getStatus(reports);
+      const response = await request(app).get('/api/proxy/reports?region=EU').set('X-API-Key', API_KEY).expect(200);
+
+      expect(response.body.data).toEqual([{ ID: 7 }]);
+      expect(response.headers['x-data-as-of']).toBe(asOf);
+      expect(response.body.metadata.asOf).toBe(asOf);
+      expect(snowflakeService.executeQuery).not.toHaveBeenCalled();
+      expect(snowflakeService.acquireConnection).toHaveBeenCalledTimes(1);
+    });
+
+    it('should run the query for parameters without a snapshot', async () => {
+      const response = await request(app).get('/api/proxy/reports?region=US').set('X-API-Key', API_KEY).expect(200);
+
+      expect(response.body.data).toEqual([{ ID: 1 }]);
+      expect(response.headers['x-data-as-of']).toBeUndefined();
+      expect(snowflakeService.executeQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not serve a snapshot taken from an older definition', async () => {
+      databaseService.getEndpointByIdOrPath.mockResolvedValue({ ...reports, updatedAt: '2024-06-01T00:00:00.000Z' });
+
+      const response = await request(app).get('/api/proxy/reports?region=EU').set('X-API-Key', API_KEY).expect(200);
+
+      expect(response.headers['x-data-as-of']).toBeUndefined();
+      expect(snowflakeService.executeQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Scoped API keys', () => {
+    const taggedInvoices = { ...invoices, tags: [{ id: 't-finance', name: 'finance' }] };
+
+    beforeEach(() => {
+      databaseService.getEndpointByIdOrPath.mockImplementation(async ref => ({ orders, invoices: taggedInvoices, customers }[ref] || null));
+    });
+
+    it('should reach endpoints that carry a tag in the scope', async () => {
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e1', metadata: { scope: { tagIds: ['t-finance'] } } });
+
+      await request(app).get('/api/proxy/invoices?region=EU').set('X-API-Key', API_KEY).expect(200);
+      const response = await request(app).get('/api/proxy/customers').set('X-API-Key', API_KEY).expect(403);
+      expect(response.body.message).toBe('API key does not match this endpoint');
+    });
+
+    it('should refuse methods outside the scope', async () => {
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e1', metadata: { scope: { methods: ['GET'] } } });
+
+      await request(app).get('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).expect(200);
+      await request(app).head('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).expect(200);
+      const response = await request(app).post('/api/proxy/orders').set('X-API-Key', API_KEY).expect(403);
+      expect(response.body.message).toBe('API key is not allowed to send POST requests');
+      expect(snowflakeService.executeStoredProcedure).not.toHaveBeenCalled();
+    });
+
+    it('should authorize batch items against the scope', async () => {
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e1', metadata: { scope: { endpointIds: ['e2'], methods: ['GET'] } } });
+
+      const response = await request(app)
+        .post('/api/proxy/batch')
+        .set('X-API-Key', API_KEY)
+        .send([
+          { id: 'other', endpoint: 'invoices', parameters: { region: 'EU' } },
+          { id: 'create', endpoint: 'orders', method: 'POST' }
+        ])
+        .expect(200);
+
+      const byId = Object.fromEntries(response.body.data.map(item => [item.id, item]));
+      expect(byId.other).toMatchObject({ status: 200 });
+      expect(byId.create).toMatchObject({ status: 403, message: 'API key is not allowed to send POST requests' });
+    });
+  });
+
+  describe('IP access rules', () => {
+    // Behind a proxy on loopback, X-Forwarded-For names the client
+    const proxiedApp = express();
+    proxiedApp.set('trust proxy', 'loopback');
+    proxiedApp.use(express.json());
+    proxiedApp.use('/api/proxy', proxyRoutes);
+
+    const restricted = { ...orders, metadata: { ...orders.metadata, ipAccess: { allow: ['203.0.113.0/24', '2001:db8::/32'], deny: ['203.0.113.66'] } } };
+
+    beforeEach(() => {
+      databaseService.getEndpointByIdOrPath.mockImplementation(async ref => ({ orders: restricted, invoices }[ref] || null));
+    });
+
+    it('should admit callers from the endpoint allowlist', async () => {
+      await request(proxiedApp).get('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).set('X-Forwarded-For', '203.0.113.7').expect(200);
+      await request(proxiedApp).get('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).set('X-Forwarded-For', '2001:db8::7').expect(200);
+    });
+
+    it('should refuse other callers and record a security event', async () => {
+      const response = await request(proxiedApp)
+        .get('/api/proxy/orders?region=EU')
+        .set('X-API-Key', API_KEY)
+        .set('X-Forwarded-For', '198.51.100.1')
+        .expect(403);
+
+      expect(response.body).toEqual({ success: false, error: 'Forbidden', message: 'Client IP 198.51.100.1 is not in the allowlist for this endpoint' });
+      expect(snowflakeService.executeQuery).not.toHaveBeenCalled();
+      expect(databaseService.logActivity).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'ip_blocked',
+        ip: '198.51.100.1',
+        endpointId: 'e1',
+        apiKeyId: 'k1',
+        entityType: 'endpoint'
+      }));
+    });
+
+    it('should let the denylist win over the allowlist', async () => {
+      const response = await request(proxiedApp).get('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).set('X-Forwarded-For', '203.0.113.66').expect(403);
+      expect(response.body.message).toBe('Client IP 203.0.113.66 is blocked for this endpoint');
+    });
+
+    it('should ignore X-Forwarded-For from untrusted hops', async () => {
+      const response = await request(app).get('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).set('X-Forwarded-For', '203.0.113.7').expect(403);
+      expect(response.body.message).toBe('Client IP 127.0.0.1 is not in the allowlist for this endpoint');
+    });
+
+    it('should apply the API key rules to every route it opens', async () => {
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e2', metadata: { ipAccess: { allow: ['10.0.0.0/8'] } } });
+
+      const response = await request(proxiedApp).post('/api/proxy/batch').set('X-API-Key', API_KEY).set('X-Forwarded-For', '203.0.113.7').send([{ endpoint: 'invoices' }]).expect(403);
+      expect(response.body.message).toBe('Client IP 203.0.113.7 is not in the allowlist for this API key');
+      expect(databaseService.logActivity).toHaveBeenCalledWith(expect.objectContaining({ type: 'ip_blocked', entityType: 'api_key', apiKeyId: 'k1' }));
+
+      await request(proxiedApp).get('/api/proxy/invoices?region=EU').set('X-API-Key', API_KEY).set('X-Forwarded-For', '10.1.2.3').expect(200);
+    });
+
+    it('should check the endpoint rules of batch items', async () => {
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e1', metadata: { scope: { endpointIds: ['e2'] } } });
+
+      const response = await request(proxiedApp)
+        .post('/api/proxy/batch')
+        .set('X-API-Key', API_KEY)
+        .set('X-Forwarded-For', '198.51.100.1')
+        .send([
+          { id: 'restricted', endpoint: 'orders', parameters: { region: 'EU' } },
+          { id: 'open', endpoint: 'invoices', parameters: { region: 'EU' } }
+        ])
+        .expect(200);
+
+      const byId = Object.fromEntries(response.body.data.map(item => [item.id, item]));
+      expect(byId.restricted).toMatchObject({ status: 403, message: 'Client IP 198.51.100.1 is not in the allowlist for this endpoint (Orders)' });
+      expect(byId.open).toMatchObject({ status: 200 });
+    });
+  });
+
+  describe('Cursor pagination', () => {
+    const tickets = {
+      ...customers,
+      id: 'e10',
+      name: 'Tickets',
+      path: 'tickets',
+      target: 'DB.PUBLIC.TICKETS',
+      metadata: { pagination: { sortKey: ['ID'], defaultPageSize: 2 }, filtering: { enabled: true } }
+    };
+
+    beforeEach(() => {
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e10' });
+      databaseService.getEndpointByIdOrPath.mockImplementation(async ref => ({ tickets }[ref] || null));
+      snowflakeService.getCachedTableSchema.mockResolvedValue([
+        { COLUMN_NAME: 'ID', DATA_TYPE: 'NUMBER' },
+        { COLUMN_NAME: 'STATUS', DATA_TYPE: 'TEXT' }
+      ]);
+      snowflakeService.executeQuery.mockImplementation(async (conn, sqlText) => (sqlText.startsWith('SELECT COUNT(*)')
+        ? { rows: [{ TOTAL_COUNT: 7 }], rowCount: 1 }
+        : { rows: [{ ID: 1, STATUS: 'open' }], rowCount: 1 }));
+    });
+
+    it('should count only the rows the filters match', async () => {
+      const response = await request(app).get('/api/proxy/tickets?status=eq.open&count=true').set('X-API-Key', API_KEY).expect(200);
+
+      expect(response.body.metadata.pagination.totalCount).toBe(7);
+      expect(snowflakeService.executeQuery).toHaveBeenCalledWith(
+        connection,
+        'SELECT COUNT(*) AS TOTAL_COUNT FROM DB.PUBLIC.TICKETS WHERE "STATUS" = ?',
+        ['open'],
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('Path segments', () => {
+    const lookup = {
+      ...orders,
+      id: 'e5',
+      name: 'Lookup',
+      path: 'lookup',
+      target: 'SELECT * FROM CODES WHERE CODE = :code AND KIND = :kind',
+      parameters: [{ name: 'code', source: 'path' }, { name: 'kind', source: 'path' }],
+      metadata: {}
+    };
+    const items = {
+      ...customers,
+      id: 'e6',
+      name: 'Items',
+      path: 'items',
+      target: 'DB.PUBLIC.ITEMS',
+      metadata: { write: { primaryKey: ['CODE'], delete: { enabled: true } } }
+    };
+
+    beforeEach(() => {
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e5', metadata: { scope: { endpointIds: ['e6'] } } });
+      databaseService.getEndpointByIdOrPath.mockImplementation(async ref => ({ lookup, items }[ref] || null));
+      snowflakeService.getCachedTableSchema.mockResolvedValue([{ COLUMN_NAME: 'CODE', DATA_TYPE: 'TEXT', IS_NULLABLE: 'NO' }]);
+    });
+
+    it('should decode path parameters once and keep encoded slashes in their segment', async () => {
+      await request(app).get('/api/proxy/lookup/a%2Fb/%2525').set('X-API-Key', API_KEY).expect(200);
+
+      expect(snowflakeService.executeQuery).toHaveBeenCalledWith(connection, expect.any(String), ['a/b', '%25'], expect.anything());
+    });
+
+    it('should delete rows whose key contains % or /', async () => {
+      for (const [segment, code] of [['%25', '%'], ['%2525', '%25'], ['a%2Fb', 'a/b']]) {
+        snowflakeService.executeQuery.mockClear();
+        await request(app).delete(`/api/proxy/items/${segment}`).set('X-API-Key', API_KEY).expect(200);
+        expect(snowflakeService.executeQuery).toHaveBeenCalledWith(connection, expect.stringContaining('DELETE FROM'), [code], expect.anything());
+      }
+    });
+
+    it('should refuse a key that is not valid percent-encoding', async () => {
+      await request(app).delete('/api/proxy/items/%').set('X-API-Key', API_KEY).expect(400);
+      expect(snowflakeService.executeQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Signed requests', () => {
+    // Signatures cover the raw body, which the app's body parsers keep
+    const signingApp = express();
+    signingApp.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    signingApp.use('/api/proxy', proxyRoutes);
+
+    const signatureHeaders = {
+      'X-API-Key-Id': 'k1',
+      'X-Signature-Timestamp': '1714557600',
+      'X-Signature-Nonce': 'n0nce-0000000000001',
+      'X-Signature': 'sha256=abc'
+    };
+    const signedOnly = { ...orders, metadata: { ...orders.metadata, signing: { required: true } } };
+
+    beforeEach(() => {
+      tokenService.validateSignedRequest.mockResolvedValue({ tokenData: { id: 'k1', endpointId: 'e1' } });
+      databaseService.getEndpointByIdOrPath.mockImplementation(async ref => ({ orders: signedOnly, invoices }[ref] || null));
+    });
+
+    it('should verify the signature over the path, query and raw body', async () => {
+      await request(signingApp).post('/api/proxy/orders?region=EU').set(signatureHeaders).set('Content-Type', 'application/json').send('{"note": "x"}').expect(200);
+
+      expect(tokenService.validatePATToken).not.toHaveBeenCalled();
+      expect(tokenService.validateSignedRequest).toHaveBeenCalledWith({
+        keyId: 'k1',
+        timestamp: '1714557600',
+        nonce: 'n0nce-0000000000001',
+        signature: 'sha256=abc',
+        method: 'POST',
+        paths: ['/api/proxy/orders?region=EU'],
+        body: Buffer.from('{"note": "x"}')
+      });
+    });
+
+    it('should verify the public path when a proxy strips the /api prefix', async () => {
+      const backend = express();
+      backend.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+      backend.use('/proxy', proxyRoutes);
+      // Like nginx: /api/proxy/orders reaches the service as /proxy/orders
+      const strippingProxy = (req, res) => {
+        req.url = req.url.replace(/^\/api/, '');
+        backend(req, res);
+      };
+      tokenService.validateSignedRequest.mockImplementation(async ({ paths, ...signed }) => (
+        paths.some(path => verifySignature('sks_test', { ...signed, path }, signed.signature))
+          ? { tokenData: { id: 'k1', endpointId: 'e1' } }
+          : { error: 'Invalid request signature' }
+      ));
+
+      const body = '{"note":"x"}';
+      const headers = signRequest('k1', 'sks_test', { method: 'POST', path: '/api/proxy/orders?region=EU', body });
+      await request(strippingProxy).post('/api/proxy/orders?region=EU').set(headers).set('Content-Type', 'application/json').send(body).expect(200);
+
+      expect(tokenService.validateSignedRequest).toHaveBeenCalledWith(expect.objectContaining({
+        paths: ['/api/proxy/orders?region=EU', '/proxy/orders?region=EU']
+      }));
+    });
+
+    it('should refuse requests that fail verification', async () => {
+      tokenService.validateSignedRequest.mockResolvedValue({ error: 'Request nonce has already been used' });
+
+      const response = await request(signingApp).get('/api/proxy/orders?region=EU').set(signatureHeaders).expect(401);
+      expect(response.body).toEqual({ success: false, error: 'Unauthorized', message: 'Request nonce has already been used' });
+      expect(snowflakeService.executeQuery).not.toHaveBeenCalled();
+    });
+
+    it('should refuse plain API keys on endpoints that require signing', async () => {
+      const response = await request(signingApp).get('/api/proxy/orders?region=EU').set('X-API-Key', API_KEY).expect(403);
+      expect(response.body).toEqual({ success: false, error: 'Forbidden', message: 'This endpoint only accepts signed requests' });
+
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k2', endpointId: 'e2' });
+      await request(signingApp).get('/api/proxy/invoices?region=EU').set('X-API-Key', API_KEY).expect(200);
+    });
+
+    it('should not log the signing secret when token usage cannot be updated', async () => {
+      tokenService.validateSignedRequest.mockResolvedValue({ tokenData: { id: 'k1', endpointId: 'e1', metadata: { signingSecret: 'sks_secret' } } });
+      databaseService.updateTokenUsage.mockRejectedValue(new Error('warehouse unavailable'));
+
+      await request(signingApp).get('/api/proxy/orders?region=EU').set(signatureHeaders).expect(200);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('tokenId=k1, endpointId=e1'), expect.any(Error));
+      const logged = JSON.stringify([logger.error, logger.warn, logger.info].flatMap(log => log.mock.calls));
+      expect(logged).not.toContain('sks_secret');
+    });
+
+    it('should hold batch items to the same requirement', async () => {
+      tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e1', metadata: { scope: { endpointIds: ['e2'] } } });
+
+      const response = await request(signingApp)
+        .post('/api/proxy/batch')
+        .set('X-API-Key', API_KEY)
+        .send([
+          { id: 'signed', endpoint: 'orders', parameters: { region: 'EU' } },
+          { id: 'open', endpoint: 'invoices', parameters: { region: 'EU' } }
+        ])
+        .expect(200);
+
+      const byId = Object.fromEntries(response.body.data.map(item => [item.id, item]));
+      expect(byId.signed).toMatchObject({ status: 403, message: 'This endpoint only accepts signed requests (Orders)' });
+      expect(byId.open).toMatchObject({ status: 200 });
+    });
+  });
+
+  describe('POST /api/proxy/batch', () => {
+    it('should run each item and report its own status', async () => {
+      const response = await request(app)
+        .post('/api/proxy/batch')
+        .set('X-API-Key', API_KEY)
+        .send([
+          { id: 'eu', endpoint: 'orders', parameters: { region: 'EU' } },
+          { id: 'create', endpoint: 'orders', method: 'POST' },
+          { id: 'missing', endpoint: 'orders' },
+          { id: 'other', endpoint: 'invoices', parameters: { region: 'EU' } },
+          { id: 'unknown', endpoint: 'nope' },
+          { id: 'delete', endpoint: 'orders', method: 'DELETE' }
+        ])
+        .expect(200);
+
+      expect(response.body.metadata).toMatchObject({ count: 6, succeeded: 2, failed: 4 });
+      const byId = Object.fromEntries(response.body.data.map(item => [item.id, item]));
+      expect(byId.eu).toMatchObject({ status: 200, data: [{ ID: 1 }], metadata: { rowCount: 1, type: 'query' } });
+      expect(byId.create).toMatchObject({ status: 200, data: [{ ORDER_ID: 9 }], metadata: { type: 'stored_procedure' } });
+      expect(byId.missing).toMatchObject({ status: 400, error: 'Validation failed', details: [{ field: 'region' }] });
+      expect(byId.other).toMatchObject({ status: 403, error: 'Forbidden' });
+      expect(byId.unknown).toMatchObject({ status: 404, error: 'Not Found' });
+      expect(byId.delete).toMatchObject({ status: 405, error: 'Method Not Allowed' });
+      expect(snowflakeService.executeQuery).toHaveBeenCalledWith(connection, 'SELECT * FROM ORDERS WHERE REGION = ?', ['EU'], expect.any(Object));
+    });
+
+    it('should log every item to the audit log as a call to its endpoint', async () => {
+      await request(app)
+        .post('/api/proxy/batch')
+        .set('X-API-Key', API_KEY)
+        .send([
+          { endpoint: 'orders', parameters: { region: 'EU' } },
+          { endpoint: 'invoices' }
+        ])
+        .expect(200);
+
+      const entries = databaseService.logApiRequest.mock.calls.map(([entry]) => entry);
+      expect(entries).toHaveLength(2);
+      expect(entries).toEqual(expect.arrayContaining([
+        expect.objectContaining({ endpointId: 'e1', tokenId: 'k1', method: 'GET', url: '/api/proxy/orders', status: 200 }),
+        expect.objectContaining({ endpointId: 'e2', tokenId: 'k1', method: 'GET', url: '/api/proxy/invoices', status: 403 })
+      ]));
+    });
+
+    it('should reuse pooled connections across items', async () => {
+      const items = Array.from({ length: 10 }, (_, i) => ({ endpoint: 'orders', parameters: { region: `R${i}` } }));
+
+      await request(app).post('/api/proxy/batch').set('X-API-Key', API_KEY).send(items).expect(200);
+
+      expect(snowflakeService.executeQuery).toHaveBeenCalledTimes(10);
+      expect(snowflakeService.acquireConnection.mock.calls.length).toBeLessThanOrEqual(4);
+      expect(snowflakeService.releaseConnection).toHaveBeenCalledTimes(snowflakeService.acquireConnection.mock.calls.length);
+    });
+
+    it('should replace a connection that breaks mid-batch', async () => {
+      const broken = new Error('Connection lost');
+      snowflakeService.executeQuery.mockRejectedValueOnce(broken);
+      snowflakeService.isConnectionError.mockImplementation(error => error === broken);
+
+      const response = await request(app)
+        .post('/api/proxy/batch')
+        .set('X-API-Key', API_KEY)
+        .send([{ endpoint: 'orders', parameters: { region: 'EU' } }])
+        .expect(200);
+
+      expect(response.body.data[0]).toMatchObject({ status: 500, error: 'Execution failed', message: 'Connection lost' });
+      expect(snowflakeService.releaseConnection).toHaveBeenCalledWith(connection, { destroy: true });
+    });
+
+    it('should reject a malformed batch', async () => {
+      const response = await request(app)
+        .post('/api/proxy/batch')
+        .set('X-API-Key', API_KEY)
+        .send([{ endpoint: '', method: 'TRACE' }])
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.field)).toEqual(['[0].endpoint', '[0].method']);
+      expect(snowflakeService.acquireConnection).not.toHaveBeenCalled();
+    });
+
+    it('should reject batches larger than the limit', async () => {
+      const items = Array.from({ length: 26 }, () => ({ endpoint: 'orders' }));
+      await request(app).post('/api/proxy/batch').set('X-API-Key', API_KEY).send(items).expect(400);
+    });
+
+    it('should require an API key', async () => {
+      await request(app).post('/api/proxy/batch').send([{ endpoint: 'orders' }]).expect(401);
+    });
+
+    describe('reading tables and streaming endpoints', () => {
+      const events = { ...customers, id: 'e7', name: 'Events', path: 'events', metadata: { streaming: { enabled: true, maxRows: 50 } } };
+      const feed = { ...orders, id: 'e8', name: 'Feed', path: 'feed', parameters: [], metadata: { streaming: { enabled: true, maxRows: 2 } } };
+      const paged = { ...customers, id: 'e9', name: 'Paged', path: 'paged', metadata: { pagination: { sortKey: ['ID'], defaultPageSize: 2 } } };
+      const batch = items => request(app).post('/api/proxy/batch').set('X-API-Key', API_KEY).send(items).expect(200)
+        .then(response => Object.fromEntries(response.body.data.map(item => [item.id, item])));
+
+      beforeEach(() => {
+        tokenService.validatePATToken.mockResolvedValue({ id: 'k1', endpointId: 'e1', metadata: { scope: { endpointIds: ['e3', 'e7', 'e8', 'e9'] } } });
+        databaseService.getEndpointByIdOrPath.mockImplementation(async ref => ({ customers, events, feed, paged }[ref] || null));
+        snowflakeService.streamTableData.mockImplementation(async () => ({ stream: Readable.from([{ ID: 1 }, { ID: 2 }]) }));
+        snowflakeService.executeQueryStream.mockImplementation(async () => ({ stream: Readable.from([1, 2, 3, 4, 5].map(ID => ({ ID }))) }));
+      });
+
+      it('should hold streaming endpoints to their row cap', async () => {
+        const byId = await batch([
+          { id: 'default', endpoint: 'events' },
+          { id: 'within', endpoint: 'events', parameters: { limit: 10, offset: 5 } },
+          { id: 'beyond', endpoint: 'events', parameters: { limit: 51 } },
+          { id: 'query', endpoint: 'feed' }
+        ]);
+
+        expect(snowflakeService.streamTableData).toHaveBeenCalledWith(connection, 'DB.PUBLIC.CUSTOMERS', 50, 0, expect.any(Object));
+        expect(snowflakeService.streamTableData).toHaveBeenCalledWith(connection, 'DB.PUBLIC.CUSTOMERS', 10, 5, expect.any(Object));
+        expect(byId.beyond).toMatchObject({ status: 400, message: 'limit must be an integer from 1 to 50' });
+        expect(byId.query).toMatchObject({ status: 200, data: [{ ID: 1 }, { ID: 2 }], metadata: { rowCount: 2, truncated: true } });
+        expect(snowflakeService.getTableData).not.toHaveBeenCalled();
+      });
+
+      it('should reject limits and offsets that are not non-negative integers', async () => {
+        const byId = await batch([
+          { id: 'text', endpoint: 'customers', parameters: { limit: 'all' } },
+          { id: 'negative', endpoint: 'customers', parameters: { offset: -1 } },
+          { id: 'huge', endpoint: 'customers', parameters: { limit: 10001 } },
+          { id: 'ok', endpoint: 'customers', parameters: { limit: '20', offset: '40' } }
+        ]);
+
+        expect(byId.text).toMatchObject({ status: 400, details: [{ field: 'limit', location: 'body' }] });
+        expect(byId.negative).toMatchObject({ status: 400, message: 'offset must be a non-negative integer' });
+        expect(byId.huge).toMatchObject({ status: 400, message: 'limit must be an integer from 1 to 10000' });
+        expect(byId.ok).toMatchObject({ status: 200 });
+        expect(snowflakeService.getTableData).toHaveBeenCalledTimes(1);
+        expect(snowflakeService.getTableData).toHaveBeenCalledWith(connection, 'DB.PUBLIC.CUSTOMERS', 20, 40, expect.any(Object));
+      });
+
+      it('should page tables with a sort key by cursor', async () => {
+        snowflakeService.executeQuery.mockResolvedValue({ rows: [{ ID: 1 }, { ID: 2 }, { ID: 3 }], rowCount: 3 });
+
+        const byId = await batch([
+          { id: 'first', endpoint: 'paged' },
+          { id: 'bad', endpoint: 'paged', parameters: { cursor: 'nope' } },
+          { id: 'offset', endpoint: 'paged', parameters: { offset: 2 } }
+        ]);
+
+        expect(byId.first).toMatchObject({ status: 200, data: [{ ID: 1 }, { ID: 2 }], metadata: { pagination: { limit: 2, hasMore: true } } });
+        expect(byId.first.metadata.pagination.nextCursor).toEqual(expect.any(String));
+        expect(byId.bad).toMatchObject({ status: 400, message: 'Invalid cursor' });
+        expect(byId.offset).toMatchObject({ status: 400, details: [{ field: 'offset' }] });
+      });
+    });
+  });
+});
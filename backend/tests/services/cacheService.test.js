@@ -0,0 +1,96 @@
+const cacheService = require('../../src/services/cacheService');
+
+const { MemoryCacheStore } = cacheService;
+
+const mockRequest = (query = {}, headers = {}) => ({
+  query,
+  body: {},
+  get: (name) => headers[name.toLowerCase()]
+});
+
+describe('CacheService', () => {
+  const endpoint = {
+    id: 'endpoint-1',
+    type: 'query',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    metadata: { cache: { enabled: true, ttlSeconds: 60, varyQuery: ['region'], varyHeaders: ['Accept-Language'] } }
+  };
+
+  beforeEach(() => {
+    cacheService.setStore(new MemoryCacheStore({ maxEntries: 2 }));
+  });
+
+  describe('getSettings', () => {
+    it('should return null when caching is disabled', () => {
+      expect(cacheService.getSettings({ metadata: {} })).toBeNull();
+      expect(cacheService.getSettings({ metadata: { cache: { enabled: false } } })).toBeNull();
+    });
+
+    it('should normalize cache settings', () => {
+      expect(cacheService.getSettings(endpoint)).toEqual({
+        ttlSeconds: 60,
+        varyQuery: ['region'],
+        varyHeaders: ['accept-language'],
+        maxEntryBytes: 1024 * 1024
+      });
+    });
+  });
+
+  describe('buildKey', () => {
+    it('should vary by parameters, selected query values and headers only', () => {
+      const settings = cacheService.getSettings(endpoint);
+      const base = cacheService.buildKey(endpoint, settings, mockRequest({ region: 'EU' }), { id: 1 });
+
+      expect(base.startsWith('endpoint-1:')).toBe(true);
+      expect(cacheService.buildKey(endpoint, settings, mockRequest({ region: 'EU', ignored: 'x' }), { id: 1 })).toBe(base);
+      expect(cacheService.buildKey(endpoint, settings, mockRequest({ region: 'US' }), { id: 1 })).not.toBe(base);
+      expect(cacheService.buildKey(endpoint, settings, mockRequest({ region: 'EU' }), { id: 2 })).not.toBe(base);
+      expect(cacheService.buildKey(endpoint, settings, mockRequest({ region: 'EU' }, { 'accept-language': 'de' }), { id: 1 })).not.toBe(base);
+    });
+  });
+
+  describe('set and get', () => {
+    it('should store and return entries', async () => {
+      const settings = cacheService.getSettings(endpoint);
+      await cacheService.set('endpoint-1:a', { data: [1] }, settings);
+
+      const entry = await cacheService.get('endpoint-1:a');
+
+      expect(entry.body).toEqual({ data: [1] });
+      expect(entry.ttlSeconds).toBe(60);
+    });
+
+    it('should skip entries larger than the max entry size', async () => {
+      const settings = { ...cacheService.getSettings(endpoint), maxEntryBytes: 10 };
+
+      const stored = await cacheService.set('endpoint-1:big', { data: 'x'.repeat(100) }, settings);
+
+      expect(stored).toBeNull();
+      expect(await cacheService.get('endpoint-1:big')).toBeNull();
+    });
+
+    it('should evict the least recently used entry', async () => {
+      const settings = cacheService.getSettings(endpoint);
+      await cacheService.set('endpoint-1:a', { n: 1 }, settings);
+      await cacheService.set('endpoint-1:b', { n: 2 }, settings);
+      await cacheService.get('endpoint-1:a');
+      await cacheService.set('endpoint-1:c', { n: 3 }, settings);
+
+      expect(await cacheService.get('endpoint-1:a')).not.toBeNull();
+      expect(await cacheService.get('endpoint-1:b')).toBeNull();
+    });
+  });
+
+  describe('purgeEndpoint', () => {
+    it('should remove only entries for the given endpoint', async () => {
+      const settings = cacheService.getSettings(endpoint);
+      await cacheService.set('endpoint-1:a', { n: 1 }, settings);
+      await cacheService.set('endpoint-2:a', { n: 2 }, settings);
+
+      const removed = await cacheService.purgeEndpoint('endpoint-1');
+
+      expect(removed).toBe(1);
+      expect(await cacheService.get('endpoint-2:a')).not.toBeNull();
+    });
+  });
+});
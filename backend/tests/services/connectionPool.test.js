@@ -0,0 +1,147 @@
+const ConnectionPool = require('../../src/services/connectionPool');
+
+describe('ConnectionPool', () => {
+  let created;
+  let pool;
+
+  const createPool = (options = {}) => new ConnectionPool({
+    create: jest.fn(async () => {
+      const connection = { id: created.length + 1, destroy: jest.fn(), up: true };
+      created.push(connection);
+      return connection;
+    }),
+    validate: async (connection) => connection.up,
+    destroy: (connection) => connection.destroy(),
+    max: 2,
+    acquireTimeoutMs: 1000,
+    idleTimeoutMs: 5000,
+    evictionIntervalMs: 60000,
+    ...options
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    created = [];
+  });
+
+  afterEach(async () => {
+    if (pool) {
+      await pool.drain();
+    }
+    jest.useRealTimers();
+  });
+
+  it('should reuse released connections', async () => {
+    pool = createPool();
+
+    const first = await pool.acquire();
+    pool.release(first);
+    const second = await pool.acquire();
+
+    expect(second).toBe(first);
+    expect(pool.factory).toHaveBeenCalledTimes(1);
+    expect(pool.getStats()).toMatchObject({ size: 1, borrowed: 1, idle: 0, created: 1 });
+  });
+
+  it('should discard connections that fail validation on borrow', async () => {
+    pool = createPool();
+
+    const first = await pool.acquire();
+    pool.release(first);
+    first.up = false;
+    const second = await pool.acquire();
+
+    expect(second).not.toBe(first);
+    expect(first.destroy).toHaveBeenCalled();
+    expect(pool.getStats().validationFailures).toBe(1);
+  });
+
+  it('should hand a released connection to a waiting caller', async () => {
+    pool = createPool();
+
+    const first = await pool.acquire();
+    await pool.acquire();
+    const waiting = pool.acquire();
+    expect(pool.getStats().pending).toBe(1);
+
+    pool.release(first);
+
+    await expect(waiting).resolves.toBe(first);
+  });
+
+  it('should time out when the pool is exhausted', async () => {
+    pool = createPool({ max: 1 });
+
+    await pool.acquire();
+    const waiting = pool.acquire();
+    jest.advanceTimersByTime(1000);
+
+    await expect(waiting).rejects.toMatchObject({ code: 'POOL_ACQUIRE_TIMEOUT' });
+    expect(pool.getStats().acquireTimeouts).toBe(1);
+  });
+
+  it('should count a connection being validated towards the pool size', async () => {
+    let finishValidation;
+    pool = createPool({
+      max: 1,
+      validate: () => new Promise(resolve => { finishValidation = resolve; })
+    });
+
+    const first = await pool.acquire();
+    pool.release(first);
+    const validated = pool.acquire();
+    const waiting = pool.acquire();
+
+    expect(pool.getStats()).toMatchObject({ size: 1, idle: 0, validating: 1, pending: 1 });
+    expect(pool.factory).toHaveBeenCalledTimes(1);
+
+    finishValidation(true);
+    await expect(validated).resolves.toBe(first);
+    expect(pool.getStats()).toMatchObject({ size: 1, borrowed: 1, validating: 0 });
+    jest.advanceTimersByTime(1000);
+    await expect(waiting).rejects.toMatchObject({ code: 'POOL_ACQUIRE_TIMEOUT' });
+  });
+
+  it('should keep a replacement connection idle when its waiter already timed out', async () => {
+    pool = createPool({ max: 1 });
+
+    const connection = await pool.acquire();
+    const waiting = pool.acquire();
+    let finishCreate;
+    pool.factory.mockImplementationOnce(() => new Promise(resolve => { finishCreate = resolve; }));
+    pool.release(connection, { destroy: true });
+
+    jest.advanceTimersByTime(1000);
+    await expect(waiting).rejects.toMatchObject({ code: 'POOL_ACQUIRE_TIMEOUT' });
+
+    const replacement = { id: 'late', destroy: jest.fn(), up: true };
+    finishCreate(replacement);
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(pool.getStats()).toMatchObject({ size: 1, idle: 1, borrowed: 0 });
+    await expect(pool.acquire()).resolves.toBe(replacement);
+  });
+
+  it('should destroy connections released with destroy flag', async () => {
+    pool = createPool();
+
+    const connection = await pool.acquire();
+    pool.release(connection, { destroy: true });
+
+    expect(connection.destroy).toHaveBeenCalled();
+    expect(pool.getStats()).toMatchObject({ size: 0, destroyed: 1 });
+  });
+
+  it('should evict idle connections past the idle timeout', async () => {
+    pool = createPool();
+
+    const connection = await pool.acquire();
+    pool.release(connection);
+    jest.advanceTimersByTime(5000);
+    pool.evictIdle();
+
+    expect(connection.destroy).toHaveBeenCalled();
+    expect(pool.getStats().idle).toBe(0);
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../../src/services/databaseService', () => ({
+  getAllEndpoints: jest.fn()
+}));
+
+jest.mock('../../src/services/snowflakeService', () => ({
+  getCachedTableSchema: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { printSchema } = require('graphql');
+const databaseService = require('../../src/services/databaseService');
+const snowflakeService = require('../../src/services/snowflakeService');
+const graphqlService = require('../../src/services/graphqlService');
+
+describe('GraphQLService', () => {
+  const orders = {
+    id: 'e1',
+    name: 'Open Orders',
+    path: 'open-orders',
+    type: 'query',
+    status: 'active',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    parameters: [
+      { name: 'region', type: 'string', required: true },
+      { name: 'minTotal', type: 'number', default: 0 }
+    ],
+    metadata: {
+      validation: {
+        responseSchema: { type: 'object', properties: { ID: { type: 'integer' }, NOTE: { type: ['string', 'null'] } } }
+      }
+    }
+  };
+  const customers = {
+    id: 'e2',
+    name: 'Customers',
+    type: 'table',
+    target: 'DB.PUBLIC.CUSTOMERS',
+    status: 'active',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    parameters: [],
+    metadata: { shape: { casing: 'camel', nest: ['ADDRESS'], drop: ['SECRET'], parseJson: ['TAGS'] } }
+  };
+  const columns = [
+    { COLUMN_NAME: 'ID', DATA_TYPE: 'NUMBER' },
+    { COLUMN_NAME: 'ADDRESS_CITY', DATA_TYPE: 'TEXT' },
+    { COLUMN_NAME: 'IS_VIP', DATA_TYPE: 'BOOLEAN' },
+    { COLUMN_NAME: 'TAGS', DATA_TYPE: 'TEXT' },
+    { COLUMN_NAME: 'SECRET', DATA_TYPE: 'TEXT' },
+    { COLUMN_NAME: 'CREATED_AT', DATA_TYPE: 'TIMESTAMP_NTZ' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    graphqlService.reset();
+    snowflakeService.getCachedTableSchema.mockResolvedValue(columns);
+  });
+
+  describe('getEndpoints', () => {
+    it('should keep only active query and table endpoints', async () => {
+      databaseService.getAllEndpoints.mockResolvedValue([
+        orders,
+        customers,
+        { id: 'e3', type: 'stored_procedure', status: 'active' },
+        { id: 'e4', type: 'query', status: 'draft' }
+      ]);
+
+      const endpoints = await graphqlService.getEndpoints();
+      expect(endpoints.map(endpoint => endpoint.id)).toEqual(['e1', 'e2']);
+    });
+
+    it('should reuse the endpoint list between requests', async () => {
+      databaseService.getAllEndpoints.mockResolvedValue([orders]);
+      await graphqlService.getEndpoints();
+      await graphqlService.getEndpoints();
+      expect(databaseService.getAllEndpoints).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getSchema', () => {
+    it('should derive fields, arguments and row types from the endpoints', async () => {
+      const sdl = printSchema(await graphqlService.getSchema([orders, customers]));
+
+      expect(sdl).toContain('openOrders(region: String!, minTotal: Float = 0): [OpenOrdersRow!]!');
+      expect(sdl).toContain('customers(');
+      expect(sdl).toMatch(/type OpenOrdersRow \{\s+ID: Float\s+NOTE: String\s+\}/);
+      expect(sdl).toMatch(/type CustomersRow \{\s+id: Float\s+address: CustomersRowAddress\s+isVip: Boolean\s+tags: JSON\s+createdAt: String\s+\}/);
+      expect(sdl).toMatch(/type CustomersRowAddress \{\s+city: String\s+\}/);
+      expect(sdl).not.toContain('secret');
+    });
+
+    it('should return JSON rows for query endpoints without a response schema', async () => {
+      const sdl = printSchema(await graphqlService.getSchema([{ ...orders, metadata: {} }]));
+      expect(sdl).toContain('[JSON!]!');
+    });
+
+    it('should leave out tables whose columns cannot be read', async () => {
+      snowflakeService.getCachedTableSchema.mockRejectedValue(new Error('Table does not exist'));
+      expect(await graphqlService.getSchema([customers])).toBeNull();
+
+      const sdl = printSchema(await graphqlService.getSchema([orders, customers]));
+      expect(sdl).not.toContain('customers');
+    });
+
+    it('should reuse the schema until an endpoint changes', async () => {
+      const first = await graphqlService.getSchema([orders]);
+      expect(await graphqlService.getSchema([orders])).toBe(first);
+      expect(await graphqlService.getSchema([{ ...orders, updatedAt: '2024-02-01T00:00:00.000Z' }])).not.toBe(first);
+    });
+
+    it('should give endpoints with clashing names unique fields', async () => {
+      const sdl = printSchema(await graphqlService.getSchema([orders, { ...orders, id: 'e9' }]));
+      expect(sdl).toContain('openOrders(');
+      expect(sdl).toContain('openOrders2(');
+    });
+  });
+
+  describe('execute', () => {
+    it('should load each field through the context', async () => {
+      const schema = await graphqlService.getSchema([orders, customers]);
+      const context = {
+        load: jest.fn(async endpoint => (endpoint.type === 'table'
+          ? [{ id: 1, address: { city: 'Oslo' }, createdAt: new Date(0) }]
+          : [{ ID: 7, NOTE: null }]))
+      };
+
+      const { status, body } = await graphqlService.execute(schema, {
+        query: 'query($r: String!) { openOrders(region: $r) { ID } customers(limit: 5) { id address { city } createdAt } }',
+        variables: { r: 'EU' }
+      }, context);
+
+      expect(status).toBe(200);
+      expect(body).toEqual({
+        data: {
+          openOrders: [{ ID: 7 }],
+          customers: [{ id: 1, address: { city: 'Oslo' }, createdAt: '1970-01-01T00:00:00.000Z' }]
+        }
+      });
+      expect(context.load).toHaveBeenCalledWith(orders, { region: 'EU', minTotal: 0 });
+      expect(context.load).toHaveBeenCalledWith(customers, { limit: 5 });
+    });
+
+    it('should reject documents that do not parse or validate', async () => {
+      const schema = await graphqlService.getSchema([orders]);
+      const context = { load: jest.fn() };
+
+      const parseResult = await graphqlService.execute(schema, { query: '{ openOrders' }, context);
+      expect(parseResult.status).toBe(400);
+      expect(parseResult.body.errors[0].extensions.code).toBe('GRAPHQL_PARSE_FAILED');
+
+      const validationResult = await graphqlService.execute(schema, { query: '{ openOrders { ID } }' }, context);
+      expect(validationResult.status).toBe(400);
+      expect(validationResult.body.errors[0].extensions.code).toBe('GRAPHQL_VALIDATION_FAILED');
+      expect(context.load).not.toHaveBeenCalled();
+    });
+
+    it('should report field errors with their code, details and query id', async () => {
+      const schema = await graphqlService.getSchema([orders]);
+      const error = new Error('Statement timed out');
+      error.code = 'STATEMENT_TIMEOUT';
+      error.queryId = 'q-1';
+      const context = { load: jest.fn().mockRejectedValue(error) };
+
+      const { status, body } = await graphqlService.execute(schema, { query: '{ openOrders(region: "EU") { ID } }' }, context);
+
+      expect(status).toBe(200);
+      expect(body.data).toBeNull();
+      expect(body.errors[0]).toMatchObject({
+        message: 'Statement timed out',
+        path: ['openOrders'],
+        extensions: { code: 'STATEMENT_TIMEOUT', queryId: 'q-1' }
+      });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const jobService = require('../../src/services/jobService');
+
+describe('JobService', () => {
+  const endpoint = { id: 'e1', name: 'Orders', metadata: { async: { enabled: true, retentionSeconds: 60 } } };
+  const owner = { id: 'key-1' };
+  const settings = jobService.getSettings(endpoint);
+
+  beforeEach(() => {
+    jobService.reset();
+  });
+
+  describe('getSettings', () => {
+    it('should return null unless async mode is enabled', () => {
+      expect(jobService.getSettings({ metadata: {} })).toBeNull();
+      expect(settings).toEqual({ retentionSeconds: 60 });
+      expect(jobService.getSettings({ metadata: { async: { enabled: true } } }).retentionSeconds).toBe(3600);
+    });
+
+    it('should not run streaming endpoints as jobs', () => {
+      const streaming = { type: 'table', metadata: { async: { enabled: true }, streaming: { enabled: true, maxRows: 1000 } } };
+      expect(jobService.getSettings(streaming)).toBeNull();
+    });
+  });
+
+  describe('getLimitDenial', () => {
+    it('should cap the jobs an API key has queued or running', async () => {
+      const jobs = [1, 2, 3].map(() => jobService.create(endpoint, owner, settings));
+
+      expect(jobService.getLimitDenial(owner)).toBe('This API key already has 3 jobs queued or running; wait for one to finish or cancel it');
+      expect(jobService.getLimitDenial({ id: 'key-2' })).toBeNull();
+
+      await jobService.run(jobs[0], async () => ({ rows: [], rowCount: 0 }));
+      expect(jobService.getLimitDenial(owner)).toBeNull();
+    });
+
+    it('should cap the jobs an API key keeps, finished ones included', async () => {
+      for (let i = 0; i < 20; i += 1) {
+        await jobService.run(jobService.create(endpoint, owner, settings), async () => ({ rows: [], rowCount: 0 }));
+      }
+
+      expect(jobService.getLimitDenial(owner)).toBe('This API key already holds 20 jobs; delete finished jobs to free their results');
+      jobService.cancel([...jobService.jobs.values()][0]);
+      expect(jobService.getLimitDenial(owner)).toBeNull();
+    });
+  });
+
+  describe('run', () => {
+    it('should move a job through running to succeeded and keep its rows', async () => {
+      const job = jobService.create(endpoint, owner, settings);
+      expect(job.status).toBe('queued');
+
+      await jobService.run(job, async (signal, markRunning) => {
+        markRunning();
+        expect(job.status).toBe('running');
+        return { rows: [{ ID: 1 }, { ID: 2 }, { ID: 3 }], rowCount: 3, statement: { getQueryId: () => 'q-1' } };
+      });
+
+      expect(job.status).toBe('succeeded');
+      expect(job.queryId).toBe('q-1');
+      expect(job.expiresAt - job.completedAt).toBe(60 * 1000);
+      expect(jobService.getResultPage(job, 2, 1)).toEqual({ rows: [{ ID: 2 }, { ID: 3 }], totalRows: 3, hasMore: false });
+    });
+
+    it('should record failures with the query id', async () => {
+      const job = jobService.create(endpoint, owner, settings);
+
+      await jobService.run(job, async () => {
+        throw Object.assign(new Error('Statement exceeded the 5s timeout'), { code: 'STATEMENT_TIMEOUT', queryId: 'q-2' });
+      });
+
+      expect(jobService.describe(job)).toMatchObject({
+        status: 'failed',
+        queryId: 'q-2',
+        error: { code: 'STATEMENT_TIMEOUT', message: 'Statement exceeded the 5s timeout' }
+      });
+    });
+  });
+
+  describe('cancel', () => {
+    it('should abort a running job and ignore its late outcome', async () => {
+      const job = jobService.create(endpoint, owner, settings);
+      const running = jobService.run(job, signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('cancelled')));
+      }));
+
+      jobService.cancel(job);
+      await running;
+
+      expect(job.status).toBe('cancelled');
+      expect(job.error).toBeNull();
+    });
+
+    it('should discard a finished job', async () => {
+      const job = jobService.create(endpoint, owner, settings);
+      await jobService.run(job, async () => ({ rows: [], rowCount: 0 }));
+
+      jobService.cancel(job);
+
+      expect(jobService.get(job.id, owner)).toBeNull();
+    });
+  });
+
+  describe('get', () => {
+    it('should only return jobs to the API key that created them', () => {
+      const job = jobService.create(endpoint, owner, settings);
+
+      expect(jobService.get(job.id, owner)).toBe(job);
+      expect(jobService.get(job.id, { id: 'key-2' })).toBeNull();
+    });
+
+    it('should drop jobs once their retention period has passed', async () => {
+      const job = jobService.create(endpoint, owner, settings);
+      await jobService.run(job, async () => ({ rows: [], rowCount: 0 }));
+
+      jobService.cleanup(job.expiresAt);
+
+      expect(jobService.get(job.id, owner)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock('../../src/services/databaseService', () => ({
+  createPATToken: jest.fn(),
+  getPATTokenById: jest.fn(),
+  getPATTokenByHash: jest.fn(),
+  updatePATTokenUsage: jest.fn(),
+  updatePATTokenMetadata: jest.fn(),
+  getExpiredPATTokens: jest.fn(),
+  expirePATToken: jest.fn(),
+  logActivity: jest.fn(),
+  getSystemSettings: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const databaseService = require('../../src/services/databaseService');
+const tokenService = require('../../src/services/tokenService');
+
+describe('TokenService expiry and rotation', () => {
+  const HOUR = 60 * 60 * 1000;
+  const storedKey = (metadata = {}) => ({
+    id: 'k1',
+    endpointId: 'e1',
+    isActive: true,
+    expiresAt: metadata.expiresAt || null,
+    metadata: { endpointName: 'Orders', name: 'Billing', owner: 'billing-team', rateLimit: 50, createdBy: 'alice', ...metadata }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokenService.invalidateSettings();
+    databaseService.getSystemSettings.mockResolvedValue({ api_key_expiry_days: 90, api_key_rotation_grace_hours: 24 });
+    databaseService.createPATToken.mockImplementation(async (endpointId, hash, metadata) => ({
+      id: 'k2',
+      endpointId,
+      isActive: true,
+      name: metadata.name,
+      expiresAt: metadata.expiresAt || null,
+      metadata
+    }));
+    databaseService.updatePATTokenMetadata.mockImplementation(async (id, metadata) => ({ ...storedKey(metadata), id }));
+  });
+
+  afterEach(() => {
+    tokenService.stopExpiryJob();
+  });
+
+  describe('createPATToken', () => {
+    it('should apply the default lifetime unless an expiry is given', async () => {
+      await tokenService.createPATToken('e1', { name: 'A' });
+      const expiresAt = new Date(databaseService.createPATToken.mock.calls[0][2].expiresAt);
+      expect(Math.round((expiresAt - Date.now()) / (24 * HOUR))).toBe(90);
+
+      await tokenService.createPATToken('e1', { name: 'B', expiresAt: null });
+      expect(databaseService.createPATToken.mock.calls[1][2]).toEqual({ name: 'B', signingSecret: expect.stringMatching(/^sks_[0-9a-f]{64}$/) });
+    });
+
+    it('should issue keys without expiry when the lifetime setting is 0', async () => {
+      databaseService.getSystemSettings.mockResolvedValue({ api_key_expiry_days: 0 });
+
+      await tokenService.createPATToken('e1', { name: 'A' });
+      expect(databaseService.createPATToken.mock.calls[0][2]).not.toHaveProperty('expiresAt');
+    });
+
+    it('should issue keys without expiry when no lifetime is configured', async () => {
+      databaseService.getSystemSettings.mockResolvedValue({});
+
+      await tokenService.createPATToken('e1', { name: 'A' });
+      expect(databaseService.createPATToken.mock.calls[0][2]).not.toHaveProperty('expiresAt');
+    });
+  });
+
+  describe('validatePATToken', () => {
+    it('should refuse keys whose expiry has passed', async () => {
+      databaseService.getPATTokenByHash.mockResolvedValue(storedKey({ expiresAt: new Date(Date.now() - 1000).toISOString() }));
+
+      await expect(tokenService.validatePATToken('secret')).resolves.toBeNull();
+      expect(databaseService.updatePATTokenUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotatePATToken', () => {
+    it('should issue a successor with the same labels and keep the old key for the grace period', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey({ signingSecret: 'sks_old' }));
+
+      const { successor, previous } = await tokenService.rotatePATToken('k1', { rotatedBy: 'bob' });
+
+      const successorMetadata = databaseService.createPATToken.mock.calls[0][2];
+      expect(successorMetadata).toMatchObject({ name: 'Billing', owner: 'billing-team', rateLimit: 50, createdBy: 'bob', rotatedFrom: 'k1' });
+      expect(successor.token).toHaveLength(64);
+      expect(successor.signingSecret).not.toBe('sks_old');
+      expect(successorMetadata.signingSecret).toBe(successor.signingSecret);
+
+      const [, previousMetadata] = databaseService.updatePATTokenMetadata.mock.calls[0];
+      expect(previousMetadata.rotatedTo).toBe('k2');
+      expect(Math.round((new Date(previousMetadata.expiresAt) - Date.now()) / HOUR)).toBe(24);
+      expect(previous.metadata.rotatedTo).toBe('k2');
+      expect(databaseService.logActivity).toHaveBeenCalledWith(expect.objectContaining({ type: 'token_rotated', user: 'bob', apiKeyId: 'k1' }));
+    });
+
+    it('should use an explicit grace period', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey());
+
+      await tokenService.rotatePATToken('k1', { graceHours: 0 });
+
+      const [, previousMetadata] = databaseService.updatePATTokenMetadata.mock.calls[0];
+      expect(new Date(previousMetadata.expiresAt).getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should not rotate revoked or expired keys', async () => {
+      databaseService.getPATTokenById.mockResolvedValue({ ...storedKey(), isActive: false });
+      await expect(tokenService.rotatePATToken('k1')).resolves.toBeNull();
+
+      databaseService.getPATTokenById.mockResolvedValue(storedKey({ expiresAt: new Date(Date.now() - 1000).toISOString() }));
+      await expect(tokenService.rotatePATToken('k1')).resolves.toBeNull();
+      expect(databaseService.createPATToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cleanupExpiredTokens', () => {
+    it('should deactivate every expired key', async () => {
+      databaseService.getExpiredPATTokens.mockResolvedValue([{ id: 'k1', endpointId: 'e1' }, { id: 'k3', endpointId: 'e2' }]);
+
+      await expect(tokenService.cleanupExpiredTokens()).resolves.toBe(2);
+      expect(databaseService.expirePATToken).toHaveBeenCalledWith('k1');
+      expect(databaseService.expirePATToken).toHaveBeenCalledWith('k3');
+    });
+
+    it('should run when the expiry job starts', async () => {
+      databaseService.getExpiredPATTokens.mockResolvedValue([]);
+
+      await tokenService.startExpiryJob();
+      expect(databaseService.getExpiredPATTokens).toHaveBeenCalledTimes(1);
+    });
+  });
+});
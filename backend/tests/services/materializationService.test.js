@@ -0,0 +1,160 @@
+jest.mock('../../src/services/databaseService', () => ({
+  getAllEndpoints: jest.fn(),
+  getEndpointById: jest.fn(),
+  getSystemSettings: jest.fn()
+}));
+
+jest.mock('../../src/services/snowflakeService', () => ({
+  acquireConnection: jest.fn(),
+  releaseConnection: jest.fn(),
+  isConnectionError: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const databaseService = require('../../src/services/databaseService');
+const snowflakeService = require('../../src/services/snowflakeService');
+const materializationService = require('../../src/services/materializationService');
+
+describe('MaterializationService', () => {
+  const connection = { id: 'c1' };
+  const endpoint = {
+    id: 'e1',
+    name: 'Revenue',
+    type: 'query',
+    method: 'GET',
+    status: 'active',
+    target: 'SELECT SUM(AMOUNT) AS TOTAL FROM SALES WHERE REGION = :region',
+    parameters: [{ name: 'region', type: 'string', required: true, source: 'query' }],
+    updatedAt: '2024-05-01T00:00:00.000Z',
+    metadata: {
+      materialization: { enabled: true, schedule: '0 * * * *', parameterSets: [{ region: 'EU' }, { region: 'US' }] }
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    materializationService.reset();
+    databaseService.getSystemSettings.mockResolvedValue({});
+    snowflakeService.acquireConnection.mockResolvedValue(connection);
+    snowflakeService.isConnectionError.mockReturnValue(false);
+    snowflakeService.executeQuery.mockImplementation(async (conn, sqlText, binds) => ({
+      rows: [{ REGION: binds[0], TOTAL: 100 }],
+      rowCount: 1
+    }));
+  });
+
+  afterEach(() => {
+    materializationService.reset();
+  });
+
+  describe('refresh', () => {
+    it('should store one snapshot per parameter set on a single connection', async () => {
+      await materializationService.refresh(endpoint, 'manual');
+
+      expect(snowflakeService.executeQuery).toHaveBeenCalledTimes(2);
+      expect(snowflakeService.executeQuery).toHaveBeenCalledWith(connection, expect.any(String), ['EU'], expect.objectContaining({ timeoutSeconds: expect.any(Number) }));
+      expect(snowflakeService.releaseConnection).toHaveBeenCalledWith(connection, { destroy: false });
+
+      expect(materializationService.getSnapshot(endpoint, { region: 'US' })).toMatchObject({ rows: [{ REGION: 'US', TOTAL: 100 }], rowCount: 1 });
+      expect(materializationService.getSnapshot(endpoint, { region: 'APAC' })).toBeNull();
+
+      const status = materializationService.getStatus(endpoint);
+      expect(status).toMatchObject({ enabled: true, status: 'succeeded', trigger: 'manual', error: null });
+      expect(status.snapshots.map(snapshot => snapshot.parameters)).toEqual([{ region: 'EU' }, { region: 'US' }]);
+      expect(status.asOf).toBe(status.snapshots[0].asOf);
+    });
+
+    it('should keep the previous snapshots when a refresh fails', async () => {
+      await materializationService.refresh(endpoint, 'manual');
+      const before = materializationService.getSnapshot(endpoint, { region: 'EU' });
+
+      snowflakeService.executeQuery.mockRejectedValueOnce(new Error('Warehouse suspended'));
+      await expect(materializationService.refresh(endpoint, 'schedule')).rejects.toThrow('Warehouse suspended');
+
+      expect(materializationService.getSnapshot(endpoint, { region: 'EU' })).toBe(before);
+      expect(materializationService.getStatus(endpoint)).toMatchObject({ status: 'failed', trigger: 'schedule', error: 'Warehouse suspended', asOf: before.asOf });
+    });
+
+    it('should destroy connections that broke during the run', async () => {
+      snowflakeService.executeQuery.mockRejectedValueOnce(new Error('Connection lost'));
+      snowflakeService.isConnectionError.mockReturnValue(true);
+
+      await expect(materializationService.refresh(endpoint)).rejects.toThrow('Connection lost');
+      expect(snowflakeService.releaseConnection).toHaveBeenCalledWith(connection, { destroy: true });
+    });
+
+    it('should share a run already in progress', async () => {
+      const first = materializationService.refresh(endpoint, 'manual');
+      const second = materializationService.refresh(endpoint, 'manual');
+
+      expect(second).toBe(first);
+      await first;
+      expect(snowflakeService.acquireConnection).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getSnapshot', () => {
+    it('should ignore snapshots taken from another version of the endpoint', async () => {
+      await materializationService.refresh(endpoint, 'manual');
+
+      expect(materializationService.getSnapshot({ ...endpoint, updatedAt: '2024-06-01T00:00:00.000Z' }, { region: 'EU' })).toBeNull();
+      expect(materializationService.getSnapshot({ ...endpoint, metadata: {} }, { region: 'EU' })).toBeNull();
+    });
+  });
+
+  describe('schedule', () => {
+    it('should take a first snapshot and report the next run', async () => {
+      expect(materializationService.schedule(endpoint)).toBe(true);
+      await materializationService.running.get(endpoint.id);
+
+      const status = materializationService.getStatus(endpoint);
+      expect(status).toMatchObject({ status: 'succeeded', trigger: 'definition', schedule: '0 * * * *' });
+      expect(Date.parse(status.nextRunAt)).toBeGreaterThan(Date.now());
+      expect(new Date(status.nextRunAt).getUTCMinutes()).toBe(0);
+    });
+
+    it('should not refresh again while the definition is unchanged', async () => {
+      materializationService.schedule(endpoint);
+      await materializationService.running.get(endpoint.id);
+
+      materializationService.schedule({ ...endpoint });
+      expect(materializationService.running.has(endpoint.id)).toBe(false);
+      expect(snowflakeService.executeQuery).toHaveBeenCalledTimes(2);
+    });
+
+    it('should drop endpoints that are no longer active or materialized', async () => {
+      await materializationService.refresh(endpoint, 'manual');
+
+      expect(materializationService.schedule({ ...endpoint, status: 'suspended' })).toBe(false);
+      expect(materializationService.getSnapshot(endpoint, { region: 'EU' })).toBeNull();
+      expect(materializationService.getStatus(endpoint).status).toBe('idle');
+      expect(materializationService.timers.size).toBe(0);
+    });
+  });
+
+  describe('start', () => {
+    it('should schedule every materialized endpoint', async () => {
+      databaseService.getAllEndpoints.mockResolvedValue([endpoint, { ...endpoint, id: 'e2', metadata: {} }]);
+
+      expect(await materializationService.start()).toBe(1);
+      expect(materializationService.timers.has('e1')).toBe(true);
+      expect(materializationService.timers.has('e2')).toBe(false);
+    });
+
+    it('should mark an endpoint with a broken schedule failed and schedule the rest', async () => {
+      const broken = { ...endpoint, id: 'e2', metadata: { materialization: { ...endpoint.metadata.materialization, schedule: '0 0 30 2 *' } } };
+      databaseService.getAllEndpoints.mockResolvedValue([broken, endpoint]);
+
+      expect(await materializationService.start()).toBe(1);
+      expect(materializationService.timers.has('e1')).toBe(true);
+      expect(materializationService.timers.has('e2')).toBe(false);
+      expect(materializationService.getStatus(broken)).toMatchObject({ status: 'failed', nextRunAt: null, error: expect.any(String) });
+    });
+  });
+});
@@ -0,0 +1,50 @@
+jest.mock('../../src/services/databaseService', () => ({
+  getSystemSettings: jest.fn()
+}));
+
+const databaseService = require('../../src/services/databaseService');
+const queryTimeoutService = require('../../src/services/queryTimeoutService');
+
+describe('QueryTimeoutService', () => {
+  beforeEach(() => {
+    queryTimeoutService.invalidateSettings();
+    databaseService.getSystemSettings.mockReset();
+    databaseService.getSystemSettings.mockResolvedValue({ statement_timeout_default: '120' });
+  });
+
+  describe('getTimeout', () => {
+    it('should prefer the endpoint timeout', async () => {
+      await expect(queryTimeoutService.getTimeout({ metadata: { timeout: { seconds: 15 } } })).resolves.toBe(15);
+    });
+
+    it('should fall back to statement_timeout_default', async () => {
+      await expect(queryTimeoutService.getTimeout({ metadata: {} })).resolves.toBe(120);
+      await expect(queryTimeoutService.getTimeout({ metadata: { timeout: { seconds: null } } })).resolves.toBe(120);
+    });
+
+    it('should cache the default until settings are invalidated', async () => {
+      await queryTimeoutService.getTimeout({});
+      await queryTimeoutService.getTimeout({});
+      expect(databaseService.getSystemSettings).toHaveBeenCalledTimes(1);
+
+      databaseService.getSystemSettings.mockResolvedValue({ statement_timeout_default: 60 });
+      queryTimeoutService.invalidateSettings();
+
+      await expect(queryTimeoutService.getTimeout({})).resolves.toBe(60);
+    });
+
+    it('should use 300 seconds when the setting is missing', async () => {
+      databaseService.getSystemSettings.mockResolvedValue({});
+
+      await expect(queryTimeoutService.getTimeout({})).resolves.toBe(300);
+    });
+
+    it('should keep the last known default when settings cannot be read', async () => {
+      await queryTimeoutService.getTimeout({});
+      databaseService.getSystemSettings.mockRejectedValue(new Error('warehouse suspended'));
+      queryTimeoutService.invalidateSettings();
+
+      await expect(queryTimeoutService.getTimeout({})).resolves.toBe(120);
+    });
+  });
+});
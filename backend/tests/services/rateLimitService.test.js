@@ -0,0 +1,100 @@
+jest.mock('../../src/services/databaseService', () => ({
+  getSystemSettings: jest.fn()
+}));
+
+const databaseService = require('../../src/services/databaseService');
+const rateLimitService = require('../../src/services/rateLimitService');
+
+describe('RateLimitService', () => {
+  const windowStart = 1700000040000; // Aligned to a minute boundary
+
+  beforeEach(() => {
+    rateLimitService.reset();
+    databaseService.getSystemSettings.mockResolvedValue({ rate_limit_default: '5' });
+  });
+
+  describe('consume', () => {
+    it('should allow requests up to the limit and then reject', () => {
+      const results = [1, 2, 3].map(() => rateLimitService.consume('k', 2, windowStart + 1000));
+
+      expect(results.map(r => r.allowed)).toEqual([true, true, false]);
+      expect(results[0].remaining).toBe(1);
+      expect(results[2].remaining).toBe(0);
+      expect(results[2].retryAfterSeconds).toBeGreaterThan(0);
+    });
+
+    it('should weight the previous window as it slides out', () => {
+      for (let i = 0; i < 10; i++) {
+        rateLimitService.consume('k', 10, windowStart + 1000);
+      }
+
+      // A quarter into the next window, 75% of the previous 10 requests still count
+      const now = windowStart + 60000 + 15000;
+      const results = [1, 2, 3, 4].map(() => rateLimitService.consume('k', 10, now));
+
+      expect(results.map(r => r.allowed)).toEqual([true, true, false, false]);
+    });
+
+    it('should forget windows older than the previous one', () => {
+      rateLimitService.consume('k', 1, windowStart);
+
+      expect(rateLimitService.consume('k', 1, windowStart + 120000).allowed).toBe(true);
+    });
+  });
+
+  describe('check', () => {
+    const endpoint = { id: 'endpoint-1', rateLimit: 3 };
+
+    it('should apply the endpoint limit across API keys', async () => {
+      await rateLimitService.check(endpoint, { id: 'key-1' }, windowStart);
+      await rateLimitService.check(endpoint, { id: 'key-2' }, windowStart);
+      await rateLimitService.check(endpoint, { id: 'key-3' }, windowStart);
+
+      const result = await rateLimitService.check(endpoint, { id: 'key-4' }, windowStart);
+
+      expect(result.allowed).toBe(false);
+      expect(result.scope).toBe('endpoint');
+    });
+
+    it('should use the key limit from metadata before the system default', async () => {
+      const tokenData = { id: 'key-1', metadata: { rateLimit: 1 } };
+      await rateLimitService.check({ id: 'endpoint-2', rateLimit: 100 }, tokenData, windowStart);
+
+      const result = await rateLimitService.check({ id: 'endpoint-2', rateLimit: 100 }, tokenData, windowStart);
+
+      expect(result.allowed).toBe(false);
+      expect(result.scope).toBe('api_key');
+      expect(result.decision.limit).toBe(1);
+    });
+
+    it('should fall back to rate_limit_default for keys without a limit', async () => {
+      const result = await rateLimitService.check({ id: 'endpoint-3', rateLimit: 100 }, { id: 'key-1' }, windowStart);
+
+      expect(result.scope).toBe('api_key');
+      expect(result.decision.limit).toBe(5);
+    });
+
+    it('should not count a rejected request against the other limit', async () => {
+      const tokenData = { id: 'key-1', metadata: { rateLimit: 1 } };
+      const other = { id: 'endpoint-4', rateLimit: 2 };
+      await rateLimitService.check(other, tokenData, windowStart);
+      await rateLimitService.check(other, tokenData, windowStart);
+
+      const result = await rateLimitService.check(other, { id: 'key-2' }, windowStart);
+
+      expect(result.allowed).toBe(true);
+    });
+  });
+
+  describe('getDefaultLimit', () => {
+    it('should re-read the setting after invalidation', async () => {
+      expect(await rateLimitService.getDefaultLimit()).toBe(5);
+
+      databaseService.getSystemSettings.mockResolvedValue({ rate_limit_default: '50' });
+      expect(await rateLimitService.getDefaultLimit()).toBe(5);
+
+      rateLimitService.invalidateSettings();
+      expect(await rateLimitService.getDefaultLimit()).toBe(50);
+    });
+  });
+});
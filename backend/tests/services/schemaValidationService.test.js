@@ -0,0 +1,89 @@
+const schemaValidationService = require('../../src/services/schemaValidationService');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('SchemaValidationService', () => {
+  const rowSchema = {
+    type: 'object',
+    required: ['ID'],
+    properties: { ID: { type: 'number' }, NAME: { type: 'string' } }
+  };
+  const endpoint = {
+    id: 'e1',
+    name: 'Orders',
+    metadata: {
+      validation: {
+        requestSchema: { type: 'object', required: ['status'], properties: { status: { enum: ['open', 'closed'] } } },
+        responseSchema: rowSchema
+      }
+    }
+  };
+
+  beforeEach(() => {
+    schemaValidationService.reset();
+  });
+
+  describe('getSettings', () => {
+    it('should return null unless a schema is set', () => {
+      expect(schemaValidationService.getSettings({ metadata: {} })).toBeNull();
+      expect(schemaValidationService.getSettings({ metadata: { validation: { requestSchema: null, failOnResponseViolation: true } } })).toBeNull();
+      expect(schemaValidationService.getSettings(endpoint).failOnResponseViolation).toBe(false);
+    });
+  });
+
+  describe('validateRequest', () => {
+    it('should accept matching bodies and skip endpoints without a request schema', () => {
+      expect(schemaValidationService.validateRequest(endpoint, { status: 'open' })).toEqual([]);
+      expect(schemaValidationService.validateRequest({ metadata: {} }, 'anything')).toEqual([]);
+    });
+
+    it('should treat a missing body as an empty object', () => {
+      expect(schemaValidationService.validateRequest(endpoint, undefined)).toEqual([
+        { field: 'status', location: 'body', message: 'is required' }
+      ]);
+    });
+
+    it('should report the offending field', () => {
+      const errors = schemaValidationService.validateRequest(endpoint, { status: 'lost' });
+      expect(errors).toEqual([{ field: 'status', location: 'body', message: 'must be equal to one of the allowed values' }]);
+    });
+  });
+
+  describe('checkResponse', () => {
+    it('should pass matching rows without recording anything', () => {
+      expect(schemaValidationService.checkResponse(endpoint, [{ ID: 1 }, { ID: 2, NAME: 'a' }])).toEqual({ errors: [], fail: false });
+      expect(schemaValidationService.getStats().totalViolations).toBe(0);
+    });
+
+    it('should prefix row indexes and count violations per endpoint', () => {
+      const result = schemaValidationService.checkResponse(endpoint, [{ ID: 1 }, { NAME: 2 }, { ID: 'x' }]);
+
+      expect(result.fail).toBe(false);
+      expect(result.errors).toEqual([
+        { field: '[1].ID', location: 'response', message: 'is required' },
+        { field: '[1].NAME', location: 'response', message: 'must be string' },
+        { field: '[2].ID', location: 'response', message: 'must be number' }
+      ]);
+      expect(result.message).toBe('2 of 3 rows do not match the response schema (first: [1].ID is required)');
+
+      schemaValidationService.checkResponse(endpoint, ['not a row']);
+      const stats = schemaValidationService.getStats();
+      expect(stats.totalViolations).toBe(2);
+      expect(stats.endpoints).toEqual([expect.objectContaining({ endpointId: 'e1', endpoint: 'Orders', count: 2 })]);
+      expect(stats.endpoints[0].lastMessage).toMatch(/first: \[0\] must be object/);
+    });
+
+    it('should ask to fail when the endpoint opts in and cap reported errors', () => {
+      const strict = { ...endpoint, metadata: { validation: { responseSchema: rowSchema, failOnResponseViolation: true } } };
+      const rows = Array.from({ length: 25 }, () => ({}));
+
+      const result = schemaValidationService.checkResponse(strict, rows);
+      expect(result.fail).toBe(true);
+      expect(result.errors).toHaveLength(10);
+    });
+  });
+});
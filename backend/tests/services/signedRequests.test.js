@@ -0,0 +1,136 @@
+jest.mock('../../src/services/databaseService', () => ({
+  createPATToken: jest.fn(),
+  getPATTokenById: jest.fn(),
+  updatePATTokenUsage: jest.fn(),
+  updatePATTokenMetadata: jest.fn(),
+  getSystemSettings: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const databaseService = require('../../src/services/databaseService');
+const tokenService = require('../../src/services/tokenService');
+const { signRequest } = require('../../src/utils/requestSigningUtils');
+
+describe('TokenService signed requests', () => {
+  const SECRET = 'sks_test';
+  const storedKey = (overrides = {}) => ({
+    id: 'k1',
+    endpointId: 'e1',
+    isActive: true,
+    metadata: { endpointName: 'Orders', signingSecret: SECRET },
+    ...overrides
+  });
+  let nonceCounter = 0;
+
+  // Sign like a client and hand the result over the way the proxy does
+  const signed = (request = {}, { keyId = 'k1', secret = SECRET } = {}) => {
+    const call = { method: 'POST', path: '/proxy/orders', body: '{"id":1}', nonce: `nonce-${String(++nonceCounter).padStart(12, '0')}`, ...request };
+    const headers = signRequest(keyId, secret, call);
+    return {
+      keyId: headers['X-API-Key-Id'],
+      timestamp: headers['X-Signature-Timestamp'],
+      nonce: headers['X-Signature-Nonce'],
+      signature: headers['X-Signature'],
+      method: call.method,
+      paths: [call.path],
+      body: Buffer.from(call.body)
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokenService.seenNonces.clear();
+    databaseService.getPATTokenById.mockResolvedValue(storedKey());
+    databaseService.updatePATTokenUsage.mockResolvedValue();
+  });
+
+  describe('validateSignedRequest', () => {
+    it('should accept a valid signature and count the usage', async () => {
+      const result = await tokenService.validateSignedRequest(signed());
+
+      expect(result.tokenData).toMatchObject({ id: 'k1' });
+      expect(databaseService.getPATTokenById).toHaveBeenCalledWith('k1');
+      expect(databaseService.updatePATTokenUsage).toHaveBeenCalledWith('k1');
+    });
+
+    it('should refuse a replayed nonce', async () => {
+      const request = signed();
+
+      await tokenService.validateSignedRequest(request);
+      await expect(tokenService.validateSignedRequest(request)).resolves.toEqual({ error: 'Request nonce has already been used' });
+    });
+
+    it('should refuse timestamps outside the window without looking up the key', async () => {
+      const result = await tokenService.validateSignedRequest(signed({ timestamp: Math.floor(Date.now() / 1000) - 301 }));
+
+      expect(result.error).toBe('X-Signature-Timestamp must be Unix seconds within 300 seconds of the server time');
+      expect(databaseService.getPATTokenById).not.toHaveBeenCalled();
+    });
+
+    it('should accept a signature over any of the candidate paths', async () => {
+      const request = signed({ path: '/api/proxy/orders' });
+
+      await expect(tokenService.validateSignedRequest({ ...request, paths: ['/proxy/orders', '/api/proxy/orders'] })).resolves.toHaveProperty('tokenData');
+      await expect(tokenService.validateSignedRequest({ ...signed({ path: '/api/proxy/orders' }), paths: ['/proxy/orders'] }))
+        .resolves.toEqual({ error: 'Invalid request signature' });
+    });
+
+    it('should refuse a tampered body', async () => {
+      const request = { ...signed(), body: Buffer.from('{"id":2}') };
+
+      await expect(tokenService.validateSignedRequest(request)).resolves.toEqual({ error: 'Invalid request signature' });
+      expect(databaseService.updatePATTokenUsage).not.toHaveBeenCalled();
+    });
+
+    it('should not burn the nonce of a request with a wrong signature', async () => {
+      const request = signed();
+
+      await tokenService.validateSignedRequest({ ...request, signature: 'sha256=forged' });
+      await expect(tokenService.validateSignedRequest(request)).resolves.toHaveProperty('tokenData');
+    });
+
+    it('should answer unknown, revoked, expired and secretless keys alike', async () => {
+      const keys = [
+        null,
+        storedKey({ isActive: false }),
+        storedKey({ metadata: { signingSecret: SECRET, expiresAt: new Date(Date.now() - 1000).toISOString() } }),
+        storedKey({ metadata: {} })
+      ];
+      for (const key of keys) {
+        databaseService.getPATTokenById.mockResolvedValue(key);
+        await expect(tokenService.validateSignedRequest(signed())).resolves.toEqual({ error: 'Invalid request signature' });
+      }
+    });
+
+    it('should require every signature header and a well-formed nonce', async () => {
+      const { signature, ...unsigned } = signed();
+      expect((await tokenService.validateSignedRequest(unsigned)).error).toMatch(/^Signed requests need/);
+      expect((await tokenService.validateSignedRequest(signed({ nonce: 'short' }))).error).toMatch(/^X-Signature-Nonce/);
+    });
+  });
+
+  describe('issueSigningSecret', () => {
+    it('should replace the secret of an active key', async () => {
+      databaseService.updatePATTokenMetadata.mockImplementation(async (id, metadata) => storedKey({ metadata }));
+
+      const { signingSecret, tokenData } = await tokenService.issueSigningSecret('k1');
+
+      expect(signingSecret).toMatch(/^sks_[0-9a-f]{64}$/);
+      expect(signingSecret).not.toBe(SECRET);
+      expect(tokenData.metadata).toEqual({ endpointName: 'Orders', signingSecret });
+    });
+
+    it('should not issue secrets for revoked keys', async () => {
+      databaseService.getPATTokenById.mockResolvedValue(storedKey({ isActive: false }));
+
+      await expect(tokenService.issueSigningSecret('k1')).resolves.toBeNull();
+      expect(databaseService.updatePATTokenMetadata).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -164,6 +164,73 @@ describe('SnowflakeService', () => {
     });
   });
 
+  describe('statement timeouts and cancellation', () => {
+    const runningStatement = (queryId = '01b2-query') => ({
+      getQueryId: jest.fn(() => queryId),
+      cancel: jest.fn((callback) => callback())
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should send the timeout as a statement parameter', async () => {
+      mockConnection.execute.mockImplementation((options) => {
+        options.complete(null, {}, []);
+        return runningStatement();
+      });
+
+      await snowflakeService.executeQuery(mockConnection, 'SELECT 1', [], { timeoutSeconds: 30 });
+
+      expect(mockConnection.execute).toHaveBeenCalledWith(expect.objectContaining({
+        parameters: { STATEMENT_TIMEOUT_IN_SECONDS: 30 }
+      }));
+    });
+
+    it('should cancel the statement and reject with its query id when the timeout fires', async () => {
+      jest.useFakeTimers();
+      const statement = runningStatement();
+      mockConnection.execute.mockReturnValue(statement);
+
+      const pending = snowflakeService.executeQuery(mockConnection, 'SELECT SYSTEM$WAIT(60)', [], { timeoutSeconds: 5 });
+      jest.advanceTimersByTime(5000);
+
+      await expect(pending).rejects.toMatchObject({ code: 'STATEMENT_TIMEOUT', queryId: '01b2-query' });
+      expect(statement.cancel).toHaveBeenCalled();
+    });
+
+    it('should report a Snowflake-side timeout as STATEMENT_TIMEOUT', async () => {
+      const error = Object.assign(new Error('Statement reached its statement or warehouse timeout'), { code: '000630' });
+      mockConnection.execute.mockImplementation((options) => {
+        options.complete(error, runningStatement('01b2-server'), null);
+      });
+
+      await expect(snowflakeService.executeQuery(mockConnection, 'SELECT 1', [], { timeoutSeconds: 5 }))
+        .rejects.toMatchObject({ code: 'STATEMENT_TIMEOUT', queryId: '01b2-server' });
+    });
+
+    it('should cancel the statement when the signal aborts', async () => {
+      const controller = new AbortController();
+      const statement = runningStatement();
+      mockConnection.execute.mockReturnValue(statement);
+
+      const pending = snowflakeService.executeQuery(mockConnection, 'SELECT 1', [], { signal: controller.signal });
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ code: 'STATEMENT_CANCELLED' });
+      expect(statement.cancel).toHaveBeenCalled();
+    });
+
+    it('should not start a statement for an already aborted request', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(snowflakeService.executeQuery(mockConnection, 'SELECT 1', [], { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'STATEMENT_CANCELLED' });
+      expect(mockConnection.execute).not.toHaveBeenCalled();
+    });
+  });
+
   describe('testConnection', () => {
     it('should return success for valid connection', async () => {
       const config = {
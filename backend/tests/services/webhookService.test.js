@@ -0,0 +1,207 @@
+process.env.WEBHOOK_RETRY_BASE_MS = '20';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+jest.mock('../../src/services/databaseService', () => ({
+  getAllWebhooks: jest.fn(),
+  getWebhookById: jest.fn(),
+  createWebhookDelivery: jest.fn(),
+  updateWebhookDelivery: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const http = require('http');
+const crypto = require('crypto');
+const databaseService = require('../../src/services/databaseService');
+const webhookService = require('../../src/services/webhookService');
+
+describe('WebhookService', () => {
+  let server;
+  let received;
+  let statuses;
+  let webhook;
+  let deliveries;
+
+  const waitFor = async (predicate, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for condition');
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeAll(async () => {
+    // Local stand-in for a receiving system; answers with the queued statuses, then 200
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    webhookService.reset();
+    received = [];
+    statuses = [];
+    deliveries = new Map();
+    webhook = {
+      id: 'w1',
+      name: 'Change management',
+      url: `http://127.0.0.1:${server.address().port}/hooks`,
+      secret: 'whsec_test',
+      events: ['endpoint.created', 'endpoint.deleted'],
+      isActive: true
+    };
+
+    databaseService.getAllWebhooks.mockImplementation(async () => [webhook]);
+    databaseService.getWebhookById.mockImplementation(async id => (id === webhook.id ? webhook : null));
+    databaseService.createWebhookDelivery.mockImplementation(async ({ webhookId, event, replayOf }) => {
+      const delivery = {
+        id: `d${deliveries.size + 1}`,
+        webhookId,
+        eventId: event.id,
+        eventType: event.type,
+        payload: event,
+        status: 'pending',
+        attempts: 0,
+        replayOf: replayOf || null
+      };
+      deliveries.set(delivery.id, delivery);
+      return { ...delivery };
+    });
+    databaseService.updateWebhookDelivery.mockImplementation(async (id, update) => {
+      Object.assign(deliveries.get(id), update);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    webhookService.reset();
+  });
+
+  describe('emit', () => {
+    it('should POST signed JSON to subscriptions for the event type', async () => {
+      const [delivery] = await webhookService.emit('endpoint.created', { endpoint: { id: 'e1', name: 'Orders' } }, 'alice');
+
+      expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, responseStatus: 200 });
+      expect(received).toHaveLength(1);
+
+      const { headers, body } = received[0];
+      const event = JSON.parse(body);
+      expect(event).toMatchObject({ type: 'endpoint.created', actor: 'alice', data: { endpoint: { id: 'e1', name: 'Orders' } } });
+      expect(headers['content-type']).toBe('application/json');
+      expect(headers['x-webhook-event']).toBe('endpoint.created');
+      expect(headers['x-webhook-id']).toBe(delivery.id);
+
+      const expected = crypto.createHmac('sha256', 'whsec_test')
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    });
+
+    it('should skip inactive subscriptions and unsubscribed event types', async () => {
+      expect(await webhookService.emit('api_key.revoked', {})).toEqual([]);
+
+      webhook.isActive = false;
+      expect(await webhookService.emit('endpoint.created', {})).toEqual([]);
+      expect(received).toHaveLength(0);
+      expect(databaseService.createWebhookDelivery).not.toHaveBeenCalled();
+    });
+
+    it('should never reject when subscriptions cannot be loaded', async () => {
+      databaseService.getAllWebhooks.mockRejectedValue(new Error('Database unavailable'));
+      await expect(webhookService.emit('endpoint.created', {})).resolves.toEqual([]);
+    });
+  });
+
+  describe('retries', () => {
+    it('should retry failed deliveries with exponential backoff until one succeeds', async () => {
+      statuses = [500, 503];
+      const scheduleRetry = jest.spyOn(webhookService, 'scheduleRetry');
+
+      const [first] = await webhookService.emit('endpoint.deleted', { endpoint: { id: 'e1' } });
+      expect(first).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 500 });
+      expect(Date.parse(first.nextAttemptAt)).toBeGreaterThan(Date.now());
+
+      await waitFor(() => deliveries.get(first.id).status === 'succeeded');
+      expect(deliveries.get(first.id)).toMatchObject({ attempts: 3, responseStatus: 200, errorMessage: null });
+      expect(received).toHaveLength(3);
+      expect(new Set(received.map(request => request.body)).size).toBe(1);
+
+      expect(scheduleRetry.mock.calls.map(([, , attempt, delayMs]) => [attempt, delayMs])).toEqual([[2, 20], [3, 40]]);
+    });
+
+    it('should mark a delivery failed after the last attempt', async () => {
+      statuses = [500, 500, 500];
+
+      const [delivery] = await webhookService.emit('endpoint.created', {});
+      await waitFor(() => deliveries.get(delivery.id).status === 'failed');
+
+      expect(deliveries.get(delivery.id)).toMatchObject({ attempts: 3, responseStatus: 500, errorMessage: 'Receiver responded with HTTP 500' });
+      expect(received).toHaveLength(3);
+    });
+
+    it('should stop retrying once the subscription is disabled', async () => {
+      statuses = [500];
+
+      const [delivery] = await webhookService.emit('endpoint.created', {});
+      webhook.isActive = false;
+      await waitFor(() => deliveries.get(delivery.id).status === 'failed');
+
+      expect(received).toHaveLength(1);
+      expect(deliveries.get(delivery.id).errorMessage).toMatch(/deleted or disabled/);
+    });
+
+    it('should record connection failures', async () => {
+      webhook.url = 'http://127.0.0.1:1/hooks';
+
+      const [delivery] = await webhookService.emit('endpoint.created', {});
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: null });
+      expect(delivery.errorMessage).toBeTruthy();
+    });
+  });
+
+  describe('replay', () => {
+    it('should deliver the same event again as a new delivery', async () => {
+      const [original] = await webhookService.emit('endpoint.created', { endpoint: { id: 'e1' } });
+
+      const replayed = await webhookService.replay(deliveries.get(original.id), webhook);
+
+      expect(replayed.id).not.toBe(original.id);
+      expect(replayed).toMatchObject({ status: 'succeeded', replayOf: original.id, eventId: original.eventId });
+      expect(JSON.parse(received[1].body)).toEqual(JSON.parse(received[0].body));
+    });
+  });
+
+  describe('sendTest', () => {
+    it('should send a webhook.test event regardless of subscribed types', async () => {
+      const delivery = await webhookService.sendTest(webhook, 'alice');
+
+      expect(delivery.status).toBe('succeeded');
+      expect(received[0].headers['x-webhook-event']).toBe('webhook.test');
+    });
+  });
+
+  describe('toPublic', () => {
+    it('should replace the secret with a preview', () => {
+      const result = webhookService.toPublic({ id: 'w1', secret: 'whsec_0123456789abcdef' });
+      expect(result).toEqual({ id: 'w1', secretPreview: 'whsec_0123...' });
+    });
+  });
+});
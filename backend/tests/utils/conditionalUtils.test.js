@@ -0,0 +1,71 @@
+const {
+  validateConditionalSettings,
+  getUpdatedAtColumn,
+  computeETag,
+  isNotModified
+} = require('../../src/utils/conditionalUtils');
+
+describe('Conditional Utils', () => {
+  describe('validateConditionalSettings', () => {
+    it('should accept a column name or no column', () => {
+      expect(validateConditionalSettings({ updatedAtColumn: 'UPDATED_AT' })).toEqual([]);
+      expect(validateConditionalSettings({ updatedAtColumn: '' })).toEqual([]);
+      expect(validateConditionalSettings({})).toEqual([]);
+    });
+
+    it('should reject expressions and non-objects', () => {
+      expect(validateConditionalSettings({ updatedAtColumn: 'UPDATED_AT; DROP TABLE X' })).toHaveLength(1);
+      expect(validateConditionalSettings({ updatedAtColumn: 5 })).toHaveLength(1);
+      expect(validateConditionalSettings([])).toEqual(['Conditional settings must be an object']);
+    });
+  });
+
+  describe('getUpdatedAtColumn', () => {
+    it('should return the upper-cased column for table endpoints', () => {
+      expect(getUpdatedAtColumn({ type: 'table', metadata: { conditional: { updatedAtColumn: 'updated_at' } } })).toBe('UPDATED_AT');
+    });
+
+    it('should return null for other endpoint types or without a column', () => {
+      expect(getUpdatedAtColumn({ type: 'query', metadata: { conditional: { updatedAtColumn: 'UPDATED_AT' } } })).toBeNull();
+      expect(getUpdatedAtColumn({ type: 'table', metadata: {} })).toBeNull();
+    });
+  });
+
+  describe('computeETag', () => {
+    it('should return a quoted strong tag that changes with the payload', () => {
+      const etag = computeETag('{"data":[1]}');
+      expect(etag).toMatch(/^"[A-Za-z0-9_-]+"$/);
+      expect(computeETag('{"data":[1]}')).toBe(etag);
+      expect(computeETag('{"data":[2]}')).not.toBe(etag);
+    });
+  });
+
+  describe('isNotModified', () => {
+    const etag = '"abc"';
+    const lastModified = new Date('2024-05-01T10:00:00.500Z');
+
+    it('should match If-None-Match lists, weak tags and *', () => {
+      expect(isNotModified({ 'if-none-match': '"abc"' }, { etag })).toBe(true);
+      expect(isNotModified({ 'if-none-match': '"x", W/"abc"' }, { etag })).toBe(true);
+      expect(isNotModified({ 'if-none-match': '*' }, { etag })).toBe(true);
+      expect(isNotModified({ 'if-none-match': '"x"' }, { etag })).toBe(false);
+    });
+
+    it('should compare If-Modified-Since at one-second precision', () => {
+      expect(isNotModified({ 'if-modified-since': 'Wed, 01 May 2024 10:00:00 GMT' }, { lastModified })).toBe(true);
+      expect(isNotModified({ 'if-modified-since': 'Wed, 01 May 2024 09:59:59 GMT' }, { lastModified })).toBe(false);
+      expect(isNotModified({ 'if-modified-since': 'not a date' }, { lastModified })).toBe(false);
+    });
+
+    it('should ignore If-Modified-Since when If-None-Match is present', () => {
+      const headers = { 'if-none-match': '"x"', 'if-modified-since': 'Wed, 01 May 2024 10:00:00 GMT' };
+      expect(isNotModified(headers, { etag, lastModified })).toBe(false);
+      expect(isNotModified(headers, { lastModified })).toBe(false);
+    });
+
+    it('should not match without validators or conditional headers', () => {
+      expect(isNotModified({}, { etag, lastModified })).toBe(false);
+      expect(isNotModified({ 'if-modified-since': 'Wed, 01 May 2024 10:00:00 GMT' }, { etag })).toBe(false);
+    });
+  });
+});
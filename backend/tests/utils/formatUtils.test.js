@@ -0,0 +1,97 @@
+const {
+  negotiateFormat,
+  getCsvOptions,
+  getContentDisposition,
+  serializeRows
+} = require('../../src/utils/formatUtils');
+
+// Request stub with Express-style content negotiation over the Accept header
+const mockRequest = (query = {}, accept) => ({
+  query,
+  accepts: (types) => {
+    if (!accept || accept === '*/*') {
+      return types[0];
+    }
+    return types.find(type => accept.includes(type)) || false;
+  }
+});
+
+describe('Format Utils', () => {
+  const rows = [
+    { ID: 1, NAME: 'Widget, large', NOTE: 'say "hi"', CREATED: new Date('2024-01-01T00:00:00.000Z'), TAGS: null },
+    { ID: 2, NAME: 'Gadget', NOTE: 'line\nbreak', CREATED: null, TAGS: { a: 1 } }
+  ];
+
+  describe('negotiateFormat', () => {
+    it('should prefer ?format= over the Accept header', () => {
+      expect(negotiateFormat(mockRequest({ format: 'CSV' }, 'application/xml'))).toBe('csv');
+      expect(negotiateFormat(mockRequest({ format: 'yaml' }))).toBeNull();
+    });
+
+    it('should map Accept media types to formats', () => {
+      expect(negotiateFormat(mockRequest({}, 'text/csv'))).toBe('csv');
+      expect(negotiateFormat(mockRequest({}, 'application/x-ndjson'))).toBe('ndjson');
+      expect(negotiateFormat(mockRequest({}, 'text/xml'))).toBe('xml');
+      expect(negotiateFormat(mockRequest({}))).toBe('json');
+      expect(negotiateFormat(mockRequest({}, 'image/png'))).toBeNull();
+    });
+  });
+
+  describe('getCsvOptions', () => {
+    it('should use endpoint defaults unless the request overrides them', () => {
+      const endpoint = { metadata: { csv: { delimiter: ';', header: false } } };
+
+      expect(getCsvOptions(endpoint, mockRequest()).options).toEqual({ delimiter: ';', header: false });
+      expect(getCsvOptions(endpoint, mockRequest({ delimiter: 'tab', header: 'true' })).options)
+        .toEqual({ delimiter: '\t', header: true });
+      expect(getCsvOptions({}, mockRequest()).options).toEqual({ delimiter: ',', header: true });
+    });
+
+    it('should reject unsupported delimiters', () => {
+      expect(getCsvOptions({}, mockRequest({ delimiter: 'x' })).error).toMatch(/delimiter must be one of/);
+    });
+  });
+
+  describe('getContentDisposition', () => {
+    it('should build a safe attachment filename', () => {
+      expect(getContentDisposition('Sales / Orders', 'csv')).toBe('attachment; filename="Sales_Orders.csv"');
+      expect(getContentDisposition('', 'xml')).toBe('attachment; filename="export.xml"');
+    });
+  });
+
+  describe('serializeRows', () => {
+    it('should quote CSV values containing delimiters, quotes or newlines', () => {
+      const csv = serializeRows('csv', rows, {}, { delimiter: ',', header: true });
+
+      expect(csv).toBe(
+        'ID,NAME,NOTE,CREATED,TAGS\r\n' +
+        '1,"Widget, large","say ""hi""",2024-01-01T00:00:00.000Z,\r\n' +
+        '2,Gadget,"line\nbreak",,"{""a"":1}"\r\n'
+      );
+    });
+
+    it('should omit the CSV header row when disabled', () => {
+      expect(serializeRows('csv', [{ ID: 1 }], {}, { header: false })).toBe('1\r\n');
+    });
+
+    it('should write NDJSON one row per line', () => {
+      expect(serializeRows('ndjson', [{ ID: 1 }, { ID: 2 }], {})).toBe('{"ID":1}\n{"ID":2}\n');
+    });
+
+    it('should write the JSON envelope', () => {
+      const body = JSON.parse(serializeRows('json', [{ ID: 1 }], { rowCount: 1 }));
+
+      expect(body).toEqual({ success: true, data: [{ ID: 1 }], metadata: { rowCount: 1 } });
+    });
+
+    it('should escape XML values and sanitize element names', () => {
+      const xml = serializeRows('xml', [{ 'ORDER ID': 1, '2ND': '<b>&', EMPTY: null }], { rowCount: 1 });
+
+      expect(xml).toBe(
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<response><data><row><ORDER_ID>1</ORDER_ID><_2ND>&lt;b&gt;&amp;</_2ND><EMPTY/></row></data>' +
+        '<metadata><rowCount>1</rowCount></metadata></response>'
+      );
+    });
+  });
+});
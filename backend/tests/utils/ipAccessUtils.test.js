@@ -0,0 +1,125 @@
+const express = require('express');
+const {
+  normalizeIp,
+  getClientIp,
+  parseIpRule,
+  getIpDenial,
+  normalizeIpAccess,
+  parseTrustProxy
+} = require('../../src/utils/ipAccessUtils');
+
+describe('IP Access Utils', () => {
+  const withRules = ipAccess => ({ id: 'e1', metadata: ipAccess ? { ipAccess } : {} });
+
+  describe('normalizeIp', () => {
+    it('should unwrap IPv4-mapped IPv6 addresses', () => {
+      expect(normalizeIp('::ffff:10.0.0.1')).toBe('10.0.0.1');
+      expect(normalizeIp(' 2001:db8::1 ')).toBe('2001:db8::1');
+    });
+
+    it('should reject anything that is not an address', () => {
+      expect(normalizeIp('example.com')).toBeNull();
+      expect(normalizeIp(undefined)).toBeNull();
+    });
+  });
+
+  describe('getClientIp', () => {
+    it('should prefer the address Express resolved through trusted proxies', () => {
+      expect(getClientIp({ ip: '203.0.113.7', socket: { remoteAddress: '::ffff:127.0.0.1' } })).toBe('203.0.113.7');
+      expect(getClientIp({ socket: { remoteAddress: '::ffff:127.0.0.1' } })).toBe('127.0.0.1');
+    });
+  });
+
+  describe('parseIpRule', () => {
+    it('should parse addresses and CIDR ranges of both families', () => {
+      expect(parseIpRule('203.0.113.7')).toEqual({ address: '203.0.113.7', prefix: 32, family: 'ipv4' });
+      expect(parseIpRule('203.0.113.0/24')).toEqual({ address: '203.0.113.0', prefix: 24, family: 'ipv4' });
+      expect(parseIpRule('2001:db8::/32')).toEqual({ address: '2001:db8::', prefix: 32, family: 'ipv6' });
+    });
+
+    it('should reject prefixes beyond the address length and malformed entries', () => {
+      expect(parseIpRule('10.0.0.0/33')).toBeNull();
+      expect(parseIpRule('2001:db8::/129')).toBeNull();
+      expect(parseIpRule('10.0.0.0/8/8')).toBeNull();
+      expect(parseIpRule('10.0.0.0/')).toBeNull();
+      expect(parseIpRule('localhost')).toBeNull();
+    });
+  });
+
+  describe('getIpDenial', () => {
+    it('should allow everyone when there are no rules', () => {
+      expect(getIpDenial('198.51.100.1', withRules(null), 'endpoint')).toBeNull();
+      expect(getIpDenial(null, withRules({ allow: [], deny: [] }), 'endpoint')).toBeNull();
+    });
+
+    it('should only admit addresses in the allowlist', () => {
+      const endpoint = withRules({ allow: ['203.0.113.0/24', '2001:db8::/32'] });
+      expect(getIpDenial('203.0.113.200', endpoint, 'endpoint')).toBeNull();
+      expect(getIpDenial('2001:db8:1::5', endpoint, 'endpoint')).toBeNull();
+      expect(getIpDenial('198.51.100.1', endpoint, 'endpoint')).toBe('Client IP 198.51.100.1 is not in the allowlist for this endpoint');
+    });
+
+    it('should let the denylist win over the allowlist', () => {
+      const key = withRules({ allow: ['10.0.0.0/8'], deny: ['10.6.0.0/16'] });
+      expect(getIpDenial('10.6.1.1', key, 'API key')).toBe('Client IP 10.6.1.1 is blocked for this API key');
+      expect(getIpDenial('10.7.1.1', key, 'API key')).toBeNull();
+    });
+
+    it('should match IPv4 rules and IPv4-mapped callers alike', () => {
+      expect(getIpDenial(normalizeIp('::ffff:10.1.2.3'), withRules({ allow: ['10.0.0.0/8'] }), 'endpoint')).toBeNull();
+    });
+
+    it('should refuse callers without a known address when rules exist', () => {
+      expect(getIpDenial(null, withRules({ deny: ['10.0.0.1'] }), 'endpoint'))
+        .toBe('Client IP could not be determined and this endpoint restricts client IPs');
+    });
+  });
+
+  describe('normalizeIpAccess', () => {
+    it('should trim and deduplicate entries and drop empty lists', () => {
+      expect(normalizeIpAccess({ allow: [' 10.0.0.0/8', '10.0.0.0/8'], deny: [] }))
+        .toEqual({ ipAccess: { allow: ['10.0.0.0/8'] }, errors: [] });
+      expect(normalizeIpAccess({ allow: [], deny: [] })).toEqual({ ipAccess: null, errors: [] });
+      expect(normalizeIpAccess(null)).toEqual({ ipAccess: null, errors: [] });
+    });
+
+    it('should report invalid entries per list', () => {
+      expect(normalizeIpAccess({ allow: ['10.0.0.0/40'], deny: 'all' }).errors).toEqual([
+        'IP allowlist has invalid entries: 10.0.0.0/40',
+        'IP denylist must be an array of addresses or CIDR ranges'
+      ]);
+      expect(normalizeIpAccess(['10.0.0.1']).errors).toEqual(['IP access rules must be an object']);
+    });
+  });
+
+  describe('parseTrustProxy', () => {
+    it('should only trust proxies on loopback and private networks when unset', () => {
+      expect(parseTrustProxy(undefined)).toEqual(['loopback', 'linklocal', 'uniquelocal']);
+      expect(parseTrustProxy(' ')).toEqual(['loopback', 'linklocal', 'uniquelocal']);
+      expect(parseTrustProxy('true')).toBe(true);
+      expect(parseTrustProxy('false')).toBe(false);
+    });
+
+    it('should not let a directly connecting caller spoof its way past an allowlist by default', () => {
+      const app = express();
+      app.set('trust proxy', parseTrustProxy(undefined));
+      const fromAddress = remoteAddress => Object.assign(Object.create(app.request), {
+        app,
+        headers: { 'x-forwarded-for': '203.0.113.7' },
+        connection: { remoteAddress },
+        socket: { remoteAddress }
+      });
+      const endpoint = withRules({ allow: ['203.0.113.0/24'] });
+
+      expect(getIpDenial(getClientIp(fromAddress('198.51.100.9')), endpoint, 'endpoint'))
+        .toBe('Client IP 198.51.100.9 is not in the allowlist for this endpoint');
+      // An ingress on a private network still vouches for the client
+      expect(getIpDenial(getClientIp(fromAddress('10.0.0.2')), endpoint, 'endpoint')).toBeNull();
+    });
+
+    it('should accept hop counts and lists of ranges and presets', () => {
+      expect(parseTrustProxy('2')).toBe(2);
+      expect(parseTrustProxy('loopback, 10.0.0.0/8')).toEqual(['loopback', '10.0.0.0/8']);
+    });
+  });
+});
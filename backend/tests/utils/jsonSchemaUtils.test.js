@@ -0,0 +1,63 @@
+const { validateJsonSchema, toFieldErrors, validateValue } = require('../../src/utils/jsonSchemaUtils');
+
+describe('JSON Schema Utils', () => {
+  const orderSchema = {
+    type: 'object',
+    required: ['customerId', 'items'],
+    additionalProperties: false,
+    properties: {
+      customerId: { type: 'integer' },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['sku'],
+          properties: { qty: { type: 'integer', minimum: 1 } }
+        }
+      }
+    }
+  };
+
+  describe('validateJsonSchema', () => {
+    it('should accept a valid schema', () => {
+      expect(validateJsonSchema(orderSchema)).toBeNull();
+    });
+
+    it('should reject non-objects and schemas that do not compile', () => {
+      expect(validateJsonSchema('{"type":"object"}')).toBe('must be a JSON Schema object');
+      expect(validateJsonSchema([])).toBe('must be a JSON Schema object');
+      expect(validateJsonSchema({ type: 'nope' })).toMatch(/^is not a valid JSON Schema: /);
+    });
+  });
+
+  describe('validateValue', () => {
+    it('should return no errors for a matching value', () => {
+      expect(validateValue(orderSchema, { customerId: 7, items: [{ sku: 'A', qty: 2 }] }, 'body')).toEqual([]);
+    });
+
+    it('should point at nested fields, missing properties and unexpected properties', () => {
+      const errors = validateValue(orderSchema, { items: [{ sku: 'A', qty: 0 }, { qty: 1 }], note: 'x' }, 'body');
+
+      expect(errors).toEqual(expect.arrayContaining([
+        { field: 'customerId', location: 'body', message: 'is required' },
+        { field: 'note', location: 'body', message: 'is not allowed' },
+        { field: 'items[0].qty', location: 'body', message: 'must be >= 1' },
+        { field: 'items[1].sku', location: 'body', message: 'is required' }
+      ]));
+      expect(errors).toHaveLength(4);
+    });
+
+    it('should report root type errors against the location', () => {
+      expect(validateValue(orderSchema, [1, 2], 'body')).toEqual([
+        { field: 'body', location: 'body', message: 'must be object' }
+      ]);
+    });
+  });
+
+  describe('toFieldErrors', () => {
+    it('should unescape JSON pointer segments', () => {
+      const errors = toFieldErrors([{ instancePath: '/a~1b/0', keyword: 'type', params: {}, message: 'must be string' }], 'body');
+      expect(errors).toEqual([{ field: 'a/b[0]', location: 'body', message: 'must be string' }]);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const {
+  isExpired,
+  getExpiryStatus,
+  getDefaultExpiry,
+  getGraceExpiry
+} = require('../../src/utils/keyExpiryUtils');
+
+describe('Key Expiry Utils', () => {
+  const now = new Date('2024-05-01T12:00:00.000Z');
+  const keyExpiring = expiresAt => ({ id: 'k1', metadata: { expiresAt } });
+
+  describe('isExpired', () => {
+    it('should treat keys without a valid expiry as never expiring', () => {
+      expect(isExpired({ id: 'k1', metadata: {} }, now)).toBe(false);
+      expect(isExpired(keyExpiring('not a date'), now)).toBe(false);
+    });
+
+    it('should expire keys at their expiry time', () => {
+      expect(isExpired(keyExpiring('2024-05-01T12:00:00.000Z'), now)).toBe(true);
+      expect(isExpired(keyExpiring('2024-05-01T12:00:01.000Z'), now)).toBe(false);
+    });
+  });
+
+  describe('getExpiryStatus', () => {
+    it('should classify keys by the time left', () => {
+      expect(getExpiryStatus({ metadata: {} }, 14, now)).toBe('never');
+      expect(getExpiryStatus(keyExpiring('2024-04-30T00:00:00.000Z'), 14, now)).toBe('expired');
+      expect(getExpiryStatus(keyExpiring('2024-05-10T00:00:00.000Z'), 14, now)).toBe('expiring');
+      expect(getExpiryStatus(keyExpiring('2024-07-01T00:00:00.000Z'), 14, now)).toBe('valid');
+    });
+  });
+
+  describe('getDefaultExpiry', () => {
+    it('should add the lifetime in days, or return null when keys do not expire', () => {
+      expect(getDefaultExpiry(90, now)).toBe('2024-07-30T12:00:00.000Z');
+      expect(getDefaultExpiry(0, now)).toBeNull();
+    });
+  });
+
+  describe('getGraceExpiry', () => {
+    it('should end the grace period after the given hours', () => {
+      expect(getGraceExpiry(keyExpiring(null), 24, now)).toBe('2024-05-02T12:00:00.000Z');
+      expect(getGraceExpiry(keyExpiring('2024-07-01T00:00:00.000Z'), 0, now)).toBe(now.toISOString());
+    });
+
+    it('should not extend a key that expires before the grace period ends', () => {
+      expect(getGraceExpiry(keyExpiring('2024-05-01T18:00:00.000Z'), 24, now)).toBe('2024-05-01T18:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const {
+  getAccessDenial,
+  canAccessEndpoint,
+  hasExtendedScope,
+  normalizeScope
+} = require('../../src/utils/keyScopeUtils');
+
+describe('Key Scope Utils', () => {
+  const orders = { id: 'e1', tags: [] };
+  const invoices = { id: 'e2', tags: [{ id: 't-finance', name: 'finance' }] };
+  const customers = { id: 'e3', tags: [{ id: 't-crm', name: 'crm' }] };
+  const keyFor = scope => ({ id: 'k1', endpointId: 'e1', metadata: scope ? { scope } : {} });
+
+  describe('canAccessEndpoint', () => {
+    it('should limit keys without a scope to their own endpoint', () => {
+      expect(canAccessEndpoint(keyFor(null), orders, 'POST')).toBe(true);
+      expect(canAccessEndpoint(keyFor(null), invoices)).toBe(false);
+      expect(canAccessEndpoint(null, orders)).toBe(false);
+    });
+
+    it('should add listed endpoints and endpoints with a listed tag', () => {
+      expect(canAccessEndpoint(keyFor({ endpointIds: ['e3'] }), customers)).toBe(true);
+      expect(canAccessEndpoint(keyFor({ tagIds: ['t-finance'] }), invoices)).toBe(true);
+      expect(canAccessEndpoint(keyFor({ tagIds: ['t-finance'] }), customers)).toBe(false);
+    });
+
+    it('should restrict methods on every endpoint in scope, treating HEAD as GET', () => {
+      const key = keyFor({ tagIds: ['t-finance'], methods: ['GET'] });
+      expect(canAccessEndpoint(key, invoices, 'GET')).toBe(true);
+      expect(canAccessEndpoint(key, invoices, 'HEAD')).toBe(true);
+      expect(canAccessEndpoint(key, orders, 'DELETE')).toBe(false);
+      expect(canAccessEndpoint(key, orders)).toBe(true);
+    });
+  });
+
+  describe('getAccessDenial', () => {
+    it('should say why a call is refused', () => {
+      expect(getAccessDenial(keyFor(null), invoices, 'GET')).toBe('API key does not match this endpoint');
+      expect(getAccessDenial(keyFor({ methods: ['GET'] }), orders, 'PUT')).toBe('API key is not allowed to send PUT requests');
+      expect(getAccessDenial(keyFor({ methods: ['GET'] }), orders, 'GET')).toBeNull();
+    });
+  });
+
+  describe('hasExtendedScope', () => {
+    it('should only count scopes that add endpoints', () => {
+      expect(hasExtendedScope(keyFor({ methods: ['GET'] }))).toBe(false);
+      expect(hasExtendedScope(keyFor({ tagIds: ['t-crm'] }))).toBe(true);
+    });
+  });
+
+  describe('normalizeScope', () => {
+    it('should deduplicate IDs and upper-case methods', () => {
+      expect(normalizeScope({ endpointIds: ['e2', 'e2 '], tagIds: [], methods: ['get', 'GET'] }))
+        .toEqual({ scope: { endpointIds: ['e2'], methods: ['GET'] }, errors: [] });
+    });
+
+    it('should return a null scope when nothing is granted', () => {
+      expect(normalizeScope(null)).toEqual({ scope: null, errors: [] });
+      expect(normalizeScope({ endpointIds: [], methods: null })).toEqual({ scope: null, errors: [] });
+    });
+
+    it('should reject malformed scopes', () => {
+      expect(normalizeScope('e2').errors).toEqual(['Scope must be an object']);
+      expect(normalizeScope({ endpointIds: 'e2', methods: ['TRACE'] }).errors).toEqual([
+        'Scope endpointIds must be an array of IDs',
+        'Scope methods must be an array of: GET, POST, PUT, PATCH, DELETE'
+      ]);
+    });
+  });
+});
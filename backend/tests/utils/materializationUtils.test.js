@@ -0,0 +1,71 @@
+const {
+  getNextRun,
+  validateMaterializationSettings,
+  getMaterializationSettings,
+  buildSnapshotKey
+} = require('../../src/utils/materializationUtils');
+
+describe('Materialization Utils', () => {
+  const definitions = [
+    { name: 'region', type: 'string', required: true, source: 'query' },
+    { name: 'year', type: 'integer', source: 'query', default: 2024 }
+  ];
+
+  describe('getNextRun', () => {
+    it('should return the next matching time in UTC', () => {
+      expect(getNextRun('0 * * * *', new Date('2024-05-01T10:15:00.000Z')).toISOString()).toBe('2024-05-01T11:00:00.000Z');
+      expect(getNextRun('30 6 * * 1', new Date('2024-05-01T10:15:00.000Z')).toISOString()).toBe('2024-05-06T06:30:00.000Z');
+    });
+  });
+
+  describe('validateMaterializationSettings', () => {
+    it('should accept a schedule with parameter sets that resolve', () => {
+      expect(validateMaterializationSettings({ schedule: '*/15 * * * *', parameterSets: [{ region: 'EU' }, { region: 'US', year: 2023 }] }, definitions)).toEqual([]);
+      expect(validateMaterializationSettings({ schedule: '0 2 * * *' })).toEqual([]);
+    });
+
+    it('should reject missing or malformed schedules', () => {
+      expect(validateMaterializationSettings({}, [])[0]).toMatch(/schedule must have five fields/);
+      expect(validateMaterializationSettings({ schedule: '0 0 * * * *' })).toHaveLength(1);
+      expect(validateMaterializationSettings({ schedule: '61 * * * *' })).toHaveLength(1);
+      expect(validateMaterializationSettings([])).toEqual(['Materialization settings must be an object']);
+    });
+
+    it('should reject parameter sets that are not objects or do not resolve', () => {
+      expect(validateMaterializationSettings({ schedule: '0 * * * *', parameterSets: ['EU'] }, definitions))
+        .toEqual(['Materialization parameter sets must be an array of objects']);
+      const errors = validateMaterializationSettings({ schedule: '0 * * * *', parameterSets: [{ region: 'EU' }, { year: 'soon' }] }, definitions);
+      expect(errors.length).toBeGreaterThan(0);
+      errors.forEach(error => expect(error).toMatch(/^Materialization parameter set 2: /));
+    });
+
+    it('should limit the number of parameter sets', () => {
+      const parameterSets = Array.from({ length: 51 }, () => ({ region: 'EU' }));
+      expect(validateMaterializationSettings({ schedule: '0 * * * *', parameterSets }, definitions))
+        .toEqual(['Materialization allows at most 50 parameter sets']);
+    });
+  });
+
+  describe('getMaterializationSettings', () => {
+    const endpoint = { type: 'query', method: 'GET', metadata: { materialization: { enabled: true, schedule: '0 * * * *' } } };
+
+    it('should default to a single run without parameters', () => {
+      expect(getMaterializationSettings(endpoint)).toEqual({ schedule: '0 * * * *', parameterSets: [{}] });
+    });
+
+    it('should return null when disabled or not a GET query endpoint', () => {
+      expect(getMaterializationSettings({ ...endpoint, metadata: { materialization: { enabled: false, schedule: '0 * * * *' } } })).toBeNull();
+      expect(getMaterializationSettings({ ...endpoint, type: 'table' })).toBeNull();
+      expect(getMaterializationSettings({ ...endpoint, method: 'POST' })).toBeNull();
+      expect(getMaterializationSettings({ type: 'query', method: 'GET', metadata: {} })).toBeNull();
+    });
+  });
+
+  describe('buildSnapshotKey', () => {
+    it('should depend only on declared parameter values in declaration order', () => {
+      expect(buildSnapshotKey(definitions, { year: 2024, region: 'EU', extra: 1 })).toBe(buildSnapshotKey(definitions, { region: 'EU', year: 2024 }));
+      expect(buildSnapshotKey(definitions, { region: 'EU', year: 2024 })).not.toBe(buildSnapshotKey(definitions, { region: 'US', year: 2024 }));
+      expect(buildSnapshotKey([], null)).toBe(buildSnapshotKey(undefined, {}));
+    });
+  });
+});
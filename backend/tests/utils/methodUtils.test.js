@@ -0,0 +1,80 @@
+const {
+  validateMethodTargets,
+  getMappedMethods,
+  resolveMethodEndpoint,
+  getAllowedMethods
+} = require('../../src/utils/methodUtils');
+
+describe('Method Utils', () => {
+  const endpoint = {
+    id: 'e1',
+    name: 'Orders',
+    type: 'query',
+    target: 'SELECT * FROM ORDERS WHERE ID = :id',
+    method: 'GET',
+    parameters: [{ name: 'id', type: 'integer', source: 'query' }],
+    rateLimit: 50,
+    metadata: {
+      methods: {
+        POST: { type: 'stored_procedure', target: 'DB.S.CREATE_ORDER', parameters: [{ name: 'status', type: 'string' }] },
+        DELETE: { type: 'stored_procedure', target: 'DB.S.DELETE_ORDER' }
+      }
+    }
+  };
+
+  describe('validateMethodTargets', () => {
+    it('should accept a valid method map', () => {
+      expect(validateMethodTargets(endpoint.metadata.methods, 'GET')).toEqual([]);
+    });
+
+    it('should reject unknown methods, the primary method and incomplete targets', () => {
+      const errors = validateMethodTargets({
+        GET: { type: 'query', target: 'SELECT 1' },
+        TRACE: {},
+        PUT: { type: 'view', target: '' }
+      }, 'GET');
+
+      expect(errors).toEqual([
+        'Method GET is already the endpoint\'s own method',
+        'Method TRACE must be one of: GET, POST, PUT, PATCH, DELETE',
+        'Method PUT type must be one of: query, stored_procedure, function, table',
+        'Method PUT target is required'
+      ]);
+    });
+
+    it('should validate each method\'s parameter definitions', () => {
+      expect(validateMethodTargets({ POST: { type: 'query', target: 'SELECT 1', parameters: [{ name: 'bad name' }] } }, 'GET'))
+        .toEqual(['Method POST: Parameter "bad name" must have a name containing only letters, digits and underscores']);
+    });
+  });
+
+  describe('resolveMethodEndpoint', () => {
+    it('should return the endpoint itself for its own method and for HEAD', () => {
+      expect(resolveMethodEndpoint(endpoint, 'GET')).toBe(endpoint);
+      expect(resolveMethodEndpoint(endpoint, 'HEAD')).toBe(endpoint);
+    });
+
+    it('should swap in the mapped target and parameters and keep everything else', () => {
+      const post = resolveMethodEndpoint(endpoint, 'POST');
+
+      expect(post).toMatchObject({
+        id: 'e1',
+        rateLimit: 50,
+        method: 'POST',
+        type: 'stored_procedure',
+        target: 'DB.S.CREATE_ORDER',
+        parameters: [{ name: 'status', type: 'string' }]
+      });
+      expect(resolveMethodEndpoint(endpoint, 'DELETE').parameters).toEqual([]);
+      expect(resolveMethodEndpoint(endpoint, 'PUT')).toBeNull();
+    });
+  });
+
+  describe('getAllowedMethods', () => {
+    it('should list mapped and extra methods with HEAD and OPTIONS', () => {
+      expect(getMappedMethods(endpoint)).toEqual(['POST', 'DELETE']);
+      expect(getAllowedMethods(endpoint, ['PATCH'])).toEqual(['GET', 'POST', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS']);
+      expect(getAllowedMethods({ method: 'POST', metadata: {} })).toEqual(['POST', 'OPTIONS']);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { buildOpenApiSpec } = require('../../src/utils/openApiUtils');
+
+describe('OpenAPI Utils', () => {
+  const orders = {
+    id: '11111111-1111-1111-1111-111111111111',
+    name: 'Get Orders',
+    description: 'Orders by status',
+    path: 'orders',
+    type: 'query',
+    target: 'SELECT * FROM ORDERS WHERE STATUS = :status',
+    method: 'GET',
+    status: 'active',
+    rateLimit: 50,
+    parameters: [
+      { name: 'status', type: 'string', source: 'query', required: true, enum: ['open', 'closed'] },
+      { name: 'region', type: 'string', source: 'header', header: 'X-Region' },
+      { name: 'id', type: 'integer', source: 'path', min: 1 }
+    ],
+    tags: [{ name: 'Sales', description: 'Sales data' }],
+    metadata: {
+      validation: { responseSchema: { $schema: 'http://json-schema.org/draft-07/schema#', type: 'object', properties: { ID: { type: 'integer' } } } },
+      methods: {
+        POST: { type: 'stored_procedure', target: 'DB.S.CREATE_ORDER', parameters: [{ name: 'qty', type: 'integer', required: true }] }
+      }
+    }
+  };
+  const customers = {
+    id: '22222222-2222-2222-2222-222222222222',
+    name: 'Customers',
+    path: null,
+    type: 'table',
+    target: 'DB.S.CUSTOMERS',
+    method: 'GET',
+    status: 'active',
+    parameters: [],
+    tags: [],
+    metadata: {
+      filtering: { enabled: true },
+      write: { primaryKey: ['ID'], insert: { enabled: true }, delete: { enabled: true } }
+    }
+  };
+  const draft = { ...orders, id: '33333333-3333-3333-3333-333333333333', name: 'Draft', path: 'draft', status: 'draft' };
+
+  const spec = buildOpenApiSpec([orders, customers, draft], { baseUrl: 'https://proxy.example.com/api/proxy', version: '2.0.0' });
+
+  it('should describe the server, auth schemes and tags', () => {
+    expect(spec.openapi).toBe('3.0.3');
+    expect(spec.info.version).toBe('2.0.0');
+    expect(spec.servers).toEqual([{ url: 'https://proxy.example.com/api/proxy' }]);
+    expect(Object.keys(spec.components.securitySchemes)).toEqual(['ApiKeyHeader', 'BearerAuth', 'SnowflakeToken', 'ApiKeyQuery']);
+    expect(spec.security).toHaveLength(4);
+    expect(spec.tags).toEqual([{ name: 'Sales', description: 'Sales data' }]);
+  });
+
+  it('should publish active endpoints under their custom path or ID', () => {
+    expect(Object.keys(spec.paths).sort()).toEqual([
+      '/22222222-2222-2222-2222-222222222222',
+      '/22222222-2222-2222-2222-222222222222/{ID}',
+      '/orders',
+      '/orders/{id}'
+    ]);
+  });
+
+  it('should map declared parameters to query, header and path parameters', () => {
+    const operation = spec.paths['/orders/{id}'].get;
+    expect(operation.operationId).toBe('getGetOrders');
+    expect(operation.tags).toEqual(['Sales']);
+    expect(operation.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+      { name: 'status', in: 'query', required: true, schema: { type: 'string', enum: ['open', 'closed'] } },
+      { name: 'X-Region', in: 'header', required: false, schema: { type: 'string' } },
+      expect.objectContaining({ name: 'If-None-Match', in: 'header', required: false })
+    ]);
+    expect(operation.responses[200].headers.ETag).toBeDefined();
+    expect(operation.responses[304]).toBeDefined();
+    expect(operation.responses[200].content['application/json'].schema.properties.data.items)
+      .toEqual({ type: 'object', properties: { ID: { type: 'integer' } } });
+    expect(operation.responses[200].content['application/json'].example.data).toEqual([{ ID: 0 }]);
+    expect(operation.responses[200].content['text/csv']).toBeDefined();
+    expect(operation.responses[504]).toEqual({ $ref: '#/components/responses/GatewayTimeout' });
+  });
+
+  it('should describe mapped methods with their own body parameters', () => {
+    const operation = spec.paths['/orders'].post;
+    expect(operation.requestBody.required).toBe(true);
+    expect(operation.requestBody.content['application/json'].schema).toEqual({
+      type: 'object',
+      properties: { qty: { type: 'integer' } },
+      required: ['qty']
+    });
+  });
+
+  it('should describe table reads and writes', () => {
+    const table = spec.paths['/22222222-2222-2222-2222-222222222222'];
+    expect(table.get.parameters.map(p => p.name)).toEqual(['limit', 'offset', 'select', 'order', 'filters', 'If-None-Match']);
+    expect(table.post.responses[201].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/WriteResult' });
+    expect(table.post.requestBody.content['application/json'].schema.oneOf).toHaveLength(2);
+
+    const byKey = spec.paths['/22222222-2222-2222-2222-222222222222/{ID}'].delete;
+    expect(byKey.parameters).toEqual([{ name: 'ID', in: 'path', required: true, description: 'Primary key value', schema: { type: 'string' } }]);
+    expect(byKey.requestBody).toBeUndefined();
+  });
+
+  it('should keep operation IDs unique', () => {
+    const twin = { ...orders, id: '44444444-4444-4444-4444-444444444444', path: 'orders-v2', metadata: {} };
+    const ids = Object.values(buildOpenApiSpec([orders, twin], {}).paths)
+      .flatMap(item => Object.values(item).map(operation => operation.operationId));
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toContain('getGetOrders2');
+  });
+});
@@ -0,0 +1,172 @@
+const {
+  validatePaginationSettings,
+  validateSortKeyColumns,
+  getPaginationSettings,
+  resolvePageRequest,
+  resolveOffsetWindow,
+  buildKeysetQuery,
+  buildCountQuery,
+  buildPage,
+  buildLinkHeader
+} = require('../../src/utils/paginationUtils');
+
+describe('Pagination Utils', () => {
+  const endpoint = {
+    type: 'table',
+    metadata: { pagination: { sortKey: ['created_at', 'id'], defaultPageSize: 2, maxPageSize: 5 } }
+  };
+  const settings = getPaginationSettings(endpoint);
+
+  describe('validatePaginationSettings', () => {
+    it('should accept a valid configuration', () => {
+      expect(validatePaginationSettings({ sortKey: ['ID'], direction: 'desc', defaultPageSize: 50, maxPageSize: 500 })).toEqual([]);
+    });
+
+    it('should reject unsafe column names and inconsistent page sizes', () => {
+      const errors = validatePaginationSettings({ sortKey: ['ID; DROP TABLE X'], defaultPageSize: 10, maxPageSize: 5 });
+
+      expect(errors).toContain('Pagination sort key must contain only column names (letters, digits, _ and $)');
+      expect(errors).toContain('Pagination defaultPageSize cannot exceed maxPageSize');
+    });
+  });
+
+  describe('validateSortKeyColumns', () => {
+    it('should report sort key columns missing from the table', () => {
+      const schema = [{ COLUMN_NAME: 'ID' }, { COLUMN_NAME: 'CREATED_AT' }, { COLUMN_NAME: 'createdBy' }];
+
+      expect(validateSortKeyColumns({ sortKey: ['created_at', 'id'] }, schema)).toEqual([]);
+      expect(validateSortKeyColumns({ sortKey: ['ID', 'UPDATED_AT', 'createdBy'] }, schema)).toEqual([
+        'Pagination sort key column "UPDATED_AT" does not exist in the table',
+        'Pagination sort key column "createdBy" does not exist in the table'
+      ]);
+    });
+  });
+
+  describe('getPaginationSettings', () => {
+    it('should normalize settings for table endpoints only', () => {
+      expect(settings).toEqual({
+        sortKey: ['CREATED_AT', 'ID'],
+        direction: 'asc',
+        defaultPageSize: 2,
+        maxPageSize: 5,
+        includeTotal: false
+      });
+      expect(getPaginationSettings({ ...endpoint, type: 'query' })).toBeNull();
+      expect(getPaginationSettings({ type: 'table', metadata: { pagination: { sortKey: [] } } })).toBeNull();
+    });
+  });
+
+  describe('resolvePageRequest', () => {
+    it('should apply the default page size and clamp to the maximum', () => {
+      expect(resolvePageRequest(settings, {}).page.limit).toBe(2);
+      expect(resolvePageRequest(settings, { limit: '50' }).page.limit).toBe(5);
+      expect(resolvePageRequest(settings, { limit: 'abc' }).error.field).toBe('limit');
+    });
+
+    it('should reject tampered cursors and cursors for another sort key', () => {
+      const other = getPaginationSettings({ type: 'table', metadata: { pagination: { sortKey: 'ID' } } });
+      const { pagination } = buildPage([{ ID: 1 }, { ID: 2 }], resolvePageRequest(other, { limit: '1' }).page);
+
+      expect(resolvePageRequest(settings, { cursor: 'not-a-cursor' }).error).toEqual({ field: 'cursor', message: 'Invalid cursor' });
+      expect(resolvePageRequest(settings, { cursor: pagination.nextCursor }).error.field).toBe('cursor');
+    });
+  });
+
+  describe('resolveOffsetWindow', () => {
+    it('should default to 1000 rows from the start, within the cap', () => {
+      expect(resolveOffsetWindow({}, 10000)).toEqual({ window: { limit: 1000, offset: 0 }, error: null });
+      expect(resolveOffsetWindow({}, 50).window).toEqual({ limit: 50, offset: 0 });
+      expect(resolveOffsetWindow({ limit: '20', offset: 40 }, 50).window).toEqual({ limit: 20, offset: 40 });
+    });
+
+    it('should reject values that are not integers in range', () => {
+      expect(resolveOffsetWindow({ limit: 51 }, 50).error).toEqual({ field: 'limit', message: 'limit must be an integer from 1 to 50' });
+      expect(resolveOffsetWindow({ limit: '10abc' }, 50).error.field).toBe('limit');
+      expect(resolveOffsetWindow({ limit: 0 }, 50).error.field).toBe('limit');
+      expect(resolveOffsetWindow({ offset: 2.5 }, 50).error).toEqual({ field: 'offset', message: 'offset must be a non-negative integer' });
+      expect(resolveOffsetWindow({ offset: '-1' }, 50).error.field).toBe('offset');
+    });
+  });
+
+  describe('buildKeysetQuery', () => {
+    it('should order by the sort key without a predicate on the first page', () => {
+      const { page } = resolvePageRequest(settings, {});
+
+      expect(buildKeysetQuery('DB.S.ORDERS', page)).toEqual({
+        sqlText: 'SELECT * FROM DB.S.ORDERS ORDER BY "CREATED_AT" ASC, "ID" ASC LIMIT ?',
+        binds: [3]
+      });
+    });
+
+    it('should continue after the cursor with an expanded row comparison', () => {
+      const first = buildPage(
+        [{ CREATED_AT: '2024-01-01', ID: 1 }, { CREATED_AT: '2024-01-01', ID: 2 }, { CREATED_AT: '2024-01-02', ID: 3 }],
+        resolvePageRequest(settings, {}).page
+      );
+      const { page } = resolvePageRequest(settings, { cursor: first.pagination.nextCursor });
+
+      expect(buildKeysetQuery('ORDERS', page)).toEqual({
+        sqlText: 'SELECT * FROM ORDERS WHERE ("CREATED_AT" > ?) OR ("CREATED_AT" = ? AND "ID" > ?) ORDER BY "CREATED_AT" ASC, "ID" ASC LIMIT ?',
+        binds: ['2024-01-01', '2024-01-01', 2, 3]
+      });
+    });
+
+    it('should read backwards in reverse order for previous pages', () => {
+      const second = buildPage([{ CREATED_AT: 'b', ID: 3 }], resolvePageRequest(settings, {
+        cursor: buildPage([{ CREATED_AT: 'a', ID: 1 }, { CREATED_AT: 'a', ID: 2 }, { CREATED_AT: 'b', ID: 3 }], resolvePageRequest(settings, {}).page).pagination.nextCursor
+      }).page);
+      const { page } = resolvePageRequest(settings, { cursor: second.pagination.prevCursor });
+
+      expect(buildKeysetQuery('ORDERS', page).sqlText)
+        .toBe('SELECT * FROM ORDERS WHERE ("CREATED_AT" < ?) OR ("CREATED_AT" = ? AND "ID" < ?) ORDER BY "CREATED_AT" DESC, "ID" DESC LIMIT ?');
+    });
+  });
+
+  describe('buildCountQuery', () => {
+    it('should count with the filters but without a cursor or limit', () => {
+      expect(buildCountQuery('ORDERS', { where: '"STATUS" = ?', binds: ['open'] })).toEqual({
+        sqlText: 'SELECT COUNT(*) AS TOTAL_COUNT FROM ORDERS WHERE "STATUS" = ?',
+        binds: ['open']
+      });
+      expect(buildCountQuery('ORDERS')).toEqual({ sqlText: 'SELECT COUNT(*) AS TOTAL_COUNT FROM ORDERS', binds: [] });
+    });
+  });
+
+  describe('buildPage', () => {
+    it('should trim the extra row and only offer a next cursor on the first page', () => {
+      const { page } = resolvePageRequest(settings, {});
+      const result = buildPage([{ CREATED_AT: 'a', ID: 1 }, { CREATED_AT: 'a', ID: 2 }, { CREATED_AT: 'b', ID: 3 }], page);
+
+      expect(result.rows).toHaveLength(2);
+      expect(result.pagination.hasMore).toBe(true);
+      expect(result.pagination.nextCursor).toEqual(expect.any(String));
+      expect(result.pagination.prevCursor).toBeNull();
+    });
+
+    it('should restore ascending order on previous pages', () => {
+      const forward = buildPage([{ CREATED_AT: 'a', ID: 3 }, { CREATED_AT: 'a', ID: 4 }], resolvePageRequest(settings, {}).page);
+      const { page } = resolvePageRequest(settings, { cursor: forward.pagination.nextCursor });
+      const backward = buildPage([{ CREATED_AT: 'a', ID: 2 }, { CREATED_AT: 'a', ID: 1 }], { ...page, cursor: { ...page.cursor, direction: 'prev' } });
+
+      expect(backward.rows.map(row => row.ID)).toEqual([1, 2]);
+      expect(backward.pagination.nextCursor).toEqual(expect.any(String));
+      expect(backward.pagination.prevCursor).toBeNull();
+    });
+  });
+
+  describe('buildLinkHeader', () => {
+    it('should keep other query parameters and replace the cursor', () => {
+      const header = buildLinkHeader('http://localhost/api/proxy/orders', { format: 'csv', cursor: 'old' }, {
+        limit: 2,
+        nextCursor: 'n1',
+        prevCursor: 'p1'
+      });
+
+      expect(header).toBe(
+        '<http://localhost/api/proxy/orders?format=csv&limit=2&cursor=n1>; rel="next", ' +
+        '<http://localhost/api/proxy/orders?format=csv&limit=2&cursor=p1>; rel="prev"'
+      );
+      expect(buildLinkHeader('http://x', {}, { limit: 2, nextCursor: null, prevCursor: null })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const {
+  validateParameterDefinitions,
+  getExtraPathSegments,
+  resolveParameters,
+  bindNamedParameters,
+  toPositionalBinds
+} = require('../../src/utils/parameterUtils');
+
+const mockRequest = (overrides = {}) => {
+  const headers = overrides.headers || {};
+  return {
+    body: {},
+    query: {},
+    params: {},
+    get: (name) => headers[name.toLowerCase()],
+    ...overrides
+  };
+};
+
+describe('parameterUtils', () => {
+  describe('validateParameterDefinitions', () => {
+    it('should accept valid definitions', () => {
+      const errors = validateParameterDefinitions([
+        { name: 'customerId', type: 'integer', required: true, min: 1 },
+        { name: 'status', type: 'string', enum: ['open', 'closed'], source: 'query' }
+      ]);
+
+      expect(errors).toEqual([]);
+    });
+
+    it('should reject invalid names, types, sources and duplicates', () => {
+      const errors = validateParameterDefinitions([
+        { name: 'bad name', type: 'string' },
+        { name: 'id', type: 'uuid' },
+        { name: 'ID', source: 'cookie' },
+        { name: 'range', type: 'integer', min: 10, max: 1 }
+      ]);
+
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('must have a name'),
+        expect.stringContaining('type must be one of'),
+        expect.stringContaining('declared more than once'),
+        expect.stringContaining('source must be one of'),
+        expect.stringContaining('min must not be greater than max')
+      ]));
+    });
+  });
+
+  describe('getExtraPathSegments', () => {
+    it('should decode each segment after the endpoint identifier once', () => {
+      expect(getExtraPathSegments('/orders/42/open')).toEqual(['42', 'open']);
+      expect(getExtraPathSegments('/orders/%25/%2525')).toEqual(['%', '%25']);
+      expect(getExtraPathSegments('/orders')).toEqual([]);
+    });
+
+    it('should keep an encoded slash inside its segment', () => {
+      expect(getExtraPathSegments('/orders/a%2Fb/open')).toEqual(['a/b', 'open']);
+    });
+
+    it('should return null for malformed percent-encoding', () => {
+      expect(getExtraPathSegments('/orders/%E0%A4%A')).toBeNull();
+    });
+  });
+
+  describe('resolveParameters', () => {
+    it('should resolve parameters from body, query, path and header sources', () => {
+      const definitions = [
+        { name: 'region', source: 'body' },
+        { name: 'limit', type: 'integer', source: 'query' },
+        { name: 'orderId', type: 'integer', source: 'path' },
+        { name: 'tenant', source: 'header', header: 'X-Tenant' }
+      ];
+      const req = mockRequest({
+        body: { parameters: { region: 'EMEA' } },
+        query: { limit: '25' },
+        pathSegments: ['42'],
+        headers: { 'x-tenant': 'acme' }
+      });
+
+      const { values, errors } = resolveParameters(definitions, req);
+
+      expect(errors).toEqual([]);
+      expect(values).toEqual({ region: 'EMEA', limit: 25, orderId: 42, tenant: 'acme' });
+    });
+
+    it('should apply defaults and report missing required parameters', () => {
+      const definitions = [
+        { name: 'status', default: 'open' },
+        { name: 'customerId', type: 'integer', required: true }
+      ];
+
+      const { values, errors } = resolveParameters(definitions, mockRequest());
+
+      expect(values.status).toBe('open');
+      expect(errors).toEqual([
+        { field: 'customerId', location: 'body', message: 'customerId is required' }
+      ]);
+    });
+
+    it('should coerce types and enforce constraints', () => {
+      const definitions = [
+        { name: 'amount', type: 'number', min: 0, max: 100 },
+        { name: 'active', type: 'boolean' },
+        { name: 'day', type: 'date' },
+        { name: 'status', enum: ['open', 'closed'] },
+        { name: 'code', type: 'string', max: 3 }
+      ];
+      const req = mockRequest({
+        body: { amount: '250', active: 'yes', day: '2024-13-45', status: 'pending', code: 'ABCD' }
+      });
+
+      const { values, errors } = resolveParameters(definitions, req);
+
+      expect(values.active).toBe(true);
+      expect(errors.map(e => e.field)).toEqual(['amount', 'day', 'status', 'code']);
+      expect(errors[0].message).toBe('amount must be <= 100');
+    });
+  });
+
+  describe('bindNamedParameters', () => {
+    const definitions = [{ name: 'status' }, { name: 'minAmount' }];
+
+    it('should replace named placeholders with positional binds', () => {
+      const { sqlText, binds } = bindNamedParameters(
+        'SELECT * FROM ORDERS WHERE STATUS = :status AND AMOUNT > :minAmount OR STATUS = :status',
+        { status: 'open', minAmount: 10 },
+        definitions
+      );
+
+      expect(sqlText).toBe('SELECT * FROM ORDERS WHERE STATUS = ? AND AMOUNT > ? OR STATUS = ?');
+      expect(binds).toEqual(['open', 10, 'open']);
+    });
+
+    it('should ignore casts, string literals and undeclared names', () => {
+      const { sqlText, binds } = bindNamedParameters(
+        "SELECT ':status' AS LITERAL, AMOUNT::NUMBER, :other FROM ORDERS WHERE STATUS = :status",
+        { status: 'open' },
+        definitions
+      );
+
+      expect(sqlText).toBe("SELECT ':status' AS LITERAL, AMOUNT::NUMBER, :other FROM ORDERS WHERE STATUS = ?");
+      expect(binds).toEqual(['open']);
+    });
+
+    it('should leave line comments alone, apostrophes included', () => {
+      const { sqlText, binds } = bindNamedParameters(
+        "SELECT * FROM ORDERS -- customer's :status\nWHERE STATUS = :status AND AMOUNT > :minAmount",
+        { status: 'open', minAmount: 10 },
+        definitions
+      );
+
+      expect(sqlText).toBe("SELECT * FROM ORDERS -- customer's :status\nWHERE STATUS = ? AND AMOUNT > ?");
+      expect(binds).toEqual(['open', 10]);
+    });
+
+    it('should leave block comments alone', () => {
+      const { sqlText, binds } = bindNamedParameters(
+        "SELECT * /* filter on :minAmount, the customer's choice */ FROM ORDERS WHERE STATUS = :status",
+        { status: 'open', minAmount: 10 },
+        definitions
+      );
+
+      expect(sqlText).toBe("SELECT * /* filter on :minAmount, the customer's choice */ FROM ORDERS WHERE STATUS = ?");
+      expect(binds).toEqual(['open']);
+    });
+
+    it('should leave dollar-quoted strings alone', () => {
+      const { sqlText, binds } = bindNamedParameters(
+        "SELECT $$it's :status$$ AS NOTE FROM ORDERS WHERE STATUS = :status",
+        { status: 'open' },
+        definitions
+      );
+
+      expect(sqlText).toBe("SELECT $$it's :status$$ AS NOTE FROM ORDERS WHERE STATUS = ?");
+      expect(binds).toEqual(['open']);
+    });
+
+    it('should not mistake semi-structured paths for placeholders', () => {
+      const { sqlText, binds } = bindNamedParameters(
+        'SELECT src:region, v:customer.id, v[0]:region, "V":region FROM EVENTS WHERE src:region = :region',
+        { region: 'EU' },
+        [{ name: 'region' }, { name: 'customer' }]
+      );
+
+      expect(sqlText).toBe('SELECT src:region, v:customer.id, v[0]:region, "V":region FROM EVENTS WHERE src:region = ?');
+      expect(binds).toEqual(['EU']);
+    });
+
+    it('should fall back to declaration order when SQL uses ? placeholders', () => {
+      const { sqlText, binds } = bindNamedParameters(
+        'SELECT * FROM ORDERS WHERE STATUS = ? AND AMOUNT > ?',
+        { minAmount: 10, status: 'open' },
+        definitions
+      );
+
+      expect(sqlText).toBe('SELECT * FROM ORDERS WHERE STATUS = ? AND AMOUNT > ?');
+      expect(binds).toEqual(['open', 10]);
+    });
+  });
+
+  describe('toPositionalBinds', () => {
+    it('should order values by declaration and fill missing with null', () => {
+      expect(toPositionalBinds({ b: 2 }, [{ name: 'a' }, { name: 'b' }])).toEqual([null, 2]);
+    });
+  });
+});
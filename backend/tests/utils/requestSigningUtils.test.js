@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const {
+  hashBody,
+  buildStringToSign,
+  signRequest,
+  verifySignature,
+  isFreshTimestamp,
+  isValidNonce
+} = require('../../src/utils/requestSigningUtils');
+
+describe('Request Signing Utils', () => {
+  const SECRET = 'sks_test';
+  const request = {
+    method: 'post',
+    path: '/proxy/orders?region=EU',
+    timestamp: 1714557600,
+    nonce: 'n0nce-0000000000001',
+    body: '{"id":1}'
+  };
+
+  describe('buildStringToSign', () => {
+    it('should join method, path, timestamp, nonce and body hash by newlines', () => {
+      expect(buildStringToSign(request)).toBe([
+        'POST',
+        '/proxy/orders?region=EU',
+        '1714557600',
+        'n0nce-0000000000001',
+        crypto.createHash('sha256').update('{"id":1}').digest('hex')
+      ].join('\n'));
+    });
+
+    it('should hash a missing body like an empty one', () => {
+      expect(hashBody(undefined)).toBe(hashBody(''));
+      expect(hashBody(Buffer.from('{"id":1}'))).toBe(hashBody('{"id":1}'));
+    });
+  });
+
+  describe('signRequest and verifySignature', () => {
+    it('should produce headers the server accepts', () => {
+      const headers = signRequest('k1', SECRET, request);
+
+      expect(headers).toMatchObject({ 'X-API-Key-Id': 'k1', 'X-Signature-Timestamp': '1714557600', 'X-Signature-Nonce': request.nonce });
+      expect(headers['X-Signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(verifySignature(SECRET, request, headers['X-Signature'])).toBe(true);
+    });
+
+    it('should fill in the current time and a random nonce', () => {
+      const headers = signRequest('k1', SECRET, { method: 'GET', path: '/proxy/orders' });
+
+      expect(Math.abs(Number(headers['X-Signature-Timestamp']) - Date.now() / 1000)).toBeLessThan(5);
+      expect(isValidNonce(headers['X-Signature-Nonce'])).toBe(true);
+    });
+
+    it('should reject any change to the signed parts', () => {
+      const signature = signRequest('k1', SECRET, request)['X-Signature'];
+
+      expect(verifySignature(SECRET, { ...request, body: '{"id":2}' }, signature)).toBe(false);
+      expect(verifySignature(SECRET, { ...request, path: '/proxy/orders?region=US' }, signature)).toBe(false);
+      expect(verifySignature(SECRET, { ...request, method: 'DELETE' }, signature)).toBe(false);
+      expect(verifySignature('sks_other', request, signature)).toBe(false);
+      expect(verifySignature(undefined, request, signature)).toBe(false);
+      expect(verifySignature(SECRET, request, 'sha256=00')).toBe(false);
+    });
+  });
+
+  describe('isFreshTimestamp', () => {
+    it('should accept timestamps within the window in either direction', () => {
+      const now = 1714557600 * 1000;
+      expect(isFreshTimestamp('1714557600', 300, now)).toBe(true);
+      expect(isFreshTimestamp(1714557600 + 300, 300, now)).toBe(true);
+      expect(isFreshTimestamp(1714557600 - 301, 300, now)).toBe(false);
+      expect(isFreshTimestamp('1714557600.5', 300, now)).toBe(false);
+      expect(isFreshTimestamp('yesterday', 300, now)).toBe(false);
+    });
+  });
+
+  describe('isValidNonce', () => {
+    it('should require 16 to 128 URL-safe characters', () => {
+      expect(isValidNonce('a'.repeat(16))).toBe(true);
+      expect(isValidNonce('a'.repeat(15))).toBe(false);
+      expect(isValidNonce('a'.repeat(129))).toBe(false);
+      expect(isValidNonce('nonce with spaces!')).toBe(false);
+    });
+  });
+});
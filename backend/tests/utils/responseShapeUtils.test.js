@@ -0,0 +1,103 @@
+const {
+  validateShapeSettings,
+  getShapeSettings,
+  convertCase,
+  createRowShaper,
+  shapeRows
+} = require('../../src/utils/responseShapeUtils');
+
+describe('Response Shape Utils', () => {
+  describe('validateShapeSettings', () => {
+    it('should accept a valid shape', () => {
+      expect(validateShapeSettings({
+        casing: 'camel',
+        drop: ['INTERNAL_FLAG'],
+        parseJson: ['ATTRIBUTES'],
+        rename: { CUSTOMER_ID: 'id', ADDRESS_ZIP: 'address.postalCode' },
+        nest: ['ADDRESS']
+      })).toEqual([]);
+    });
+
+    it('should reject unknown casings, bad lists and bad rename targets', () => {
+      expect(validateShapeSettings({
+        casing: 'kebab',
+        drop: 'INTERNAL_FLAG',
+        nest: [''],
+        rename: { A: 'address..city', B: 3 }
+      })).toEqual([
+        'Response shape casing must be one of: preserve, camel, snake',
+        'Response shape drop must be an array of column names',
+        'Response shape nest must be an array of column names',
+        'Response shape rename for A must be a name or dotted path such as address.city',
+        'Response shape rename for B must be a name or dotted path such as address.city'
+      ]);
+      expect(validateShapeSettings([])).toEqual(['Response shape must be an object']);
+    });
+  });
+
+  describe('getShapeSettings', () => {
+    it('should return null when rows are returned as-is', () => {
+      expect(getShapeSettings({ metadata: {} })).toBeNull();
+      expect(getShapeSettings({ metadata: { shape: { casing: 'preserve', drop: [], rename: {} } } })).toBeNull();
+      expect(getShapeSettings({ metadata: { shape: { casing: 'snake' } } }).casing).toBe('snake');
+    });
+  });
+
+  describe('convertCase', () => {
+    it('should convert upper snake case and camel case names', () => {
+      expect(convertCase('CUSTOMER_ID', 'camel')).toBe('customerId');
+      expect(convertCase('ADDRESS_LINE_1', 'camel')).toBe('addressLine1');
+      expect(convertCase('CUSTOMER_ID', 'snake')).toBe('customer_id');
+      expect(convertCase('orderTotal', 'snake')).toBe('order_total');
+      expect(convertCase('Order Total', 'camel')).toBe('orderTotal');
+      expect(convertCase('CUSTOMER_ID', 'preserve')).toBe('CUSTOMER_ID');
+    });
+  });
+
+  describe('shapeRows', () => {
+    const endpoint = {
+      metadata: {
+        shape: {
+          casing: 'camel',
+          drop: ['internal_flag'],
+          parseJson: ['ATTRIBUTES', 'NOTES'],
+          rename: { customer_id: 'id', ADDRESS_ZIP: 'address.postalCode' },
+          nest: ['ADDRESS', 'ADDRESS_GEO']
+        }
+      }
+    };
+
+    it('should rename, drop, parse and nest columns', () => {
+      const rows = shapeRows(endpoint, [{
+        CUSTOMER_ID: 42,
+        FULL_NAME: 'Ada',
+        ADDRESS_CITY: 'Oslo',
+        ADDRESS_ZIP: '0150',
+        ADDRESS_GEO_LAT: 59.9,
+        ATTRIBUTES: '{"vip":true}',
+        NOTES: 'not json',
+        INTERNAL_FLAG: 1
+      }]);
+
+      expect(rows).toEqual([{
+        id: 42,
+        fullName: 'Ada',
+        address: { city: 'Oslo', postalCode: '0150' },
+        addressGeo: { lat: 59.9 },
+        attributes: { vip: true },
+        notes: 'not json'
+      }]);
+    });
+
+    it('should return rows unchanged for endpoints without a shape', () => {
+      const rows = [{ ID: 1 }];
+      expect(shapeRows({ metadata: {} }, rows)).toBe(rows);
+    });
+
+    it('should leave already parsed values and non-object rows alone', () => {
+      const shape = createRowShaper(getShapeSettings(endpoint));
+      expect(shape({ ATTRIBUTES: { vip: false } })).toEqual({ attributes: { vip: false } });
+      expect(shape(null)).toBeNull();
+    });
+  });
+});
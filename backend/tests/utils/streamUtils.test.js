@@ -0,0 +1,131 @@
+const { Readable, Writable } = require('stream');
+const { getStreamSettings, writeRowStream, collectRows } = require('../../src/utils/streamUtils');
+
+// Minimal Express-like response backed by a Writable so backpressure behaves like a socket
+const createResponse = (highWaterMark = 16 * 1024) => {
+  const chunks = [];
+  const res = new Writable({
+    highWaterMark,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      setImmediate(callback);
+    }
+  });
+  res.locals = {};
+  res.headers = {};
+  res.status = jest.fn(() => res);
+  res.set = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.body = () => chunks.join('');
+  return res;
+};
+
+describe('Stream Utils', () => {
+  describe('getStreamSettings', () => {
+    it('should return null unless streaming is enabled on a query or table endpoint', () => {
+      expect(getStreamSettings({ type: 'table', metadata: {} })).toBeNull();
+      expect(getStreamSettings({ type: 'function', metadata: { streaming: { enabled: true } } })).toBeNull();
+      expect(getStreamSettings({ type: 'table', metadata: { streaming: { enabled: true, maxRows: 500 } } }))
+        .toEqual({ maxRows: 500 });
+    });
+  });
+
+  describe('writeRowStream', () => {
+    it('should write a JSON envelope with rows and metadata', async () => {
+      const res = createResponse();
+
+      const stats = await writeRowStream(Readable.from([{ ID: 1 }, { ID: 2 }]), res, { metadata: { endpoint: 'orders' } });
+      await new Promise(resolve => res.on('finish', resolve));
+
+      const body = JSON.parse(res.body());
+      expect(body.data).toEqual([{ ID: 1 }, { ID: 2 }]);
+      expect(body.metadata).toMatchObject({ endpoint: 'orders', rowCount: 2, truncated: false, streamed: true });
+      expect(stats.bytes).toBe(Buffer.byteLength(res.body()));
+      expect(res.locals.streamStats).toBe(stats);
+    });
+
+    it('should write one row per line for NDJSON', async () => {
+      const res = createResponse();
+
+      await writeRowStream(Readable.from([{ ID: 1 }, { ID: 2 }]), res, { format: 'ndjson' });
+      await new Promise(resolve => res.on('finish', resolve));
+
+      expect(res.body()).toBe('{"ID":1}\n{"ID":2}\n');
+      expect(res.headers['Content-Type']).toMatch(/application\/x-ndjson/);
+    });
+
+    it('should map each row before serializing it', async () => {
+      const res = createResponse();
+
+      await writeRowStream(Readable.from([{ ID: 1 }, { ID: 2 }]), res, { format: 'ndjson', mapRow: row => ({ id: row.ID }) });
+      await new Promise(resolve => res.on('finish', resolve));
+
+      expect(res.body()).toBe('{"id":1}\n{"id":2}\n');
+    });
+
+    it('should stream CSV with a header row', async () => {
+      const res = createResponse();
+
+      await writeRowStream(Readable.from([{ ID: 1, NAME: 'a;b' }]), res, { format: 'csv', csv: { delimiter: ';', header: true } });
+      await new Promise(resolve => res.on('finish', resolve));
+
+      expect(res.body()).toBe('ID;NAME\r\n1;"a;b"\r\n');
+    });
+
+    it('should stop at maxRows and report truncation', async () => {
+      const res = createResponse();
+      const rows = Readable.from([{ ID: 1 }, { ID: 2 }, { ID: 3 }]);
+
+      const stats = await writeRowStream(rows, res, { maxRows: 2 });
+
+      expect(stats).toMatchObject({ rowCount: 2, truncated: true });
+      expect(rows.destroyed).toBe(true);
+      expect(res.headers['X-Max-Rows']).toBe('2');
+    });
+
+    it('should pause the source while the response is backed up', async () => {
+      const res = createResponse(1);
+      const rows = Readable.from(Array.from({ length: 50 }, (_, i) => ({ ID: i })));
+      const pause = jest.spyOn(rows, 'pause');
+
+      const stats = await writeRowStream(rows, res, { format: 'ndjson' });
+
+      expect(pause).toHaveBeenCalled();
+      expect(stats.rowCount).toBe(50);
+    });
+
+    it('should reject when the source errors', async () => {
+      const res = createResponse();
+      const rows = new Readable({ objectMode: true, read() {} });
+
+      const pending = writeRowStream(rows, res);
+      rows.destroy(new Error('warehouse suspended'));
+
+      await expect(pending).rejects.toThrow('warehouse suspended');
+    });
+  });
+
+  describe('collectRows', () => {
+    it('should read every row of a stream within the cap', async () => {
+      await expect(collectRows(Readable.from([{ ID: 1 }, { ID: 2 }]), 2)).resolves.toEqual({ rows: [{ ID: 1 }, { ID: 2 }], rowCount: 2, truncated: false });
+    });
+
+    it('should stop reading and destroy the source past the cap', async () => {
+      const source = Readable.from([1, 2, 3, 4, 5].map(ID => ({ ID })));
+
+      const result = await collectRows(source, 3);
+
+      expect(result).toEqual({ rows: [{ ID: 1 }, { ID: 2 }, { ID: 3 }], rowCount: 3, truncated: true });
+      expect(source.destroyed).toBe(true);
+    });
+
+    it('should reject when the source fails', async () => {
+      const source = new Readable({ objectMode: true, read() {} });
+      const pending = collectRows(source, 10);
+      source.destroy(new Error('warehouse suspended'));
+
+      await expect(pending).rejects.toThrow('warehouse suspended');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const {
+  getFilterSettings,
+  parseTableQuery,
+  compileTableQuery,
+  buildTableSelect
+} = require('../../src/utils/tableQueryUtils');
+
+describe('Table Query Utils', () => {
+  const schema = [
+    { COLUMN_NAME: 'ID', DATA_TYPE: 'NUMBER' },
+    { COLUMN_NAME: 'STATUS', DATA_TYPE: 'TEXT' },
+    { COLUMN_NAME: 'AMOUNT', DATA_TYPE: 'FLOAT' },
+    { COLUMN_NAME: 'IS_PAID', DATA_TYPE: 'BOOLEAN' },
+    { COLUMN_NAME: 'CREATED_AT', DATA_TYPE: 'TIMESTAMP_NTZ' }
+  ];
+  const allColumns = { filterable: null, sortable: null };
+
+  const compile = (query, settings = allColumns) => {
+    const { request, errors } = parseTableQuery(query);
+    expect(errors).toEqual([]);
+    return compileTableQuery(request, schema, settings);
+  };
+
+  describe('getFilterSettings', () => {
+    it('should only enable the grammar for table endpoints that opt in', () => {
+      expect(getFilterSettings({ type: 'table', metadata: {} })).toBeNull();
+      expect(getFilterSettings({ type: 'query', metadata: { filtering: { enabled: true } } })).toBeNull();
+      expect(getFilterSettings({ type: 'table', metadata: { filtering: { enabled: true, filterable: ['status'], sortable: [] } } }))
+        .toEqual({ filterable: ['STATUS'], sortable: null });
+    });
+  });
+
+  describe('parseTableQuery', () => {
+    it('should ignore reserved and declared parameters', () => {
+      const { request } = parseTableQuery({ limit: '10', format: 'csv', API_KEY: 'x', region: 'EU' }, ['region']);
+
+      expect(request.filters).toEqual([]);
+    });
+
+    it('should report unknown operators and malformed lists', () => {
+      const { errors } = parseTableQuery({ status: 'equals.open', id: 'in.1,2', order: 'id.sideways' });
+
+      expect(errors.map(e => e.field)).toEqual(['order', 'status', 'id']);
+    });
+  });
+
+  describe('compileTableQuery', () => {
+    it('should compile filters into bound SQL with schema column names', () => {
+      const { query } = compile({ status: 'eq.open', amount: ['gt.100', 'lte.500'], is_paid: 'eq.true' });
+
+      expect(query.where).toBe('"STATUS" = ? AND "AMOUNT" > ? AND "AMOUNT" <= ? AND "IS_PAID" = ?');
+      expect(query.binds).toEqual(['open', 100, 500, true]);
+    });
+
+    it('should support in, is, like and negation', () => {
+      const { query } = compile({ id: 'in.(1,2,3)', created_at: 'not.is.null', status: 'ilike.*pen*', amount: 'not.eq.0' });
+
+      expect(query.where).toBe('"ID" IN (?, ?, ?) AND "CREATED_AT" IS NOT NULL AND "STATUS" ILIKE ? AND NOT ("AMOUNT" = ?)');
+      expect(query.binds).toEqual([1, 2, 3, '%pen%', 0]);
+    });
+
+    it('should compile select and order', () => {
+      const { query } = compile({ select: 'id,status', order: 'created_at.desc.nullslast,id' });
+
+      expect(query.select).toBe('"ID", "STATUS"');
+      expect(query.columns).toEqual(['ID', 'STATUS']);
+      expect(query.orderBy).toBe('"CREATED_AT" DESC NULLS LAST, "ID" ASC');
+    });
+
+    it('should reject unknown columns, wrongly typed values and columns outside the allowlists', () => {
+      const { query, errors } = compile(
+        { missing: 'eq.1', amount: 'gt.lots', id: 'eq.1', order: 'status' },
+        { filterable: ['AMOUNT'], sortable: ['CREATED_AT'] }
+      );
+
+      expect(query).toBeNull();
+      expect(errors).toEqual([
+        { field: 'missing', message: 'Unknown column "missing"' },
+        { field: 'amount', message: '"lots" is not a number' },
+        { field: 'id', message: 'Column "id" is not filterable' },
+        { field: 'order', message: 'Column "status" is not sortable' }
+      ]);
+    });
+  });
+
+  describe('buildTableSelect', () => {
+    it('should assemble the statement with limit and offset binds last', () => {
+      const { query } = compile({ select: 'id', status: 'eq.open', order: 'id.desc' });
+
+      expect(buildTableSelect('DB.S.ORDERS', query, 10, 20)).toEqual({
+        sqlText: 'SELECT "ID" FROM DB.S.ORDERS WHERE "STATUS" = ? ORDER BY "ID" DESC LIMIT ? OFFSET ?',
+        binds: ['open', 10, 20]
+      });
+      expect(buildTableSelect('ORDERS', query, null).sqlText).toMatch(/LIMIT NULL OFFSET \?$/);
+    });
+  });
+});
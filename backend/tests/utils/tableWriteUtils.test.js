@@ -0,0 +1,151 @@
+const {
+  validateWriteSettings,
+  getWriteSettings,
+  getWriteOperation,
+  getWriteMethods,
+  resolvePrimaryKey,
+  buildInsert,
+  buildUpdate,
+  buildDelete,
+  getAffectedRows
+} = require('../../src/utils/tableWriteUtils');
+
+describe('Table Write Utils', () => {
+  const schema = [
+    { COLUMN_NAME: 'ID', DATA_TYPE: 'NUMBER', IS_NULLABLE: 'NO' },
+    { COLUMN_NAME: 'STATUS', DATA_TYPE: 'TEXT', IS_NULLABLE: 'NO' },
+    { COLUMN_NAME: 'TAGS', DATA_TYPE: 'VARIANT', IS_NULLABLE: 'YES' }
+  ];
+  const endpoint = {
+    type: 'table',
+    target: 'DB.S.ORDERS',
+    metadata: {
+      write: {
+        primaryKey: ['id'],
+        insert: { enabled: true },
+        update: { enabled: true, columns: ['status'] },
+        delete: { enabled: false }
+      }
+    }
+  };
+  const settings = getWriteSettings(endpoint);
+
+  describe('validateWriteSettings', () => {
+    it('should require a primary key for update and delete', () => {
+      expect(validateWriteSettings({ delete: { enabled: true } }))
+        .toContain('Write primaryKey is required to enable update or delete');
+      expect(validateWriteSettings({ insert: { enabled: true, columns: 'ID' } }))
+        .toContain('Write insert columns must be an array of column names');
+      expect(validateWriteSettings(endpoint.metadata.write)).toEqual([]);
+    });
+  });
+
+  describe('getWriteSettings', () => {
+    it('should normalize enabled operations for table endpoints only', () => {
+      expect(settings).toEqual({
+        primaryKey: ['ID'],
+        insert: { columns: null },
+        update: { columns: ['STATUS'] },
+        delete: null,
+        maxRows: 1000
+      });
+      expect(getWriteSettings({ ...endpoint, type: 'query' })).toBeNull();
+      expect(getWriteSettings({ type: 'table', metadata: { write: { insert: { enabled: false } } } })).toBeNull();
+    });
+  });
+
+  describe('getWriteOperation', () => {
+    it('should map methods to enabled operations', () => {
+      expect(getWriteOperation(settings, 'POST')).toBe('insert');
+      expect(getWriteOperation(settings, 'PATCH')).toBe('update');
+      expect(getWriteOperation(settings, 'DELETE')).toBeNull();
+      expect(getWriteOperation(settings, 'GET')).toBeNull();
+      expect(getWriteMethods(settings)).toEqual(['POST', 'PUT', 'PATCH']);
+    });
+  });
+
+  describe('resolvePrimaryKey', () => {
+    it('should read key values from path segments or query parameters', () => {
+      expect(resolvePrimaryKey(settings, {}, ['42'], schema).key).toEqual([{ column: schema[0], value: 42 }]);
+      expect(resolvePrimaryKey(settings, { id: '7' }, [], schema).key).toEqual([{ column: schema[0], value: 7 }]);
+    });
+
+    it('should take decoded path segments as they are', () => {
+      const textKey = { ...settings, primaryKey: ['STATUS'] };
+      ['%', '%25', 'a/b'].forEach(value => {
+        expect(resolvePrimaryKey(textKey, {}, [value], schema).key).toEqual([{ column: schema[1], value }]);
+      });
+    });
+
+    it('should reject missing and mistyped keys', () => {
+      expect(resolvePrimaryKey(settings, {}, [], schema).errors[0].message)
+        .toBe('A single value for primary key column ID is required');
+      expect(resolvePrimaryKey(settings, {}, ['abc'], schema).errors[0]).toEqual({ field: 'ID', location: 'path', message: '"abc" is not a number' });
+    });
+  });
+
+  describe('buildInsert', () => {
+    it('should insert several rows in one statement and parse semi-structured values', () => {
+      const { statement, errors } = buildInsert('DB.S.ORDERS', [
+        { id: 1, status: 'open', tags: ['a'] },
+        { TAGS: null, STATUS: 'closed', ID: 2 }
+      ], schema, settings);
+
+      expect(errors).toEqual([]);
+      expect(statement).toEqual({
+        sqlText: 'INSERT INTO DB.S.ORDERS ("ID", "STATUS", "TAGS") SELECT ?, ?, PARSE_JSON(?) UNION ALL SELECT ?, ?, PARSE_JSON(?)',
+        binds: [1, 'open', '["a"]', 2, 'closed', null]
+      });
+    });
+
+    it('should reject unknown columns, nulls in required columns and uneven rows', () => {
+      expect(buildInsert('T', { id: 1, status: null }, schema, settings).errors)
+        .toEqual([{ field: 'status', location: 'body', message: 'Column "status" cannot be null' }]);
+      expect(buildInsert('T', { id: 1, colour: 'red' }, schema, settings).errors[0].message).toBe('Unknown column "colour"');
+      expect(buildInsert('T', [{ id: 1 }, { id: 2, status: 'x' }], schema, settings).errors[0].message)
+        .toBe('Every row must set the same columns');
+      expect(buildInsert('T', [], schema, settings).errors[0].field).toBe('body');
+    });
+
+    it('should enforce the insert column allowlist and row cap', () => {
+      const restricted = { ...settings, insert: { columns: ['STATUS'] }, maxRows: 1 };
+
+      expect(buildInsert('T', { id: 1 }, schema, restricted).errors[0].message).toBe('Column "id" is not insertable');
+      expect(buildInsert('T', [{ status: 'a' }, { status: 'b' }], schema, restricted).errors[0].message)
+        .toBe('At most 1 rows can be inserted per request');
+    });
+  });
+
+  describe('buildUpdate', () => {
+    const key = [{ column: schema[0], value: 42 }];
+
+    it('should update allowed columns by primary key', () => {
+      expect(buildUpdate('T', key, { status: 'shipped' }, schema, settings).statement).toEqual({
+        sqlText: 'UPDATE T SET "STATUS" = ? WHERE "ID" = ?',
+        binds: ['shipped', 42]
+      });
+    });
+
+    it('should never update primary key columns', () => {
+      const open = { ...settings, update: { columns: null } };
+
+      expect(buildUpdate('T', key, { id: 43 }, schema, open).errors[0].message).toBe('Column "id" is not updatable');
+      expect(buildUpdate('T', key, { tags: { a: 1 } }, schema, open).statement.sqlText)
+        .toBe('UPDATE T SET "TAGS" = PARSE_JSON(?) WHERE "ID" = ?');
+    });
+  });
+
+  describe('buildDelete', () => {
+    it('should delete by primary key', () => {
+      expect(buildDelete('T', [{ column: schema[0], value: 42 }])).toEqual({ sqlText: 'DELETE FROM T WHERE "ID" = ?', binds: [42] });
+    });
+  });
+
+  describe('getAffectedRows', () => {
+    it('should read the count from the statement or the DML result row', () => {
+      expect(getAffectedRows({ statement: { getNumUpdatedRows: () => 3 }, rows: [] })).toBe(3);
+      expect(getAffectedRows({ rows: [{ 'number of rows deleted': 1 }] })).toBe(1);
+      expect(getAffectedRows({ rows: [] })).toBe(0);
+    });
+  });
+});
@@ -11,6 +11,7 @@ import CreateEndpoint from './pages/CreateEndpoint';
 import EditEndpoint from './pages/EditEndpoint';
 import APIKeys from './pages/APIKeys';
 import Tags from './pages/Tags';
+import Webhooks from './pages/Webhooks';
 import Settings from './pages/Settings';
 import Users from './pages/Users';
 import Login from './pages/Login';
@@ -55,6 +56,7 @@ function AppContent() {
             <Route path="/endpoints/:id/edit" element={<EditEndpoint />} />
             <Route path="/api-keys" element={<APIKeys />} />
             <Route path="/tags" element={<Tags />} />
+            <Route path="/webhooks" element={<Webhooks />} />
             <Route path="/users" element={<Users />} />
             <Route path="/settings" element={<Settings />} />
           </Routes>
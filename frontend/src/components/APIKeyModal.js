@@ -2,18 +2,23 @@ import React from 'react';
 import { CheckCircle2, Copy, Download, X } from 'lucide-react';
 import toast from 'react-hot-toast';
 
-const APIKeyModal = ({ isOpen, onClose, apiKey, endpointName }) => {
+// keyId and signingSecret are shown when given, for signed requests; without apiKey only the new secret is shown
+const APIKeyModal = ({ isOpen, onClose, apiKey, endpointName, keyId, signingSecret }) => {
   if (!isOpen) return null;
 
-  const handleCopy = async () => {
+  const secretOnly = !apiKey && !!signingSecret;
+
+  const copyValue = async (value, label) => {
     try {
-      await navigator.clipboard.writeText(apiKey);
-      toast.success('API Key copied to clipboard');
+      await navigator.clipboard.writeText(value);
+      toast.success(`${label} copied to clipboard`);
     } catch (error) {
-      toast.error('Failed to copy API Key');
+      toast.error(`Failed to copy ${label}`);
     }
   };
 
+  const handleCopy = () => (secretOnly ? copyValue(signingSecret, 'Signing secret') : copyValue(apiKey, 'API Key'));
+
   const handleDownload = () => {
     const blob = new Blob([apiKey], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
@@ -62,46 +67,90 @@ const APIKeyModal = ({ isOpen, onClose, apiKey, endpointName }) => {
 
             {/* Heading */}
             <h2 className="text-xl font-semibold text-snowflake-900 text-center mb-3">
-              API Key successfully generated
+              {secretOnly ? 'Signing secret issued' : 'API Key successfully generated'}
             </h2>
 
             {/* Description */}
-            <p className="text-sm text-snowflake-600 text-center mb-6">
-              An API key has been successfully generated{endpointName ? ` for ${endpointName}` : ''}. 
-              Copy or download this API key and save it in a secure location. You will not be able to see it again.
-            </p>
+            {secretOnly ? (
+              <p className="text-sm text-snowflake-600 text-center mb-6">
+                A new signing secret has been issued{endpointName ? ` for ${endpointName}` : ''}. The previous secret no longer works.
+                Save it in a secure location. You will not be able to see it again.
+              </p>
+            ) : (
+              <p className="text-sm text-snowflake-600 text-center mb-6">
+                An API key has been successfully generated{endpointName ? ` for ${endpointName}` : ''}. 
+                Copy or download this API key and save it in a secure location. You will not be able to see it again.
+              </p>
+            )}
 
             {/* API Key Display */}
-            <div className="mb-6">
-              <label className="block text-sm font-medium text-snowflake-700 mb-2">
-                API Key
-              </label>
-              <div className="flex items-center space-x-2">
-                <input
-                  type="text"
-                  readOnly
-                  value={apiKey || ''}
-                  className="flex-1 px-3 py-2 border border-snowflake-300 rounded-md bg-snowflake-50 text-sm font-mono text-snowflake-700 truncate"
-                  onClick={(e) => e.target.select()}
-                />
-                {/* Download Button */}
-                <button
-                  onClick={handleDownload}
-                  className="p-2 text-snowflake-600 bg-snowflake-100 border border-snowflake-300 rounded-md hover:bg-snowflake-200 transition-colors"
-                  title="Download API Key"
-                >
-                  <Download className="h-4 w-4" />
-                </button>
-                {/* Copy Button */}
-                <button
-                  onClick={handleCopy}
-                  className="p-2 text-snowflake-600 bg-snowflake-100 border border-snowflake-300 rounded-md hover:bg-snowflake-200 transition-colors"
-                  title="Copy API Key"
-                >
-                  <Copy className="h-4 w-4" />
-                </button>
+            {apiKey && (
+              <div className="mb-6">
+                <label className="block text-sm font-medium text-snowflake-700 mb-2">
+                  API Key
+                </label>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    readOnly
+                    value={apiKey || ''}
+                    className="flex-1 px-3 py-2 border border-snowflake-300 rounded-md bg-snowflake-50 text-sm font-mono text-snowflake-700 truncate"
+                    onClick={(e) => e.target.select()}
+                  />
+                  {/* Download Button */}
+                  <button
+                    onClick={handleDownload}
+                    className="p-2 text-snowflake-600 bg-snowflake-100 border border-snowflake-300 rounded-md hover:bg-snowflake-200 transition-colors"
+                    title="Download API Key"
+                  >
+                    <Download className="h-4 w-4" />
+                  </button>
+                  {/* Copy Button */}
+                  <button
+                    onClick={handleCopy}
+                    className="p-2 text-snowflake-600 bg-snowflake-100 border border-snowflake-300 rounded-md hover:bg-snowflake-200 transition-colors"
+                    title="Copy API Key"
+                  >
+                    <Copy className="h-4 w-4" />
+                  </button>
+                </div>
               </div>
-            </div>
+            )}
+
+            {/* Signing Credentials */}
+            {signingSecret && (
+              <div className="mb-6 space-y-3">
+                <p className="text-xs text-snowflake-500">
+                  To keep the API key off the wire, sign requests with the key ID and signing secret instead.
+                </p>
+                {[
+                  { label: 'Key ID', value: keyId },
+                  { label: 'Signing secret', value: signingSecret }
+                ].filter(({ value }) => value).map(({ label, value }) => (
+                  <div key={label}>
+                    <label className="block text-sm font-medium text-snowflake-700 mb-2">
+                      {label}
+                    </label>
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="text"
+                        readOnly
+                        value={value}
+                        className="flex-1 px-3 py-2 border border-snowflake-300 rounded-md bg-snowflake-50 text-sm font-mono text-snowflake-700 truncate"
+                        onClick={(e) => e.target.select()}
+                      />
+                      <button
+                        onClick={() => copyValue(value, label)}
+                        className="p-2 text-snowflake-600 bg-snowflake-100 border border-snowflake-300 rounded-md hover:bg-snowflake-200 transition-colors"
+                        title={`Copy ${label}`}
+                      >
+                        <Copy className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
 
             {/* Primary Action Button */}
             <button
@@ -11,6 +11,7 @@ import {
   User,
   Activity,
   Tag,
+  Webhook,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -19,6 +20,7 @@ const navigation = [
   { name: 'Endpoints', href: '/endpoints', icon: Server },
   { name: 'API Keys', href: '/api-keys', icon: Key },
   { name: 'Tags', href: '/tags', icon: Tag },
+  { name: 'Webhooks', href: '/webhooks', icon: Webhook },
   { name: 'Users', href: '/users', icon: User },
   { name: 'Settings', href: '/settings', icon: Settings },
 ];
@@ -1,6 +1,6 @@
 import React from 'react';
 import { useQuery } from 'react-query';
-import { Clock, Server, Key, AlertCircle, CheckCircle, XCircle } from 'lucide-react';
+import { Clock, Server, Key, AlertCircle, CheckCircle, XCircle, ShieldAlert } from 'lucide-react';
 import { apiService } from '../services/api';
 import { formatDistanceToNow } from 'date-fns';
 
@@ -34,11 +34,17 @@ const RecentActivity = () => {
         return `API Key used for "${entityName}" endpoint`;
       case 'token_revoked':
         return `API Key revoked for "${entityName}" endpoint`;
+      case 'token_rotated':
+        return `API Key rotated for "${entityName}" endpoint`;
+      case 'token_expired':
+        return `API Key expired for "${entityName}" endpoint`;
       case 'token_deleted':
       case 'api_key_deleted':
         return `API Key deleted for "${entityName}" endpoint`;
       case 'endpoint_deleted':
         return `Endpoint "${entityName}" deleted`;
+      case 'ip_blocked':
+        return `Blocked request from ${activity.user} to "${entityName}"`;
       default:
         return `Activity on "${entityName}"`;
     }
@@ -59,11 +65,15 @@ const RecentActivity = () => {
       case 'token_generated':
       case 'token_used':
       case 'token_revoked':
+      case 'token_rotated':
+      case 'token_expired':
       case 'token_deleted':
       case 'api_key_deleted':
         return Key;
       case 'endpoint_deleted':
         return Server;
+      case 'ip_blocked':
+        return ShieldAlert;
       case 'error':
         return AlertCircle;
       default:
@@ -82,8 +92,11 @@ const RecentActivity = () => {
       token_generated: 'text-blue-500',
       token_used: 'text-blue-500',
       token_revoked: 'text-gray-500',
+      token_rotated: 'text-blue-500',
+      token_expired: 'text-orange-500',
       token_deleted: 'text-red-500',
       api_key_deleted: 'text-red-500',
+      ip_blocked: 'text-red-500',
       error: 'text-red-500',
     };
     return colorClasses[type] || 'text-gray-500';
@@ -99,9 +112,12 @@ const RecentActivity = () => {
       token_generated: 'bg-blue-100',
       token_used: 'bg-blue-100',
       token_revoked: 'bg-gray-100',
+      token_rotated: 'bg-blue-100',
+      token_expired: 'bg-orange-100',
       token_deleted: 'bg-red-100',
       api_key_deleted: 'bg-red-100',
       endpoint_deleted: 'bg-red-100',
+      ip_blocked: 'bg-red-100',
       error: 'bg-red-100',
     };
     return bgClasses[type] || 'bg-snowflake-100';
@@ -9,8 +9,11 @@ const SystemSettingsModal = ({ isOpen, onClose }) => {
   const [settings, setSettings] = useState({
     logLevel: 'info',
     rateLimitDefault: 100,
+    statementTimeoutDefault: 300,
     enableAuditLog: true,
     sessionTimeout: 3600,
+    apiKeyExpiryDays: 0,
+    apiKeyRotationGraceHours: 24,
   });
 
   // Load settings when modal opens
@@ -114,6 +117,23 @@ const SystemSettingsModal = ({ isOpen, onClose }) => {
                   </p>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                    Default Statement Timeout (seconds)
+                  </label>
+                  <input
+                    type="number"
+                    value={settings.statementTimeoutDefault || 300}
+                    onChange={(e) => setSettings({...settings, statementTimeoutDefault: parseInt(e.target.value) || 300})}
+                    className="w-full px-3 py-2 border border-snowflake-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    min="1"
+                    max="86400"
+                  />
+                  <p className="text-xs text-snowflake-500 mt-1">
+                    Proxy queries running longer are cancelled (can be customized per endpoint)
+                  </p>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-snowflake-700 mb-1">
                     Session Timeout (seconds)
@@ -131,6 +151,40 @@ const SystemSettingsModal = ({ isOpen, onClose }) => {
                   </p>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                    API Key Lifetime (days)
+                  </label>
+                  <input
+                    type="number"
+                    value={settings.apiKeyExpiryDays ?? 0}
+                    onChange={(e) => setSettings({...settings, apiKeyExpiryDays: parseInt(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-snowflake-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    min="0"
+                    max="3650"
+                  />
+                  <p className="text-xs text-snowflake-500 mt-1">
+                    New API keys expire after this many days (0 = never expire, e.g. 90 to require rotation)
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                    Rotation Grace Period (hours)
+                  </label>
+                  <input
+                    type="number"
+                    value={settings.apiKeyRotationGraceHours ?? 24}
+                    onChange={(e) => setSettings({...settings, apiKeyRotationGraceHours: parseInt(e.target.value) || 0})}
+                    className="w-full px-3 py-2 border border-snowflake-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    min="0"
+                    max="720"
+                  />
+                  <p className="text-xs text-snowflake-500 mt-1">
+                    A rotated key keeps working this long alongside its successor
+                  </p>
+                </div>
+
                 <div className="flex items-center">
                   <input
                     type="checkbox"
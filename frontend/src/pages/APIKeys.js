@@ -1,10 +1,65 @@
 import React, { useState } from 'react';
-import { useQuery, useQueryClient } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { Link } from 'react-router-dom';
-import { Key, Copy, RefreshCw, Trash2 } from 'lucide-react';
+import { Key, Plus, RefreshCw, RotateCw, Shield, Globe, Fingerprint, Trash2, Edit, Check, X } from 'lucide-react';
 import { apiService } from '../services/api';
 import toast from 'react-hot-toast';
 import ConfirmationModal from '../components/ConfirmationModal';
+import APIKeyModal from '../components/APIKeyModal';
+import TagSelector from '../components/TagSelector';
+
+const emptyKey = { endpointId: '', name: '', owner: '', description: '', expiresOn: '' };
+const EXPIRY_WARNING_DAYS = 14;
+const SCOPE_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Short description of what a key reaches beyond its own endpoint
+const describeScope = (scope) => {
+  if (!scope) return null;
+  const parts = [];
+  if (scope.endpointIds?.length) parts.push(`+${scope.endpointIds.length} endpoint(s)`);
+  if (scope.tagIds?.length) parts.push(`${scope.tagIds.length} tag group(s)`);
+  if (scope.methods?.length) parts.push(`${scope.methods.join(', ')} only`);
+  return parts.join(' · ');
+};
+
+// IP rules are edited as one address or CIDR range per line (commas also separate entries)
+const toRuleText = (rules) => (rules || []).join('\n');
+const toRuleList = (text) => text.split(/[\n,]/).map(rule => rule.trim()).filter(Boolean);
+
+const describeIpAccess = (ipAccess) => {
+  if (!ipAccess) return null;
+  const parts = [];
+  if (ipAccess.allow?.length) parts.push(`${ipAccess.allow.length} allowed range(s)`);
+  if (ipAccess.deny?.length) parts.push(`${ipAccess.deny.length} blocked range(s)`);
+  return parts.length ? `IP restricted: ${parts.join(', ')}` : null;
+};
+
+// <input type="date"> value to the ISO timestamp of that day's start (local time), and back
+const toExpiresAt = (expiresOn) => (expiresOn ? new Date(`${expiresOn}T00:00:00`).toISOString() : null);
+const toExpiresOn = (expiresAt) => {
+  if (!expiresAt) return '';
+  const date = new Date(expiresAt);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const getExpiryBadge = (apiKey) => {
+  if (!apiKey.isActive || !apiKey.expiresAt) return null;
+  const remaining = new Date(apiKey.expiresAt) - Date.now();
+  if (remaining <= 0) return { label: 'Expired', className: 'badge-error' };
+  if (remaining <= EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000) return { label: 'Expiring soon', className: 'badge-warning' };
+  return null;
+};
+
+// Group keys under their endpoint, keeping the API's newest-first order within each group
+const groupByEndpoint = (apiKeys) => apiKeys.reduce((groups, apiKey) => {
+  const group = groups.find(g => g.endpointId === apiKey.endpointId);
+  if (group) {
+    group.keys.push(apiKey);
+  } else {
+    groups.push({ endpointId: apiKey.endpointId, endpointName: apiKey.metadata?.endpointName, keys: [apiKey] });
+  }
+  return groups;
+}, []);
 
 const APIKeys = () => {
   const queryClient = useQueryClient();
@@ -13,21 +68,185 @@ const APIKeys = () => {
     apiService.getAPIKeys,
     { refetchInterval: 30000 }
   );
+  const { data: endpointsResponse } = useQuery('endpoints', apiService.getEndpoints);
+  const { data: tagsResponse } = useQuery('tags', apiService.getTags);
+  const tags = tagsResponse?.data || [];
+  const endpoints = endpointsResponse?.data || [];
+  const endpointNames = Object.fromEntries(endpoints.map(endpoint => [endpoint.id, endpoint.name]));
+
+  const [isCreating, setIsCreating] = useState(false);
+  const [newKey, setNewKey] = useState(emptyKey);
+  const [editing, setEditing] = useState(null);
+  const [scopeEditing, setScopeEditing] = useState(null);
+  const [ipEditing, setIpEditing] = useState(null);
+  const [showRevoked, setShowRevoked] = useState(false);
+  const [apiKeyModal, setApiKeyModal] = useState({ isOpen: false, apiKey: null, endpointName: null, keyId: null, signingSecret: null });
   const [revokeModal, setRevokeModal] = useState({ isOpen: false, tokenId: null, tokenName: null });
   const [isRevoking, setIsRevoking] = useState(false);
   const [deleteModal, setDeleteModal] = useState({ isOpen: false, tokenId: null, tokenName: null });
   const [isDeleting, setIsDeleting] = useState(false);
+  const [rotateModal, setRotateModal] = useState({ isOpen: false, tokenId: null, tokenName: null, endpointId: null });
+  const [signingModal, setSigningModal] = useState({ isOpen: false, tokenId: null, tokenName: null, endpointId: null });
+
+  const invalidateKeys = () => {
+    queryClient.invalidateQueries('apiKeys');
+    queryClient.invalidateQueries('expiringApiKeys');
+    queryClient.invalidateQueries('endpoints');
+    queryClient.invalidateQueries('activity');
+  };
+
+  const describeKey = (apiKey) => {
+    const endpointName = endpointNames[apiKey.endpointId] || apiKey.metadata?.endpointName || 'Unknown Endpoint';
+    return `${apiKey.name || 'Unnamed key'} (${endpointName})`;
+  };
+
+  const createMutation = useMutation(
+    // An empty expiry date leaves the expiry to the server's default lifetime
+    ({ endpointId, expiresOn, ...labels }) => apiService.generateAPIKey(endpointId, {
+      ...labels,
+      ...(expiresOn ? { expiresAt: toExpiresAt(expiresOn) } : {})
+    }),
+    {
+      onSuccess: (response, { endpointId }) => {
+        invalidateKeys();
+        setIsCreating(false);
+        setNewKey(emptyKey);
+        setApiKeyModal({
+          isOpen: true,
+          apiKey: response.data.token,
+          endpointName: endpointNames[endpointId] || null,
+          keyId: response.data.tokenId,
+          signingSecret: response.data.signingSecret
+        });
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to create API key');
+      }
+    }
+  );
+
+  const updateMutation = useMutation(
+    ({ id, expiresOn, ...labels }) => apiService.updateAPIKey(id, { ...labels, expiresAt: toExpiresAt(expiresOn) }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('apiKeys');
+        queryClient.invalidateQueries('expiringApiKeys');
+        setEditing(null);
+        toast.success('API key updated successfully');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to update API key');
+      }
+    }
+  );
+
+  const scopeMutation = useMutation(
+    ({ id, ...scope }) => apiService.setAPIKeyScope(id, scope),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('apiKeys');
+        setScopeEditing(null);
+        toast.success('API key scope updated successfully');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.details?.[0]?.message || error.response?.data?.error || 'Failed to update API key scope');
+      }
+    }
+  );
+
+  const ipAccessMutation = useMutation(
+    ({ id, allow, deny }) => apiService.setAPIKeyIpAccess(id, { allow: toRuleList(allow), deny: toRuleList(deny) }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('apiKeys');
+        setIpEditing(null);
+        toast.success('API key IP access updated successfully');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.details?.[0]?.message || error.response?.data?.error || 'Failed to update API key IP access');
+      }
+    }
+  );
+
+  const toggleScopeItem = (field, value) => {
+    const items = scopeEditing[field];
+    setScopeEditing({
+      ...scopeEditing,
+      [field]: items.includes(value) ? items.filter(item => item !== value) : [...items, value]
+    });
+  };
+
+  const rotateMutation = useMutation(
+    ({ tokenId }) => apiService.rotateAPIKey(tokenId),
+    {
+      onSuccess: (response, { endpointId }) => {
+        invalidateKeys();
+        setRotateModal({ isOpen: false, tokenId: null, tokenName: null, endpointId: null });
+        toast.success(`Old key keeps working until ${new Date(response.data.previousKey.expiresAt).toLocaleString()}`);
+        setApiKeyModal({
+          isOpen: true,
+          apiKey: response.data.token,
+          endpointName: endpointNames[endpointId] || null,
+          keyId: response.data.tokenId,
+          signingSecret: response.data.signingSecret
+        });
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || error.response?.data?.error || 'Failed to rotate API key');
+      }
+    }
+  );
+
+  const signingSecretMutation = useMutation(
+    ({ tokenId }) => apiService.issueSigningSecret(tokenId),
+    {
+      onSuccess: (response, { tokenId, endpointId }) => {
+        invalidateKeys();
+        setSigningModal({ isOpen: false, tokenId: null, tokenName: null, endpointId: null });
+        setApiKeyModal({
+          isOpen: true,
+          apiKey: null,
+          endpointName: endpointNames[endpointId] || null,
+          keyId: tokenId,
+          signingSecret: response.data.signingSecret
+        });
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || error.response?.data?.error || 'Failed to issue signing secret');
+      }
+    }
+  );
+
+  const handleCreate = () => {
+    if (!newKey.endpointId || !newKey.name.trim()) {
+      toast.error('Endpoint and name are required');
+      return;
+    }
+    createMutation.mutate(newKey);
+  };
 
-  const copyToClipboard = (text) => {
-    navigator.clipboard.writeText(text);
-    toast.success('API Key copied to clipboard!');
+  const handleSaveEdit = () => {
+    if (!editing.name.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+    updateMutation.mutate(editing);
+  };
+
+  const handleRotateClick = (apiKey) => {
+    setRotateModal({
+      isOpen: true,
+      tokenId: apiKey.id,
+      tokenName: describeKey(apiKey),
+      endpointId: apiKey.endpointId
+    });
   };
 
   const handleRevokeClick = (apiKey) => {
     setRevokeModal({
       isOpen: true,
       tokenId: apiKey.id,
-      tokenName: apiKey.metadata?.endpointName || 'Unknown Endpoint'
+      tokenName: describeKey(apiKey)
     });
   };
 
@@ -37,9 +256,7 @@ const APIKeys = () => {
       const response = await apiService.revokeAPIKey(revokeModal.tokenId);
       if (response.success) {
         toast.success('API key revoked successfully');
-        queryClient.invalidateQueries('apiKeys');
-        queryClient.invalidateQueries('endpoints');
-        queryClient.invalidateQueries('activity');
+        invalidateKeys();
         setRevokeModal({ isOpen: false, tokenId: null, tokenName: null });
       } else {
         toast.error(response.error || 'Failed to revoke API key');
@@ -55,7 +272,7 @@ const APIKeys = () => {
     setDeleteModal({
       isOpen: true,
       tokenId: apiKey.id,
-      tokenName: apiKey.metadata?.endpointName || 'Unknown Endpoint'
+      tokenName: describeKey(apiKey)
     });
   };
 
@@ -65,9 +282,7 @@ const APIKeys = () => {
       const response = await apiService.deleteAPIKey(deleteModal.tokenId);
       if (response.success) {
         toast.success('API key permanently deleted');
-        queryClient.invalidateQueries('apiKeys');
-        queryClient.invalidateQueries('endpoints');
-        queryClient.invalidateQueries('activity');
+        invalidateKeys();
         setDeleteModal({ isOpen: false, tokenId: null, tokenName: null });
       } else {
         toast.error(response.error || 'Failed to delete API key');
@@ -87,6 +302,9 @@ const APIKeys = () => {
     );
   }
 
+  const visibleKeys = (apiKeys?.data || []).filter(apiKey => showRevoked || apiKey.isActive);
+  const groups = groupByEndpoint(visibleKeys);
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -94,122 +312,555 @@ const APIKeys = () => {
         <div>
           <h1 className="text-2xl font-bold text-snowflake-900">API Keys</h1>
           <p className="mt-1 text-sm text-snowflake-600">
-            Manage API keys for endpoint access
+            Issue a separate key to each consumer of an endpoint, so one can be revoked without affecting the others
           </p>
         </div>
-        <button
-          onClick={() => refetch()}
-          className="btn btn-secondary btn-md"
-        >
-          <RefreshCw className="h-4 w-4 mr-2" />
-          Refresh
-        </button>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => refetch()}
+            className="btn btn-secondary btn-md"
+          >
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </button>
+          {!isCreating && (
+            <button
+              onClick={() => setIsCreating(true)}
+              className="btn btn-primary btn-md"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New API Key
+            </button>
+          )}
+        </div>
       </div>
 
-      {/* API Keys Table */}
-      {apiKeys?.data?.length === 0 ? (
+      {/* Create Form */}
+      {isCreating && (
+        <div className="bg-white rounded-lg border border-snowflake-200 p-4">
+          <h2 className="text-lg font-semibold text-snowflake-900 mb-4">New API Key</h2>
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                  Endpoint *
+                </label>
+                <select
+                  value={newKey.endpointId}
+                  onChange={(e) => setNewKey({ ...newKey, endpointId: e.target.value })}
+                  className="select"
+                >
+                  <option value="">Select an endpoint</option>
+                  {endpoints.map(endpoint => (
+                    <option key={endpoint.id} value={endpoint.id}>{endpoint.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                  Name *
+                </label>
+                <input
+                  type="text"
+                  value={newKey.name}
+                  onChange={(e) => setNewKey({ ...newKey, name: e.target.value })}
+                  className="input"
+                  placeholder="Billing service"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                  Owner
+                </label>
+                <input
+                  type="text"
+                  value={newKey.owner}
+                  onChange={(e) => setNewKey({ ...newKey, owner: e.target.value })}
+                  className="input"
+                  placeholder="billing-team@example.com"
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                  Description
+                </label>
+                <input
+                  type="text"
+                  value={newKey.description}
+                  onChange={(e) => setNewKey({ ...newKey, description: e.target.value })}
+                  className="input"
+                  placeholder="What this consumer uses the endpoint for"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                  Expires On
+                </label>
+                <input
+                  type="date"
+                  value={newKey.expiresOn}
+                  onChange={(e) => setNewKey({ ...newKey, expiresOn: e.target.value })}
+                  className="input"
+                />
+                <p className="text-xs text-snowflake-500 mt-1">
+                  Leave empty for the default lifetime set in System Settings
+                </p>
+              </div>
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => {
+                  setIsCreating(false);
+                  setNewKey(emptyKey);
+                }}
+                className="btn btn-secondary btn-md"
+              >
+                <X className="h-4 w-4 mr-2" />
+                Cancel
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={createMutation.isLoading}
+                className="btn btn-primary btn-md"
+              >
+                <Key className="h-4 w-4 mr-2" />
+                Create API Key
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <label className="flex items-center space-x-2 text-sm text-snowflake-700">
+          <input
+            type="checkbox"
+            checked={showRevoked}
+            onChange={(e) => setShowRevoked(e.target.checked)}
+            className="h-4 w-4 text-primary-600 border-snowflake-300 rounded"
+          />
+          <span>Show revoked keys</span>
+        </label>
+      </div>
+
+      {/* API Keys by Endpoint */}
+      {groups.length === 0 ? (
         <div className="text-center py-12">
           <Key className="mx-auto h-12 w-12 text-snowflake-400" />
           <h3 className="mt-2 text-sm font-medium text-snowflake-900">No API Keys</h3>
           <p className="mt-1 text-sm text-snowflake-500">
-            Create an endpoint to generate API keys.
+            Create a key for an endpoint to give a consumer access.
           </p>
         </div>
       ) : (
-        <div className="bg-white shadow overflow-hidden sm:rounded-md">
-          <div className="overflow-x-auto">
-            <table className="table">
-              <thead>
-                <tr>
-                  <th>Endpoint</th>
-                  <th>Status</th>
-                  <th>Created</th>
-                  <th>Usage</th>
-                  <th>Last Used</th>
-                  <th className="text-right">Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-            {apiKeys?.data?.map((apiKey) => (
-                  <tr key={apiKey.id}>
-                    <td>
-                      {apiKey.endpointId ? (
-                        <Link
-                          to={`/endpoints/${apiKey.endpointId}`}
-                          className="text-sm font-medium text-primary-600 hover:text-primary-900 hover:underline"
-                        >
-                          {apiKey.metadata?.endpointName || 'Unknown Endpoint'}
-                        </Link>
+        groups.map(group => (
+          <div key={group.endpointId} className="bg-white shadow overflow-hidden sm:rounded-md">
+            <div className="px-4 py-3 border-b border-snowflake-200 flex items-center justify-between">
+              <Link
+                to={`/endpoints/${group.endpointId}`}
+                className="text-sm font-semibold text-primary-600 hover:text-primary-900 hover:underline"
+              >
+                {endpointNames[group.endpointId] || group.endpointName || 'Unknown Endpoint'}
+              </Link>
+              <span className="text-xs text-snowflake-500">
+                {group.keys.filter(apiKey => apiKey.isActive).length} active key(s)
+              </span>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Owner</th>
+                    <th>Status</th>
+                    <th>Created</th>
+                    <th>Expires</th>
+                    <th>Usage</th>
+                    <th>Last Used</th>
+                    <th className="text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {group.keys.map((apiKey) => (
+                    <React.Fragment key={apiKey.id}>
+                      {editing?.id === apiKey.id ? (
+                        <tr key={apiKey.id}>
+                          <td>
+                            <input
+                              type="text"
+                              value={editing.name}
+                              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                              className="input text-sm py-1"
+                              placeholder="Name"
+                            />
+                            <input
+                              type="text"
+                              value={editing.description}
+                              onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                              className="input text-sm py-1 mt-1"
+                              placeholder="Description"
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="text"
+                              value={editing.owner}
+                              onChange={(e) => setEditing({ ...editing, owner: e.target.value })}
+                              className="input text-sm py-1"
+                              placeholder="Owner"
+                            />
+                          </td>
+                          <td colSpan={2}></td>
+                          <td>
+                            <input
+                              type="date"
+                              value={editing.expiresOn}
+                              onChange={(e) => setEditing({ ...editing, expiresOn: e.target.value })}
+                              className="input text-sm py-1"
+                              title="Leave empty for a key that never expires"
+                            />
+                          </td>
+                          <td colSpan={2}></td>
+                          <td>
+                            <div className="flex items-center justify-end space-x-2">
+                              <button
+                                onClick={handleSaveEdit}
+                                disabled={updateMutation.isLoading}
+                                className="p-2 text-green-600 hover:text-green-900 hover:bg-green-50 rounded-md transition-colors"
+                                title="Save"
+                              >
+                                <Check className="h-4 w-4" />
+                              </button>
+                              <button
+                                onClick={() => setEditing(null)}
+                                className="p-2 text-snowflake-600 hover:text-snowflake-900 hover:bg-snowflake-100 rounded-md transition-colors"
+                                title="Cancel"
+                              >
+                                <X className="h-4 w-4" />
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
                       ) : (
-                        <span className="text-sm font-medium text-snowflake-900">
-                          {apiKey.metadata?.endpointName || 'Unknown Endpoint'}
-                        </span>
+                        <tr key={apiKey.id}>
+                          <td>
+                            <div className="text-sm font-medium text-snowflake-900">{apiKey.name || 'Unnamed key'}</div>
+                            {apiKey.description && (
+                              <div className="text-xs text-snowflake-500">{apiKey.description}</div>
+                            )}
+                            {describeScope(apiKey.scope) && (
+                              <div className="text-xs text-primary-600">{describeScope(apiKey.scope)}</div>
+                            )}
+                            {describeIpAccess(apiKey.ipAccess) && (
+                              <div className="text-xs text-orange-600">{describeIpAccess(apiKey.ipAccess)}</div>
+                            )}
+                          </td>
+                          <td className="text-sm text-snowflake-600">
+                            {apiKey.owner || '-'}
+                          </td>
+                          <td>
+                            <span className={`badge ${
+                              apiKey.isActive ? 'badge-success' : 'badge-error'
+                            }`}>
+                              {apiKey.isActive ? 'Active' : 'Revoked'}
+                            </span>
+                          </td>
+                          <td className="text-sm text-snowflake-600">
+                            {new Date(apiKey.createdAt).toLocaleString()}
+                            {apiKey.createdBy && (
+                              <div className="text-xs text-snowflake-500">by {apiKey.createdBy}</div>
+                            )}
+                          </td>
+                          <td className="text-sm text-snowflake-600">
+                            {apiKey.expiresAt ? new Date(apiKey.expiresAt).toLocaleDateString() : 'Never'}
+                            {getExpiryBadge(apiKey) && (
+                              <div>
+                                <span className={`badge ${getExpiryBadge(apiKey).className}`}>
+                                  {getExpiryBadge(apiKey).label}
+                                </span>
+                              </div>
+                            )}
+                            {apiKey.isActive && apiKey.metadata?.rotatedTo && (
+                              <div className="text-xs text-snowflake-500">Rotated, in grace period</div>
+                            )}
+                          </td>
+                          <td className="text-sm text-snowflake-600">
+                            {apiKey.usageCount || 0} requests
+                          </td>
+                          <td className="text-sm text-snowflake-600">
+                            {apiKey.lastUsed ? new Date(apiKey.lastUsed).toLocaleString() : 'Never'}
+                          </td>
+                          <td>
+                            <div className="flex items-center justify-end space-x-2">
+                              <button
+                                onClick={() => setEditing({
+                                  id: apiKey.id,
+                                  name: apiKey.name || '',
+                                  owner: apiKey.owner || '',
+                                  description: apiKey.description || '',
+                                  expiresOn: toExpiresOn(apiKey.expiresAt)
+                                })}
+                                className="p-2 text-snowflake-600 hover:text-snowflake-900 hover:bg-snowflake-100 rounded-md transition-colors"
+                                title="Edit Labels"
+                              >
+                                <Edit className="h-4 w-4" />
+                              </button>
+                              {apiKey.isActive && (
+                                <button
+                                  onClick={() => setScopeEditing(scopeEditing?.id === apiKey.id ? null : {
+                                    id: apiKey.id,
+                                    endpointIds: apiKey.scope?.endpointIds || [],
+                                    tagIds: apiKey.scope?.tagIds || [],
+                                    methods: apiKey.scope?.methods || []
+                                  })}
+                                  className="p-2 text-snowflake-600 hover:text-snowflake-900 hover:bg-snowflake-100 rounded-md transition-colors"
+                                  title="Edit Scope"
+                                >
+                                  <Shield className="h-4 w-4" />
+                                </button>
+                              )}
+                              {apiKey.isActive && (
+                                <button
+                                  onClick={() => setIpEditing(ipEditing?.id === apiKey.id ? null : {
+                                    id: apiKey.id,
+                                    allow: toRuleText(apiKey.ipAccess?.allow),
+                                    deny: toRuleText(apiKey.ipAccess?.deny)
+                                  })}
+                                  className="p-2 text-snowflake-600 hover:text-snowflake-900 hover:bg-snowflake-100 rounded-md transition-colors"
+                                  title="Edit IP Access"
+                                >
+                                  <Globe className="h-4 w-4" />
+                                </button>
+                              )}
+                              {apiKey.isActive && (
+                                <button
+                                  onClick={() => setSigningModal({
+                                    isOpen: true,
+                                    tokenId: apiKey.id,
+                                    tokenName: describeKey(apiKey),
+                                    endpointId: apiKey.endpointId
+                                  })}
+                                  disabled={signingSecretMutation.isLoading}
+                                  className="p-2 text-snowflake-600 hover:text-snowflake-900 hover:bg-snowflake-100 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title={apiKey.hasSigningSecret ? 'Issue New Signing Secret' : 'Issue Signing Secret'}
+                                >
+                                  <Fingerprint className="h-4 w-4" />
+                                </button>
+                              )}
+                              {apiKey.isActive && (
+                                <button
+                                  onClick={() => handleRotateClick(apiKey)}
+                                  disabled={rotateMutation.isLoading}
+                                  className="p-2 text-primary-600 hover:text-primary-900 hover:bg-primary-50 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title="Rotate API Key"
+                                >
+                                  <RotateCw className="h-4 w-4" />
+                                </button>
+                              )}
+                              {apiKey.isActive ? (
+                                <button
+                                  onClick={() => handleRevokeClick(apiKey)}
+                                  disabled={isRevoking}
+                                  className="p-2 text-red-600 hover:text-red-900 hover:bg-red-50 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title="Revoke API Key"
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </button>
+                              ) : (
+                                <button
+                                  onClick={() => handleDeleteClick(apiKey)}
+                                  disabled={isDeleting}
+                                  className="p-2 text-red-700 hover:text-red-900 hover:bg-red-100 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                  title="Permanently Delete API Key"
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
                       )}
-                    </td>
-                    <td>
-                      <span className={`badge ${
-                          apiKey.isActive ? 'badge-success' : 'badge-error'
-                        }`}>
-                          {apiKey.isActive ? 'Active' : 'Inactive'}
-                        </span>
-                    </td>
-                    <td className="text-sm text-snowflake-600">
-                      {new Date(apiKey.createdAt).toLocaleString()}
-                    </td>
-                    <td className="text-sm text-snowflake-600">
-                      {apiKey.usageCount || 0} requests
-                    </td>
-                    <td className="text-sm text-snowflake-600">
-                      {apiKey.lastUsed ? new Date(apiKey.lastUsed).toLocaleString() : 'Never'}
-                    </td>
-                    <td>
-                      <div className="flex items-center justify-end space-x-2">
-                        {apiKey.isActive && (
-                    <button
-                      onClick={() => copyToClipboard(apiKey.token)}
-                            className="p-2 text-snowflake-600 hover:text-snowflake-900 hover:bg-snowflake-100 rounded-md transition-colors"
-                            title="Copy API Key"
-                    >
-                            <Copy className="h-4 w-4" />
-                          </button>
-                        )}
-                        {apiKey.isActive && (
-                          <button
-                            onClick={() => handleRevokeClick(apiKey)}
-                            disabled={isRevoking}
-                            className="p-2 text-red-600 hover:text-red-900 hover:bg-red-50 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                            title="Revoke API Key"
-                          >
-                            <Trash2 className="h-4 w-4" />
-                    </button>
-                        )}
-                        {!apiKey.isActive && (
-                          <button
-                            onClick={() => handleDeleteClick(apiKey)}
-                            disabled={isDeleting}
-                            className="p-2 text-red-700 hover:text-red-900 hover:bg-red-100 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                            title="Permanently Delete API Key"
-                          >
-                            <Trash2 className="h-4 w-4" />
-                    </button>
-                        )}
-                  </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-                </div>
-        </div>
+                      {scopeEditing?.id === apiKey.id && (
+                        <tr>
+                          <td colSpan={8} className="bg-snowflake-50">
+                            <div className="space-y-4 py-2">
+                              <p className="text-sm text-snowflake-600">
+                                This key always reaches its own endpoint. Add more endpoints directly or through their tags, and optionally limit the HTTP methods it may use.
+                              </p>
+                              <div>
+                                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                                  Additional Endpoints
+                                </label>
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                                  {endpoints.filter(endpoint => endpoint.id !== apiKey.endpointId).map(endpoint => (
+                                    <label key={endpoint.id} className="flex items-center space-x-2 text-sm text-snowflake-700">
+                                      <input
+                                        type="checkbox"
+                                        checked={scopeEditing.endpointIds.includes(endpoint.id)}
+                                        onChange={() => toggleScopeItem('endpointIds', endpoint.id)}
+                                        className="h-4 w-4 text-primary-600 border-snowflake-300 rounded"
+                                      />
+                                      <span>{endpoint.name}</span>
+                                    </label>
+                                  ))}
+                                </div>
+                              </div>
+                              <div>
+                                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                                  Endpoints Tagged With
+                                </label>
+                                <TagSelector
+                                  tags={tags}
+                                  selectedTagIds={scopeEditing.tagIds}
+                                  onChange={(tagIds) => setScopeEditing({ ...scopeEditing, tagIds })}
+                                />
+                              </div>
+                              <div>
+                                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                                  Allowed Methods
+                                </label>
+                                <div className="flex flex-wrap gap-4">
+                                  {SCOPE_METHODS.map(method => (
+                                    <label key={method} className="flex items-center space-x-2 text-sm text-snowflake-700">
+                                      <input
+                                        type="checkbox"
+                                        checked={scopeEditing.methods.includes(method)}
+                                        onChange={() => toggleScopeItem('methods', method)}
+                                        className="h-4 w-4 text-primary-600 border-snowflake-300 rounded"
+                                      />
+                                      <span>{method}</span>
+                                    </label>
+                                  ))}
+                                </div>
+                                <p className="text-xs text-snowflake-500 mt-1">
+                                  Leave all unchecked to allow every method
+                                </p>
+                              </div>
+                              <div className="flex justify-end space-x-2">
+                                <button
+                                  onClick={() => setScopeEditing(null)}
+                                  className="btn btn-secondary btn-md"
+                                >
+                                  Cancel
+                                </button>
+                                <button
+                                  onClick={() => scopeMutation.mutate(scopeEditing)}
+                                  disabled={scopeMutation.isLoading}
+                                  className="btn btn-primary btn-md"
+                                >
+                                  Save Scope
+                                </button>
+                              </div>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                      {ipEditing?.id === apiKey.id && (
+                        <tr>
+                          <td colSpan={8} className="bg-snowflake-50">
+                            <div className="space-y-4 py-2">
+                              <p className="text-sm text-snowflake-600">
+                                Limit where this key may be used from. Enter IPv4 or IPv6 addresses or CIDR ranges, one per line. Blocked ranges win over allowed ones; with no allowed ranges, every other address may call.
+                              </p>
+                              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div>
+                                  <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                                    Allowed Ranges
+                                  </label>
+                                  <textarea
+                                    value={ipEditing.allow}
+                                    onChange={(e) => setIpEditing({ ...ipEditing, allow: e.target.value })}
+                                    className="textarea font-mono text-sm"
+                                    rows={4}
+                                    placeholder={'203.0.113.0/24\n2001:db8::/32'}
+                                  />
+                                </div>
+                                <div>
+                                  <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                                    Blocked Ranges
+                                  </label>
+                                  <textarea
+                                    value={ipEditing.deny}
+                                    onChange={(e) => setIpEditing({ ...ipEditing, deny: e.target.value })}
+                                    className="textarea font-mono text-sm"
+                                    rows={4}
+                                    placeholder="203.0.113.66"
+                                  />
+                                </div>
+                              </div>
+                              <div className="flex justify-end space-x-2">
+                                <button
+                                  onClick={() => setIpEditing(null)}
+                                  className="btn btn-secondary btn-md"
+                                >
+                                  Cancel
+                                </button>
+                                <button
+                                  onClick={() => ipAccessMutation.mutate(ipEditing)}
+                                  disabled={ipAccessMutation.isLoading}
+                                  className="btn btn-primary btn-md"
+                                >
+                                  Save IP Access
+                                </button>
+                              </div>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))
       )}
 
+      {/* API Key Modal */}
+      <APIKeyModal
+        isOpen={apiKeyModal.isOpen}
+        onClose={() => setApiKeyModal({ isOpen: false, apiKey: null, endpointName: null, keyId: null, signingSecret: null })}
+        apiKey={apiKeyModal.apiKey}
+        endpointName={apiKeyModal.endpointName}
+        keyId={apiKeyModal.keyId}
+        signingSecret={apiKeyModal.signingSecret}
+      />
+
+      {/* Signing Secret Confirmation Modal */}
+      <ConfirmationModal
+        isOpen={signingModal.isOpen}
+        onClose={() => setSigningModal({ isOpen: false, tokenId: null, tokenName: null, endpointId: null })}
+        onConfirm={() => signingSecretMutation.mutate({ tokenId: signingModal.tokenId, endpointId: signingModal.endpointId })}
+        title="Issue Signing Secret"
+        message={`Issue a new signing secret for "${signingModal.tokenName}"?\n\nSigned requests using the current secret stop working at once. The API key itself is unchanged.`}
+        confirmText="Issue Secret"
+        cancelText="Cancel"
+        variant="warning"
+        isLoading={signingSecretMutation.isLoading}
+      />
+
+      {/* Rotate Confirmation Modal */}
+      <ConfirmationModal
+        isOpen={rotateModal.isOpen}
+        onClose={() => setRotateModal({ isOpen: false, tokenId: null, tokenName: null, endpointId: null })}
+        onConfirm={() => rotateMutation.mutate({ tokenId: rotateModal.tokenId, endpointId: rotateModal.endpointId })}
+        title="Rotate API Key"
+        message={`A new key with the same labels and scope replaces "${rotateModal.tokenName}".\n\nThe current key keeps working for the rotation grace period set in System Settings, so consumers can switch over, and is then deactivated.`}
+        confirmText="Rotate"
+        cancelText="Cancel"
+        variant="warning"
+        isLoading={rotateMutation.isLoading}
+      />
+
       {/* Revoke Confirmation Modal */}
       <ConfirmationModal
         isOpen={revokeModal.isOpen}
         onClose={() => setRevokeModal({ isOpen: false, tokenId: null, tokenName: null })}
         onConfirm={handleRevokeConfirm}
         title="Revoke API Key"
-        message={revokeModal.tokenName ? `Are you sure you want to revoke the API key for "${revokeModal.tokenName}"?\n\nThis action cannot be undone and the key will immediately stop working.` : 'Are you sure you want to revoke this API key?'}
+        message={revokeModal.tokenName ? `Are you sure you want to revoke the API key "${revokeModal.tokenName}"?\n\nThis action cannot be undone and the key will immediately stop working. Other keys of the endpoint are not affected.` : 'Are you sure you want to revoke this API key?'}
         confirmText="Revoke"
         cancelText="Cancel"
         variant="danger"
@@ -222,7 +873,7 @@ const APIKeys = () => {
         onClose={() => setDeleteModal({ isOpen: false, tokenId: null, tokenName: null })}
         onConfirm={handleDeleteConfirm}
         title="Permanently Delete API Key"
-        message={deleteModal.tokenName ? `Are you sure you want to permanently delete the API key for "${deleteModal.tokenName}"?\n\nThis action cannot be undone and the token will be completely removed from the system.` : 'Are you sure you want to permanently delete this API key?'}
+        message={deleteModal.tokenName ? `Are you sure you want to permanently delete the API key "${deleteModal.tokenName}"?\n\nThis action cannot be undone and the token will be completely removed from the system.` : 'Are you sure you want to permanently delete this API key?'}
         confirmText="Delete Permanently"
         cancelText="Cancel"
         variant="danger"
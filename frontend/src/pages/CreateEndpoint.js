@@ -8,11 +8,96 @@ import toast from 'react-hot-toast';
 import TagSelector from '../components/TagSelector';
 import APIKeyModal from '../components/APIKeyModal';
 
+// JSON Schemas are edited as text and sent to the API as objects
+const validateSchemaText = (text) => {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return true;
+  }
+  try {
+    const schema = JSON.parse(text);
+    return (schema && typeof schema === 'object' && !Array.isArray(schema)) || 'Schema must be a JSON object';
+  } catch (error) {
+    return `Invalid JSON: ${error.message}`;
+  }
+};
+
+const parseSchemaText = (text) => {
+  if (typeof text !== 'string') {
+    return text || null;
+  }
+  return text.trim() ? JSON.parse(text) : null;
+};
+
+// Materialization parameter sets are edited as a JSON array of objects
+const validateParameterSetsText = (text) => {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return true;
+  }
+  try {
+    const sets = JSON.parse(text);
+    return (Array.isArray(sets) && sets.every(set => set && typeof set === 'object' && !Array.isArray(set)))
+      || 'Parameter sets must be a JSON array of objects';
+  } catch (error) {
+    return `Invalid JSON: ${error.message}`;
+  }
+};
+
+const parseParameterSetsText = (text) => {
+  if (typeof text !== 'string') {
+    return text || [];
+  }
+  return text.trim() ? JSON.parse(text) : [];
+};
+
+// Column renames are edited as COLUMN=name lines
+const validateRenameText = (text) => {
+  if (!text || typeof text !== 'string') {
+    return true;
+  }
+  const invalid = text.split('\n').map(line => line.trim()).find(line => line && !/^[^=\s]+\s*=\s*[^=\s]+$/.test(line));
+  return !invalid || `Expected COLUMN=name, got "${invalid}"`;
+};
+
+const parseRenameText = (text) => {
+  if (typeof text !== 'string') {
+    return text || {};
+  }
+  return Object.fromEntries(text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => line.split('=').map(part => part.trim())));
+};
+
+// Convert the text-edited metadata fields back to the objects the API expects
+const toApiMetadata = (metadata = {}) => ({
+  ...metadata,
+  validation: {
+    ...metadata.validation,
+    requestSchema: parseSchemaText(metadata.validation?.requestSchema),
+    responseSchema: parseSchemaText(metadata.validation?.responseSchema)
+  },
+  shape: {
+    ...metadata.shape,
+    rename: parseRenameText(metadata.shape?.rename)
+  },
+  ...(metadata.materialization ? {
+    materialization: {
+      ...metadata.materialization,
+      parameterSets: parseParameterSetsText(metadata.materialization.parameterSets)
+    }
+  } : {})
+});
+
 const CreateEndpoint = () => {
   const navigate = useNavigate();
   const { register, handleSubmit, formState: { errors }, watch } = useForm();
   const type = watch('type');
   const target = watch('target');
+  const cacheEnabled = watch('metadata.cache.enabled');
+  const streamingEnabled = watch('metadata.streaming.enabled');
+  const filteringEnabled = watch('metadata.filtering.enabled');
+  const asyncEnabled = watch('metadata.async.enabled');
+  const materializationEnabled = watch('metadata.materialization.enabled');
 
   const [createdEndpoint, setCreatedEndpoint] = React.useState(null);
   const [showUrlModal, setShowUrlModal] = React.useState(false);
@@ -54,6 +139,7 @@ const CreateEndpoint = () => {
       // Include generateApiKey flag in the request
       const requestData = {
         ...data,
+        metadata: toApiMetadata(data.metadata),
         generateApiKey: generateApiKey
       };
       
@@ -318,6 +404,658 @@ const CreateEndpoint = () => {
             </div>
           </div>
 
+          {/* Statement Timeout */}
+          <div className="border-t border-snowflake-200 pt-4">
+            <div className="grid grid-cols-1 gap-3 lg:grid-cols-3">
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Statement Timeout (seconds)
+                </label>
+                <input
+                  {...register('metadata.timeout.seconds', { valueAsNumber: true, min: 1, max: 86400 })}
+                  type="number"
+                  className="input text-sm py-1.5"
+                  placeholder="System default"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-snowflake-500 mt-1">
+              Statements running longer are cancelled in Snowflake and the caller receives 504 with the query ID. Leave empty to use the system default.
+            </p>
+          </div>
+
+          {/* Async Jobs */}
+          <div className="border-t border-snowflake-200 pt-4">
+            <div className="flex items-start">
+              <div className="flex items-center h-5">
+                <input
+                  id="asyncEnabled"
+                  type="checkbox"
+                  {...register('metadata.async.enabled')}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                />
+              </div>
+              <div className="ml-3 text-sm">
+                <label htmlFor="asyncEnabled" className="font-medium text-snowflake-700">
+                  Allow Async Jobs
+                </label>
+                <p className="text-xs text-snowflake-500">
+                  Callers sending <code>Prefer: respond-async</code> or <code>?async=true</code> get <code>202 Accepted</code> with a job to poll instead of waiting for long-running statements. Streaming endpoints always stream instead.
+                </p>
+              </div>
+            </div>
+            {asyncEnabled && (
+              <div className="grid grid-cols-1 gap-3 lg:grid-cols-3 mt-3">
+                <div>
+                  <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                    Result Retention (seconds)
+                  </label>
+                  <input
+                    {...register('metadata.async.retentionSeconds', { valueAsNumber: true, min: 1 })}
+                    type="number"
+                    className="input text-sm py-1.5"
+                    placeholder="3600"
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* IP Access */}
+          <div className="border-t border-snowflake-200 pt-4">
+            <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+              IP Access
+            </label>
+            <p className="text-xs text-snowflake-500 mb-2">
+              Restrict callers to IPv4/IPv6 addresses or CIDR ranges, e.g. a partner's egress ranges. Blocked ranges win over allowed ones; leave both empty to accept every address.
+            </p>
+            <div className="grid grid-cols-1 gap-3 lg:grid-cols-2">
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Allowed Ranges
+                </label>
+                <input
+                  {...register('metadata.ipAccess.allow', {
+                    setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                  })}
+                  className="input text-sm py-1.5 font-mono"
+                  placeholder="e.g., 203.0.113.0/24, 2001:db8::/32"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Blocked Ranges
+                </label>
+                <input
+                  {...register('metadata.ipAccess.deny', {
+                    setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                  })}
+                  className="input text-sm py-1.5 font-mono"
+                  placeholder="e.g., 203.0.113.66"
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Signed Requests */}
+          <div className="border-t border-snowflake-200 pt-4">
+            <div className="flex items-start">
+              <div className="flex items-center h-5">
+                <input
+                  id="signingRequired"
+                  type="checkbox"
+                  {...register('metadata.signing.required')}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                />
+              </div>
+              <div className="ml-3 text-sm">
+                <label htmlFor="signingRequired" className="font-medium text-snowflake-700">
+                  Require Signed Requests
+                </label>
+                <p className="text-xs text-snowflake-500">
+                  Only accept requests signed with an API key's signing secret. Calls that send the key itself get <code>403 Forbidden</code>.
+                </p>
+              </div>
+            </div>
+          </div>
+
+          {/* Response Caching */}
+          <div className="border-t border-snowflake-200 pt-4">
+            <div className="flex items-start">
+              <div className="flex items-center h-5">
+                <input
+                  id="cacheEnabled"
+                  type="checkbox"
+                  {...register('metadata.cache.enabled')}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                />
+              </div>
+              <div className="ml-3 text-sm">
+                <label htmlFor="cacheEnabled" className="font-medium text-snowflake-700">
+                  Cache GET Responses
+                </label>
+                <p className="text-xs text-snowflake-500">
+                  Serve repeated GET requests from the proxy cache until the TTL expires. Saving the endpoint purges its cache.
+                </p>
+              </div>
+            </div>
+            {cacheEnabled && (
+              <div className="grid grid-cols-1 gap-3 lg:grid-cols-3 mt-3">
+                <div>
+                  <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                    TTL (seconds)
+                  </label>
+                  <input
+                    {...register('metadata.cache.ttlSeconds', { valueAsNumber: true, min: 1 })}
+                    type="number"
+                    className="input text-sm py-1.5"
+                    placeholder="300"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                    Vary by Query Parameters
+                  </label>
+                  <input
+                    {...register('metadata.cache.varyQuery', {
+                      setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                    })}
+                    className="input text-sm py-1.5"
+                    placeholder="e.g., region, status"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                    Vary by Headers
+                  </label>
+                  <input
+                    {...register('metadata.cache.varyHeaders', {
+                      setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                    })}
+                    className="input text-sm py-1.5"
+                    placeholder="e.g., Accept-Language"
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Materialization */}
+          {type === 'query' && (
+            <div className="border-t border-snowflake-200 pt-4">
+              <div className="flex items-start">
+                <div className="flex items-center h-5">
+                  <input
+                    id="materializationEnabled"
+                    type="checkbox"
+                    {...register('metadata.materialization.enabled')}
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                  />
+                </div>
+                <div className="ml-3 text-sm">
+                  <label htmlFor="materializationEnabled" className="font-medium text-snowflake-700">
+                    Materialize on a Schedule
+                  </label>
+                  <p className="text-xs text-snowflake-500">
+                    Pre-execute this GET endpoint on a cron schedule and answer matching requests from the stored snapshot, with an <code>X-Data-As-Of</code> header. Requests with other parameters run live.
+                  </p>
+                </div>
+              </div>
+              {materializationEnabled && (
+                <div className="grid grid-cols-1 gap-3 lg:grid-cols-3 mt-3">
+                  <div>
+                    <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                      Schedule (cron, UTC) *
+                    </label>
+                    <input
+                      {...register('metadata.materialization.schedule', { required: 'Schedule is required' })}
+                      className="input text-sm py-1.5 font-mono"
+                      placeholder="0 * * * *"
+                    />
+                    {errors.metadata?.materialization?.schedule && (
+                      <p className="mt-0.5 text-xs text-red-600">{errors.metadata.materialization.schedule.message}</p>
+                    )}
+                  </div>
+                  <div className="lg:col-span-2">
+                    <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                      Parameter Sets
+                    </label>
+                    <textarea
+                      {...register('metadata.materialization.parameterSets', { validate: validateParameterSetsText })}
+                      className="textarea text-sm py-1.5 font-mono"
+                      rows={3}
+                      placeholder={'[\n  { "region": "EU" },\n  { "region": "US" }\n]'}
+                    />
+                    {errors.metadata?.materialization?.parameterSets && (
+                      <p className="mt-0.5 text-xs text-red-600">{errors.metadata.materialization.parameterSets.message}</p>
+                    )}
+                    <p className="mt-0.5 text-xs text-snowflake-500">
+                      One snapshot is stored per set. Leave empty to materialize the endpoint without parameters.
+                    </p>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Pagination */}
+          {type === 'table' && (
+            <div className="border-t border-snowflake-200 pt-4">
+              <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                Cursor Pagination
+              </label>
+              <p className="text-xs text-snowflake-500 mb-2">
+                Page through the table by a unique, non-null sort key. Responses include <code>nextCursor</code> and <code>Link</code> headers. Leave the sort key empty to keep limit/offset paging.
+              </p>
+              <div className="grid grid-cols-1 gap-3 lg:grid-cols-4">
+                <div>
+                  <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                    Sort Key Columns
+                  </label>
+                  <input
+                    {...register('metadata.pagination.sortKey', {
+                      setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                    })}
+                    className="input text-sm py-1.5"
+                    placeholder="e.g., CREATED_AT, ID"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                    Direction
+                  </label>
+                  <select {...register('metadata.pagination.direction')} className="select text-sm py-1.5">
+                    <option value="asc">Ascending</option>
+                    <option value="desc">Descending</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                    Default Page Size
+                  </label>
+                  <input
+                    {...register('metadata.pagination.defaultPageSize', { valueAsNumber: true, min: 1 })}
+                    type="number"
+                    className="input text-sm py-1.5"
+                    placeholder="100"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                    Max Page Size
+                  </label>
+                  <input
+                    {...register('metadata.pagination.maxPageSize', { valueAsNumber: true, min: 1 })}
+                    type="number"
+                    className="input text-sm py-1.5"
+                    placeholder="1000"
+                  />
+                </div>
+              </div>
+              <div className="flex items-center mt-2">
+                <input
+                  id="paginationIncludeTotal"
+                  type="checkbox"
+                  {...register('metadata.pagination.includeTotal')}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                />
+                <label htmlFor="paginationIncludeTotal" className="ml-2 text-xs text-snowflake-700">
+                  Always include total row count (clients can also request it with <code>?count=true</code>)
+                </label>
+              </div>
+            </div>
+          )}
+
+          {/* Conditional Requests */}
+          {type === 'table' && (
+            <div className="border-t border-snowflake-200 pt-4">
+              <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                Updated-At Column
+              </label>
+              <input
+                {...register('metadata.conditional.updatedAtColumn', {
+                  pattern: { value: /^[A-Za-z_][A-Za-z0-9_$]*$/, message: 'Use a column name (letters, digits, _ and $)' }
+                })}
+                className="input text-sm py-1.5 max-w-xs"
+                placeholder="e.g., UPDATED_AT"
+              />
+              {errors.metadata?.conditional?.updatedAtColumn && (
+                <p className="mt-0.5 text-xs text-red-600">{errors.metadata.conditional.updatedAtColumn.message}</p>
+              )}
+              <p className="text-xs text-snowflake-500 mt-1">
+                Its latest value is sent as <code>Last-Modified</code>, and requests with a current <code>If-Modified-Since</code> get 304 without reading the table. Every response carries an <code>ETag</code> either way.
+              </p>
+            </div>
+          )}
+
+          {/* Filtering */}
+          {type === 'table' && (
+            <div className="border-t border-snowflake-200 pt-4">
+              <div className="flex items-start">
+                <div className="flex items-center h-5">
+                  <input
+                    id="filteringEnabled"
+                    type="checkbox"
+                    {...register('metadata.filtering.enabled')}
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                  />
+                </div>
+                <div className="ml-3 text-sm">
+                  <label htmlFor="filteringEnabled" className="font-medium text-snowflake-700">
+                    URL Filtering &amp; Sorting
+                  </label>
+                  <p className="text-xs text-snowflake-500">
+                    Let clients use <code>?select=a,b</code>, <code>?status=eq.open</code> and <code>?order=created_at.desc</code>. Leave a list empty to allow every column.
+                  </p>
+                </div>
+              </div>
+              {filteringEnabled && (
+                <div className="grid grid-cols-1 gap-3 lg:grid-cols-2 mt-3">
+                  <div>
+                    <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                      Filterable Columns
+                    </label>
+                    <input
+                      {...register('metadata.filtering.filterable', {
+                        setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                      })}
+                      className="input text-sm py-1.5"
+                      placeholder="All columns"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                      Sortable Columns
+                    </label>
+                    <input
+                      {...register('metadata.filtering.sortable', {
+                        setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                      })}
+                      className="input text-sm py-1.5"
+                      placeholder="All columns"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Write Operations */}
+          {type === 'table' && (
+            <div className="border-t border-snowflake-200 pt-4">
+              <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                Write Operations
+              </label>
+              <p className="text-xs text-snowflake-500 mb-2">
+                POST inserts rows from the JSON body, PUT/PATCH updates a row by primary key and DELETE removes one. Leave a column list empty to allow every column.
+              </p>
+              <div className="grid grid-cols-1 gap-3 lg:grid-cols-4">
+                <div>
+                  <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                    Primary Key
+                  </label>
+                  <input
+                    {...register('metadata.write.primaryKey', {
+                      setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                    })}
+                    className="input text-sm py-1.5"
+                    placeholder="e.g. ID"
+                  />
+                </div>
+                <div>
+                  <div className="flex items-center">
+                    <input
+                      id="writeInsert"
+                      type="checkbox"
+                      {...register('metadata.write.insert.enabled')}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                    />
+                    <label htmlFor="writeInsert" className="ml-2 text-xs font-medium text-snowflake-700">
+                      Insert
+                    </label>
+                  </div>
+                  <input
+                    {...register('metadata.write.insert.columns', {
+                      setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                    })}
+                    className="input text-sm py-1.5 mt-1"
+                    placeholder="All columns"
+                  />
+                </div>
+                <div>
+                  <div className="flex items-center">
+                    <input
+                      id="writeUpdate"
+                      type="checkbox"
+                      {...register('metadata.write.update.enabled')}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                    />
+                    <label htmlFor="writeUpdate" className="ml-2 text-xs font-medium text-snowflake-700">
+                      Update
+                    </label>
+                  </div>
+                  <input
+                    {...register('metadata.write.update.columns', {
+                      setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                    })}
+                    className="input text-sm py-1.5 mt-1"
+                    placeholder="All columns"
+                  />
+                </div>
+                <div>
+                  <div className="flex items-center">
+                    <input
+                      id="writeDelete"
+                      type="checkbox"
+                      {...register('metadata.write.delete.enabled')}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                    />
+                    <label htmlFor="writeDelete" className="ml-2 text-xs font-medium text-snowflake-700">
+                      Delete
+                    </label>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Response Shape */}
+          <div className="border-t border-snowflake-200 pt-4">
+            <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+              Response Shape
+            </label>
+            <p className="text-xs text-snowflake-500 mb-2">
+              Rename, drop and nest result columns without changing the SQL. Column names match case-insensitively; renames to dotted paths such as address.city create nested objects.
+            </p>
+            <div className="grid grid-cols-1 gap-3 lg:grid-cols-4">
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Casing
+                </label>
+                <select {...register('metadata.shape.casing')} className="select text-sm py-1.5">
+                  <option value="preserve">As returned</option>
+                  <option value="camel">camelCase</option>
+                  <option value="snake">snake_case</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Drop Columns
+                </label>
+                <input
+                  {...register('metadata.shape.drop', {
+                    setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                  })}
+                  className="input text-sm py-1.5"
+                  placeholder="e.g. INTERNAL_FLAG"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Parse JSON Columns
+                </label>
+                <input
+                  {...register('metadata.shape.parseJson', {
+                    setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                  })}
+                  className="input text-sm py-1.5"
+                  placeholder="e.g. ATTRIBUTES"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Nest Prefixes
+                </label>
+                <input
+                  {...register('metadata.shape.nest', {
+                    setValueAs: (value) => (Array.isArray(value) ? value : (value || '').split(',').map(v => v.trim()).filter(Boolean))
+                  })}
+                  className="input text-sm py-1.5"
+                  placeholder="e.g. ADDRESS"
+                />
+              </div>
+            </div>
+            <div className="mt-3">
+              <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                Rename Columns
+              </label>
+              <textarea
+                {...register('metadata.shape.rename', { validate: validateRenameText })}
+                className="textarea text-sm py-1.5 font-mono"
+                rows={3}
+                placeholder={'CUSTOMER_ID=id\nADDRESS_ZIP=address.postalCode'}
+              />
+              {errors.metadata?.shape?.rename && (
+                <p className="mt-0.5 text-xs text-red-600">{errors.metadata.shape.rename.message}</p>
+              )}
+            </div>
+          </div>
+
+          {/* JSON Schema Validation */}
+          <div className="border-t border-snowflake-200 pt-4">
+            <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+              JSON Schema Validation
+            </label>
+            <p className="text-xs text-snowflake-500 mb-2">
+              Request bodies that do not match the request schema are rejected with 400 before the endpoint runs. Each returned row is checked against the response schema. Leave a schema empty to skip it.
+            </p>
+            <div className="grid grid-cols-1 gap-3 lg:grid-cols-2">
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Request Body Schema
+                </label>
+                <textarea
+                  {...register('metadata.validation.requestSchema', { validate: validateSchemaText })}
+                  className="textarea text-sm py-1.5 font-mono"
+                  rows={6}
+                  placeholder={'{\n  "type": "object",\n  "required": ["id"]\n}'}
+                />
+                {errors.metadata?.validation?.requestSchema && (
+                  <p className="mt-0.5 text-xs text-red-600">{errors.metadata.validation.requestSchema.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Response Row Schema
+                </label>
+                <textarea
+                  {...register('metadata.validation.responseSchema', { validate: validateSchemaText })}
+                  className="textarea text-sm py-1.5 font-mono"
+                  rows={6}
+                  placeholder={'{\n  "type": "object",\n  "properties": { "ID": { "type": "number" } }\n}'}
+                />
+                {errors.metadata?.validation?.responseSchema && (
+                  <p className="mt-0.5 text-xs text-red-600">{errors.metadata.validation.responseSchema.message}</p>
+                )}
+              </div>
+            </div>
+            <div className="flex items-center mt-2">
+              <input
+                id="failOnResponseViolation"
+                type="checkbox"
+                {...register('metadata.validation.failOnResponseViolation')}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+              />
+              <label htmlFor="failOnResponseViolation" className="ml-2 text-xs font-medium text-snowflake-700">
+                Fail requests whose rows do not match the response schema (502) instead of only logging them
+              </label>
+            </div>
+          </div>
+
+          {/* Streaming */}
+          {(type === 'query' || type === 'table') && (
+            <div className="border-t border-snowflake-200 pt-4">
+              <div className="flex items-start">
+                <div className="flex items-center h-5">
+                  <input
+                    id="streamingEnabled"
+                    type="checkbox"
+                    {...register('metadata.streaming.enabled')}
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-snowflake-300 rounded"
+                  />
+                </div>
+                <div className="ml-3 text-sm">
+                  <label htmlFor="streamingEnabled" className="font-medium text-snowflake-700">
+                    Stream Results
+                  </label>
+                  <p className="text-xs text-snowflake-500">
+                    Send rows to the client as they arrive instead of buffering the full result. Use for large extracts; streamed responses are not cached.
+                  </p>
+                </div>
+              </div>
+              {streamingEnabled && (
+                <div className="grid grid-cols-1 gap-3 lg:grid-cols-3 mt-3">
+                  <div>
+                    <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                      Max Rows
+                    </label>
+                    <input
+                      {...register('metadata.streaming.maxRows', { valueAsNumber: true, min: 1 })}
+                      type="number"
+                      className="input text-sm py-1.5"
+                      placeholder="Unlimited"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* CSV Output */}
+          <div className="border-t border-snowflake-200 pt-4">
+            <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+              CSV Output Defaults
+            </label>
+            <p className="text-xs text-snowflake-500 mb-2">
+              Used when clients request <code>?format=csv</code> or <code>Accept: text/csv</code>. Clients can override them with <code>?delimiter=</code> and <code>?header=</code>.
+            </p>
+            <div className="grid grid-cols-1 gap-3 lg:grid-cols-3">
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Delimiter
+                </label>
+                <select {...register('metadata.csv.delimiter')} className="select text-sm py-1.5">
+                  <option value=",">Comma (,)</option>
+                  <option value=";">Semicolon (;)</option>
+                  <option value="|">Pipe (|)</option>
+                  <option value="tab">Tab</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-snowflake-700 mb-0.5">
+                  Header Row
+                </label>
+                <select
+                  {...register('metadata.csv.header', { setValueAs: (value) => value === true || value === 'true' })}
+                  className="select text-sm py-1.5"
+                >
+                  <option value="true">Include column names</option>
+                  <option value="false">No header row</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
           {/* Generate API Key Option */}
           <div className="flex items-start">
             <div className="flex items-center h-5">
@@ -41,6 +41,13 @@ const Dashboard = () => {
   );
   const tags = tagsResponse?.data || [];
 
+  const { data: expiringResponse } = useQuery(
+    'expiringApiKeys',
+    () => apiService.getExpiringAPIKeys(),
+    { refetchInterval: 60000 }
+  );
+  const expiringKeys = expiringResponse?.data || [];
+
   if (statsLoading || healthLoading || endpointsLoading || tagsLoading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -87,6 +94,38 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* API Key Expiry Warnings */}
+      {expiringKeys.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
+          <div className="flex items-start">
+            <AlertCircle className="h-6 w-6 text-yellow-500 flex-shrink-0" />
+            <div className="ml-3 flex-1">
+              <h3 className="text-lg font-medium text-snowflake-900">
+                {expiringKeys.length} API key{expiringKeys.length === 1 ? '' : 's'} expiring soon
+              </h3>
+              <p className="text-sm text-snowflake-600">
+                Rotate these keys before they expire so their consumers keep access.
+              </p>
+              <ul className="mt-3 space-y-1">
+                {expiringKeys.slice(0, 5).map(apiKey => (
+                  <li key={apiKey.id} className="text-sm text-snowflake-700">
+                    <span className="font-medium">{apiKey.name || 'Unnamed key'}</span>
+                    {' '}({apiKey.metadata?.endpointName || 'Unknown Endpoint'})
+                    {' - '}
+                    {new Date(apiKey.expiresAt) <= new Date()
+                      ? 'expired'
+                      : `expires ${new Date(apiKey.expiresAt).toLocaleDateString()}`}
+                  </li>
+                ))}
+              </ul>
+              <a href="/api-keys" className="mt-3 inline-block text-sm font-medium text-primary-600 hover:text-primary-900">
+                Manage API Keys
+              </a>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Stats Grid */}
       <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-5">
         <StatsCard
@@ -1,12 +1,20 @@
 import React, { useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useQuery, useQueryClient } from 'react-query';
-import { Server, Edit, Trash2, Play, Copy, ExternalLink } from 'lucide-react';
+import { Server, Edit, Trash2, Play, Copy, ExternalLink, RefreshCw } from 'lucide-react';
 import { apiService } from '../services/api';
 import TestEndpointModal from '../components/TestEndpointModal';
 import ConfirmationModal from '../components/ConfirmationModal';
 import toast from 'react-hot-toast';
 
+const refreshBadges = {
+  succeeded: 'badge-success',
+  running: 'badge-warning',
+  failed: 'badge-error'
+};
+
+const formatTime = value => (value ? new Date(value).toLocaleString() : '-');
+
 const EndpointDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -14,11 +22,19 @@ const EndpointDetail = () => {
   const [testModalOpen, setTestModalOpen] = useState(false);
   const [deleteConfirmModal, setDeleteConfirmModal] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
   const { data: endpoint, isLoading, error } = useQuery(
     ['endpoint', id],
     () => apiService.getEndpoint(id),
     { enabled: !!id }
   );
+  const materializationEnabled = !!endpoint?.data?.metadata?.materialization?.enabled;
+  const { data: materializationResponse } = useQuery(
+    ['materialization', id],
+    () => apiService.getMaterializationStatus(id),
+    { enabled: materializationEnabled, refetchInterval: 15000 }
+  );
+  const materialization = materializationResponse?.data;
 
   if (isLoading) {
     return (
@@ -66,6 +82,23 @@ const EndpointDetail = () => {
 
   const displayUrl = getCorrectEndpointUrl(endpointData.url);
 
+  const handleRefreshMaterialization = async () => {
+    setIsRefreshing(true);
+    try {
+      const response = await apiService.refreshMaterialization(id);
+      if (response.success) {
+        toast.success('Refresh started');
+        queryClient.invalidateQueries(['materialization', id]);
+      } else {
+        toast.error(response.error || 'Failed to start refresh');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'An error occurred while starting the refresh');
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
   const handleDeleteClick = () => {
     setDeleteConfirmModal(true);
   };
@@ -158,6 +191,65 @@ const EndpointDetail = () => {
         </div>
       </div>
 
+      {/* Materialization */}
+      {materializationEnabled && (
+        <div className="bg-white rounded-lg border border-snowflake-200 p-6">
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h3 className="text-lg font-medium text-snowflake-900">Materialization</h3>
+              <p className="text-sm text-snowflake-600">
+                Matching GET requests are answered from snapshots refreshed on the schedule <code>{materialization?.schedule || endpointData.metadata.materialization.schedule}</code> (UTC)
+              </p>
+            </div>
+            <button
+              onClick={handleRefreshMaterialization}
+              disabled={isRefreshing || materialization?.status === 'running'}
+              className="btn btn-secondary btn-sm"
+            >
+              <RefreshCw className={`h-4 w-4 mr-2 ${materialization?.status === 'running' ? 'animate-spin' : ''}`} />
+              Refresh Now
+            </button>
+          </div>
+          <dl className="grid grid-cols-1 gap-3 sm:grid-cols-4">
+            <div>
+              <dt className="text-sm font-medium text-snowflake-500">Last Refresh</dt>
+              <dd className="text-sm text-snowflake-900">
+                <span className={`badge ${refreshBadges[materialization?.status] || 'badge-info'}`}>
+                  {materialization?.status || 'idle'}
+                </span>
+                <span className="ml-2">{formatTime(materialization?.lastRunAt)}</span>
+              </dd>
+            </div>
+            <div>
+              <dt className="text-sm font-medium text-snowflake-500">Data As Of</dt>
+              <dd className="text-sm text-snowflake-900">{formatTime(materialization?.asOf)}</dd>
+            </div>
+            <div>
+              <dt className="text-sm font-medium text-snowflake-500">Next Run</dt>
+              <dd className="text-sm text-snowflake-900">{formatTime(materialization?.nextRunAt)}</dd>
+            </div>
+            <div>
+              <dt className="text-sm font-medium text-snowflake-500">Snapshots</dt>
+              <dd className="text-sm text-snowflake-900">
+                {materialization ? materialization.snapshots.length : '-'}
+                {materialization?.durationMs != null && (
+                  <span className="text-snowflake-500"> ({(materialization.durationMs / 1000).toFixed(1)}s last run)</span>
+                )}
+              </dd>
+            </div>
+          </dl>
+          {materialization?.error && (
+            <p className="mt-3 text-sm text-red-600">
+              Last refresh failed: {materialization.error}
+              {materialization.snapshots.length > 0 && ' — the previous snapshots are still being served.'}
+            </p>
+          )}
+          {endpointData.status !== 'active' && (
+            <p className="mt-3 text-xs text-snowflake-500">Snapshots are only taken while the endpoint is active.</p>
+          )}
+        </div>
+      )}
+
       {/* Details */}
       <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
         <div className="bg-white rounded-lg border border-snowflake-200 p-6">
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useQuery, useQueryClient } from 'react-query';
-import { Plus, Server, Play, Power, PowerOff, Loader, Copy, Eye, Edit, Key, AlertCircle, Trash2 } from 'lucide-react';
+import { Plus, Server, Play, Power, PowerOff, Loader, Copy, Eye, Edit, Key, AlertCircle, Trash2, Download } from 'lucide-react';
 import { apiService } from '../services/api';
 import TestEndpointModal from '../components/TestEndpointModal';
 import APIKeyModal from '../components/APIKeyModal';
@@ -58,6 +58,24 @@ const Endpoints = () => {
     }
   };
 
+  const handleDownloadOpenApi = async () => {
+    try {
+      const spec = await apiService.getOpenApiSpec();
+      const blob = new Blob([JSON.stringify(spec, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'openapi.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      toast.success('OpenAPI document downloaded');
+    } catch (error) {
+      toast.error('Failed to download OpenAPI document');
+    }
+  };
+
   const handleGenerateAPIKey = async (endpointId) => {
     try {
       // Find the endpoint name for the modal
@@ -137,13 +155,23 @@ const Endpoints = () => {
             Manage your Snowflake API endpoints
           </p>
         </div>
-        <a
-          href="/endpoints/new"
-          className="btn btn-primary btn-md"
-        >
-          <Plus className="h-4 w-4 mr-2" />
-          Create Endpoint
-        </a>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleDownloadOpenApi}
+            className="btn btn-secondary btn-md"
+            title="Download an OpenAPI 3 document for all active endpoints"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            OpenAPI
+          </button>
+          <a
+            href="/endpoints/new"
+            className="btn btn-primary btn-md"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Create Endpoint
+          </a>
+        </div>
       </div>
 
       {/* Endpoints List */}
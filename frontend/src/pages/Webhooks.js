@@ -0,0 +1,474 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Plus, Trash2, X, Webhook, Send, RefreshCw, RotateCcw, Copy } from 'lucide-react';
+import { apiService } from '../services/api';
+import ConfirmationModal from '../components/ConfirmationModal';
+import toast from 'react-hot-toast';
+
+const emptyWebhook = { name: '', url: '', events: [] };
+
+const deliveryBadges = {
+  succeeded: 'badge-success',
+  pending: 'badge-warning',
+  failed: 'badge-error'
+};
+
+const Webhooks = () => {
+  const queryClient = useQueryClient();
+  const [isCreating, setIsCreating] = useState(false);
+  const [newWebhook, setNewWebhook] = useState(emptyWebhook);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [deliveryFilter, setDeliveryFilter] = useState('');
+  const [deleteConfirmModal, setDeleteConfirmModal] = useState({ isOpen: false, webhook: null });
+
+  const { data: webhooksResponse, isLoading } = useQuery('webhooks', apiService.getWebhooks);
+  const webhooks = webhooksResponse?.data || [];
+  const eventTypes = webhooksResponse?.eventTypes || [];
+
+  const { data: deliveriesResponse, refetch: refetchDeliveries } = useQuery(
+    ['webhookDeliveries', deliveryFilter],
+    () => apiService.getWebhookDeliveries(deliveryFilter || null),
+    { refetchInterval: 15000 }
+  );
+  const deliveries = deliveriesResponse?.data || [];
+  const webhookNames = Object.fromEntries(webhooks.map(webhook => [webhook.id, webhook.name]));
+
+  const onDeliveryChange = () => {
+    queryClient.invalidateQueries('webhookDeliveries');
+  };
+
+  const createMutation = useMutation(apiService.createWebhook, {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries('webhooks');
+      setIsCreating(false);
+      setNewWebhook(emptyWebhook);
+      setRevealedSecret({ name: response.data.name, secret: response.data.secret });
+      toast.success('Webhook created successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to create webhook');
+    }
+  });
+
+  const updateMutation = useMutation(
+    ({ id, data }) => apiService.updateWebhook(id, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('webhooks');
+        toast.success('Webhook updated successfully');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to update webhook');
+      }
+    }
+  );
+
+  const rotateMutation = useMutation(apiService.rotateWebhookSecret, {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries('webhooks');
+      setRevealedSecret({ name: response.data.name, secret: response.data.secret });
+      toast.success('Signing secret rotated');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to rotate signing secret');
+    }
+  });
+
+  const testMutation = useMutation(apiService.testWebhook, {
+    onSuccess: (response) => {
+      onDeliveryChange();
+      if (response.data.status === 'succeeded') {
+        toast.success(`Test event delivered (HTTP ${response.data.responseStatus})`);
+      } else {
+        toast.error(`Test event failed: ${response.data.errorMessage}`);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to send test event');
+    }
+  });
+
+  const replayMutation = useMutation(apiService.replayWebhookDelivery, {
+    onSuccess: (response) => {
+      onDeliveryChange();
+      if (response.data.status === 'succeeded') {
+        toast.success('Delivery replayed successfully');
+      } else {
+        toast.error(`Replay failed: ${response.data.errorMessage}`);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || error.response?.data?.error || 'Failed to replay delivery');
+    }
+  });
+
+  const deleteMutation = useMutation(apiService.deleteWebhook, {
+    onSuccess: () => {
+      queryClient.invalidateQueries('webhooks');
+      onDeliveryChange();
+      toast.success('Webhook deleted successfully');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to delete webhook');
+    }
+  });
+
+  const toggleEvent = (eventType) => {
+    const events = newWebhook.events.includes(eventType)
+      ? newWebhook.events.filter(event => event !== eventType)
+      : [...newWebhook.events, eventType];
+    setNewWebhook({ ...newWebhook, events });
+  };
+
+  const handleCreate = () => {
+    if (!newWebhook.name.trim() || !newWebhook.url.trim()) {
+      toast.error('Name and URL are required');
+      return;
+    }
+    if (newWebhook.events.length === 0) {
+      toast.error('Select at least one event');
+      return;
+    }
+    createMutation.mutate(newWebhook);
+  };
+
+  const handleToggleActive = (webhook) => {
+    updateMutation.mutate({
+      id: webhook.id,
+      data: { name: webhook.name, url: webhook.url, events: webhook.events, isActive: !webhook.isActive }
+    });
+  };
+
+  const handleDeleteConfirm = () => {
+    if (deleteConfirmModal.webhook) {
+      deleteMutation.mutate(deleteConfirmModal.webhook.id);
+      setDeleteConfirmModal({ isOpen: false, webhook: null });
+    }
+  };
+
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text);
+    toast.success('Secret copied to clipboard!');
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-snowflake-900">Webhooks</h1>
+          <p className="mt-1 text-sm text-snowflake-600">
+            Notify external systems when endpoints and API keys change
+          </p>
+        </div>
+        {!isCreating && (
+          <button
+            onClick={() => setIsCreating(true)}
+            className="btn btn-primary btn-md"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Webhook
+          </button>
+        )}
+      </div>
+
+      {/* Signing Secret */}
+      {revealedSecret && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <div className="flex items-start justify-between">
+            <div>
+              <h3 className="text-sm font-medium text-yellow-800">
+                Signing secret for "{revealedSecret.name}"
+              </h3>
+              <p className="mt-1 text-xs text-yellow-700">
+                Copy it now; it will not be shown again. Receivers verify X-Webhook-Signature with it.
+              </p>
+              <div className="mt-2 flex items-center space-x-2">
+                <code className="text-sm bg-white px-2 py-1 rounded border border-yellow-200 break-all">{revealedSecret.secret}</code>
+                <button
+                  onClick={() => copyToClipboard(revealedSecret.secret)}
+                  className="p-2 text-snowflake-600 hover:text-snowflake-900 hover:bg-snowflake-100 rounded-md transition-colors"
+                  title="Copy secret"
+                >
+                  <Copy className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+            <button
+              onClick={() => setRevealedSecret(null)}
+              className="text-yellow-700 hover:text-yellow-900"
+              title="Dismiss"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Create Form */}
+      {isCreating && (
+        <div className="bg-white rounded-lg border border-snowflake-200 p-4">
+          <h2 className="text-lg font-semibold text-snowflake-900 mb-4">Add Webhook</h2>
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                  Name *
+                </label>
+                <input
+                  type="text"
+                  value={newWebhook.name}
+                  onChange={(e) => setNewWebhook({ ...newWebhook, name: e.target.value })}
+                  className="input"
+                  placeholder="Change management"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                  URL *
+                </label>
+                <input
+                  type="url"
+                  value={newWebhook.url}
+                  onChange={(e) => setNewWebhook({ ...newWebhook, url: e.target.value })}
+                  className="input"
+                  placeholder="https://example.com/hooks/api-proxy"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-snowflake-700 mb-1">
+                Events *
+              </label>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                {eventTypes.map((eventType) => (
+                  <label key={eventType} className="flex items-center space-x-2 text-sm text-snowflake-700">
+                    <input
+                      type="checkbox"
+                      checked={newWebhook.events.includes(eventType)}
+                      onChange={() => toggleEvent(eventType)}
+                      className="h-4 w-4 text-primary-600 border-snowflake-300 rounded"
+                    />
+                    <span className="font-mono">{eventType}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => {
+                  setIsCreating(false);
+                  setNewWebhook(emptyWebhook);
+                }}
+                className="btn btn-secondary btn-md"
+              >
+                <X className="h-4 w-4 mr-2" />
+                Cancel
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={createMutation.isLoading}
+                className="btn btn-primary btn-md"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Webhook
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Webhooks Table */}
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        {webhooks.length === 0 ? (
+          <div className="p-12 text-center text-snowflake-500">
+            <Webhook className="h-12 w-12 mx-auto mb-3 text-snowflake-300" />
+            <p>No webhooks yet. Add one to start receiving events.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Events</th>
+                  <th>Status</th>
+                  <th>Secret</th>
+                  <th className="text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {webhooks.map((webhook) => (
+                  <tr key={webhook.id}>
+                    <td>
+                      <div className="font-medium text-snowflake-900">{webhook.name}</div>
+                      <div className="text-xs text-snowflake-500 truncate max-w-xs" title={webhook.url}>{webhook.url}</div>
+                    </td>
+                    <td>
+                      <div className="flex flex-wrap gap-1">
+                        {webhook.events.map((eventType) => (
+                          <span key={eventType} className="badge badge-info font-mono">{eventType}</span>
+                        ))}
+                      </div>
+                    </td>
+                    <td>
+                      <button
+                        onClick={() => handleToggleActive(webhook)}
+                        disabled={updateMutation.isLoading}
+                        className={`badge ${webhook.isActive ? 'badge-success' : 'badge-error'} cursor-pointer`}
+                        title={webhook.isActive ? 'Click to disable' : 'Click to enable'}
+                      >
+                        {webhook.isActive ? 'Active' : 'Disabled'}
+                      </button>
+                    </td>
+                    <td className="text-sm text-snowflake-600 font-mono">{webhook.secretPreview}</td>
+                    <td>
+                      <div className="flex items-center justify-end space-x-1">
+                        <button
+                          onClick={() => testMutation.mutate(webhook.id)}
+                          disabled={testMutation.isLoading}
+                          className="p-2 rounded bg-snowflake-100 text-snowflake-600 hover:bg-snowflake-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                          title="Send test event"
+                        >
+                          <Send className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => rotateMutation.mutate(webhook.id)}
+                          disabled={rotateMutation.isLoading}
+                          className="p-2 rounded bg-snowflake-100 text-snowflake-600 hover:bg-snowflake-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                          title="Rotate signing secret"
+                        >
+                          <RefreshCw className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setDeleteConfirmModal({ isOpen: true, webhook })}
+                          disabled={deleteMutation.isLoading}
+                          className="p-2 rounded bg-red-100 text-red-600 hover:bg-red-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                          title="Delete webhook"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Delivery Log */}
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-snowflake-900">Delivery Log</h2>
+          <div className="flex items-center space-x-2">
+            <select
+              value={deliveryFilter}
+              onChange={(e) => setDeliveryFilter(e.target.value)}
+              className="input"
+            >
+              <option value="">All webhooks</option>
+              {webhooks.map((webhook) => (
+                <option key={webhook.id} value={webhook.id}>{webhook.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => refetchDeliveries()}
+              className="btn btn-secondary btn-md"
+            >
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-md">
+          {deliveries.length === 0 ? (
+            <div className="p-8 text-center text-sm text-snowflake-500">No deliveries yet.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>Webhook</th>
+                    <th>Event</th>
+                    <th>Status</th>
+                    <th>Attempts</th>
+                    <th>Response</th>
+                    <th className="text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveries.map((delivery) => (
+                    <tr key={delivery.id}>
+                      <td className="text-sm text-snowflake-600">
+                        {delivery.createdAt ? new Date(delivery.createdAt).toLocaleString() : '-'}
+                        {delivery.replayOf && <div className="text-xs text-snowflake-400">Replay</div>}
+                      </td>
+                      <td className="text-sm text-snowflake-900">{webhookNames[delivery.webhookId] || delivery.webhookId}</td>
+                      <td className="text-sm font-mono text-snowflake-700">{delivery.eventType}</td>
+                      <td>
+                        <span className={`badge ${deliveryBadges[delivery.status] || 'badge-info'}`}>
+                          {delivery.status}
+                        </span>
+                        {delivery.status === 'pending' && delivery.nextAttemptAt && (
+                          <div className="text-xs text-snowflake-400">
+                            Retry at {new Date(delivery.nextAttemptAt).toLocaleTimeString()}
+                          </div>
+                        )}
+                      </td>
+                      <td className="text-sm text-snowflake-600">{delivery.attempts}</td>
+                      <td className="text-sm text-snowflake-600 max-w-xs">
+                        <div className="truncate" title={delivery.errorMessage || ''}>
+                          {delivery.errorMessage || (delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '-')}
+                        </div>
+                      </td>
+                      <td>
+                        <div className="flex items-center justify-end">
+                          <button
+                            onClick={() => replayMutation.mutate(delivery.id)}
+                            disabled={replayMutation.isLoading}
+                            className="p-2 rounded bg-snowflake-100 text-snowflake-600 hover:bg-snowflake-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                            title="Replay delivery"
+                          >
+                            <RotateCcw className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Delete Confirmation Modal */}
+      <ConfirmationModal
+        isOpen={deleteConfirmModal.isOpen}
+        onClose={() => setDeleteConfirmModal({ isOpen: false, webhook: null })}
+        onConfirm={handleDeleteConfirm}
+        title="Delete Webhook"
+        message={deleteConfirmModal.webhook ? `Are you sure you want to delete the webhook "${deleteConfirmModal.webhook.name}"? Its delivery log will be deleted too.` : ''}
+        confirmText="Delete"
+        cancelText="Cancel"
+        variant="danger"
+      />
+    </div>
+  );
+};
+
+export default Webhooks;
@@ -122,9 +122,42 @@ export const apiService = {
     return response.data;
   },
 
+  purgeEndpointCache: async (id) => {
+    const response = await api.delete(`/api/endpoints/${id}/cache`);
+    return response.data;
+  },
+
+  getMaterializationStatus: async (id) => {
+    const response = await api.get(`/api/endpoints/${id}/materialization`);
+    return response.data;
+  },
+
+  refreshMaterialization: async (id) => {
+    const response = await api.post(`/api/endpoints/${id}/materialization/refresh`);
+    return response.data;
+  },
+
+  getOpenApiSpec: async () => {
+    const response = await api.get('/api/openapi.json');
+    return response.data;
+  },
+
   // Token management
-  generateAPIKey: async (endpointId) => {
-    const response = await api.post(`/api/endpoints/${endpointId}/api_key`);
+  // options: { name, owner, description, expiresAt, rateLimit, revokeExisting }
+  generateAPIKey: async (endpointId, options = {}) => {
+    const response = await api.post(`/api/endpoints/${endpointId}/api_key`, options);
+    return response.data;
+  },
+
+  getEndpointAPIKeys: async (endpointId, includeRevoked = false) => {
+    const response = await api.get(`/api/endpoints/${endpointId}/api_keys`, {
+      params: includeRevoked ? { includeRevoked: true } : {}
+    });
+    return response.data;
+  },
+
+  updateAPIKey: async (tokenId, labels) => {
+    const response = await api.patch(`/api/api_keys/${tokenId}`, labels);
     return response.data;
   },
 
@@ -148,6 +181,27 @@ export const apiService = {
     return response.data;
   },
 
+  rotateAPIKey: async (tokenId, gracePeriodHours) => {
+    const response = await api.post(`/api/api_keys/${tokenId}/rotate`, gracePeriodHours !== undefined ? { gracePeriodHours } : {});
+    return response.data;
+  },
+
+  // Returns the key with its new signingSecret; the previous secret stops working
+  issueSigningSecret: async (tokenId) => {
+    const response = await api.post(`/api/api_keys/${tokenId}/signing_secret`);
+    return response.data;
+  },
+
+  getExpiringAPIKeys: async (days = 14) => {
+    const response = await api.get('/api/api_keys/expiring', { params: { days } });
+    return response.data;
+  },
+
+  setAPIKeyRateLimit: async (tokenId, rateLimit) => {
+    const response = await api.patch(`/api/api_keys/${tokenId}/rate_limit`, { rateLimit });
+    return response.data;
+  },
+
   // Legacy method names for backward compatibility
   generateToken: async (endpointId) => {
     return apiService.generateAPIKey(endpointId);
@@ -303,11 +357,66 @@ export const apiService = {
     return response.data;
   },
 
+  // scope: { endpointIds, tagIds, methods }
+  setAPIKeyScope: async (tokenId, scope) => {
+    const response = await api.put(`/api/api_keys/${tokenId}/scope`, scope);
+    return response.data;
+  },
+
+  // ipAccess: { allow, deny } lists of addresses and CIDR ranges
+  setAPIKeyIpAccess: async (tokenId, ipAccess) => {
+    const response = await api.put(`/api/api_keys/${tokenId}/ip_access`, ipAccess);
+    return response.data;
+  },
+
   setTokenTags: async (tokenId, tagIds) => {
     const response = await api.put(`/api/api_keys/${tokenId}/tags`, { tagIds });
     return response.data;
   },
 
+  // Webhooks
+  getWebhooks: async () => {
+    const response = await api.get('/api/webhooks');
+    return response.data;
+  },
+
+  createWebhook: async (webhookData) => {
+    const response = await api.post('/api/webhooks', webhookData);
+    return response.data;
+  },
+
+  updateWebhook: async (id, webhookData) => {
+    const response = await api.put(`/api/webhooks/${id}`, webhookData);
+    return response.data;
+  },
+
+  deleteWebhook: async (id) => {
+    const response = await api.delete(`/api/webhooks/${id}`);
+    return response.data;
+  },
+
+  rotateWebhookSecret: async (id) => {
+    const response = await api.post(`/api/webhooks/${id}/secret`);
+    return response.data;
+  },
+
+  testWebhook: async (id) => {
+    const response = await api.post(`/api/webhooks/${id}/test`);
+    return response.data;
+  },
+
+  getWebhookDeliveries: async (webhookId = null, limit = 50) => {
+    const response = await api.get('/api/webhooks/deliveries', {
+      params: { ...(webhookId ? { webhookId } : {}), limit }
+    });
+    return response.data;
+  },
+
+  replayWebhookDelivery: async (deliveryId) => {
+    const response = await api.post(`/api/webhooks/deliveries/${deliveryId}/replay`);
+    return response.data;
+  },
+
   changePassword: async (currentPassword, newPassword) => {
     const response = await api.post('/auth/change-password', {
       currentPassword,
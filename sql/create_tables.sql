@@ -79,7 +79,7 @@ CREATE HYBRID TABLE IF NOT EXISTS API_KEYS (
     USAGE_COUNT INTEGER DEFAULT 0,
     IS_ACTIVE BOOLEAN DEFAULT TRUE,
     CREATED_BY VARCHAR(255),
-    METADATA VARIANT -- Additional JSON metadata
+    METADATA VARIANT -- Additional JSON metadata (name, owner, description, rateLimit, expiresAt, rotatedFrom, rotatedTo, scope)
 );
 
 -- =====================================================
@@ -177,6 +177,13 @@ WHEN NOT MATCHED THEN
     INSERT (SETTING_KEY, SETTING_VALUE, DESCRIPTION, UPDATED_BY)
     VALUES (source.SETTING_KEY, source.SETTING_VALUE, source.DESCRIPTION, source.UPDATED_BY);
 
+MERGE INTO SYSTEM_SETTINGS AS target
+USING (SELECT 'statement_timeout_default' AS SETTING_KEY, 300::VARIANT AS SETTING_VALUE, 'Default statement timeout for proxy queries in seconds' AS DESCRIPTION, 'system' AS UPDATED_BY) AS source
+ON target.SETTING_KEY = source.SETTING_KEY
+WHEN NOT MATCHED THEN
+    INSERT (SETTING_KEY, SETTING_VALUE, DESCRIPTION, UPDATED_BY)
+    VALUES (source.SETTING_KEY, source.SETTING_VALUE, source.DESCRIPTION, source.UPDATED_BY);
+
 MERGE INTO SYSTEM_SETTINGS AS target
 USING (SELECT 'session_timeout' AS SETTING_KEY, 3600::VARIANT AS SETTING_VALUE, 'Session timeout in seconds (default: 1 hour)' AS DESCRIPTION, 'system' AS UPDATED_BY) AS source
 ON target.SETTING_KEY = source.SETTING_KEY
@@ -191,6 +198,57 @@ WHEN NOT MATCHED THEN
     INSERT (SETTING_KEY, SETTING_VALUE, DESCRIPTION, UPDATED_BY)
     VALUES (source.SETTING_KEY, source.SETTING_VALUE, source.DESCRIPTION, source.UPDATED_BY);
 
+MERGE INTO SYSTEM_SETTINGS AS target
+USING (SELECT 'api_key_expiry_days' AS SETTING_KEY, 0::VARIANT AS SETTING_VALUE, 'Lifetime of new API keys in days (0 = never expire)' AS DESCRIPTION, 'system' AS UPDATED_BY) AS source
+ON target.SETTING_KEY = source.SETTING_KEY
+WHEN NOT MATCHED THEN
+    INSERT (SETTING_KEY, SETTING_VALUE, DESCRIPTION, UPDATED_BY)
+    VALUES (source.SETTING_KEY, source.SETTING_VALUE, source.DESCRIPTION, source.UPDATED_BY);
+
+MERGE INTO SYSTEM_SETTINGS AS target
+USING (SELECT 'api_key_rotation_grace_hours' AS SETTING_KEY, 24::VARIANT AS SETTING_VALUE, 'Hours a rotated API key keeps working alongside its successor' AS DESCRIPTION, 'system' AS UPDATED_BY) AS source
+ON target.SETTING_KEY = source.SETTING_KEY
+WHEN NOT MATCHED THEN
+    INSERT (SETTING_KEY, SETTING_VALUE, DESCRIPTION, UPDATED_BY)
+    VALUES (source.SETTING_KEY, source.SETTING_VALUE, source.DESCRIPTION, source.UPDATED_BY);
+
+-- =====================================================
+-- 8. WEBHOOKS TABLE - Outbound webhook subscriptions
+-- =====================================================
+
+CREATE HYBRID TABLE IF NOT EXISTS WEBHOOKS (
+    WEBHOOK_ID VARCHAR(36) DEFAULT UUID_STRING() PRIMARY KEY,
+    NAME VARCHAR(255) NOT NULL,
+    URL VARCHAR(2000) NOT NULL,
+    SECRET VARCHAR(128) NOT NULL, -- Signing secret (needed in clear to compute HMAC signatures)
+    EVENTS VARIANT, -- JSON array of subscribed event types
+    IS_ACTIVE BOOLEAN DEFAULT TRUE,
+    CREATED_AT TIMESTAMP_LTZ DEFAULT CURRENT_TIMESTAMP(),
+    UPDATED_AT TIMESTAMP_LTZ DEFAULT CURRENT_TIMESTAMP(),
+    CREATED_BY VARCHAR(255)
+);
+
+-- =====================================================
+-- 9. WEBHOOK_DELIVERIES TABLE - Delivery log for webhook events
+-- =====================================================
+
+CREATE HYBRID TABLE IF NOT EXISTS WEBHOOK_DELIVERIES (
+    DELIVERY_ID VARCHAR(36) DEFAULT UUID_STRING() PRIMARY KEY,
+    WEBHOOK_ID VARCHAR(36) NOT NULL,
+    EVENT_ID VARCHAR(36) NOT NULL, -- Shared by replays of the same event
+    EVENT_TYPE VARCHAR(100) NOT NULL,
+    PAYLOAD VARIANT, -- Event body as delivered
+    STATUS VARCHAR(20) DEFAULT 'pending', -- pending, succeeded, failed
+    ATTEMPTS INTEGER DEFAULT 0,
+    RESPONSE_STATUS INTEGER,
+    ERROR_MESSAGE VARCHAR(1000),
+    NEXT_ATTEMPT_AT TIMESTAMP_LTZ,
+    REPLAY_OF VARCHAR(36), -- Delivery this one replays, if any
+    CREATED_AT TIMESTAMP_LTZ DEFAULT CURRENT_TIMESTAMP(),
+    UPDATED_AT TIMESTAMP_LTZ DEFAULT CURRENT_TIMESTAMP(),
+    INDEX WEBHOOK_DELIVERIES_WEBHOOK_IDX (WEBHOOK_ID)
+);
+
 -- =====================================================
 -- 10. CREATE VIEWS
 -- =====================================================
@@ -288,6 +346,8 @@ GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE API_PROXY.APP.ENDPOINT_TAGS TO ROL
 GRANT SELECT, INSERT, UPDATE ON TABLE API_PROXY.APP.API_AUDIT_LOG TO ROLE API_PROXY_SERVICE_ROLE;
 GRANT SELECT, INSERT, UPDATE ON TABLE API_PROXY.APP.API_USAGE_LOG TO ROLE API_PROXY_SERVICE_ROLE;
 GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE API_PROXY.APP.SYSTEM_SETTINGS TO ROLE API_PROXY_SERVICE_ROLE;
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE API_PROXY.APP.WEBHOOKS TO ROLE API_PROXY_SERVICE_ROLE;
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE API_PROXY.APP.WEBHOOK_DELIVERIES TO ROLE API_PROXY_SERVICE_ROLE;
 
 -- Grant permissions on views to the service role (only views used by application)
 GRANT SELECT ON VIEW API_PROXY.APP.API_USAGE_STATS TO ROLE API_PROXY_SERVICE_ROLE;